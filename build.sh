@@ -15,6 +15,8 @@ INCLUDE_DIRS=(
     "icons"
     "content"
     "lib"
+    "offscreen"
+    "sandbox"
     "service-worker"
     "sidepanel"
 )
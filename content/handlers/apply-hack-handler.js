@@ -18,18 +18,32 @@ function applyHack(hackData, appliedHacks) {
 
     let appliedElements = [];
 
+    let shadowObserver = null;
+
     // Apply CSS if present (JavaScript is handled by ApplyHackTool)
     if (cssCode && cssCode.trim()) {
+      // Rules like "host >>> inner { ... }" go into the host's shadow root
+      const { css, shadowRules } = splitShadowPiercingCSS(cssCode);
+
       const styleElement = document.createElement("style");
       styleElement.id = `web-vibes-css-${id}`;
       styleElement.setAttribute("data-web-vibes", "true");
       styleElement.setAttribute("data-hack-id", id);
       styleElement.setAttribute("data-preview", preview.toString());
-      styleElement.textContent = cssCode;
+      styleElement.textContent = css;
 
       document.head.appendChild(styleElement);
       appliedElements.push(styleElement);
 
+      if (shadowRules.length > 0) {
+        shadowObserver = applyShadowCSS(
+          id,
+          shadowRules,
+          preview,
+          appliedElements
+        );
+      }
+
       console.log(`Applied CSS for hack "${name}"`);
     }
 
@@ -40,6 +54,7 @@ function applyHack(hackData, appliedHacks) {
     appliedHacks.set(id, {
       ...hackData,
       elements: appliedElements,
+      shadowObserver: shadowObserver,
       appliedAt: new Date().toISOString(),
     });
 
@@ -60,6 +75,163 @@ function applyHack(hackData, appliedHacks) {
   }
 }
 
+/**
+ * Split CSS into rules for the page and rules that pierce into shadow roots
+ * Only top-level rules are considered; rules inside at-rules stay as they are.
+ * @param {string} cssCode - The hack's CSS
+ * @returns {{css: string, shadowRules: Array<{hostSelector: string, cssText: string}>}}
+ *   Page CSS and the rules to insert into the shadow roots of matching hosts
+ */
+function splitShadowPiercingCSS(cssCode) {
+  const pageRules = [];
+  const shadowRules = [];
+  let depth = 0;
+  let ruleStart = 0;
+  let preludeEnd = -1;
+
+  for (let i = 0; i < cssCode.length; i++) {
+    const char = cssCode[i];
+
+    // Skip comments and strings so their braces are not counted
+    if (char === "/" && cssCode[i + 1] === "*") {
+      const commentEnd = cssCode.indexOf("*/", i + 2);
+      i = commentEnd === -1 ? cssCode.length : commentEnd + 1;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < cssCode.length && cssCode[j] !== char) {
+        j += cssCode[j] === "\\" ? 2 : 1;
+      }
+      i = j;
+      continue;
+    }
+
+    if (char === "{") {
+      if (depth === 0) preludeEnd = i;
+      depth++;
+    } else if (char === "}" && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        const prelude = cssCode
+          .slice(ruleStart, preludeEnd)
+          .replace(/\/\*[\s\S]*?\*\//g, "")
+          .trim();
+        const block = cssCode.slice(preludeEnd, i + 1);
+
+        if (
+          prelude.startsWith("@") ||
+          !prelude.includes(SHADOW_PIERCING_COMBINATOR)
+        ) {
+          pageRules.push(cssCode.slice(ruleStart, i + 1));
+        } else {
+          prelude.split(",").forEach((selector) => {
+            const combinatorIndex = selector.lastIndexOf(
+              SHADOW_PIERCING_COMBINATOR
+            );
+            if (combinatorIndex === -1) {
+              pageRules.push(`${selector.trim()} ${block}`);
+              return;
+            }
+            shadowRules.push({
+              hostSelector: selector.slice(0, combinatorIndex).trim(),
+              cssText: `${selector
+                .slice(combinatorIndex + SHADOW_PIERCING_COMBINATOR.length)
+                .trim()} ${block}`,
+            });
+          });
+        }
+        ruleStart = i + 1;
+      }
+    } else if (char === ";" && depth === 0) {
+      // Statements such as @import
+      pageRules.push(cssCode.slice(ruleStart, i + 1));
+      ruleStart = i + 1;
+    }
+  }
+
+  pageRules.push(cssCode.slice(ruleStart));
+
+  return { css: pageRules.join("").trim(), shadowRules: shadowRules };
+}
+
+/**
+ * Insert shadow-piercing rules into the shadow roots of matching hosts
+ * Web components often render after the hack is applied, so matching
+ * hosts are looked up again whenever the page changes.
+ * @param {string} hackId - The hack ID
+ * @param {Array<{hostSelector: string, cssText: string}>} shadowRules - Rules from splitShadowPiercingCSS
+ * @param {boolean} preview - Whether the hack is a preview
+ * @param {Element[]} appliedElements - Receives the style elements that are created
+ * @returns {{disconnect: Function}} Stops watching for new hosts when the hack is removed
+ */
+function applyShadowCSS(hackId, shadowRules, preview, appliedElements) {
+  const styleElements = new Map();
+
+  const insertRules = () => {
+    // Collect the CSS for each shadow root
+    const cssByRoot = new Map();
+    shadowRules.forEach(({ hostSelector, cssText }) => {
+      try {
+        querySelectorAllDeep(hostSelector).forEach((host) => {
+          if (!host.shadowRoot) return;
+          const rules = cssByRoot.get(host.shadowRoot) || [];
+          if (!rules.includes(cssText)) rules.push(cssText);
+          cssByRoot.set(host.shadowRoot, rules);
+        });
+      } catch (error) {
+        console.warn(`Invalid shadow host selector "${hostSelector}":`, error);
+      }
+    });
+
+    cssByRoot.forEach((rules, shadowRoot) => {
+      const css = rules.join("\n");
+      let styleElement = styleElements.get(shadowRoot);
+
+      if (!styleElement || !styleElement.isConnected) {
+        styleElement = document.createElement("style");
+        styleElement.setAttribute("data-web-vibes", "true");
+        styleElement.setAttribute("data-hack-id", hackId);
+        styleElement.setAttribute("data-preview", preview.toString());
+        styleElements.set(shadowRoot, styleElement);
+        appliedElements.push(styleElement);
+      }
+      if (styleElement.textContent !== css) {
+        styleElement.textContent = css;
+      }
+      if (!styleElement.isConnected) {
+        shadowRoot.appendChild(styleElement);
+      }
+
+      observer.observe(shadowRoot, { childList: true, subtree: true });
+    });
+  };
+
+  // Throttle rescans; a rescan that changes nothing adds no mutations,
+  // so our own insertions settle after one extra pass
+  let scheduled = null;
+  const observer = new MutationObserver(() => {
+    if (scheduled) return;
+    scheduled = setTimeout(() => {
+      scheduled = null;
+      insertRules();
+    }, 250);
+  });
+
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+  });
+  insertRules();
+
+  return {
+    disconnect: () => {
+      clearTimeout(scheduled);
+      observer.disconnect();
+    },
+  };
+}
+
 /**
  * Handle APPLY_HACK message
  * @param {Object} request - The message request
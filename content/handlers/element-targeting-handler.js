@@ -1,14 +1,27 @@
 /**
  * Element targeting handler for Web Vibes content script
  * Handles element targeting functionality allowing users to click on webpage elements
- * to add them to the AI chat context
+ * to add them to the AI chat context. Several elements can be collected with
+ * shift-click or by dragging a region, and arrow keys move the highlight to
+ * the parent, child or sibling of the hovered element.
  */
 
+// Maximum number of elements that can be targeted at once
+const MAX_TARGETED_ELEMENTS = 20;
+
+// Pointer movement (px) after which a press becomes a region drag
+const REGION_DRAG_THRESHOLD = 5;
+
 // State variables for targeting mode
 let isTargetingActive = false;
 let targetingOverlay = null;
 let targetingStyles = null;
 let lastHighlightedElement = null;
+let selectedElements = []; // Collected with shift-click or a region
+let navigationTrail = []; // Children left by ArrowUp, revisited by ArrowDown
+let regionStart = null;
+let regionBox = null;
+let suppressNextClick = false; // The click that ends a region drag
 
 /**
  * Handle start element targeting message
@@ -64,6 +77,28 @@ function handleStopElementTargeting(request, sender, sendResponse) {
   }
 }
 
+/**
+ * Handle a key forwarded from the side panel, which keeps keyboard focus
+ * while the user hovers the page
+ * @param {Object} request - The message request
+ * @param {Object} sender - The message sender
+ * @param {Function} sendResponse - Response callback
+ */
+function handleTargetingKeyPressed(request, sender, sendResponse) {
+  try {
+    sendResponse({
+      success: true,
+      handled: applyTargetingKey(request.key),
+    });
+  } catch (error) {
+    console.error("Error handling targeting key:", error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Start element targeting mode
  */
@@ -82,6 +117,10 @@ function startElementTargeting(themeGradient) {
   document.addEventListener("mouseover", handleMouseOver, true);
   document.addEventListener("mouseout", handleMouseOut, true);
   document.addEventListener("click", handleClick, true);
+  document.addEventListener("keydown", handleTargetingKeyDown, true);
+  document.addEventListener("mousedown", handleMouseDown, true);
+  document.addEventListener("mousemove", handleMouseMove, true);
+  document.addEventListener("mouseup", handleMouseUp, true);
 }
 
 /**
@@ -96,13 +135,56 @@ function stopElementTargeting() {
   document.removeEventListener("mouseover", handleMouseOver, true);
   document.removeEventListener("mouseout", handleMouseOut, true);
   document.removeEventListener("click", handleClick, true);
+  document.removeEventListener("keydown", handleTargetingKeyDown, true);
+  document.removeEventListener("mousedown", handleMouseDown, true);
+  document.removeEventListener("mousemove", handleMouseMove, true);
+  document.removeEventListener("mouseup", handleMouseUp, true);
 
   // Clean up overlay and styles
+  removeRegionBox();
+  regionStart = null;
+  suppressNextClick = false;
+  navigationTrail = [];
+  clearSelection();
   removeTargetingOverlay();
   removeTargetingStyles();
   clearHighlight();
 }
 
+/**
+ * Send the targeted elements to the side panel and stop targeting
+ * Uses the collected selection, or the highlighted element if nothing was collected
+ */
+function finishElementTargeting() {
+  const elements =
+    selectedElements.length > 0
+      ? [...selectedElements]
+      : [lastHighlightedElement].filter(Boolean);
+  if (elements.length === 0) return;
+
+  // Stop targeting mode first so our classes stay out of the element data
+  stopElementTargeting();
+  const elementsData = elements.map((element) => extractElementData(element));
+
+  // Send element data back to sidepanel
+  chrome.runtime.sendMessage({
+    type: MESSAGE_TYPES.ELEMENT_TARGETED,
+    source: "content",
+    elements: elementsData,
+  });
+}
+
+/**
+ * Stop targeting and tell the side panel it was cancelled
+ */
+function cancelElementTargeting() {
+  stopElementTargeting();
+  chrome.runtime.sendMessage({
+    type: MESSAGE_TYPES.TARGETING_CANCELLED,
+    source: "content",
+  });
+}
+
 /**
  * Create targeting overlay with instructions
  */
@@ -117,11 +199,27 @@ function createTargetingOverlay() {
       <span class="web-vibes-crosshair">🎯</span>
       <span class="web-vibes-text">Click on any element to target (Esc to cancel)</span>
     </div>
+    <div class="web-vibes-targeting-hint">
+      Shift+click or drag a region to select several · ↑↓←→ parent/child/sibling · Enter to finish
+    </div>
   `;
 
   document.body.appendChild(targetingOverlay);
 }
 
+/**
+ * Show how many elements are collected in the overlay
+ */
+function updateTargetingOverlay() {
+  const text = targetingOverlay?.querySelector(".web-vibes-text");
+  if (!text) return;
+
+  text.textContent =
+    selectedElements.length > 0
+      ? `${selectedElements.length} selected (Enter to finish, Esc to cancel)`
+      : "Click on any element to target (Esc to cancel)";
+}
+
 /**
  * Remove targeting overlay
  */
@@ -173,6 +271,27 @@ function addTargetingStyles(themeGradient) {
     .web-vibes-crosshair {
       font-size: 16px;
     }
+
+    .web-vibes-targeting-hint {
+      margin-top: 4px;
+      font-size: 12px;
+      font-weight: 400;
+      opacity: 0.85;
+      text-align: center;
+    }
+
+    #web-vibes-targeting-region {
+      position: fixed;
+      z-index: 999998;
+      border: 2px dashed #667eea;
+      background: rgba(102, 126, 234, 0.15);
+      pointer-events: none;
+    }
+
+    .web-vibes-selected {
+      outline: 3px dashed #764ba2 !important;
+      outline-offset: 2px !important;
+    }
     
     .web-vibes-text {
       font-weight: 600;
@@ -245,6 +364,7 @@ function handleMouseOver(event) {
   }
 
   clearHighlight();
+  navigationTrail = [];
   highlightElement(event.target);
 }
 
@@ -261,6 +381,8 @@ function handleMouseOut(event) {
 
 /**
  * Handle click events during targeting
+ * A plain click targets the highlighted element; shift-click adds it to or
+ * removes it from the selection and keeps targeting
  * @param {MouseEvent} event - Mouse event
  */
 function handleClick(event) {
@@ -269,25 +391,269 @@ function handleClick(event) {
   event.preventDefault();
   event.stopPropagation();
 
+  // The click that ends a region drag was handled on mouseup
+  if (suppressNextClick) {
+    suppressNextClick = false;
+    return;
+  }
+
   // Don't target the overlay
   if (event.target.closest("#web-vibes-targeting-overlay")) {
     return;
   }
 
-  const targetElement = event.target;
+  // Arrow keys may have moved the highlight away from the clicked element
+  const targetElement = lastHighlightedElement || event.target;
 
-  // Extract element data
-  const elementData = extractElementData(targetElement);
+  if (event.shiftKey) {
+    toggleSelectedElement(targetElement);
+    return;
+  }
 
-  // Stop targeting mode
-  stopElementTargeting();
+  if (!selectedElements.includes(targetElement)) {
+    addSelectedElements([targetElement]);
+  }
+  finishElementTargeting();
+}
 
-  // Send element data back to sidepanel
-  chrome.runtime.sendMessage({
-    type: MESSAGE_TYPES.ELEMENT_TARGETED,
-    source: "content",
-    elementData: elementData,
+/**
+ * Handle key presses on the page during targeting
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleTargetingKeyDown(event) {
+  if (!isTargetingActive) return;
+
+  if (applyTargetingKey(event.key)) {
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}
+
+/**
+ * Apply a targeting key: arrows move the highlight, Enter finishes and Escape cancels
+ * @param {string} key - KeyboardEvent key value
+ * @returns {boolean} True if the key was used
+ */
+function applyTargetingKey(key) {
+  if (!isTargetingActive) return false;
+
+  if (key === "Escape") {
+    cancelElementTargeting();
+    return true;
+  }
+  if (key === "Enter") {
+    finishElementTargeting();
+    return true;
+  }
+
+  const current = lastHighlightedElement;
+  if (!current) return false;
+
+  let next = null;
+  switch (key) {
+    case "ArrowUp":
+      next = current.parentElement;
+      if (next === document.body || next === document.documentElement) {
+        next = null;
+      }
+      if (next) navigationTrail.push(current);
+      break;
+    case "ArrowDown": {
+      const previous = navigationTrail.pop();
+      next =
+        previous && previous.parentElement === current
+          ? previous
+          : current.firstElementChild;
+      break;
+    }
+    case "ArrowLeft":
+      next = current.previousElementSibling;
+      navigationTrail = [];
+      break;
+    case "ArrowRight":
+      next = current.nextElementSibling;
+      navigationTrail = [];
+      break;
+    default:
+      return false;
+  }
+
+  if (next) {
+    clearHighlight();
+    highlightElement(next);
+  }
+  return true;
+}
+
+/**
+ * Start a possible region drag
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleMouseDown(event) {
+  if (!isTargetingActive || event.button !== 0) return;
+  if (event.target.closest("#web-vibes-targeting-overlay")) return;
+
+  // Keep the page from selecting text or focusing the element
+  event.preventDefault();
+  event.stopPropagation();
+  regionStart = { x: event.clientX, y: event.clientY };
+  suppressNextClick = false;
+}
+
+/**
+ * Draw the region while dragging
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleMouseMove(event) {
+  if (!isTargetingActive || !regionStart) return;
+
+  const width = Math.abs(event.clientX - regionStart.x);
+  const height = Math.abs(event.clientY - regionStart.y);
+  if (!regionBox && Math.max(width, height) < REGION_DRAG_THRESHOLD) {
+    return;
+  }
+
+  if (!regionBox) {
+    regionBox = document.createElement("div");
+    regionBox.id = "web-vibes-targeting-region";
+    document.body.appendChild(regionBox);
+  }
+
+  regionBox.style.left = `${Math.min(event.clientX, regionStart.x)}px`;
+  regionBox.style.top = `${Math.min(event.clientY, regionStart.y)}px`;
+  regionBox.style.width = `${width}px`;
+  regionBox.style.height = `${height}px`;
+}
+
+/**
+ * Collect the elements inside the dragged region
+ * Without shift the region finishes targeting, like a plain click
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleMouseUp(event) {
+  if (!isTargetingActive || !regionStart) return;
+
+  const start = regionStart;
+  regionStart = null;
+  if (!regionBox) return; // A plain click, handled by handleClick
+
+  event.preventDefault();
+  event.stopPropagation();
+  removeRegionBox();
+  suppressNextClick = true;
+
+  const region = {
+    left: Math.min(start.x, event.clientX),
+    top: Math.min(start.y, event.clientY),
+    right: Math.max(start.x, event.clientX),
+    bottom: Math.max(start.y, event.clientY),
+  };
+  addSelectedElements(getElementsInRegion(region));
+
+  if (!event.shiftKey && selectedElements.length > 0) {
+    finishElementTargeting();
+  }
+}
+
+/**
+ * Remove the region rectangle
+ */
+function removeRegionBox() {
+  if (regionBox) {
+    regionBox.remove();
+    regionBox = null;
+  }
+}
+
+/**
+ * Find the outermost elements that lie completely inside a region
+ * Descendants of a collected element are not collected again.
+ * @param {Object} region - Viewport rectangle ({left, top, right, bottom})
+ * @returns {Element[]} Elements inside the region, in document order
+ */
+function getElementsInRegion(region) {
+  const found = [];
+
+  const visit = (parent) => {
+    for (const element of parent.children) {
+      if (found.length >= MAX_TARGETED_ELEMENTS) return;
+      if (
+        element.id === "web-vibes-targeting-overlay" ||
+        element.id === "web-vibes-targeting-region" ||
+        element === targetingStyles
+      ) {
+        continue;
+      }
+
+      const rect = element.getBoundingClientRect();
+      const hasBox = rect.width > 0 && rect.height > 0;
+      const intersects =
+        rect.right > region.left &&
+        rect.left < region.right &&
+        rect.bottom > region.top &&
+        rect.top < region.bottom;
+
+      // Boxless elements (display: contents) may still have children inside
+      if (hasBox && !intersects) continue;
+
+      if (
+        hasBox &&
+        rect.left >= region.left &&
+        rect.right <= region.right &&
+        rect.top >= region.top &&
+        rect.bottom <= region.bottom
+      ) {
+        found.push(element);
+      } else {
+        visit(element);
+      }
+    }
+  };
+
+  visit(document.body);
+  return found;
+}
+
+/**
+ * Add elements to the selection, up to MAX_TARGETED_ELEMENTS
+ * @param {Element[]} elements - Elements to add
+ */
+function addSelectedElements(elements) {
+  elements.forEach((element) => {
+    if (
+      selectedElements.length >= MAX_TARGETED_ELEMENTS ||
+      selectedElements.includes(element)
+    ) {
+      return;
+    }
+    selectedElements.push(element);
+    element.classList.add("web-vibes-selected");
   });
+  updateTargetingOverlay();
+}
+
+/**
+ * Add an element to the selection, or remove it if it is already selected
+ * @param {Element} element - Element to toggle
+ */
+function toggleSelectedElement(element) {
+  if (selectedElements.includes(element)) {
+    selectedElements = selectedElements.filter((selected) => selected !== element);
+    element.classList.remove("web-vibes-selected");
+    updateTargetingOverlay();
+  } else {
+    addSelectedElements([element]);
+  }
+}
+
+/**
+ * Clear the selection
+ */
+function clearSelection() {
+  selectedElements.forEach((element) =>
+    element.classList.remove("web-vibes-selected")
+  );
+  selectedElements = [];
 }
 
 /**
@@ -345,14 +711,21 @@ function extractElementData(element) {
         ? outerHTML.substring(0, HTML_LIMIT) + "..."
         : outerHTML;
 
+    const rect = element.getBoundingClientRect();
+
     return {
       tagName: element.tagName.toLowerCase(),
       selector: selector,
       textContent: truncatedText,
       outerHTML: truncatedHTML,
-      innerHTML: element.innerHTML || "",
       attributes: getElementAttributes(element),
-      boundingRect: element.getBoundingClientRect(),
+      childElementCount: element.childElementCount,
+      boundingRect: {
+        x: Math.round(rect.x),
+        y: Math.round(rect.y),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      },
       url: window.location.href,
       timestamp: new Date().toISOString(),
     };
@@ -363,7 +736,6 @@ function extractElementData(element) {
       selector: "unknown",
       textContent: "",
       outerHTML: "",
-      innerHTML: "",
       attributes: {},
       boundingRect: {},
       url: window.location.href,
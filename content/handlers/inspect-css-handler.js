@@ -4,8 +4,8 @@
  */
 
 /**
- * Inspect CSS styles for elements matching a selector
- * @param {string} selector - CSS selector to find elements
+ * Inspect CSS styles for elements matching a selector, including open shadow roots
+ * @param {string} selector - CSS selector to find elements; ">>>" pierces into shadow roots
  * @param {number} maxResults - Maximum number of elements to inspect
  * @param {boolean} includeComputed - Include computed styles
  * @param {boolean} includePseudo - Include pseudo-element styles
@@ -18,8 +18,8 @@ function inspectHTMLCSS(selector, maxResults = 5, includeComputed = true, includ
       throw new Error("Valid CSS selector is required");
     }
 
-    // Find matching elements
-    const elements = document.querySelectorAll(selector);
+    // Find matching elements, including those inside open shadow roots
+    const elements = querySelectorAllDeep(selector);
 
     if (elements.length === 0) {
       return {
@@ -37,7 +37,7 @@ function inspectHTMLCSS(selector, maxResults = 5, includeComputed = true, includ
     }
 
     // Limit results
-    const limitedElements = Array.from(elements).slice(0, maxResults);
+    const limitedElements = elements.slice(0, maxResults);
 
     // Extract CSS data from each element
     const elementsData = limitedElements.map((element, index) => {
@@ -54,6 +54,7 @@ function inspectHTMLCSS(selector, maxResults = 5, includeComputed = true, includ
         cssRules: cssRules,
         boundingRect: element.getBoundingClientRect(),
         isVisible: isElementVisible(element),
+        inShadowRoot: element.getRootNode() instanceof ShadowRoot,
       };
     });
 
@@ -67,6 +68,7 @@ function inspectHTMLCSS(selector, maxResults = 5, includeComputed = true, includ
         url: window.location.href,
         title: document.title,
         timestamp: new Date().toISOString(),
+        viewport: { width: window.innerWidth, height: window.innerHeight },
       },
     };
   } catch (error) {
@@ -81,6 +83,8 @@ function inspectHTMLCSS(selector, maxResults = 5, includeComputed = true, includ
 
 /**
  * Get matched CSS rules for an element
+ * Elements in a shadow root are matched against that root's stylesheets,
+ * since document stylesheets do not reach into shadow trees
  * @param {Element} element - DOM element
  * @returns {Array} Array of matched CSS rules
  */
@@ -88,8 +92,13 @@ function getMatchedCSSRules(element) {
   const rules = [];
 
   try {
-    // Get all stylesheets (including external and internal)
-    const styleSheets = Array.from(document.styleSheets);
+    // Get all stylesheets (including external, internal and constructed)
+    const root = element.getRootNode();
+    const scope = root instanceof ShadowRoot ? root : document;
+    const styleSheets = [
+      ...Array.from(scope.styleSheets),
+      ...Array.from(scope.adoptedStyleSheets || []),
+    ];
 
     styleSheets.forEach((sheet, sheetIndex) => {
       try {
@@ -323,46 +332,6 @@ function getElementStyles(element, includeComputed = true, includePseudo = false
   return styles;
 }
 
-/**
- * Generate a unique CSS selector for an element
- * @param {Element} element - DOM element
- * @returns {string} CSS selector
- */
-function generateElementSelector(element) {
-  try {
-    // If element has an ID, use that
-    if (element.id) {
-      return `#${element.id}`;
-    }
-
-    // Build a path from the element to the root
-    const path = [];
-    let current = element;
-
-    while (current && current.nodeType === Node.ELEMENT_NODE) {
-      let selector = current.tagName.toLowerCase();
-
-      // Add class if available
-      if (current.className && typeof current.className === "string") {
-        const classes = current.className.trim().split(/\s+/).slice(0, 2); // Limit to 2 classes
-        if (classes.length > 0 && classes[0]) {
-          selector += "." + classes.join(".");
-        }
-      }
-
-      path.unshift(selector);
-      current = current.parentElement;
-
-      // Limit path depth to avoid overly long selectors
-      if (path.length >= 4) break;
-    }
-
-    return path.join(" > ");
-  } catch (error) {
-    return element.tagName?.toLowerCase() || "unknown";
-  }
-}
-
 /**
  * Check if an element is visible
  * @param {Element} element - DOM element
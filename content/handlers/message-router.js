@@ -40,6 +40,10 @@ function routeMessage(request, sender, sendResponse, appliedHacks) {
         handleSearchWebsiteJavaScript(request, sender, sendResponse);
         break;
 
+      case MESSAGE_TYPES.SNAPSHOT_ELEMENTS:
+        handleSnapshotElements(request, sender, sendResponse);
+        break;
+
       case MESSAGE_TYPES.START_ELEMENT_TARGETING:
         handleStartElementTargeting(request, sender, sendResponse);
         break;
@@ -48,6 +52,10 @@ function routeMessage(request, sender, sendResponse, appliedHacks) {
         handleStopElementTargeting(request, sender, sendResponse);
         break;
 
+      case MESSAGE_TYPES.TARGETING_KEY_PRESSED:
+        handleTargetingKeyPressed(request, sender, sendResponse);
+        break;
+
       case MESSAGE_TYPES.TOGGLE_SERVICE_WORKER_BLOCKING:
         handleToggleServiceWorkerBlocking(request, sender, sendResponse);
         break;
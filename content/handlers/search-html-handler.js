@@ -4,8 +4,8 @@
  */
 
 /**
- * Search for HTML content using CSS selectors
- * @param {string} selector - CSS selector to search for
+ * Search for HTML content using CSS selectors, including open shadow roots
+ * @param {string} selector - CSS selector to search for; ">>>" pierces into shadow roots
  * @param {number} maxResults - Maximum number of results to return
  * @param {number} maxLength - Maximum length of HTML content per element
  * @returns {Object} Search results
@@ -17,8 +17,8 @@ function searchWebsiteHTML(selector, maxResults = 10, maxLength = 5000) {
       throw new Error("Valid CSS selector is required");
     }
 
-    // Find matching elements
-    const elements = document.querySelectorAll(selector);
+    // Find matching elements, including those inside open shadow roots
+    const elements = querySelectorAllDeep(selector);
 
     if (elements.length === 0) {
       return {
@@ -35,7 +35,7 @@ function searchWebsiteHTML(selector, maxResults = 10, maxLength = 5000) {
     }
 
     // Limit results
-    const limitedElements = Array.from(elements).slice(0, maxResults);
+    const limitedElements = elements.slice(0, maxResults);
 
     // Extract data from each element
     const matches = limitedElements.map((element, index) => {
@@ -76,46 +76,6 @@ function searchWebsiteHTML(selector, maxResults = 10, maxLength = 5000) {
   }
 }
 
-/**
- * Generate a unique CSS selector for an element
- * @param {Element} element - DOM element
- * @returns {string} CSS selector
- */
-function generateElementSelector(element) {
-  try {
-    // If element has an ID, use that
-    if (element.id) {
-      return `#${element.id}`;
-    }
-
-    // Build a path from the element to the root
-    const path = [];
-    let current = element;
-
-    while (current && current.nodeType === Node.ELEMENT_NODE) {
-      let selector = current.tagName.toLowerCase();
-
-      // Add class if available
-      if (current.className && typeof current.className === "string") {
-        const classes = current.className.trim().split(/\s+/).slice(0, 2); // Limit to 2 classes
-        if (classes.length > 0 && classes[0]) {
-          selector += "." + classes.join(".");
-        }
-      }
-
-      path.unshift(selector);
-      current = current.parentElement;
-
-      // Limit path depth to avoid overly long selectors
-      if (path.length >= 4) break;
-    }
-
-    return path.join(" > ");
-  } catch (error) {
-    return element.tagName?.toLowerCase() || "unknown";
-  }
-}
-
 /**
  * Handle SEARCH_WEBSITE_HTML message
  * @param {Object} request - The message request
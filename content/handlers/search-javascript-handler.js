@@ -5,6 +5,9 @@
 
 /**
  * Search for JavaScript content using regex patterns
+ * Searches inline scripts and external script files, which are fetched
+ * through the service worker so cross-origin bundles can be read too.
+ * Minified code is pretty-printed first so matches come with useful context.
  * @param {string} regex - Regular expression pattern to search for
  * @param {number} maxMatches - Maximum number of matches to return
  * @param {number} contextLines - Number of lines around each match to include
@@ -25,119 +28,76 @@ async function searchWebsiteJavaScript(regex, maxMatches = 10, contextLines = 10
       throw new Error(`Invalid regular expression: ${error.message}`);
     }
 
-    const matches = [];
-    let totalFound = 0;
-
-    // Search in inline scripts
-    const scriptTags = document.querySelectorAll("script");
+    const scriptTags = Array.from(document.querySelectorAll("script"));
+    const sources = [];
 
+    // Inline scripts
     scriptTags.forEach((script, scriptIndex) => {
+      if (script.src) return;
       const scriptContent = script.textContent || script.innerHTML || "";
       if (!scriptContent.trim()) return;
 
-      const lines = scriptContent.split('\n');
-      let matchCount = 0;
-
-      lines.forEach((line, lineIndex) => {
-        const lineMatches = [...line.matchAll(regexObj)];
-
-        lineMatches.forEach((match) => {
-          totalFound++;
-
-          if (matchCount >= maxMatches) return;
-
-          // Calculate context range
-          const startLine = Math.max(0, lineIndex - Math.floor(contextLines / 2));
-          const endLine = Math.min(lines.length - 1, lineIndex + Math.floor(contextLines / 2));
-
-          // Extract context lines
-          const context = lines.slice(startLine, endLine + 1).join('\n');
-
-          matches.push({
-            index: matchCount,
-            scriptIndex: scriptIndex,
-            lineNumber: lineIndex + 1,
-            match: match[0],
-            fullLine: line.trim(),
-            context: context,
-            scriptType: script.type || 'text/javascript',
-            scriptSrc: script.src || null,
-            matchIndex: match.index,
-            isExternal: false,
-          });
-
-          matchCount++;
-        });
+      sources.push({
+        scriptIndex: scriptIndex,
+        url: window.location.href,
+        scriptType: script.type || "text/javascript",
+        content: scriptContent,
+        isExternal: false,
       });
     });
 
-    // Search in external script content
-    const externalScripts = Array.from(scriptTags).filter(script => script.src);
+    // External scripts, fetched through the extension
+    const externalScripts = scriptTags.filter((script) => script.src);
+    const externalUrls = [...new Set(externalScripts.map((script) => script.src))];
+    const fetchFailures = [];
 
-    // Fetch and search external scripts
-    for (const script of externalScripts) {
-      try {
-        const response = await fetch(script.src);
-        if (!response.ok) {
-          console.warn(`Failed to fetch external script: ${script.src}`);
-          continue;
-        }
+    if (externalUrls.length > 0) {
+      const fetched = await fetchExternalScripts(externalUrls);
 
-        const scriptContent = await response.text();
-        if (!scriptContent.trim()) continue;
-
-        const lines = scriptContent.split('\n');
-        let matchCount = 0;
-
-        lines.forEach((line, lineIndex) => {
-          const lineMatches = [...line.matchAll(regexObj)];
-
-          lineMatches.forEach((match) => {
-            totalFound++;
-
-            if (matchCount >= maxMatches) return;
-
-            // Calculate context range
-            const startLine = Math.max(0, lineIndex - Math.floor(contextLines / 2));
-            const endLine = Math.min(lines.length - 1, lineIndex + Math.floor(contextLines / 2));
-
-            // Extract context lines
-            const context = lines.slice(startLine, endLine + 1).join('\n');
-
-            matches.push({
-              index: matchCount,
-              scriptIndex: scriptIndex,
-              lineNumber: lineIndex + 1,
-              match: match[0],
-              fullLine: line.trim(),
-              context: context,
-              scriptType: script.type || 'text/javascript',
-              scriptSrc: script.src,
-              matchIndex: match.index,
-              isExternal: true,
-            });
-
-            matchCount++;
-          });
+      fetched.forEach(({ url, content, error }) => {
+        if (error) {
+          fetchFailures.push({ url: url, error: error });
+          return;
+        }
+        if (!content || !content.trim()) return;
+
+        const script = externalScripts.find((tag) => tag.src === url);
+        sources.push({
+          scriptIndex: scriptTags.indexOf(script),
+          url: url,
+          scriptType: script.type || "text/javascript",
+          content: content,
+          isExternal: true,
         });
-      } catch (error) {
-        console.warn(`Error fetching external script ${script.src}:`, error);
-        // Continue with other scripts even if one fails
-      }
+      });
     }
 
+    const matches = [];
+    let totalFound = 0;
+
+    sources.forEach((source) => {
+      totalFound += searchScriptSource(
+        source,
+        regexObj,
+        contextLines,
+        maxMatches,
+        matches
+      );
+    });
+
     return {
       success: true,
       regex: regex,
       totalFound: totalFound,
-      returned: Math.min(matches.length, maxMatches),
-      matches: matches.slice(0, maxMatches),
+      returned: matches.length,
+      matches: matches,
       pageInfo: {
         url: window.location.href,
         title: document.title,
         timestamp: new Date().toISOString(),
         scriptCount: scriptTags.length,
-        externalScriptCount: externalScripts.length,
+        externalScriptCount: externalUrls.length,
+        fetchFailures: fetchFailures,
       },
     };
   } catch (error) {
@@ -150,6 +110,100 @@ async function searchWebsiteJavaScript(regex, maxMatches = 10, contextLines = 10
   }
 }
 
+/**
+ * Fetch external script files through the service worker
+ * Content scripts are bound by the page's CORS rules; the service worker
+ * is not, and caches the files for the tab
+ * @param {string[]} urls - Script URLs
+ * @returns {Promise<Array<{url: string, content?: string, error?: string}>>} Fetched sources
+ */
+async function fetchExternalScripts(urls) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.FETCH_SCRIPT_SOURCES,
+      urls: urls,
+    });
+
+    if (response && response.success) {
+      return response.sources;
+    }
+    const error = response?.error || "Could not fetch script";
+    return urls.map((url) => ({ url: url, error: error }));
+  } catch (error) {
+    console.warn("Error fetching external scripts:", error);
+    return urls.map((url) => ({ url: url, error: error.message }));
+  }
+}
+
+/**
+ * Search one script's source, pretty-printing it first if it is minified
+ * @param {Object} source - Script source with url, scriptIndex, scriptType, content and isExternal
+ * @param {RegExp} regexObj - Global regular expression to search with
+ * @param {number} contextLines - Number of lines around each match to include
+ * @param {number} maxMatches - Stop adding matches once this many were collected
+ * @param {Array} matches - Receives the matches
+ * @returns {number} Number of matches found in the script, including ones not added
+ */
+function searchScriptSource(source, regexObj, contextLines, maxMatches, matches) {
+  const prettyPrinted = JSFormatter.isMinified(source.content);
+  let code = source.content;
+  let toSourcePosition = null;
+
+  if (prettyPrinted) {
+    const formatted = JSFormatter.format(source.content);
+    const lookup = JSFormatter.createPositionLookup(source.content);
+    code = formatted.code;
+    toSourcePosition = (lineIndex) => lookup(formatted.lineOffsets[lineIndex]);
+  }
+
+  const lines = code.split('\n');
+  let found = 0;
+
+  lines.forEach((line, lineIndex) => {
+    const lineMatches = [...line.matchAll(regexObj)];
+
+    lineMatches.forEach((match) => {
+      found++;
+
+      if (matches.length >= maxMatches) return;
+
+      // Calculate context range
+      const startLine = Math.max(0, lineIndex - Math.floor(contextLines / 2));
+      const endLine = Math.min(lines.length - 1, lineIndex + Math.floor(contextLines / 2));
+
+      // Extract context lines
+      const context = lines.slice(startLine, endLine + 1).join('\n');
+
+      const result = {
+        index: matches.length,
+        scriptIndex: source.scriptIndex,
+        sourceUrl: source.url,
+        lineNumber: lineIndex + 1,
+        match: match[0],
+        fullLine: line.trim(),
+        context: context,
+        scriptType: source.scriptType,
+        scriptSrc: source.isExternal ? source.url : null,
+        matchIndex: match.index,
+        isExternal: source.isExternal,
+        prettyPrinted: prettyPrinted,
+      };
+
+      // Line numbers refer to the pretty-printed code; also give where
+      // that line starts in the original file
+      if (prettyPrinted) {
+        const position = toSourcePosition(lineIndex);
+        result.sourceLine = position.line;
+        result.sourceColumn = position.column;
+      }
+
+      matches.push(result);
+    });
+  });
+
+  return found;
+}
+
 /**
  * Handle SEARCH_WEBSITE_JAVASCRIPT message
  * @param {Object} request - The message request
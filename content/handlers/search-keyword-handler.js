@@ -5,6 +5,7 @@
 
 /**
  * Search webpage content by keyword with surrounding context
+ * Text inside open shadow roots is searched too
  * @param {string} keyword - Keyword or phrase to search for
  * @param {number} maxResults - Maximum number of matches to return
  * @param {number} contextLines - Number of lines of context before and after
@@ -23,29 +24,31 @@ function searchWebsiteByKeyword(keyword, maxResults = 10, contextLines = 3, case
     const matches = [];
     const searchRegex = new RegExp(escapeRegExp(keyword), caseSensitive ? 'g' : 'gi');
 
-    // Get all text nodes and elements
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
-      {
-        acceptNode: function (node) {
-          // Skip script and style elements
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            const tagName = node.tagName.toLowerCase();
-            if (tagName === 'script' || tagName === 'style' || tagName === 'noscript') {
-              return NodeFilter.FILTER_REJECT;
+    // Get all text nodes and elements, in the page and in open shadow roots
+    const nodes = [];
+    [document.body, ...getOpenShadowRoots(document.body)].forEach((root) => {
+      const walker = document.createTreeWalker(
+        root,
+        NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
+        {
+          acceptNode: function (node) {
+            // Skip script and style elements
+            if (node.nodeType === Node.ELEMENT_NODE) {
+              const tagName = node.tagName.toLowerCase();
+              if (tagName === 'script' || tagName === 'style' || tagName === 'noscript') {
+                return NodeFilter.FILTER_REJECT;
+              }
             }
+            return NodeFilter.FILTER_ACCEPT;
           }
-          return NodeFilter.FILTER_ACCEPT;
         }
-      }
-    );
+      );
 
-    const nodes = [];
-    let node;
-    while (node = walker.nextNode()) {
-      nodes.push(node);
-    }
+      let node;
+      while (node = walker.nextNode()) {
+        nodes.push(node);
+      }
+    });
 
     // Search through nodes
     for (let i = 0; i < nodes.length && matches.length < maxResults; i++) {
@@ -229,46 +232,6 @@ function createTagMatch(element, keyword, contextLines, caseSensitive) {
   }
 }
 
-/**
- * Generate a unique CSS selector for an element
- * @param {Element} element - DOM element
- * @returns {string} CSS selector
- */
-function generateElementSelector(element) {
-  try {
-    // If element has an ID, use that
-    if (element.id) {
-      return `#${element.id}`;
-    }
-
-    // Build a path from the element to the root
-    const path = [];
-    let current = element;
-
-    while (current && current.nodeType === Node.ELEMENT_NODE) {
-      let selector = current.tagName.toLowerCase();
-
-      // Add class if available
-      if (current.className && typeof current.className === "string") {
-        const classes = current.className.trim().split(/\s+/).slice(0, 2); // Limit to 2 classes
-        if (classes.length > 0 && classes[0]) {
-          selector += "." + classes.join(".");
-        }
-      }
-
-      path.unshift(selector);
-      current = current.parentElement;
-
-      // Limit path depth to avoid overly long selectors
-      if (path.length >= 4) break;
-    }
-
-    return path.join(" > ");
-  } catch (error) {
-    return element.tagName?.toLowerCase() || "unknown";
-  }
-}
-
 /**
  * Escape special regex characters
  * @param {string} string - String to escape
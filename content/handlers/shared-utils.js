@@ -14,6 +14,11 @@ function removeHackFromPage(hackId, appliedHacks) {
     const appliedHack = appliedHacks.get(hackId);
 
     if (appliedHack) {
+      // Stop inserting shadow-piercing rules into newly rendered components
+      if (appliedHack.shadowObserver) {
+        appliedHack.shadowObserver.disconnect();
+      }
+
       // Remove all elements for this hack (CSS elements)
       appliedHack.elements.forEach((element) => {
         if (element.parentNode) {
@@ -32,7 +37,7 @@ function removeHackFromPage(hackId, appliedHacks) {
       };
     } else {
       // Try to remove by DOM query as fallback (CSS elements only)
-      const elements = document.querySelectorAll(`[data-hack-id="${hackId}"]`);
+      const elements = querySelectorAllDeep(`[data-hack-id="${hackId}"]`);
       elements.forEach((element) => element.remove());
 
       return {
@@ -49,3 +54,139 @@ function removeHackFromPage(hackId, appliedHacks) {
     };
   }
 }
+
+/**
+ * Combinator that continues a selector inside the open shadow roots of the
+ * elements matched so far, e.g. "ytd-app >>> #content button"
+ */
+const SHADOW_PIERCING_COMBINATOR = ">>>";
+
+/**
+ * Collect every open shadow root below a root, including nested ones
+ * @param {Document|Element|ShadowRoot} root - Where to start looking
+ * @returns {ShadowRoot[]} Open shadow roots in tree order
+ */
+function getOpenShadowRoots(root = document) {
+  const shadowRoots = [];
+
+  const visit = (scope) => {
+    scope.querySelectorAll("*").forEach((element) => {
+      if (element.shadowRoot) {
+        shadowRoots.push(element.shadowRoot);
+        visit(element.shadowRoot);
+      }
+    });
+  };
+
+  if (root.shadowRoot) {
+    shadowRoots.push(root.shadowRoot);
+    visit(root.shadowRoot);
+  }
+  visit(root);
+
+  return shadowRoots;
+}
+
+/**
+ * Query a root and all open shadow roots below it with a plain CSS selector
+ * @param {string} selector - CSS selector without piercing combinators
+ * @param {Document|Element|ShadowRoot} root - Where to start looking
+ * @returns {Element[]} Matching elements
+ */
+function queryAcrossShadowRoots(selector, root) {
+  const scopes = [root, ...getOpenShadowRoots(root)];
+  return scopes.flatMap((scope) => Array.from(scope.querySelectorAll(selector)));
+}
+
+/**
+ * Find elements by selector, looking inside open shadow roots
+ * Plain selectors match in the document and in every open shadow root.
+ * Each ">>>" continues the search inside the shadow roots of the elements
+ * matched by the part before it.
+ * @param {string} selector - CSS selector, optionally with ">>>" combinators
+ * @param {Document|Element|ShadowRoot} root - Where to start looking
+ * @returns {Element[]} Unique matching elements
+ */
+function querySelectorAllDeep(selector, root = document) {
+  const segments = selector
+    .split(SHADOW_PIERCING_COMBINATOR)
+    .map((segment) => segment.trim());
+
+  if (segments.some((segment) => !segment)) {
+    throw new Error(
+      `Invalid selector "${selector}": "${SHADOW_PIERCING_COMBINATOR}" needs a selector on both sides`
+    );
+  }
+
+  let scopes = [root];
+  let matches = [];
+
+  segments.forEach((segment) => {
+    matches = scopes.flatMap((scope) => queryAcrossShadowRoots(segment, scope));
+    scopes = matches
+      .filter((element) => element.shadowRoot)
+      .map((element) => element.shadowRoot);
+  });
+
+  return [...new Set(matches)];
+}
+
+/**
+ * Generate a CSS selector for an element within its own document or shadow tree
+ * @param {Element} element - DOM element
+ * @returns {string} CSS selector
+ */
+function generateTreeSelector(element) {
+  // If element has an ID, use that
+  if (element.id) {
+    return `#${element.id}`;
+  }
+
+  // Build a path from the element to the root of its tree
+  const path = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    let selector = current.tagName.toLowerCase();
+
+    // Add class if available
+    if (current.className && typeof current.className === "string") {
+      const classes = current.className.trim().split(/\s+/).slice(0, 2); // Limit to 2 classes
+      if (classes.length > 0 && classes[0]) {
+        selector += "." + classes.join(".");
+      }
+    }
+
+    path.unshift(selector);
+    current = current.parentElement;
+
+    // Limit path depth to avoid overly long selectors
+    if (path.length >= 4) break;
+  }
+
+  return path.join(" > ");
+}
+
+/**
+ * Generate a unique CSS selector for an element
+ * Elements inside shadow roots are prefixed with their shadow host path,
+ * joined by ">>>", so the selector can be passed back to the search tools
+ * @param {Element} element - DOM element
+ * @returns {string} CSS selector
+ */
+function generateElementSelector(element) {
+  try {
+    const parts = [];
+    let current = element;
+
+    while (current) {
+      parts.unshift(generateTreeSelector(current));
+      const root = current.getRootNode();
+      current = root instanceof ShadowRoot ? root.host : null;
+    }
+
+    return parts.join(` ${SHADOW_PIERCING_COMBINATOR} `);
+  } catch (error) {
+    return element.tagName?.toLowerCase() || "unknown";
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Handler for snapshotting the elements a hack's CSS targets
+ * Taken before and after apply_hack so the changes can be verified
+ */
+
+/**
+ * Values whose computed form depends on the element's context, so they
+ * cannot be resolved on a probe element
+ */
+const CONTEXT_DEPENDENT_VALUE =
+  /var\(|calc\(|%|\d(em|ex|ch|lh|cap|ic|cq\w*)\b|\b(inherit|initial|unset|revert|revert-layer|currentcolor|auto|larger|smaller|bolder|lighter)\b/i;
+
+/**
+ * Check whether a declared value can be resolved on a probe element
+ * @param {string} property - CSS property name
+ * @param {string} value - Declared value
+ * @returns {boolean} True if the value does not depend on the element
+ */
+function isResolvableValue(property, value) {
+  if (CONTEXT_DEPENDENT_VALUE.test(value)) return false;
+  // Unitless line heights compute to pixels from the element's font size
+  if (property === "line-height" && /^[\d.]+$/.test(value)) return false;
+  return true;
+}
+
+/**
+ * Collect the style rules of a hack's CSS, including shadow-piercing rules
+ * @param {string} cssCode - The hack's CSS
+ * @returns {Array<Object>} Targets ({selector, properties, condition, active})
+ */
+function getCSSTargets(cssCode) {
+  const { css, shadowRules } = splitShadowPiercingCSS(cssCode);
+  const targets = [];
+
+  const collect = (rules, hostSelector, condition, active) => {
+    Array.from(rules).forEach((rule) => {
+      if (rule instanceof CSSStyleRule) {
+        const properties = {};
+        Array.from(rule.style).forEach((property) => {
+          properties[property] = rule.style.getPropertyValue(property).trim();
+        });
+        targets.push({
+          selector: hostSelector
+            ? `${hostSelector} ${SHADOW_PIERCING_COMBINATOR} ${rule.selectorText}`
+            : rule.selectorText,
+          properties: properties,
+          condition: condition,
+          active: active,
+        });
+      } else if (rule instanceof CSSMediaRule) {
+        collect(
+          rule.cssRules,
+          hostSelector,
+          `@media ${rule.conditionText}`,
+          active && window.matchMedia(rule.conditionText).matches
+        );
+      } else if (rule instanceof CSSSupportsRule) {
+        collect(
+          rule.cssRules,
+          hostSelector,
+          `@supports ${rule.conditionText}`,
+          active && CSS.supports(rule.conditionText)
+        );
+      }
+    });
+  };
+
+  const parse = (cssText) => {
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(cssText);
+    return sheet.cssRules;
+  };
+
+  collect(parse(css), null, null, true);
+  shadowRules.forEach(({ hostSelector, cssText }) => {
+    collect(parse(cssText), hostSelector, null, true);
+  });
+
+  return targets;
+}
+
+/**
+ * Resolve declared values to their computed form on a hidden probe element
+ * The properties are set together, since some depend on each other
+ * (a border width computes to 0 without a border style).
+ * @param {Object} properties - Declared property-value pairs
+ * @returns {Object} Computed values, or null where the value depends on context
+ */
+function resolveDeclaredValues(properties) {
+  const probe = document.createElement("div");
+  probe.style.display = "none";
+  const resolvable = Object.entries(properties).filter(([property, value]) =>
+    isResolvableValue(property, value)
+  );
+  resolvable.forEach(([property, value]) => {
+    probe.style.setProperty(property, value);
+  });
+
+  const resolved = {};
+  Object.keys(properties).forEach((property) => {
+    resolved[property] = null;
+  });
+
+  document.documentElement.appendChild(probe);
+  try {
+    const computed = getComputedStyle(probe);
+    resolvable.forEach(([property]) => {
+      resolved[property] = computed.getPropertyValue(property);
+    });
+  } finally {
+    probe.remove();
+  }
+
+  return resolved;
+}
+
+/**
+ * Snapshot the elements matched by each rule of a hack's CSS
+ * @param {string} cssCode - The hack's CSS
+ * @param {number} maxElements - Maximum number of elements to record per rule
+ * @returns {Object} Snapshot results
+ */
+function snapshotElements(cssCode, maxElements = 3) {
+  try {
+    const targets = getCSSTargets(cssCode || "").map((target) => {
+      let elements = [];
+      let error = null;
+      try {
+        elements = querySelectorAllDeep(target.selector);
+      } catch (selectorError) {
+        error = `Invalid selector: ${selectorError.message}`;
+      }
+
+      return {
+        ...target,
+        expected: resolveDeclaredValues(target.properties),
+        matched: elements.length,
+        error: error,
+        elements: elements.slice(0, maxElements).map((element) => {
+          const computed = getComputedStyle(element);
+          const rect = element.getBoundingClientRect();
+          const styles = {};
+          Object.keys(target.properties).forEach((property) => {
+            styles[property] = computed.getPropertyValue(property);
+          });
+
+          return {
+            selector: generateElementSelector(element),
+            boundingRect: {
+              x: Math.round(rect.x),
+              y: Math.round(rect.y),
+              width: Math.round(rect.width),
+              height: Math.round(rect.height),
+            },
+            styles: styles,
+          };
+        }),
+      };
+    });
+
+    return {
+      success: true,
+      targets: targets,
+      pageInfo: {
+        url: window.location.href,
+        title: document.title,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  } catch (error) {
+    console.error("Error snapshotting elements:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Handle SNAPSHOT_ELEMENTS message
+ * @param {Object} request - The message request
+ * @param {Object} sender - The message sender
+ * @param {Function} sendResponse - Response callback
+ */
+function handleSnapshotElements(request, sender, sendResponse) {
+  const { cssCode, maxElements = 3 } = request;
+  const result = snapshotElements(cssCode, maxElements);
+  sendResponse(result);
+}
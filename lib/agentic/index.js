@@ -23,10 +23,12 @@ function createAgenticService(aiService, hackService, settingsService) {
     new InspectHTMLCSSTool(),
     new SearchWebsiteByKeywordTool(),
     new SearchWebsiteJavaScriptTool(),
+    new TakeScreenshotTool(),
     new SaveJSTool(hackService),
     new ReadJSTool(hackService),
     new SaveCSSTool(hackService),
     new ReadCSSTool(hackService),
+    new PatchCodeTool(hackService),
     new ApplyHackTool(hackService),
   ];
 
@@ -51,11 +53,13 @@ function createStandardTools(hackService) {
     new ReadJSTool(hackService),
     new SaveCSSTool(hackService),
     new ReadCSSTool(hackService),
+    new PatchCodeTool(hackService),
     new ApplyHackTool(hackService),
     new SearchWebsiteHTMLTool(),
     new InspectHTMLCSSTool(),
     new SearchWebsiteByKeywordTool(),
     new SearchWebsiteJavaScriptTool(),
+    new TakeScreenshotTool(),
   ];
 }
 
@@ -21,6 +21,76 @@ class AgenticTool {
     this.write = write;
   }
 
+  /**
+   * Schema for the optional frameUrl parameter of page-analysis tools
+   * @returns {Object} JSON schema property
+   */
+  static get FRAME_URL_PARAMETER() {
+    return {
+      type: "string",
+      description:
+        "Search inside the iframe whose URL contains this text instead of the main page (see 'frames' in earlier results)",
+    };
+  }
+
+  /**
+   * Schema for the line range parameters of the code reading tools
+   * @returns {Object} JSON schema properties
+   */
+  static get LINE_RANGE_PARAMETERS() {
+    return {
+      startLine: {
+        type: "number",
+        description: "First line to return, starting at 1 (default: 1)",
+      },
+      endLine: {
+        type: "number",
+        description:
+          "Last line to return, inclusive (default: the last line of the code)",
+      },
+      lineNumbers: {
+        type: "boolean",
+        description:
+          "Prefix each line with its number, e.g. '12| color: red;'. The prefixes are not part of the code; leave them out of patches",
+        default: false,
+      },
+    };
+  }
+
+  /**
+   * Cut code to a line range and optionally number the lines
+   * @param {string} code - Full code
+   * @param {Object} parameters - Tool parameters
+   * @param {number} [parameters.startLine] - First line, 1-based
+   * @param {number} [parameters.endLine] - Last line, inclusive
+   * @param {boolean} [parameters.lineNumbers=false] - Whether to prefix line numbers
+   * @returns {{code: string, startLine: number, endLine: number, totalLines: number}}
+   *   The selected code and the range actually returned
+   */
+  readLineRange(code, parameters) {
+    const lines = code.split("\n");
+    const totalLines = lines.length;
+    const startLine = Math.min(
+      Math.max(1, Math.floor(parameters.startLine || 1)),
+      totalLines
+    );
+    const endLine = Math.max(
+      startLine,
+      Math.min(totalLines, Math.floor(parameters.endLine || totalLines))
+    );
+
+    const width = String(endLine).length;
+    const selected = lines
+      .slice(startLine - 1, endLine)
+      .map((line, index) =>
+        parameters.lineNumbers
+          ? `${String(startLine + index).padStart(width)}| ${line}`
+          : line
+      );
+
+    return { code: selected.join("\n"), startLine, endLine, totalLines };
+  }
+
   /**
    * Execute the tool with given parameters
    * Must be implemented by subclasses
@@ -97,6 +167,77 @@ class AgenticTool {
     };
   }
 
+  /**
+   * Resolve the frame a page-analysis tool should read from
+   * @param {number} tabId - The tab to look in
+   * @param {string} [frameUrl] - Text the iframe's URL contains; the main page when omitted
+   * @returns {Promise<number>} The frame ID (0 for the main page)
+   * @throws {Error} If no frame URL contains the text; the message lists the page's frames
+   */
+  async resolveFrameId(tabId, frameUrl) {
+    if (!frameUrl) return 0;
+
+    const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+    const match = frames.find(
+      (frame) => frame.frameId !== 0 && frame.url.includes(frameUrl)
+    );
+    if (!match) {
+      const available = await this.getFrameUrls(tabId);
+      throw new Error(
+        `No frame URL contains "${frameUrl}". Frames on this page: ${
+          available.length > 0 ? available.join(", ") : "none"
+        }`
+      );
+    }
+    return match.frameId;
+  }
+
+  /**
+   * List the URLs of the iframes on a page, so the AI knows what it can search
+   * @param {number} tabId - The tab to look in
+   * @returns {Promise<string[]>} Iframe URLs (http/https only)
+   */
+  async getFrameUrls(tabId) {
+    try {
+      const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+      return frames
+        .filter((frame) => frame.frameId !== 0 && /^https?:/.test(frame.url))
+        .map((frame) => frame.url);
+    } catch (error) {
+      console.warn("Could not list frames:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Parse code that is about to be saved
+   * @param {string} language - "css" or "js"
+   * @param {string} code - The complete code that would be stored
+   * @returns {Promise<Object|null>} An error result to return instead of
+   *   saving, or null if the code parses. Code that could not be checked is
+   *   not saved either.
+   */
+  async checkSyntax(language, code) {
+    const result = await SyntaxChecker.check(language, code);
+    if (result.valid) {
+      return null;
+    }
+
+    const label = language === "js" ? "JavaScript" : "CSS";
+    if (result.skipped) {
+      return this.formatError(
+        `${label} was not saved because its syntax could not be checked (${result.skipped}). Nothing was changed; call the tool again with the same code.`,
+        { syntaxCheckSkipped: result.skipped }
+      );
+    }
+    return this.formatError(
+      `${label} was not saved because it does not parse:\n${SyntaxChecker.formatErrors(
+        result.errors
+      )}\nLine numbers refer to the complete ${label} of the vibe. Fix the code and try again.`,
+      { syntaxErrors: result.errors }
+    );
+  }
+
   /**
    * Format error message for tool execution failures
    * @param {string} message - Error message
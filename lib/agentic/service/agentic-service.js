@@ -26,6 +26,7 @@ class AgenticService {
     this.maxIterations = 10; // Prevent infinite loops
     this.currentIteration = 0;
     this.aborted = false; // Flag to track if the loop has been aborted
+    this.abortController = null; // Cancels the in-flight AI request on abort
 
     /**
      * Maximum size allowed for any single chat message (in bytes).
@@ -43,8 +44,19 @@ class AgenticService {
      */
     this.MAX_HISTORY_SIZE = 100 * 1024; // Default, will be updated
 
+    /**
+     * How apply_hack results are verified: "off", "styles" or "screenshots".
+     * Fetched from SettingsService.
+     * @type {string}
+     */
+    this.applyVerification = "styles";
+
     // Register provided tools
     this.registerTools(tools);
+    this.applyVerifier =
+      typeof ApplyVerifier !== "undefined"
+        ? new ApplyVerifier(this.tools.get("take_screenshot") || null)
+        : null;
     this._initializeSettings();
   }
 
@@ -59,6 +71,7 @@ class AgenticService {
       // This is a simplification and might need refinement.
       this.MAX_MESSAGE_SIZE = settings.maxIndividualMessageSize * 4;
       this.MAX_HISTORY_SIZE = settings.maxConversationSize * 4;
+      this.applyVerification = settings.applyVerification;
     } catch (error) {
       console.error("Failed to initialize AgenticService settings:", error);
       // Keep defaults if settings fail to load
@@ -111,7 +124,8 @@ class AgenticService {
    * @param {number} [options.maxIterations] - Maximum number of iterations
    * @param {boolean} [options.verbose] - Whether to include detailed logs
    * @param {boolean} [options.resetHistory] - Whether to reset the conversation history (defaults to false)
-   * @param {Function} [options.onMessage] - Callback for real-time message updates
+   * @param {Function} [options.onMessage] - Callback for real-time message updates, including
+   *   incremental "ai_response_delta" events while the AI response streams in
    * @returns {Promise<Object>} The final result of the agentic loop
    */
   async startAgenticLoop(userRequest, options = {}) {
@@ -222,10 +236,37 @@ Start by reading the existing website code, using tools that include the word "w
         console.log("Conversation Is");
         console.log(this.conversationHistory);
 
-        // Send conversation to AI
-        const aiResponse = await this.aiService.sendConversation(
-          this.conversationHistory.map((msg) => msg.content)
-        );
+        // Stream conversation to AI, with structured tools when the provider supports them
+        const useNativeTools = this.aiService.supportsNativeTools();
+        this.abortController = new AbortController();
+        const requestOptions = {
+          signal: this.abortController.signal,
+          onDelta: (delta) => {
+            if (this.onMessage) {
+              this.onMessage({
+                type: "ai_response_delta",
+                content: delta,
+                iteration: this.currentIteration,
+                timestamp: new Date().toISOString(),
+              });
+            }
+          },
+        };
+        const aiResponse = useNativeTools
+          ? await this.aiService.streamConversation(this._buildPrompts(), {
+              ...requestOptions,
+              tools: this.getAvailableTools(),
+            })
+          : await this.aiService.streamConversation(
+              this.conversationHistory.map((msg) => msg.content),
+              requestOptions
+            );
+        this.abortController = null;
+
+        // A cancelled request surfaces as an error response, stop quietly instead
+        if (this.aborted) {
+          break;
+        }
 
         if (!aiResponse.success) {
           throw new Error(`AI response error: ${aiResponse.error}`);
@@ -234,11 +275,30 @@ Start by reading the existing website code, using tools that include the word "w
         const responseText = aiResponse.content;
         console.log("AI Says", responseText);
 
-        // Add AI response to conversation
-        this.addMessageToHistory({
+        // Check if AI wants to use tools. Structured calls are preferred; the
+        // text parser is only a fallback for TOOL_CALL directives in the reply.
+        const nativeToolCalls = useNativeTools ? aiResponse.getToolCalls() : [];
+        const hasNativeToolCalls = nativeToolCalls.length > 0;
+        const toolCalls = hasNativeToolCalls
+          ? nativeToolCalls
+          : ToolCallParser.parseToolCalls(responseText);
+
+        // Add AI response to conversation. Native tool calls are also recorded
+        // as TOOL_CALL directives so the history stays readable by any provider.
+        const assistantMessage = {
           role: "assistant",
-          content: this._truncateContent(responseText),
-        });
+          content: this._truncateContent(
+            hasNativeToolCalls
+              ? [responseText, ToolCallParser.formatAsDirectives(toolCalls)]
+                  .filter(Boolean)
+                  .join("\n\n")
+              : responseText
+          ),
+        };
+        if (hasNativeToolCalls) {
+          assistantMessage.toolCalls = toolCalls;
+        }
+        this.addMessageToHistory(assistantMessage);
 
         // Send AI response to callback if provided
         if (this.onMessage) {
@@ -254,9 +314,6 @@ Start by reading the existing website code, using tools that include the word "w
           console.log("AI Response:", responseText);
         }
 
-        // Check if AI wants to use tools
-        const toolCalls = ToolCallParser.parseToolCalls(responseText);
-
         if (toolCalls.length === 0) {
           // No tool calls found, AI is done
           if (verbose) {
@@ -292,6 +349,7 @@ Start by reading the existing website code, using tools that include the word "w
 
         // Execute all tool calls in sequence
         const toolResults = [];
+        const toolImages = [];
         let hasCriticalFailure = false;
 
         for (let i = 0; i < toolsToExecute.length && !this.aborted; i++) {
@@ -318,10 +376,12 @@ Start by reading the existing website code, using tools that include the word "w
             });
           }
 
-          const toolResult = await this.executeTool(
-            toolCall.name,
-            toolCall.parameters
-          );
+          const toolResult =
+            toolCall.name === "apply_hack"
+              ? await this.executeVerifiedApply(toolCall.parameters)
+              : await this.executeTool(toolCall.name, toolCall.parameters);
+          const images = this._takeResultImages(toolResult, useNativeTools);
+          toolImages.push(...images);
 
           if (verbose) {
             console.log(`Tool ${i + 1} result:`, toolResult);
@@ -333,6 +393,7 @@ Start by reading the existing website code, using tools that include the word "w
               type: "tool_result",
               toolName: toolCall.name,
               result: toolResult,
+              images,
               iteration: this.currentIteration,
               toolIndex: i + 1,
               totalTools: toolsToExecute.length,
@@ -341,6 +402,7 @@ Start by reading the existing website code, using tools that include the word "w
           }
 
           toolResults.push({
+            toolCallId: toolCall.id,
             toolName: toolCall.name,
             result: toolResult,
           });
@@ -372,10 +434,21 @@ Start by reading the existing website code, using tools that include the word "w
 
         // Only add a message to history if we actually have content.
         if (toolResultMessages.trim().length > 0) {
-          this.addMessageToHistory({
+          const resultMessage = {
             role: "user",
             content: this._truncateContent(toolResultMessages),
-          });
+          };
+          if (hasNativeToolCalls) {
+            resultMessage.toolResults = this._buildNativeToolResults(
+              toolCalls,
+              toolResults,
+              executionMessage
+            );
+          }
+          if (toolImages.length > 0) {
+            resultMessage.images = toolImages;
+          }
+          this.addMessageToHistory(resultMessage);
         }
 
         // If any critical tool failed, stop the loop
@@ -434,6 +507,10 @@ Start by reading the existing website code, using tools that include the word "w
    * @returns {string} System prompt text
    */
   createSystemPrompt() {
+    if (this.aiService.supportsNativeTools()) {
+      return this._createNativeToolsSystemPrompt();
+    }
+
     const toolDescriptions = Array.from(this.tools.values())
       .map((tool) => {
         const metadata = tool.getMetadata();
@@ -462,6 +539,7 @@ IMPORTANT INSTRUCTIONS:
    - For CSS: Focus on visual improvements, responsive design, and user experience
    - For JavaScript: Ensure functionality is preserved and enhanced
    - Test your understanding by reading code before and after changes
+   - To change part of existing code, use patch_code instead of resending the whole file
 
 6. Be concise but thorough in your explanations.
 
@@ -469,7 +547,7 @@ IMPORTANT INSTRUCTIONS:
 
 8. If you encounter errors, try to fix them or suggest alternatives.
 
-9. Always call apply_hack after saving changes so the user can see the results.
+9. Always call apply_hack after saving changes so the user can see the results. Its result may include a verification report comparing the targeted elements before and after; fix any rules it reports as overridden or matching nothing. Then use take_screenshot to check that the change looks right.
 
 Current Context:
 - You are editing a webpage vibe (hack) that contains CSS and/or JavaScript code
@@ -478,6 +556,128 @@ Current Context:
 - Always read the content of the website first to understand how you should modify it`;
   }
 
+  /**
+   * Create the system prompt for providers with native tool use.
+   * Tool definitions are sent separately, so only the working rules are included.
+   * @private
+   * @returns {string} System prompt text
+   */
+  _createNativeToolsSystemPrompt() {
+    return `You are an AI assistant that helps users modify webpages through code editing. You have access to tools that allow you to read and write CSS and JavaScript code for the current webpage vibe (hack).
+
+IMPORTANT INSTRUCTIONS:
+1. Use the provided tools by calling them directly. Do not describe tool calls in text.
+2. CRITICAL: You cannot use read and write tools in the same request. This ensures you can see the results of read operations before making write operations.
+3. When writing JavaScript code. Never use Dom loaded event listeners. Your script will already run after the DOM is loaded.
+4. Workflow:
+   - First, use read tools to understand the current state
+   - Then, in a separate request, use write tools to make modifications
+   - Always read existing code before making modifications to understand the current state
+   - To change part of existing code, use patch_code instead of resending the whole file
+
+5. Be concise but thorough in your explanations.
+
+6. If you complete the user's request successfully, provide a clear summary of what was accomplished.
+
+7. If you encounter errors, try to fix them or suggest alternatives.
+
+8. Always call apply_hack after saving changes so the user can see the results. Its result may include a verification report comparing the targeted elements before and after; fix any rules it reports as overridden or matching nothing. Then use take_screenshot to check that the change looks right.
+
+Current Context:
+- You are editing a webpage vibe (hack) that contains CSS and/or JavaScript code
+- The user wants you to help modify this code based on their request
+- Always read the content of the website first to understand how you should modify it`;
+  }
+
+  /**
+   * Convert the conversation history to AIPrompt instances for native tool use.
+   * Messages carrying structured tool calls/results drop their text rendering
+   * of those calls, since the backend sends them as tool blocks instead.
+   * @private
+   * @returns {Array<AIPrompt>} Prompts in conversation order
+   */
+  _buildPrompts() {
+    return this.conversationHistory
+      .filter((msg) => msg.content || msg.toolCalls || msg.toolResults)
+      .map((msg) => {
+        const toolCalls = msg.toolCalls || [];
+        const toolResults = msg.toolResults || [];
+        let content = msg.content;
+
+        if (toolResults.length > 0) {
+          content = "";
+        } else if (toolCalls.length > 0) {
+          content = ToolCallParser.stripToolArtifacts(msg.content);
+        }
+
+        return new AIPrompt(content, {
+          role: msg.role,
+          toolCalls,
+          toolResults,
+          images: msg.images || [],
+        });
+      });
+  }
+
+  /**
+   * Build structured tool results for every native tool call in a response.
+   * Calls that were skipped (mixed read/write usage, critical failure or abort)
+   * are answered with an error so the provider sees a result for each call.
+   * @private
+   * @param {Array<Object>} toolCalls - Tool calls requested by the AI
+   * @param {Array<Object>} toolResults - Results of the executed tool calls
+   * @param {string} skippedMessage - Explanation for calls that were not executed
+   * @returns {Array<Object>} Tool results ({toolCallId, toolName, content, isError})
+   */
+  _buildNativeToolResults(toolCalls, toolResults, skippedMessage) {
+    return toolCalls.map((toolCall) => {
+      const executed = toolResults.find(
+        ({ toolCallId }) => toolCallId === toolCall.id
+      );
+
+      if (!executed) {
+        return {
+          toolCallId: toolCall.id,
+          toolName: toolCall.name,
+          content: skippedMessage || "Tool call was not executed.",
+          isError: true,
+        };
+      }
+
+      return {
+        toolCallId: toolCall.id,
+        toolName: toolCall.name,
+        content: this._truncateContent(
+          JSON.stringify(executed.result, null, 2)
+        ),
+        isError: !executed.result?.success,
+      };
+    });
+  }
+
+  /**
+   * Move images out of a tool result so they are sent as image parts
+   * instead of base64 text. The result keeps a note in their place.
+   * @private
+   * @param {Object} toolResult - Result returned by a tool
+   * @param {boolean} useNativeTools - Whether prompts are sent as AIPrompt objects
+   * @returns {Array<Object>} Images ({mimeType, data}) to attach to the next request
+   */
+  _takeResultImages(toolResult, useNativeTools) {
+    const images = toolResult?.data?.images;
+    if (!Array.isArray(images) || images.length === 0) {
+      return [];
+    }
+
+    // Text-only conversations and providers without image input cannot see them
+    const canSendImages = useNativeTools && this.aiService.supportsImages();
+    toolResult.data.images = canSendImages
+      ? `${images.length} image(s) attached to this message`
+      : "Image captured, but the current AI provider cannot view images";
+
+    return canSendImages ? images : [];
+  }
+
   /**
    * Execute a tool with given parameters
    * @param {string} toolName - Name of the tool to execute
@@ -514,6 +714,54 @@ Current Context:
     }
   }
 
+  /**
+   * Execute apply_hack, snapshotting the page before and after it when
+   * verification is enabled. The comparison is added to the result as
+   * data.verification, and screenshots as data.images.
+   * @param {Object} parameters - Parameters for apply_hack
+   * @returns {Promise<Object>} Tool execution result
+   */
+  async executeVerifiedApply(parameters) {
+    if (
+      !this.applyVerifier ||
+      !this.currentHack ||
+      this.applyVerification === "off"
+    ) {
+      return this.executeTool("apply_hack", parameters);
+    }
+
+    const hack = this.currentHack;
+    const includeScreenshots = this.applyVerification === "screenshots";
+    const before = await this.applyVerifier.capture(hack, includeScreenshots);
+    const toolResult = await this.executeTool("apply_hack", parameters);
+    if (!toolResult.success || !toolResult.data) {
+      return toolResult;
+    }
+    if (!before.success) {
+      toolResult.data.verification = { skipped: before.error };
+      return toolResult;
+    }
+
+    await this.applyVerifier.settle();
+    const after = await this.applyVerifier.capture(hack, includeScreenshots);
+    if (!after.success) {
+      toolResult.data.verification = { skipped: after.error };
+      return toolResult;
+    }
+
+    toolResult.data.verification = this.applyVerifier.compare(
+      before.snapshot,
+      after.snapshot
+    );
+    if (before.images.length > 0 && after.images.length > 0) {
+      toolResult.data.verification.screenshots =
+        "The first image shows the page before applying, the second after";
+      toolResult.data.images = [...before.images, ...after.images];
+    }
+
+    return toolResult;
+  }
+
   /**
    * Check if a tool is considered critical for the operation
    * @param {string} toolName - Name of the tool
@@ -543,10 +791,23 @@ Current Context:
 
   /**
    * Get current conversation history
+   * Images are left out; they are only needed for the request that follows them
    * @returns {Array<Object>} Conversation history
    */
   getConversationHistory() {
-    return [...this.conversationHistory];
+    return this.conversationHistory.map(({ images, ...message }) => message);
+  }
+
+  /**
+   * Replace the conversation history with a previously saved one so the
+   * next startAgenticLoop call continues that conversation
+   * @param {Array<Object>} history - Saved conversation history entries
+   */
+  restoreConversationHistory(history) {
+    this.conversationHistory = (history || []).map((message) => ({
+      ...message,
+    }));
+    this.currentIteration = 0;
   }
 
   /**
@@ -562,6 +823,9 @@ Current Context:
    */
   abort() {
     this.aborted = true;
+    if (this.abortController) {
+      this.abortController.abort();
+    }
     if (this.onMessage) {
       this.onMessage({
         type: "aborted",
@@ -684,19 +948,35 @@ This ensures you can see the current state before making modifications.`;
       if (!encoder) {
         // Fallback using Buffer if TextEncoder is not available
         return Buffer.byteLength(
-          JSON.stringify(this.conversationHistory),
+          JSON.stringify(this.conversationHistory, this._omitImages),
           "utf8"
         );
       }
 
-      return encoder.encode(JSON.stringify(this.conversationHistory)).length;
+      return encoder.encode(
+        JSON.stringify(this.conversationHistory, this._omitImages)
+      ).length;
     } catch (error) {
       console.error("Error calculating history size:", error);
       // Fallback to character count approximation
-      return JSON.stringify(this.conversationHistory).length * 2; // Rough approximation
+      return (
+        JSON.stringify(this.conversationHistory, this._omitImages).length * 2
+      ); // Rough approximation
     }
   }
 
+  /**
+   * JSON.stringify replacer that leaves out attached images, which are
+   * limited to the latest message and not counted towards the history size
+   * @private
+   * @param {string} key - Property name
+   * @param {*} value - Property value
+   * @returns {*} The value, or undefined for images
+   */
+  _omitImages(key, value) {
+    return key === "images" ? undefined : value;
+  }
+
   /**
    * Check if the conversation history exceeds the maximum size limit
    * @returns {boolean} True if history size exceeds limit
@@ -770,6 +1050,11 @@ This ensures you can see the current state before making modifications.`;
    * @returns {Object} Information about any trimming that occurred
    */
   addMessageToHistory(message) {
+    // Only the newest images are kept; older ones have already been seen
+    if (message.images) {
+      this.conversationHistory.forEach((previous) => delete previous.images);
+    }
+
     // Add the message to history
     this.conversationHistory.push(message);
 
@@ -0,0 +1,248 @@
+/**
+ * Apply Verifier - Checks what apply_hack actually changed on the page
+ * Snapshots the elements targeted by the hack's CSS before and after it is
+ * applied, so the AI can fix selectors that matched nothing and declarations
+ * that lost to more specific rules
+ */
+
+class ApplyVerifier {
+  /**
+   * Create an apply verifier
+   * @param {TakeScreenshotTool} [screenshotTool] - Tool used for before/after screenshots
+   */
+  constructor(screenshotTool = null) {
+    this.screenshotTool = screenshotTool;
+  }
+
+  /**
+   * Time to wait after applying before the second snapshot, in milliseconds,
+   * so transitions and the hack's JavaScript can settle
+   * @returns {number}
+   */
+  static get SETTLE_DELAY() {
+    return 500;
+  }
+
+  /**
+   * Maximum number of elements recorded per CSS rule
+   * @returns {number}
+   */
+  static get MAX_ELEMENTS() {
+    return 3;
+  }
+
+  /**
+   * Maximum number of rules and issues reported back to the AI
+   * @returns {number}
+   */
+  static get MAX_REPORTED() {
+    return 20;
+  }
+
+  /**
+   * Snapshot the elements targeted by a hack's CSS in the top frame
+   * @param {Hack} hack - The hack about to be (or just) applied
+   * @param {boolean} includeScreenshot - Whether to capture the visible page too
+   * @returns {Promise<Object>} {success, snapshot, images} or {success: false, error}
+   */
+  async capture(hack, includeScreenshot) {
+    try {
+      const [activeTab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (!activeTab) {
+        return { success: false, error: "No active tab found" };
+      }
+
+      const snapshot = await chrome.tabs.sendMessage(
+        activeTab.id,
+        {
+          type: MESSAGE_TYPES.SNAPSHOT_ELEMENTS,
+          cssCode: hack.cssCode || "",
+          maxElements: ApplyVerifier.MAX_ELEMENTS,
+        },
+        { frameId: 0 }
+      );
+      if (!snapshot || !snapshot.success) {
+        return {
+          success: false,
+          error: snapshot?.error || "Could not snapshot the page",
+        };
+      }
+
+      let images = [];
+      if (includeScreenshot && this.screenshotTool) {
+        const screenshot = await this.screenshotTool.run({});
+        images = screenshot.success ? screenshot.data.images : [];
+      }
+
+      return { success: true, snapshot, images };
+    } catch (error) {
+      console.warn("Could not snapshot the page for verification:", error);
+      return {
+        success: false,
+        error: `Could not communicate with webpage: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Wait for the page to settle after applying
+   * @returns {Promise<void>}
+   */
+  settle() {
+    return new Promise((resolve) =>
+      setTimeout(resolve, ApplyVerifier.SETTLE_DELAY)
+    );
+  }
+
+  /**
+   * Compare snapshots taken before and after applying the same CSS
+   * Both snapshots list the rules in the same order, since they come from
+   * the same code.
+   * @param {Object} before - Snapshot taken before applying
+   * @param {Object} after - Snapshot taken after applying
+   * @returns {Object} Verification ({summary, issues, rules})
+   */
+  compare(before, after) {
+    const issues = [];
+    const rules = after.targets.map((target, index) => {
+      const previous = before.targets[index] || { elements: [], matched: 0 };
+      const rule = {
+        selector: target.selector,
+        matched: { before: previous.matched, after: target.matched },
+      };
+      if (target.condition) {
+        rule.condition = target.condition;
+      }
+
+      if (target.error) {
+        issues.push(`"${target.selector}": ${target.error}`);
+        return { ...rule, status: "invalid", error: target.error };
+      }
+      if (!target.active) {
+        // The @media/@supports condition does not hold right now
+        return { ...rule, status: "inactive" };
+      }
+      if (target.matched === 0) {
+        issues.push(
+          `"${target.selector}" matched no elements. Check the selector against the page with search_website_html`
+        );
+        return { ...rule, status: "no_match" };
+      }
+
+      const properties = this._compareProperties(target, previous);
+      properties.overridden.forEach(({ property, declared, actual }) => {
+        issues.push(
+          `"${property}: ${declared}" on "${target.selector}" computes to "${actual}". A more specific rule or an inline style probably wins; use inspect_html_css to find it, then raise the specificity or add !important`
+        );
+      });
+
+      const boxes = this._compareBoxes(target, previous);
+
+      return {
+        ...rule,
+        status: properties.overridden.length > 0 ? "overridden" : "applied",
+        properties,
+        ...(boxes.length > 0 ? { boxes } : {}),
+      };
+    });
+
+    const count = (status) =>
+      rules.filter((rule) => rule.status === status).length;
+    const summary =
+      rules.length === 0
+        ? "The CSS has no style rules to verify"
+        : [
+            `${count("applied")} of ${rules.length} CSS rule(s) applied as declared`,
+            count("overridden") && `${count("overridden")} overridden`,
+            count("no_match") && `${count("no_match")} matched nothing`,
+            count("invalid") && `${count("invalid")} invalid`,
+            count("inactive") &&
+              `${count("inactive")} inside inactive @media/@supports`,
+          ]
+            .filter(Boolean)
+            .join(", ");
+
+    return {
+      summary,
+      issues: issues.slice(0, ApplyVerifier.MAX_REPORTED),
+      rules: rules.slice(0, ApplyVerifier.MAX_REPORTED),
+      ...(rules.length > ApplyVerifier.MAX_REPORTED
+        ? { omittedRules: rules.length - ApplyVerifier.MAX_REPORTED }
+        : {}),
+    };
+  }
+
+  /**
+   * Sort the declared properties of a rule by what happened to them
+   * Declared values that resolve on their own are compared with the computed
+   * value; context-dependent ones (%, em, var()) can only be checked for change.
+   * @private
+   * @param {Object} target - Rule snapshot after applying
+   * @param {Object} previous - Rule snapshot before applying
+   * @returns {Object} {applied: string[], overridden: Object[], unconfirmed: string[]}
+   */
+  _compareProperties(target, previous) {
+    const applied = [];
+    const overridden = [];
+    const unconfirmed = [];
+
+    Object.entries(target.properties).forEach(([property, declared]) => {
+      const expected = target.expected[property];
+      let mismatch = null;
+      let changed = false;
+
+      target.elements.forEach((element, index) => {
+        const actual = element.styles[property];
+        const before = previous.elements[index]?.styles[property];
+        if (expected !== null && actual !== expected && !mismatch) {
+          mismatch = actual;
+        }
+        if (actual !== before) {
+          changed = true;
+        }
+      });
+
+      if (mismatch !== null) {
+        overridden.push({ property, declared, actual: mismatch });
+      } else if (expected !== null || changed) {
+        applied.push(property);
+      } else {
+        // Either it already had this value or it was overridden
+        unconfirmed.push(property);
+      }
+    });
+
+    return { applied, overridden, unconfirmed };
+  }
+
+  /**
+   * List the elements of a rule whose box moved or changed size
+   * @private
+   * @param {Object} target - Rule snapshot after applying
+   * @param {Object} previous - Rule snapshot before applying
+   * @returns {Array<Object>} {element, before, after} for each changed box
+   */
+  _compareBoxes(target, previous) {
+    return target.elements
+      .map((element, index) => ({
+        element: element.selector,
+        before: previous.elements[index]?.boundingRect || null,
+        after: element.boundingRect,
+      }))
+      .filter(
+        ({ before, after }) =>
+          !before ||
+          ["x", "y", "width", "height"].some((key) => before[key] !== after[key])
+      );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ApplyVerifier;
+} else {
+  window.ApplyVerifier = ApplyVerifier;
+}
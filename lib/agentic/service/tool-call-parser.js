@@ -1,6 +1,8 @@
 /**
  * Tool Call Parser - Handles parsing of AI responses to extract tool calls
- * Supports multiple tool calls in a single response with proper parameter extraction
+ * Supports multiple tool calls in a single response with proper parameter extraction.
+ * Used for providers without native tool use, and as a fallback when a native
+ * provider answers with TOOL_CALL text instead of structured calls.
  */
 class ToolCallParser {
   /**
@@ -228,6 +230,23 @@ class ToolCallParser {
       .join("\n");
   }
 
+  /**
+   * Render tool calls in the text-based TOOL_CALL/PARAMETERS format.
+   * Used to keep a readable, provider-independent record of native tool calls in history.
+   * @param {Array<Object>} toolCalls - Array of tool calls ({name, parameters})
+   * @returns {string} Tool call directives, one block per call
+   */
+  static formatAsDirectives(toolCalls) {
+    if (!Array.isArray(toolCalls)) return "";
+
+    return toolCalls
+      .map(
+        (call) =>
+          `TOOL_CALL: ${call.name}\nPARAMETERS: ${JSON.stringify(call.parameters || {})}`
+      )
+      .join("\n\n");
+  }
+
   /**
    * Strip tool call directives (TOOL_CALL/PARAMETERS) and tool result blocks from raw AI content.
    * This provides a single authoritative implementation used by UI components like AIChatManager
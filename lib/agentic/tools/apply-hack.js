@@ -40,6 +40,26 @@ class ApplyHackTool extends AgenticTool {
     this.currentHack = hack;
   }
 
+  /**
+   * Get the frames of a tab that the current hack targets
+   * @param {number} tabId - The tab ID
+   * @returns {Promise<number[]>} Frame IDs, falling back to the top frame
+   */
+  async getTargetFrameIds(tabId) {
+    try {
+      const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+      const frameIds = frames
+        .filter((frame) =>
+          this.currentHack.targetsFrame(frame.frameId, frame.url)
+        )
+        .map((frame) => frame.frameId);
+      return frameIds.length > 0 ? frameIds : [0];
+    } catch (error) {
+      console.warn("Could not list frames, applying to the top frame:", error);
+      return [0];
+    }
+  }
+
   /**
    * Execute the tool to apply the hack to the current page
    * @param {Object} parameters - Tool parameters
@@ -84,13 +104,23 @@ class ApplyHackTool extends AgenticTool {
       let cssResult = null;
       let jsResult = null;
 
+      // Apply in every frame the vibe targets
+      const frameIds = await this.getTargetFrameIds(activeTab.id);
+
       // Apply CSS via content script
       if (hackData.cssCode && hackData.cssCode.trim()) {
         try {
-          cssResult = await chrome.tabs.sendMessage(activeTab.id, {
-            type: MESSAGE_TYPES.APPLY_HACK,
-            hack: hackData,
-          });
+          const cssResults = await Promise.all(
+            frameIds.map((frameId) =>
+              chrome.tabs.sendMessage(
+                activeTab.id,
+                { type: MESSAGE_TYPES.APPLY_HACK, hack: hackData },
+                { frameId }
+              )
+            )
+          );
+          cssResult =
+            cssResults.find((result) => !result?.success) || cssResults[0];
         } catch (messageError) {
           return this.formatError(
             `Failed to apply CSS - the page may not have loaded properly: ${messageError.message}`,
@@ -107,7 +137,7 @@ class ApplyHackTool extends AgenticTool {
         try {
           // Use chrome.scripting.executeScript() to inject JavaScript into the page
           const injectionResults = await chrome.scripting.executeScript({
-            target: { tabId: activeTab.id },
+            target: { tabId: activeTab.id, frameIds },
             world: "MAIN", // run in main world so code can interact with page directly
             func: (codeString, hackId, hackName) => {
               try {
@@ -158,7 +188,12 @@ class ApplyHackTool extends AgenticTool {
             args: [hackData.jsCode, hackData.id, hackData.name],
           });
 
-          jsResult = injectionResults[0]?.result || { success: true };
+          const failed = injectionResults.find(
+            (injection) => injection.result && !injection.result.success
+          );
+          jsResult = (failed || injectionResults[0])?.result || {
+            success: true,
+          };
         } catch (scriptingError) {
           console.error(
             "Error injecting JavaScript via executeScript:",
@@ -187,6 +222,7 @@ class ApplyHackTool extends AgenticTool {
           {
             message: "Hack applied to the webpage",
             appliedTo: activeTab.url,
+            frames: frameIds.length,
             hackName: this.currentHack.name,
             cssSuccess: cssSuccess,
             jsSuccess: jsSuccess,
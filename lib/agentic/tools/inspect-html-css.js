@@ -16,7 +16,7 @@ class InspectHTMLCSSTool extends AgenticTool {
           selector: {
             type: "string",
             description:
-              "CSS selector to find elements to inspect (e.g., 'h1', '.class', '#id', 'div.content p')",
+              "CSS selector to find elements to inspect (e.g., 'h1', '.class', '#id', 'div.content p'). Open shadow roots are searched too; use '>>>' to continue inside a shadow host (e.g., 'ytd-app >>> #content button')",
           },
           maxResults: {
             type: "number",
@@ -30,6 +30,7 @@ class InspectHTMLCSSTool extends AgenticTool {
             type: "boolean",
             description: "Include pseudo-element styles (default: false)",
           },
+          frameUrl: AgenticTool.FRAME_URL_PARAMETER,
         },
         required: ["selector"],
       },
@@ -63,15 +64,27 @@ class InspectHTMLCSSTool extends AgenticTool {
         return this.formatError("Could not get active tab ID");
       }
 
+      // Read the main page unless an iframe was asked for
+      let frameId;
+      try {
+        frameId = await this.resolveFrameId(activeTab.id, params.frameUrl);
+      } catch (error) {
+        return this.formatError(error.message);
+      }
+
       // Send message to content script to inspect CSS
       try {
-        const response = await chrome.tabs.sendMessage(activeTab.id, {
-          type: MESSAGE_TYPES.INSPECT_HTML_CSS,
-          selector: params.selector,
-          maxResults: params.maxResults || 5,
-          includeComputed: params.includeComputed !== false, // Default to true
-          includePseudo: params.includePseudo || false,
-        });
+        const response = await chrome.tabs.sendMessage(
+          activeTab.id,
+          {
+            type: MESSAGE_TYPES.INSPECT_HTML_CSS,
+            selector: params.selector,
+            maxResults: params.maxResults || 5,
+            includeComputed: params.includeComputed !== false, // Default to true
+            includePseudo: params.includePseudo || false,
+          },
+          { frameId }
+        );
 
         if (response && response.success) {
           return this.formatSuccess(
@@ -82,6 +95,7 @@ class InspectHTMLCSSTool extends AgenticTool {
               returned: response.returned,
               elements: response.elements,
               pageInfo: response.pageInfo,
+              frames: await this.getFrameUrls(activeTab.id),
             }
           );
         } else {
@@ -0,0 +1,158 @@
+/**
+ * Tool for editing part of the current vibe's CSS or JavaScript
+ * Applies a unified diff or search/replace blocks, so large vibes can be
+ * changed without resending the whole file
+ */
+class PatchCodeTool extends AgenticTool {
+  /**
+   * Create a new PatchCode tool
+   * @param {HackService} hackService - Hack service for managing hacks
+   */
+  constructor(hackService) {
+    const schema = {
+      type: "object",
+      properties: {
+        language: {
+          type: "string",
+          enum: ["css", "js"],
+          description: "Which code of the vibe to patch: 'css' or 'js'",
+        },
+        patch: {
+          type: "string",
+          description:
+            "Either a unified diff with '@@ -start,count +start,count @@' hunks (context lines start with ' ', removed lines with '-', added lines with '+'), or one or more search/replace blocks:\n<<<<<<< SEARCH\nexact lines to find\n=======\nlines to put instead\n>>>>>>> REPLACE\nEach search text must match the code exactly once",
+        },
+      },
+      required: ["language", "patch"],
+    };
+
+    super(
+      "patch_code",
+      "Edit part of the current vibe's CSS or JavaScript with a unified diff or search/replace blocks instead of rewriting the whole file. Read the code with line numbers first (read_css / read_js with lineNumbers). The whole patch is rejected if any hunk or block does not apply. You should call apply_hack after this to apply the changes.",
+      schema,
+      true // This tool writes data
+    );
+
+    this.hackService = hackService;
+    this.currentHack = null;
+  }
+
+  /**
+   * Set the current hack being edited
+   * @param {Hack} hack - The hack instance to edit
+   */
+  setCurrentHack(hack) {
+    this.currentHack = hack;
+  }
+
+  /**
+   * Execute the tool to patch CSS or JavaScript code
+   * @param {Object} parameters - Tool parameters
+   * @param {string} parameters.language - "css" or "js"
+   * @param {string} parameters.patch - Unified diff or search/replace blocks
+   * @returns {Promise<Object>} Tool execution result
+   */
+  async run(parameters) {
+    try {
+      if (!this.validateParameters(parameters)) {
+        return this.formatError("Invalid parameters provided", { parameters });
+      }
+
+      if (!this.currentHack) {
+        return this.formatError(
+          "No hack is currently being edited. Please select a hack first."
+        );
+      }
+
+      const { language, patch } = parameters;
+      const field = { css: "cssCode", js: "jsCode" }[language];
+      if (!field) {
+        return this.formatError(
+          `Unknown language "${language}". Use "css" or "js".`
+        );
+      }
+
+      const source = this.currentHack[field] || "";
+      let result;
+      try {
+        result = CodePatch.apply(source, patch);
+      } catch (patchError) {
+        // Nothing is changed when any part of the patch fails
+        return this.formatError(`Patch not applied: ${patchError.message}`, {
+          language,
+          lineCount: source.split("\n").length,
+        });
+      }
+
+      // A patch that applies can still leave the code broken
+      const syntaxError = await this.checkSyntax(language, result.code);
+      if (syntaxError) {
+        return syntaxError;
+      }
+
+      this.currentHack[field] = result.code;
+
+      // Keep a revision per tool call so a bad edit can be rolled back
+      this.currentHack.recordRevision(this.name);
+
+      return this.formatSuccess(
+        {
+          message: `${
+            language === "css" ? "CSS" : "JavaScript"
+          } code patched successfully`,
+          format: result.format,
+          applied: result.applied,
+          totalCodeLength: result.code.length,
+          lineCount: result.code.split("\n").length,
+        },
+        {
+          hackId: this.currentHack.id,
+          operation: "patch",
+        }
+      );
+    } catch (error) {
+      return this.formatError(`Failed to patch code: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  /**
+   * Get user-friendly action message for vibe code patching
+   * @returns {string} Action message
+   */
+  getActionMessage() {
+    return "Editing vibe code";
+  }
+
+  /**
+   * Get user-friendly completion message for vibe code patching
+   * @returns {string} Completion message
+   */
+  getCompletionMessage() {
+    return "Vibe code edited";
+  }
+
+  /**
+   * Get user-friendly error message for vibe code patching failures
+   * @param {string} error - The actual error
+   * @returns {string} Error message
+   */
+  getErrorMessage(error) {
+    if (error.includes("Patch not applied")) {
+      return "The AI's edit did not match the current code, so nothing was changed";
+    }
+    if (error.includes("does not parse")) {
+      return "The edited code has a syntax error, so it was not saved";
+    }
+    return `Failed to edit vibe code: ${error}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PatchCodeTool;
+} else {
+  window.PatchCodeTool = PatchCodeTool;
+}
@@ -17,13 +17,14 @@ class ReadCSSTool extends AgenticTool {
             "Whether to include metadata about the code (rules count, size, etc.)",
           default: false,
         },
+        ...AgenticTool.LINE_RANGE_PARAMETERS,
       },
       required: [],
     };
 
     super(
       "read_css",
-      "Read the currently applied CSS edits. This is the CSS you are working on. Returns the current CSS code and optionally metadata about it.",
+      "Read the currently applied CSS edits. This is the CSS you are working on. Returns the current CSS code and optionally metadata about it. Use startLine/endLine to read part of a long file and lineNumbers before writing a patch_code diff.",
       schema,
       false // This tool only reads data
     );
@@ -44,6 +45,9 @@ class ReadCSSTool extends AgenticTool {
    * Execute the tool to read CSS code
    * @param {Object} parameters - Tool parameters
    * @param {boolean} [parameters.includeMetadata=false] - Whether to include metadata
+   * @param {number} [parameters.startLine] - First line to return, 1-based
+   * @param {number} [parameters.endLine] - Last line to return, inclusive
+   * @param {boolean} [parameters.lineNumbers=false] - Whether to prefix line numbers
    * @returns {Promise<Object>} Tool execution result
    */
   async run(parameters) {
@@ -66,6 +70,18 @@ class ReadCSSTool extends AgenticTool {
         isEmpty: cssCode.trim().length === 0,
       };
 
+      // Return part of the code, or number its lines for patch_code
+      const { startLine, endLine, lineNumbers } = parameters;
+      if (startLine || endLine || lineNumbers) {
+        const range = this.readLineRange(cssCode, parameters);
+        result.code = range.code;
+        result.range = {
+          startLine: range.startLine,
+          endLine: range.endLine,
+          totalLines: range.totalLines,
+        };
+      }
+
       if (includeMetadata) {
         result.metadata = {
           length: cssCode.length,
@@ -1,9 +1,5 @@
 /**
- * Tool for reading    super(
-      "read_vibe_js",
-      "Read JavaScript code from the current vibe/hack under edit. Returns the current vibe's JavaScript code and optionally metadata about it.",
-      schema
-    );Script code from the current vibe under edit
+ * Tool for reading JavaScript code from the current vibe under edit
  * Allows the AI to read existing JavaScript code in a hack
  */
 class ReadJSTool extends AgenticTool {
@@ -21,13 +17,14 @@ class ReadJSTool extends AgenticTool {
             "Whether to include metadata about the code (line count, size, etc.)",
           default: false,
         },
+        ...AgenticTool.LINE_RANGE_PARAMETERS,
       },
       required: [],
     };
 
     super(
       "read_js",
-      "Read the currently applied JavaScript edits. This is the JavaScript you are working on. Returns the current JS code and optionally metadata about it.",
+      "Read the currently applied JavaScript edits. This is the JavaScript you are working on. Returns the current JS code and optionally metadata about it. Use startLine/endLine to read part of a long file and lineNumbers before writing a patch_code diff.",
       schema,
       false // This tool only reads data
     );
@@ -48,6 +45,9 @@ class ReadJSTool extends AgenticTool {
    * Execute the tool to read JavaScript code
    * @param {Object} parameters - Tool parameters
    * @param {boolean} [parameters.includeMetadata=false] - Whether to include metadata
+   * @param {number} [parameters.startLine] - First line to return, 1-based
+   * @param {number} [parameters.endLine] - Last line to return, inclusive
+   * @param {boolean} [parameters.lineNumbers=false] - Whether to prefix line numbers
    * @returns {Promise<Object>} Tool execution result
    */
   async run(parameters) {
@@ -70,6 +70,18 @@ class ReadJSTool extends AgenticTool {
         isEmpty: jsCode.trim().length === 0,
       };
 
+      // Return part of the code, or number its lines for patch_code
+      const { startLine, endLine, lineNumbers } = parameters;
+      if (startLine || endLine || lineNumbers) {
+        const range = this.readLineRange(jsCode, parameters);
+        result.code = range.code;
+        result.range = {
+          startLine: range.startLine,
+          endLine: range.endLine,
+          totalLines: range.totalLines,
+        };
+      }
+
       if (includeMetadata) {
         result.metadata = {
           length: jsCode.length,
@@ -13,7 +13,8 @@ class SaveCSSTool extends AgenticTool {
       properties: {
         code: {
           type: "string",
-          description: "The CSS code to save",
+          description:
+            "The CSS code to save. To style inside a web component's shadow root, write a top-level rule with '>>>' after the shadow host selector (e.g., 'my-card >>> .title { color: red; }')",
         },
         append: {
           type: "boolean",
@@ -27,7 +28,7 @@ class SaveCSSTool extends AgenticTool {
 
     super(
       "save_css",
-      "Save CSS code to the current vibe under edit. Can either replace existing CSS code or append to it. You should call apply_hack after this to apply the changes.",
+      "Save CSS code to the current vibe under edit. Can either replace existing CSS code or append to it. You should call apply_hack after this to apply the changes. To change part of existing code, use patch_code instead.",
       schema,
       true // This tool writes data
     );
@@ -64,24 +65,22 @@ class SaveCSSTool extends AgenticTool {
       }
 
       const { code, append = false } = parameters;
-
-      // Basic CSS validation
-      const validationResult = this.validateCSS(code);
-      if (!validationResult.isValid) {
-        return this.formatError(
-          `Invalid CSS syntax: ${validationResult.error}`,
-          {
-            syntaxError: validationResult.error,
-          }
-        );
+      const cssCode =
+        append && this.currentHack.cssCode
+          ? this.currentHack.cssCode + "\n\n" + code
+          : code;
+
+      // Refuse CSS the browser would partly drop
+      const syntaxError = await this.checkSyntax("css", cssCode);
+      if (syntaxError) {
+        return syntaxError;
       }
 
       // Update the hack's CSS code
-      if (append && this.currentHack.cssCode) {
-        this.currentHack.cssCode += "\n\n" + code;
-      } else {
-        this.currentHack.cssCode = code;
-      }
+      this.currentHack.cssCode = cssCode;
+
+      // Keep a revision per tool call so a bad edit can be rolled back
+      this.currentHack.recordRevision(this.name);
 
       return this.formatSuccess(
         {
@@ -105,53 +104,6 @@ class SaveCSSTool extends AgenticTool {
     }
   }
 
-  /**
-   * Validate CSS syntax (basic validation)
-   * @param {string} css - CSS code to validate
-   * @returns {Object} Validation result with isValid flag and error message
-   */
-  validateCSS(css) {
-    try {
-      // Basic CSS syntax checks
-      const trimmed = css.trim();
-
-      if (trimmed.length === 0) {
-        return { isValid: true }; // Empty CSS is valid
-      }
-
-      // Check for balanced braces
-      const openBraces = (css.match(/\{/g) || []).length;
-      const closeBraces = (css.match(/\}/g) || []).length;
-
-      if (openBraces !== closeBraces) {
-        return {
-          isValid: false,
-          error: `Mismatched braces: ${openBraces} opening, ${closeBraces} closing`,
-        };
-      }
-
-      // Check for basic CSS structure (selector { property: value; })
-      const hasValidStructure =
-        /[^{}]+\{[^{}]*\}/.test(css) ||
-        /^@[^{}]+;/.test(css.trim()) || // At-rules like @import
-        css.trim().length === 0;
-
-      if (!hasValidStructure) {
-        return {
-          isValid: false,
-          error: "CSS does not contain valid rule structure",
-        };
-      }
-
-      return { isValid: true };
-    } catch (error) {
-      return {
-        isValid: false,
-        error: error.message,
-      };
-    }
-  }
-
   /**
    * Count the number of CSS rules in the code
    * @param {string} css - CSS code to analyze
@@ -185,6 +137,9 @@ class SaveCSSTool extends AgenticTool {
    * @returns {string} Error message
    */
   getErrorMessage(error) {
+    if (error.includes("does not parse")) {
+      return "The AI's CSS has a syntax error, so it was not saved";
+    }
     return `Failed to update vibe CSS: ${error}`;
   }
 }
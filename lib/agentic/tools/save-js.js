@@ -31,7 +31,7 @@ class SaveJSTool extends AgenticTool {
 
     super(
       "save_js",
-      "Save JavaScript code to the current vibe under edit. Can either replace existing JS code or append to it. You should call apply_hack after this to apply the changes.",
+      "Save JavaScript code to the current vibe under edit. Can either replace existing JS code or append to it. You should call apply_hack after this to apply the changes. To change part of existing code, use patch_code instead.",
       schema,
       true // This tool writes data
     );
@@ -68,14 +68,22 @@ class SaveJSTool extends AgenticTool {
       }
 
       const { code, append = false } = parameters;
+      const jsCode =
+        append && this.currentHack.jsCode
+          ? this.currentHack.jsCode + "\n\n" + code
+          : code;
 
-      // Update the hack's JavaScript code
-      if (append && this.currentHack.jsCode) {
-        this.currentHack.jsCode += "\n\n" + code;
-      } else {
-        this.currentHack.jsCode = code;
+      // Refuse code that would fail when the page loads
+      const syntaxError = await this.checkSyntax("js", jsCode);
+      if (syntaxError) {
+        return syntaxError;
       }
 
+      // Update the hack's JavaScript code
+      this.currentHack.jsCode = jsCode;
+
+      // Keep a revision per tool call so a bad edit can be rolled back
+      this.currentHack.recordRevision(this.name);
 
       return this.formatSuccess(
         {
@@ -123,6 +131,9 @@ class SaveJSTool extends AgenticTool {
    * @returns {string} Error message
    */
   getErrorMessage(error) {
+    if (error.includes("does not parse")) {
+      return "The AI's JavaScript has a syntax error, so it was not saved";
+    }
     return `Failed to update vibe JavaScript: ${error}`;
   }
 }
@@ -38,6 +38,7 @@ class SearchWebsiteByKeywordTool extends AgenticTool {
             type: "boolean",
             description: "Search in HTML attributes and tags (default: false)",
           },
+          frameUrl: AgenticTool.FRAME_URL_PARAMETER,
         },
         required: ["keyword"],
       },
@@ -71,17 +72,29 @@ class SearchWebsiteByKeywordTool extends AgenticTool {
         return this.formatError("Could not get active tab ID");
       }
 
+      // Read the main page unless an iframe was asked for
+      let frameId;
+      try {
+        frameId = await this.resolveFrameId(activeTab.id, params.frameUrl);
+      } catch (error) {
+        return this.formatError(error.message);
+      }
+
       // Send message to content script to search by keyword
       try {
-        const response = await chrome.tabs.sendMessage(activeTab.id, {
-          type: MESSAGE_TYPES.SEARCH_WEBSITE_BY_KEYWORD,
-          keyword: params.keyword,
-          maxResults: params.maxResults || 10,
-          contextLines: params.contextLines || 50,
-          caseSensitive: params.caseSensitive || false,
-          searchInText: params.searchInText !== false, // Default to true
-          searchInHTML: params.searchInHTML || false,
-        });
+        const response = await chrome.tabs.sendMessage(
+          activeTab.id,
+          {
+            type: MESSAGE_TYPES.SEARCH_WEBSITE_BY_KEYWORD,
+            keyword: params.keyword,
+            maxResults: params.maxResults || 10,
+            contextLines: params.contextLines || 50,
+            caseSensitive: params.caseSensitive || false,
+            searchInText: params.searchInText !== false, // Default to true
+            searchInHTML: params.searchInHTML || false,
+          },
+          { frameId }
+        );
 
         if (response && response.success) {
           return this.formatSuccess(
@@ -92,6 +105,7 @@ class SearchWebsiteByKeywordTool extends AgenticTool {
               returned: response.returned,
               matches: response.matches,
               pageInfo: response.pageInfo,
+              frames: await this.getFrameUrls(activeTab.id),
             }
           );
         } else {
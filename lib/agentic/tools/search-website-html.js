@@ -16,7 +16,7 @@ class SearchWebsiteHTMLTool extends AgenticTool {
           selector: {
             type: "string",
             description:
-              "CSS selector to search for elements (e.g., 'h1', '.class', '#id', 'div.content p')",
+              "CSS selector to search for elements (e.g., 'h1', '.class', '#id', 'div.content p'). Open shadow roots are searched too; use '>>>' to continue inside a shadow host (e.g., 'ytd-app >>> #content button')",
           },
           maxResults: {
             type: "number",
@@ -27,6 +27,7 @@ class SearchWebsiteHTMLTool extends AgenticTool {
             description:
               "Maximum length of HTML content per element (default: 5000)",
           },
+          frameUrl: AgenticTool.FRAME_URL_PARAMETER,
         },
         required: ["selector"],
       },
@@ -60,14 +61,26 @@ class SearchWebsiteHTMLTool extends AgenticTool {
         return this.formatError("Could not get active tab ID");
       }
 
+      // Read the main page unless an iframe was asked for
+      let frameId;
+      try {
+        frameId = await this.resolveFrameId(activeTab.id, params.frameUrl);
+      } catch (error) {
+        return this.formatError(error.message);
+      }
+
       // Send message to content script to search HTML
       try {
-        const response = await chrome.tabs.sendMessage(activeTab.id, {
-          type: MESSAGE_TYPES.SEARCH_WEBSITE_HTML,
-          selector: params.selector,
-          maxResults: params.maxResults || 10,
-          maxLength: params.maxLength || 5000,
-        });
+        const response = await chrome.tabs.sendMessage(
+          activeTab.id,
+          {
+            type: MESSAGE_TYPES.SEARCH_WEBSITE_HTML,
+            selector: params.selector,
+            maxResults: params.maxResults || 10,
+            maxLength: params.maxLength || 5000,
+          },
+          { frameId }
+        );
 
         if (response && response.success) {
           return this.formatSuccess(
@@ -78,6 +91,7 @@ class SearchWebsiteHTMLTool extends AgenticTool {
               returned: response.returned,
               matches: response.matches,
               pageInfo: response.pageInfo,
+              frames: await this.getFrameUrls(activeTab.id),
             }
           );
         } else {
@@ -9,7 +9,7 @@ class SearchWebsiteJavaScriptTool extends AgenticTool {
   constructor() {
     super(
       "search_website_javascript",
-      "Search for JavaScript content on the current webpage using regex patterns",
+      "Search for JavaScript content on the current webpage using regex patterns. Searches inline scripts and external script files; minified files are pretty-printed first, and each match names its source URL and line",
       {
         type: "object",
         properties: {
@@ -26,6 +26,7 @@ class SearchWebsiteJavaScriptTool extends AgenticTool {
             type: "number",
             description: "Number of lines around each match to include for context (default: 100)",
           },
+          frameUrl: AgenticTool.FRAME_URL_PARAMETER,
         },
         required: ["regex"],
       },
@@ -66,14 +67,26 @@ class SearchWebsiteJavaScriptTool extends AgenticTool {
         return this.formatError("Could not get active tab ID");
       }
 
+      // Read the main page unless an iframe was asked for
+      let frameId;
+      try {
+        frameId = await this.resolveFrameId(activeTab.id, params.frameUrl);
+      } catch (error) {
+        return this.formatError(error.message);
+      }
+
       // Send message to content script to search JavaScript
       try {
-        const response = await chrome.tabs.sendMessage(activeTab.id, {
-          type: MESSAGE_TYPES.SEARCH_WEBSITE_JAVASCRIPT,
-          regex: params.regex,
-          maxMatches: params.maxMatches || 10,
-          contextLines: params.contextLines || 100,
-        });
+        const response = await chrome.tabs.sendMessage(
+          activeTab.id,
+          {
+            type: MESSAGE_TYPES.SEARCH_WEBSITE_JAVASCRIPT,
+            regex: params.regex,
+            maxMatches: params.maxMatches || 10,
+            contextLines: params.contextLines || 100,
+          },
+          { frameId }
+        );
 
         if (response && response.success) {
           return this.formatSuccess(
@@ -84,6 +97,7 @@ class SearchWebsiteJavaScriptTool extends AgenticTool {
               returned: response.returned,
               matches: response.matches,
               pageInfo: response.pageInfo,
+              frames: await this.getFrameUrls(activeTab.id),
             }
           );
         } else {
@@ -0,0 +1,240 @@
+/**
+ * Tool for capturing a screenshot of the visible part of the current webpage
+ * Lets the AI see the page, e.g. to check how its CSS looks after apply_hack
+ */
+class TakeScreenshotTool extends AgenticTool {
+  /**
+   * Create a new TakeScreenshot tool
+   */
+  constructor() {
+    super(
+      "take_screenshot",
+      "Capture a screenshot of the visible part of the current webpage and attach it as an image. Optionally crop it to the first element matching a CSS selector. Use it after apply_hack to check that the result looks right",
+      {
+        type: "object",
+        properties: {
+          selector: {
+            type: "string",
+            description:
+              "CSS selector of an element to crop the screenshot to (e.g., 'header', '.card'). The element must be at least partly visible. Omit to capture the whole visible page",
+          },
+          padding: {
+            type: "number",
+            description:
+              "Extra pixels to include around the element when cropping (default: 16)",
+          },
+        },
+        required: [],
+      },
+      false // This tool only reads data from the webpage
+    );
+  }
+
+  /**
+   * Longest side of the attached image, in pixels; larger captures are scaled down
+   * @returns {number}
+   */
+  static get MAX_IMAGE_SIZE() {
+    return 1280;
+  }
+
+  /**
+   * Execute the take screenshot tool
+   * @param {Object} params - Tool parameters
+   * @returns {Object} Screenshot result with the image under data.images
+   */
+  async run(params = {}) {
+    try {
+      // Get the active tab
+      const tabs = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (!tabs || tabs.length === 0) {
+        return this.formatError("No active tab found");
+      }
+
+      const activeTab = tabs[0];
+      if (!activeTab.id) {
+        return this.formatError("Could not get active tab ID");
+      }
+
+      // Find the element to crop to before capturing
+      let element = null;
+      let viewport = null;
+      if (params.selector) {
+        try {
+          const response = await chrome.tabs.sendMessage(
+            activeTab.id,
+            {
+              type: MESSAGE_TYPES.INSPECT_HTML_CSS,
+              selector: params.selector,
+              maxResults: 1,
+              includeComputed: false,
+              includePseudo: false,
+            },
+            { frameId: 0 }
+          );
+          if (!response || !response.success) {
+            return this.formatError(
+              response?.error || "Failed to find the element"
+            );
+          }
+          if (response.elements.length === 0) {
+            return this.formatError(
+              `No element matches "${params.selector}"`
+            );
+          }
+          element = response.elements[0];
+          viewport = response.pageInfo.viewport;
+        } catch (error) {
+          console.error("Error communicating with content script:", error);
+          return this.formatError(
+            "Could not communicate with webpage. Make sure you're on a valid webpage and try refreshing."
+          );
+        }
+      }
+
+      const dataUrl = await chrome.tabs.captureVisibleTab(activeTab.windowId, {
+        format: "png",
+      });
+      const screenshot = await createImageBitmap(
+        await (await fetch(dataUrl)).blob()
+      );
+
+      // Crop to the element, converting CSS pixels to screenshot pixels
+      let crop = {
+        x: 0,
+        y: 0,
+        width: screenshot.width,
+        height: screenshot.height,
+      };
+      if (element) {
+        const scale = screenshot.width / viewport.width;
+        const padding = params.padding ?? 16;
+        const rect = element.boundingRect;
+        const left = Math.max(0, (rect.left - padding) * scale);
+        const top = Math.max(0, (rect.top - padding) * scale);
+        const right = Math.min(
+          screenshot.width,
+          (rect.left + rect.width + padding) * scale
+        );
+        const bottom = Math.min(
+          screenshot.height,
+          (rect.top + rect.height + padding) * scale
+        );
+
+        if (right <= left || bottom <= top) {
+          return this.formatError(
+            `The element matching "${params.selector}" is outside the visible part of the page`
+          );
+        }
+        crop = {
+          x: Math.round(left),
+          y: Math.round(top),
+          width: Math.round(right - left),
+          height: Math.round(bottom - top),
+        };
+      }
+
+      const image = await this.encodeImage(screenshot, crop);
+
+      return this.formatSuccess({
+        message: params.selector
+          ? `Captured the element matching "${params.selector}"`
+          : "Captured the visible part of the page",
+        url: activeTab.url,
+        selector: params.selector || null,
+        elementSelector: element ? element.selector : null,
+        width: image.width,
+        height: image.height,
+        images: [{ mimeType: image.mimeType, data: image.data }],
+      });
+    } catch (error) {
+      console.error("Error in TakeScreenshotTool:", error);
+      return this.formatError(error.message);
+    }
+  }
+
+  /**
+   * Crop and downscale a screenshot and encode it as base64 JPEG
+   * @param {ImageBitmap} screenshot - The captured tab
+   * @param {Object} crop - Area to keep ({x, y, width, height}) in screenshot pixels
+   * @returns {Promise<Object>} Encoded image ({mimeType, data, width, height})
+   */
+  async encodeImage(screenshot, crop) {
+    const scale = Math.min(
+      1,
+      TakeScreenshotTool.MAX_IMAGE_SIZE / Math.max(crop.width, crop.height)
+    );
+    const width = Math.max(1, Math.round(crop.width * scale));
+    const height = Math.max(1, Math.round(crop.height * scale));
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas
+      .getContext("2d")
+      .drawImage(
+        screenshot,
+        crop.x,
+        crop.y,
+        crop.width,
+        crop.height,
+        0,
+        0,
+        width,
+        height
+      );
+
+    const mimeType = "image/jpeg";
+    const blob = await canvas.convertToBlob({ type: mimeType, quality: 0.85 });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    // Encode in chunks to stay under the argument limit of fromCharCode
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+
+    return { mimeType, data: btoa(binary), width, height };
+  }
+
+  /**
+   * Get user-friendly action message
+   * @returns {string} Action message
+   */
+  getActionMessage() {
+    return "Taking a screenshot...";
+  }
+
+  /**
+   * Get user-friendly completion message
+   * @returns {string} Completion message
+   */
+  getCompletionMessage() {
+    return "Screenshot captured";
+  }
+
+  /**
+   * Get user-friendly error message
+   * @param {string} error - Error message
+   * @returns {string} User-friendly error message
+   */
+  getErrorMessage(error) {
+    if (error.includes("No active tab")) {
+      return "Please open a webpage to capture";
+    } else if (error.includes("Could not communicate")) {
+      return "Cannot access webpage content. Try refreshing the page.";
+    } else if (error.includes("outside the visible part")) {
+      return "The element is scrolled out of view, so it could not be captured";
+    } else {
+      return `Screenshot failed: ${error}`;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TakeScreenshotTool;
+} else {
+  window.TakeScreenshotTool = TakeScreenshotTool;
+}
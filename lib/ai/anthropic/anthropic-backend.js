@@ -0,0 +1,442 @@
+/**
+ * Anthropic AI backend implementation
+ * Provides integration with the Anthropic Messages API, including native tool use
+ */
+class AnthropicBackend extends AIBackend {
+  /**
+   * Create an Anthropic backend instance
+   * @param {Object} config - Backend configuration
+   * @param {string} config.apiUrl - Base API URL (optional, uses default)
+   * @param {string} config.apiVersion - Value for the anthropic-version header
+   * @param {string} config.defaultModel - Default model to use
+   */
+  constructor(config = {}) {
+    super("Anthropic", {
+      apiUrl: "https://api.anthropic.com/v1",
+      apiVersion: "2023-06-01",
+      defaultModel: "claude-sonnet-4-20250514",
+      ...config,
+    });
+
+    this.apiKey = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the backend with Anthropic credentials or settings model
+   * @param {Object|AnthropicSettings} credentials - Anthropic credentials or AnthropicSettings model
+   * @returns {Promise<boolean>} True if initialization successful
+   */
+  async initialize(credentials) {
+    try {
+      if (!this.validateCredentials(credentials)) {
+        throw new Error("Invalid Anthropic credentials");
+      }
+      this.apiKey = credentials.apiKey.trim();
+      if (credentials.model) {
+        this.config.defaultModel = credentials.model;
+      }
+      this.isInitialized = true;
+      return true;
+    } catch (error) {
+      console.error("Failed to initialize Anthropic backend:", error);
+      this.isInitialized = false;
+      return false;
+    }
+  }
+
+  /**
+   * Check if the backend is properly configured and ready to use
+   * @returns {boolean} True if ready
+   */
+  isReady() {
+    return this.isInitialized && !!this.apiKey;
+  }
+
+  /**
+   * Anthropic supports structured tool_use / tool_result blocks
+   * @returns {boolean} Always true
+   */
+  supportsNativeTools() {
+    return true;
+  }
+
+  /**
+   * Anthropic accepts base64 image blocks in user messages
+   * @returns {boolean} Always true
+   */
+  supportsImages() {
+    return true;
+  }
+
+  /**
+   * Send a prompt to Anthropic and get a response
+   * @param {AIPrompt} prompt - The prompt to send
+   * @returns {Promise<AIResponse>} The AI response
+   */
+  async sendPrompt(prompt) {
+    return await this.sendConversation([prompt]);
+  }
+
+  /**
+   * Send multiple prompts in a conversation context
+   * @param {Array<AIPrompt>} prompts - Array of prompts in conversation order
+   * @param {Object} options - Optional request configuration
+   * @param {Array<Object>} options.tools - Tool metadata ({name, description, schema})
+   * @param {AbortSignal} options.signal - Signal that cancels the in-flight request
+   * @returns {Promise<AIResponse>} The AI response to the conversation
+   */
+  async sendConversation(prompts, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.isReady()) {
+        throw new Error("Anthropic backend not initialized");
+      }
+
+      if (!prompts || prompts.length === 0) {
+        throw new Error("No prompts provided for conversation");
+      }
+
+      const lastPrompt = prompts[prompts.length - 1];
+      const model = lastPrompt.model || this.getDefaultModel();
+      const requestId = this._generateRequestId();
+      const { system, messages } = this._convertPrompts(prompts);
+
+      const requestBody = {
+        model,
+        max_tokens: this._getMaxTokens(model, lastPrompt.maxTokens),
+        temperature: lastPrompt.temperature,
+        messages,
+      };
+      if (system) {
+        requestBody.system = system;
+      }
+      if (options.tools && options.tools.length > 0) {
+        requestBody.tools = options.tools.map((tool) =>
+          this._convertTool(tool)
+        );
+      }
+
+      const response = await this._makeAPIRequest(requestBody, options.signal);
+      const processingTime = Date.now() - startTime;
+
+      const blocks = response.content || [];
+      const content = blocks
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("\n")
+        .trim();
+      const toolCalls = blocks
+        .filter((block) => block.type === "tool_use")
+        .map((block) => ({
+          id: block.id,
+          name: block.name,
+          parameters: block.input || {},
+        }));
+
+      if (
+        !content &&
+        toolCalls.length === 0 &&
+        response.stop_reason === "max_tokens"
+      ) {
+        throw new Error(
+          "Response was truncated due to maximum token limit. Please try a shorter prompt or increase max tokens."
+        );
+      }
+
+      const tokensUsed =
+        (response.usage?.input_tokens || 0) +
+        (response.usage?.output_tokens || 0);
+
+      return AIResponse.createSuccess(
+        content,
+        {
+          model: response.model || model,
+          tokensUsed,
+          processingTimeMs: processingTime,
+          provider: this.name,
+          requestId: response.id || requestId,
+          createdAt: new Date(),
+        },
+        toolCalls
+      );
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      console.error("Error sending conversation to Anthropic:", error);
+
+      return AIResponse.createError(error.message, {
+        model: prompts?.[prompts.length - 1]?.model || this.getDefaultModel(),
+        tokensUsed: 0,
+        processingTimeMs: processingTime,
+        provider: this.name,
+        requestId: this._generateRequestId(),
+        createdAt: new Date(),
+      });
+    }
+  }
+
+  /**
+   * Get available models for Anthropic
+   * @returns {Array<string>} Array of available model names
+   */
+  getAvailableModels() {
+    return Object.keys(AnthropicSettings.getAvailableModels());
+  }
+
+  /**
+   * Get the default model for Anthropic
+   * @returns {string} Default model name
+   */
+  getDefaultModel() {
+    return this.config.defaultModel;
+  }
+
+  /**
+   * Validate Anthropic credentials
+   * @param {Object} credentials - Credentials to validate
+   * @returns {boolean} True if credentials are valid format
+   */
+  validateCredentials(credentials) {
+    return (
+      credentials &&
+      typeof credentials.apiKey === "string" &&
+      credentials.apiKey.trim().length > 0
+    );
+  }
+
+  /**
+   * Convert our prompts to a Messages API system string and message list.
+   * System prompts are hoisted into the top-level system field, consecutive
+   * messages with the same role are merged, and tool_use / tool_result blocks
+   * are paired up so that trimmed or interrupted history is still accepted.
+   * @private
+   * @param {Array<AIPrompt>} prompts - Prompts in conversation order
+   * @returns {{system: string, messages: Array<Object>}} Request fields
+   */
+  _convertPrompts(prompts) {
+    const systemParts = [];
+    const messages = [];
+    let pendingToolUseIds = [];
+
+    const pushMessage = (role, content) => {
+      if (content.length === 0) return;
+      const previous = messages[messages.length - 1];
+      if (previous && previous.role === role) {
+        previous.content = this._orderBlocks([...previous.content, ...content]);
+      } else {
+        messages.push({ role, content: this._orderBlocks(content) });
+      }
+    };
+
+    // Answer tool calls that never got a result so the API accepts the history
+    const flushPendingToolUses = () => {
+      if (pendingToolUseIds.length === 0) return;
+      pushMessage(
+        "user",
+        pendingToolUseIds.map((id) => ({
+          type: "tool_result",
+          tool_use_id: id,
+          content: "Tool call was not executed.",
+          is_error: true,
+        }))
+      );
+      pendingToolUseIds = [];
+    };
+
+    prompts.forEach((prompt) => {
+      if (prompt.role === "system") {
+        systemParts.push(prompt.content);
+        return;
+      }
+
+      const toolCalls = prompt.toolCalls || [];
+      const toolResults = prompt.toolResults || [];
+
+      if (prompt.role === "assistant") {
+        flushPendingToolUses();
+        const content = [];
+        if (prompt.content) {
+          content.push({ type: "text", text: prompt.content });
+        }
+        toolCalls.forEach((toolCall) => {
+          content.push({
+            type: "tool_use",
+            id: toolCall.id,
+            name: toolCall.name,
+            input: toolCall.parameters || {},
+          });
+        });
+        pushMessage("assistant", content);
+        pendingToolUseIds = toolCalls.map((toolCall) => toolCall.id);
+        return;
+      }
+
+      const content = [];
+      toolResults.forEach((toolResult) => {
+        const index = pendingToolUseIds.indexOf(toolResult.toolCallId);
+        if (index === -1) {
+          // The matching tool_use was trimmed from history, keep the result as text
+          content.push({
+            type: "text",
+            text: `Tool Result (${toolResult.toolName}): ${toolResult.content}`,
+          });
+          return;
+        }
+        pendingToolUseIds.splice(index, 1);
+        content.push({
+          type: "tool_result",
+          tool_use_id: toolResult.toolCallId,
+          content: toolResult.content,
+          is_error: !!toolResult.isError,
+        });
+      });
+      if (prompt.content) {
+        content.push({ type: "text", text: prompt.content });
+      }
+      (prompt.images || []).forEach((image) => {
+        content.push({
+          type: "image",
+          source: {
+            type: "base64",
+            media_type: image.mimeType,
+            data: image.data,
+          },
+        });
+      });
+      flushPendingToolUses();
+      pushMessage("user", content);
+    });
+
+    flushPendingToolUses();
+
+    // The Messages API requires the conversation to start with a user turn
+    if (messages.length === 0 || messages[0].role !== "user") {
+      messages.unshift({
+        role: "user",
+        content: [{ type: "text", text: "Continue the conversation." }],
+      });
+    }
+
+    return { system: systemParts.join("\n\n"), messages };
+  }
+
+  /**
+   * Put tool_result blocks before any other blocks, as the API requires
+   * @private
+   * @param {Array<Object>} blocks - Content blocks of a single message
+   * @returns {Array<Object>} Reordered content blocks
+   */
+  _orderBlocks(blocks) {
+    return [
+      ...blocks.filter((block) => block.type === "tool_result"),
+      ...blocks.filter((block) => block.type !== "tool_result"),
+    ];
+  }
+
+  /**
+   * Convert AgenticTool metadata into an Anthropic tool definition
+   * @private
+   * @param {Object} tool - Tool metadata ({name, description, schema})
+   * @returns {Object} Anthropic tool definition
+   */
+  _convertTool(tool) {
+    return {
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.schema || { type: "object", properties: {} },
+    };
+  }
+
+  /**
+   * Clamp the requested max tokens to what the model can produce
+   * @private
+   * @param {string} model - Model identifier
+   * @param {number} requested - Requested max tokens
+   * @returns {number} Max tokens to send
+   */
+  _getMaxTokens(model, requested) {
+    const modelData = AnthropicSettings.getAvailableModels()[model];
+    const limit = modelData?.maxOutputTokens || 8192;
+    return Math.min(requested || limit, limit);
+  }
+
+  /**
+   * Make an API request to the Messages endpoint
+   * @private
+   * @param {Object} requestBody - Request body
+   * @param {AbortSignal} signal - Optional signal that cancels the request
+   * @returns {Promise<Object>} API response
+   */
+  async _makeAPIRequest(requestBody, signal) {
+    const response = await fetch(`${this.config.apiUrl}/messages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": this.apiKey,
+        "anthropic-version": this.config.apiVersion,
+        // Required for requests sent from a browser context
+        "anthropic-dangerous-direct-browser-access": "true",
+      },
+      body: JSON.stringify(requestBody),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorMessage = errorText;
+      try {
+        errorMessage = this._parseAnthropicError(JSON.parse(errorText));
+      } catch (parseError) {
+        // Not JSON, keep the raw text
+      }
+      throw new Error(
+        `Anthropic API error (${response.status}): ${errorMessage}`
+      );
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Generate a unique request ID
+   * @private
+   * @returns {string} Unique request ID
+   */
+  _generateRequestId() {
+    return `anthropic_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Parse Anthropic API error and extract meaningful message
+   * @private
+   * @param {Object} errorData - Error response from API
+   * @returns {string} Formatted error message
+   */
+  _parseAnthropicError(errorData) {
+    const error = errorData?.error;
+    if (!error) {
+      return "Unknown Anthropic API error";
+    }
+
+    switch (error.type) {
+      case "authentication_error":
+        return "Invalid API key. Please check your Anthropic API key.";
+      case "permission_error":
+        return "Permission denied. Please check your API key permissions.";
+      case "rate_limit_error":
+        return "Rate limit exceeded. Please wait before making more requests.";
+      case "overloaded_error":
+        return "Anthropic API is overloaded. Please try again shortly.";
+      default:
+        return error.message || `Error ${error.type}`;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AnthropicBackend;
+} else {
+  window.AnthropicBackend = AnthropicBackend;
+}
@@ -0,0 +1,153 @@
+/**
+ * Data model for Anthropic (Claude) AI specific settings
+ * Represents Anthropic Messages API configuration and preferences
+ */
+class AnthropicSettings {
+  constructor(
+    apiKey = "",
+    model = "claude-sonnet-4-20250514",
+    createdAt = new Date(),
+    updatedAt = new Date()
+  ) {
+    this.apiKey = apiKey;
+    this.model = model;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Set the API key for Anthropic
+   * @param {string} apiKey - The Anthropic API key
+   */
+  setApiKey(apiKey) {
+    this.apiKey = apiKey;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Set the model to use for Anthropic
+   * @param {string} model - The model identifier
+   */
+  setModel(model) {
+    if (!AnthropicSettings.isValidModel(model)) {
+      throw new Error(`Model '${model}' is not supported`);
+    }
+    this.model = model;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Check if the Anthropic settings are properly configured
+   * @returns {boolean} True if API key is present
+   */
+  isConfigured() {
+    return this.apiKey && this.apiKey.trim().length > 0;
+  }
+
+  /**
+   * Convert the settings to a plain object for storage
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      apiKey: this.apiKey,
+      model: this.model,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString(),
+    };
+  }
+
+  /**
+   * Create a AnthropicSettings instance from stored data
+   * @param {Object} data - The stored settings data
+   * @returns {AnthropicSettings} New AnthropicSettings instance
+   */
+  static fromJSON(data) {
+    return new AnthropicSettings(
+      data.apiKey || "",
+      data.model || "claude-sonnet-4-20250514",
+      data.createdAt ? new Date(data.createdAt) : new Date(),
+      data.updatedAt ? new Date(data.updatedAt) : new Date()
+    );
+  }
+
+  /**
+   * Get default Anthropic settings instance
+   * @returns {AnthropicSettings} Default settings
+   */
+  static getDefaults() {
+    return new AnthropicSettings();
+  }
+
+  /**
+   * Validate settings data before creating instance
+   * @param {Object} data - The settings data to validate
+   * @returns {boolean} True if valid
+   */
+  static isValid(data) {
+    return (
+      data &&
+      typeof data.apiKey === "string" &&
+      typeof data.model === "string" &&
+      AnthropicSettings.isValidModel(data.model)
+    );
+  }
+
+  /**
+   * Get available Anthropic models
+   * @returns {Object} Available models with their properties
+   */
+  static getAvailableModels() {
+    return {
+      "claude-sonnet-4-20250514": {
+        name: "Claude Sonnet 4",
+        description: "High-performance model with a good balance of speed and intelligence.",
+        maxTokens: 200000,
+        maxOutputTokens: 64000,
+        supportsImages: true,
+        supportsTools: true,
+      },
+      "claude-opus-4-1-20250805": {
+        name: "Claude Opus 4.1",
+        description: "The most capable Claude model for complex, multi-step coding tasks.",
+        maxTokens: 200000,
+        maxOutputTokens: 32000,
+        supportsImages: true,
+        supportsTools: true,
+      },
+      "claude-3-5-haiku-20241022": {
+        name: "Claude Haiku 3.5",
+        description: "The fastest and most cost-efficient Claude model for quick edits.",
+        maxTokens: 200000,
+        maxOutputTokens: 8192,
+        supportsImages: true,
+        supportsTools: true,
+      },
+    };
+  }
+
+  /**
+   * Check if a model is valid
+   * @param {string} model - Model identifier to validate
+   * @returns {boolean} True if model exists
+   */
+  static isValidModel(model) {
+    return model in AnthropicSettings.getAvailableModels();
+  }
+
+  /**
+   * Get model data for the current selected model
+   * @returns {Object} Current model configuration
+   */
+  getCurrentModelData() {
+    const models = AnthropicSettings.getAvailableModels();
+    return models[this.model] || models["claude-sonnet-4-20250514"];
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AnthropicSettings;
+} else {
+  window.AnthropicSettings = AnthropicSettings;
+} 
\ No newline at end of file
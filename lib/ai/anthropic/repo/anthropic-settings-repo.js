@@ -0,0 +1,199 @@
+/**
+ * Repository for Anthropic AI settings storage operations
+ * Handles Chrome storage API interactions for Anthropic configuration
+ */
+class AnthropicSettingsRepository {
+  constructor() {
+    this.storageKey = "webVibesAnthropicSettings";
+  }
+
+  /**
+   * Get Anthropic settings from storage
+   * @returns {Promise<AnthropicSettings>} The stored Anthropic settings
+   */
+  async getAnthropicSettings() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      const data = result[this.storageKey];
+
+      if (!data) {
+        return AnthropicSettings.getDefaults();
+      }
+
+      if (!AnthropicSettings.isValid(data)) {
+        console.warn("Invalid Anthropic settings data found, using defaults");
+        return AnthropicSettings.getDefaults();
+      }
+
+      return AnthropicSettings.fromJSON(data);
+    } catch (error) {
+      console.error("Error getting Anthropic settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save Anthropic settings to storage
+   * @param {AnthropicSettings} settings - The Anthropic settings to save
+   * @returns {Promise<AnthropicSettings>} The saved settings
+   */
+  async saveAnthropicSettings(settings) {
+    try {
+      if (!(settings instanceof AnthropicSettings)) {
+        throw new Error("Invalid AnthropicSettings instance");
+      }
+
+      await chrome.storage.local.set({
+        [this.storageKey]: settings.toJSON(),
+      });
+
+      return settings;
+    } catch (error) {
+      console.error("Error saving Anthropic settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete Anthropic settings from storage
+   * @returns {Promise<void>}
+   */
+  async deleteAnthropicSettings() {
+    try {
+      await chrome.storage.local.remove([this.storageKey]);
+    } catch (error) {
+      console.error("Error deleting Anthropic settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if Anthropic settings exist in storage
+   * @returns {Promise<boolean>} True if settings exist
+   */
+  async hasAnthropicSettings() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return !!result[this.storageKey];
+    } catch (error) {
+      console.error("Error checking Anthropic settings existence:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get storage usage information for Anthropic settings
+   * @returns {Promise<Object>} Storage usage information
+   */
+  async getStorageInfo() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      const data = result[this.storageKey];
+
+      if (!data) {
+        return {
+          exists: false,
+          size: 0,
+          lastModified: null,
+        };
+      }
+
+      const dataString = JSON.stringify(data);
+      const sizeInBytes = new Blob([dataString]).size;
+
+      return {
+        exists: true,
+        size: sizeInBytes,
+        sizeInKB: (sizeInBytes / 1024).toFixed(2),
+        lastModified: data.updatedAt ? new Date(data.updatedAt) : null,
+      };
+    } catch (error) {
+      console.error("Error getting Anthropic settings storage info:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset Anthropic settings to defaults
+   * @returns {Promise<AnthropicSettings>} The default settings
+   */
+  async resetToDefaults() {
+    try {
+      const defaultSettings = AnthropicSettings.getDefaults();
+      await this.saveAnthropicSettings(defaultSettings);
+      return defaultSettings;
+    } catch (error) {
+      console.error("Error resetting Anthropic settings to defaults:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update specific Anthropic setting fields
+   * @param {Object} updates - Object containing field updates
+   * @returns {Promise<AnthropicSettings>} The updated settings
+   */
+  async updateAnthropicSettings(updates) {
+    try {
+      const currentSettings = await this.getAnthropicSettings();
+
+      // Apply updates
+      for (const [key, value] of Object.entries(updates)) {
+        if (currentSettings.hasOwnProperty(key)) {
+          currentSettings[key] = value;
+        }
+      }
+
+      currentSettings.updatedAt = new Date();
+
+      await this.saveAnthropicSettings(currentSettings);
+      return currentSettings;
+    } catch (error) {
+      console.error("Error updating Anthropic settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export Anthropic settings as JSON string
+   * @returns {Promise<string>} JSON string representation
+   */
+  async exportSettings() {
+    try {
+      const settings = await this.getAnthropicSettings();
+      return JSON.stringify(settings.toJSON(), null, 2);
+    } catch (error) {
+      console.error("Error exporting Anthropic settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import Anthropic settings from JSON string
+   * @param {string} jsonString - JSON string to import
+   * @returns {Promise<AnthropicSettings>} The imported settings
+   */
+  async importSettings(jsonString) {
+    try {
+      const data = JSON.parse(jsonString);
+
+      if (!AnthropicSettings.isValid(data)) {
+        throw new Error("Invalid Anthropic settings data format");
+      }
+
+      const settings = AnthropicSettings.fromJSON(data);
+      await this.saveAnthropicSettings(settings);
+      return settings;
+    } catch (error) {
+      console.error("Error importing Anthropic settings:", error);
+      throw error;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AnthropicSettingsRepository;
+} else {
+  window.AnthropicSettingsRepository = AnthropicSettingsRepository;
+} 
\ No newline at end of file
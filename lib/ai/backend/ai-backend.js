@@ -51,13 +51,62 @@ class AIBackend {
   /**
    * Send multiple prompts in a conversation context
    * @param {Array<AIPrompt>} prompts - Array of prompts in conversation order
+   * @param {Object} options - Optional request configuration
+   * @param {Array<Object>} options.tools - Tool metadata ({name, description, schema}) for backends with native tool use
+   * @param {AbortSignal} options.signal - Signal that cancels the in-flight request
    * @returns {Promise<AIResponse>} The AI response to the conversation
    * @abstract
    */
-  async sendConversation(prompts) {
+  async sendConversation(prompts, options = {}) {
     throw new Error("sendConversation() method must be implemented by backend");
   }
 
+  /**
+   * Send a conversation and report partial text as it arrives.
+   * Backends without streaming support send the conversation normally and
+   * report the whole text as a single delta.
+   * @param {Array<AIPrompt>} prompts - Array of prompts in conversation order
+   * @param {Object} options - Optional request configuration
+   * @param {Array<Object>} options.tools - Tool metadata for backends with native tool use
+   * @param {Function} options.onDelta - Called with each new chunk of response text
+   * @param {AbortSignal} options.signal - Signal that cancels the in-flight request
+   * @returns {Promise<AIResponse>} The complete AI response
+   */
+  async streamConversation(prompts, options = {}) {
+    const response = await this.sendConversation(prompts, options);
+    if (response.isSuccess() && response.content && options.onDelta) {
+      options.onDelta(response.content);
+    }
+    return response;
+  }
+
+  /**
+   * Check if this backend streams partial responses
+   * @returns {boolean} True if streamConversation reports text incrementally
+   */
+  supportsStreaming() {
+    return false;
+  }
+
+  /**
+   * Check if this backend supports native (structured) tool calls.
+   * Backends that return true accept options.tools in sendConversation and
+   * return requested calls on AIResponse.toolCalls instead of in the text.
+   * @returns {boolean} True if native tool use is supported
+   */
+  supportsNativeTools() {
+    return false;
+  }
+
+  /**
+   * Check if this backend can send images with a conversation.
+   * Backends that return true send AIPrompt.images to the model.
+   * @returns {boolean} True if image input is supported
+   */
+  supportsImages() {
+    return false;
+  }
+
   /**
    * Get available models for this backend
    * @returns {Array<string>} Array of available model names
@@ -90,6 +139,49 @@ class AIBackend {
     );
   }
 
+  /**
+   * Read a Server-Sent Events response body and pass each parsed JSON
+   * data payload to a callback
+   * @protected
+   * @param {Response} response - Fetch response with an SSE body
+   * @param {Function} onEvent - Called with each parsed event payload
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async _readServerSentEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const dispatch = (rawEvent) => {
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.substring(5).trimStart())
+        .join("\n");
+      if (!data || data === "[DONE]") return;
+      try {
+        onEvent(JSON.parse(data));
+      } catch (error) {
+        console.warn("Skipping malformed stream event:", error);
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      events.forEach(dispatch);
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  }
+
   /**
    * Get backend name
    * @returns {string} Backend name
@@ -63,6 +63,22 @@ class GeminiBackend extends AIBackend {
     return this.isInitialized && !!this.apiKey;
   }
 
+  /**
+   * Gemini supports structured functionCall / functionResponse parts
+   * @returns {boolean} Always true
+   */
+  supportsNativeTools() {
+    return true;
+  }
+
+  /**
+   * Gemini accepts inlineData image parts
+   * @returns {boolean} Always true
+   */
+  supportsImages() {
+    return true;
+  }
+
   /**
    * Send a prompt to Gemini and get a response
    * @param {AIPrompt} prompt - The prompt to send
@@ -147,9 +163,12 @@ class GeminiBackend extends AIBackend {
   /**
    * Send multiple prompts in a conversation context
    * @param {Array<AIPrompt>} prompts - Array of prompts in conversation order
+   * @param {Object} options - Optional request configuration
+   * @param {Array<Object>} options.tools - Tool metadata ({name, description, schema}) sent as functionDeclarations
+   * @param {AbortSignal} options.signal - Signal that cancels the in-flight request
    * @returns {Promise<AIResponse>} The AI response to the conversation
    */
-  async sendConversation(prompts) {
+  async sendConversation(prompts, options = {}) {
     const startTime = Date.now();
 
     try {
@@ -165,22 +184,12 @@ class GeminiBackend extends AIBackend {
       const model = lastPrompt.model || this.getDefaultModel();
       const requestId = this._generateRequestId();
 
-      // Convert prompts to Gemini conversation format
-      const contents = prompts.map((prompt) => ({
-        role: this._convertRole(prompt.role),
-        parts: [
-          {
-            text: prompt.content,
-          },
-        ],
-      }));
-
-      const requestBody = {
-        contents,
-        generationConfig: this._getGenerationConfig(lastPrompt),
-      };
-
-      const response = await this._makeAPIRequest(model, requestBody);
+      const requestBody = this._buildConversationRequest(prompts, options);
+      const response = await this._makeAPIRequest(
+        model,
+        requestBody,
+        options.signal
+      );
       const processingTime = Date.now() - startTime;
 
       if (!response.candidates || response.candidates.length === 0) {
@@ -191,12 +200,20 @@ class GeminiBackend extends AIBackend {
 
       // Handle different response formats from Gemini API
       let content = "";
+      let toolCalls = [];
       if (
         candidate.content &&
         candidate.content.parts &&
         candidate.content.parts.length > 0
       ) {
-        content = candidate.content.parts[0].text || "";
+        const parts = candidate.content.parts;
+        content = parts
+          .filter((part) => typeof part.text === "string" && !part.thought)
+          .map((part) => part.text)
+          .join("");
+        toolCalls = parts
+          .filter((part) => part.functionCall)
+          .map((part) => this._convertFunctionCall(part));
       } else if (candidate.finishReason === "MAX_TOKENS") {
         // When hitting token limit, Gemini might not include parts
         throw new Error(
@@ -208,20 +225,125 @@ class GeminiBackend extends AIBackend {
 
       const tokensUsed = response.usageMetadata?.totalTokenCount || 0;
 
-      return AIResponse.createSuccess(content, {
-        model,
-        tokensUsed,
+      return AIResponse.createSuccess(
+        content,
+        {
+          model,
+          tokensUsed,
+          processingTimeMs: processingTime,
+          provider: this.name,
+          requestId,
+          createdAt: new Date(),
+        },
+        toolCalls
+      );
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      console.error("Error sending conversation to Gemini:", error);
+
+      return AIResponse.createError(error.message, {
+        model: prompts[prompts.length - 1]?.model || this.getDefaultModel(),
+        tokensUsed: 0,
         processingTimeMs: processingTime,
         provider: this.name,
-        requestId,
+        requestId: this._generateRequestId(),
         createdAt: new Date(),
       });
+    }
+  }
+
+  /**
+   * Gemini streams partial responses through streamGenerateContent
+   * @returns {boolean} Always true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * Stream a conversation through streamGenerateContent (SSE), reporting
+   * text parts as they arrive
+   * @param {Array<AIPrompt>} prompts - Array of prompts in conversation order
+   * @param {Object} options - Optional request configuration
+   * @param {Array<Object>} options.tools - Tool metadata sent as functionDeclarations
+   * @param {Function} options.onDelta - Called with each new chunk of response text
+   * @param {AbortSignal} options.signal - Signal that cancels the in-flight request
+   * @returns {Promise<AIResponse>} The complete AI response
+   */
+  async streamConversation(prompts, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.isReady()) {
+        throw new Error("Gemini backend not initialized");
+      }
+
+      if (!prompts || prompts.length === 0) {
+        throw new Error("No prompts provided for conversation");
+      }
+
+      const lastPrompt = prompts[prompts.length - 1];
+      const model = lastPrompt.model || this.getDefaultModel();
+      const requestId = this._generateRequestId();
+      const requestBody = this._buildConversationRequest(prompts, options);
+
+      const response = await this._makeStreamRequest(
+        model,
+        requestBody,
+        options.signal
+      );
+
+      let content = "";
+      let finishReason = null;
+      let tokensUsed = 0;
+      const toolCalls = [];
+
+      await this._readServerSentEvents(response, (chunk) => {
+        tokensUsed = chunk.usageMetadata?.totalTokenCount || tokensUsed;
+
+        const candidate = chunk.candidates?.[0];
+        if (!candidate) return;
+        finishReason = candidate.finishReason || finishReason;
+
+        (candidate.content?.parts || []).forEach((part) => {
+          if (part.functionCall) {
+            toolCalls.push(this._convertFunctionCall(part));
+          } else if (typeof part.text === "string" && !part.thought) {
+            content += part.text;
+            if (options.onDelta && part.text) {
+              options.onDelta(part.text);
+            }
+          }
+        });
+      });
+
+      if (!content && toolCalls.length === 0) {
+        if (finishReason === "MAX_TOKENS") {
+          throw new Error(
+            "Response was truncated due to maximum token limit. Please try a shorter prompt or increase max tokens."
+          );
+        }
+        throw new Error("No response generated by Gemini");
+      }
+
+      return AIResponse.createSuccess(
+        content,
+        {
+          model,
+          tokensUsed,
+          processingTimeMs: Date.now() - startTime,
+          provider: this.name,
+          requestId,
+          createdAt: new Date(),
+        },
+        toolCalls
+      );
     } catch (error) {
       const processingTime = Date.now() - startTime;
-      console.error("Error sending conversation to Gemini:", error);
+      console.error("Error streaming conversation from Gemini:", error);
 
       return AIResponse.createError(error.message, {
-        model: prompts[prompts.length - 1]?.model || this.getDefaultModel(),
+        model: prompts?.[prompts.length - 1]?.model || this.getDefaultModel(),
         tokensUsed: 0,
         processingTimeMs: processingTime,
         provider: this.name,
@@ -288,9 +410,10 @@ class GeminiBackend extends AIBackend {
    * @private
    * @param {string} model - Model to use
    * @param {Object} requestBody - Request body
+   * @param {AbortSignal} signal - Optional signal that cancels the request
    * @returns {Promise<Object>} API response
    */
-  async _makeAPIRequest(model, requestBody) {
+  async _makeAPIRequest(model, requestBody, signal) {
     const url = `${this.config.apiUrl}/models/${model}:generateContent?key=${this.apiKey}`;
 
     const response = await fetch(url, {
@@ -299,6 +422,7 @@ class GeminiBackend extends AIBackend {
         "Content-Type": "application/json",
       },
       body: JSON.stringify(requestBody),
+      signal,
     });
 
     if (!response.ok) {
@@ -319,6 +443,258 @@ class GeminiBackend extends AIBackend {
     return await response.json();
   }
 
+  /**
+   * Open a streamGenerateContent request that returns Server-Sent Events
+   * @private
+   * @param {string} model - Model to use
+   * @param {Object} requestBody - Request body
+   * @param {AbortSignal} signal - Optional signal that cancels the request
+   * @returns {Promise<Response>} Fetch response with an SSE body
+   */
+  async _makeStreamRequest(model, requestBody, signal) {
+    const url = `${this.config.apiUrl}/models/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(requestBody),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorMessage = errorText;
+      try {
+        errorMessage = this._parseGeminiError(JSON.parse(errorText));
+      } catch (parseError) {
+        // Not JSON, keep the raw text
+      }
+      throw new Error(`Gemini API error (${response.status}): ${errorMessage}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Build the request body for a conversation
+   * @private
+   * @param {Array<AIPrompt>} prompts - Prompts in conversation order
+   * @param {Object} options - Request options
+   * @param {Array<Object>} options.tools - Tool metadata sent as functionDeclarations
+   * @returns {Object} Gemini request body
+   */
+  _buildConversationRequest(prompts, options = {}) {
+    const requestBody = {
+      contents: this._convertPrompts(prompts),
+      generationConfig: this._getGenerationConfig(prompts[prompts.length - 1]),
+    };
+
+    if (options.tools && options.tools.length > 0) {
+      requestBody.tools = [
+        {
+          functionDeclarations: options.tools.map((tool) =>
+            this._convertTool(tool)
+          ),
+        },
+      ];
+    }
+
+    return requestBody;
+  }
+
+  /**
+   * Convert a functionCall part into a tool call
+   * @private
+   * @param {Object} part - Gemini content part containing a functionCall
+   * @returns {Object} Tool call ({id, name, parameters, thoughtSignature})
+   */
+  _convertFunctionCall(part) {
+    return {
+      id: part.functionCall.id || this._generateToolCallId(),
+      name: part.functionCall.name,
+      parameters: part.functionCall.args || {},
+      thoughtSignature: part.thoughtSignature,
+    };
+  }
+
+  /**
+   * Convert our prompts to Gemini contents.
+   * Native tool calls become functionCall parts, tool results become
+   * functionResponse parts and images become inlineData parts. Consecutive turns with the same role are merged,
+   * and every functionCall is answered so trimmed history is still accepted.
+   * @private
+   * @param {Array<AIPrompt>} prompts - Prompts in conversation order
+   * @returns {Array<Object>} Gemini contents
+   */
+  _convertPrompts(prompts) {
+    const contents = [];
+    let pendingCalls = [];
+
+    const pushContent = (role, parts) => {
+      if (parts.length === 0) return;
+      const previous = contents[contents.length - 1];
+      if (previous && previous.role === role) {
+        previous.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    };
+
+    // Answer function calls that never got a response
+    const flushPendingCalls = () => {
+      if (pendingCalls.length === 0) return;
+      pushContent(
+        "user",
+        pendingCalls.map((toolCall) => ({
+          functionResponse: {
+            id: toolCall.id,
+            name: toolCall.name,
+            response: { error: "Tool call was not executed." },
+          },
+        }))
+      );
+      pendingCalls = [];
+    };
+
+    prompts.forEach((prompt) => {
+      const toolCalls = prompt.toolCalls || [];
+      const toolResults = prompt.toolResults || [];
+      const role = this._convertRole(prompt.role);
+
+      if (role === "model") {
+        flushPendingCalls();
+        const parts = [];
+        if (prompt.content) {
+          parts.push({ text: prompt.content });
+        }
+        toolCalls.forEach((toolCall) => {
+          const part = {
+            functionCall: {
+              id: toolCall.id,
+              name: toolCall.name,
+              args: toolCall.parameters || {},
+            },
+          };
+          if (toolCall.thoughtSignature) {
+            part.thoughtSignature = toolCall.thoughtSignature;
+          }
+          parts.push(part);
+        });
+        pushContent("model", parts);
+        pendingCalls = [...toolCalls];
+        return;
+      }
+
+      // Answer the previous turn's function calls in the order they were made
+      const parts = pendingCalls.map((toolCall) => {
+        const toolResult = toolResults.find(
+          (result) => result.toolCallId === toolCall.id
+        );
+        let response = { error: "Tool call was not executed." };
+        if (toolResult) {
+          response = toolResult.isError
+            ? { error: toolResult.content }
+            : { output: toolResult.content };
+        }
+        return {
+          functionResponse: { id: toolCall.id, name: toolCall.name, response },
+        };
+      });
+
+      // Results whose functionCall was trimmed from history are kept as text
+      toolResults
+        .filter(
+          (result) =>
+            !pendingCalls.some((toolCall) => toolCall.id === result.toolCallId)
+        )
+        .forEach((result) => {
+          parts.push({
+            text: `Tool Result (${result.toolName}): ${result.content}`,
+          });
+        });
+      pendingCalls = [];
+
+      if (prompt.content) {
+        parts.push({ text: prompt.content });
+      }
+      (prompt.images || []).forEach((image) => {
+        parts.push({
+          inlineData: { mimeType: image.mimeType, data: image.data },
+        });
+      });
+      pushContent("user", parts);
+    });
+
+    flushPendingCalls();
+    return contents;
+  }
+
+  /**
+   * Convert AgenticTool metadata into a Gemini function declaration
+   * @private
+   * @param {Object} tool - Tool metadata ({name, description, schema})
+   * @returns {Object} Gemini function declaration
+   */
+  _convertTool(tool) {
+    const declaration = {
+      name: tool.name,
+      description: tool.description,
+    };
+
+    // Gemini rejects OBJECT schemas without properties, so omit empty parameter lists
+    const parameters = this._convertSchema(tool.schema);
+    if (parameters && Object.keys(parameters.properties || {}).length > 0) {
+      declaration.parameters = parameters;
+    }
+
+    return declaration;
+  }
+
+  /**
+   * Reduce a JSON schema to the OpenAPI subset accepted by Gemini
+   * @private
+   * @param {Object} schema - JSON schema
+   * @returns {Object|undefined} Gemini-compatible schema
+   */
+  _convertSchema(schema) {
+    if (!schema || typeof schema !== "object") {
+      return undefined;
+    }
+
+    const converted = {};
+    ["type", "description", "enum", "format", "nullable"].forEach((key) => {
+      if (schema[key] !== undefined) {
+        converted[key] = schema[key];
+      }
+    });
+
+    if (schema.properties) {
+      converted.properties = {};
+      Object.entries(schema.properties).forEach(([name, property]) => {
+        converted.properties[name] = this._convertSchema(property);
+      });
+    }
+    if (Array.isArray(schema.required) && schema.required.length > 0) {
+      converted.required = [...schema.required];
+    }
+    if (schema.items) {
+      converted.items = this._convertSchema(schema.items);
+    }
+
+    return converted;
+  }
+
+  /**
+   * Generate an ID for a function call when Gemini doesn't provide one
+   * @private
+   * @returns {string} Unique tool call ID
+   */
+  _generateToolCallId() {
+    return `gemini_call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Convert our role format to Gemini's role format
    * @private
@@ -12,6 +12,9 @@ class AIPrompt {
    * @param {number} options.temperature - Creativity/randomness (0.0 to 1.0)
    * @param {string} options.model - Specific model to use
    * @param {Date} options.createdAt - When the prompt was created
+   * @param {Array<Object>} options.toolCalls - Native tool calls made by the assistant ({id, name, parameters})
+   * @param {Array<Object>} options.toolResults - Results for native tool calls ({toolCallId, toolName, content, isError})
+   * @param {Array<Object>} options.images - Images sent after the text ({mimeType, data} with base64 data)
    */
   constructor(
     content,
@@ -21,9 +24,17 @@ class AIPrompt {
       temperature = 0.7,
       model = null,
       createdAt = new Date(),
+      toolCalls = [],
+      toolResults = [],
+      images = [],
     } = {}
   ) {
-    if (!content || typeof content !== "string" || content.trim() === "") {
+    // Prompts carrying native tool calls/results or images may have no text of their own
+    const hasToolBlocks = toolCalls.length > 0 || toolResults.length > 0;
+    if (
+      typeof content !== "string" ||
+      (content.trim() === "" && !hasToolBlocks && images.length === 0)
+    ) {
       throw new Error(
         "Prompt content is required and must be a non-empty string"
       );
@@ -35,6 +46,25 @@ class AIPrompt {
     this.temperature = temperature;
     this.model = model;
     this.createdAt = createdAt;
+    this.toolCalls = toolCalls;
+    this.toolResults = toolResults;
+    this.images = images;
+  }
+
+  /**
+   * Check if the prompt carries native tool calls or tool results
+   * @returns {boolean} True if tool blocks are present
+   */
+  hasToolBlocks() {
+    return this.toolCalls.length > 0 || this.toolResults.length > 0;
+  }
+
+  /**
+   * Check if the prompt carries images
+   * @returns {boolean} True if images are present
+   */
+  hasImages() {
+    return this.images.length > 0;
   }
 
   /**
@@ -49,6 +79,9 @@ class AIPrompt {
       temperature: this.temperature,
       model: this.model,
       createdAt: this.createdAt.toISOString(),
+      toolCalls: this.toolCalls,
+      toolResults: this.toolResults,
+      images: this.images,
     };
   }
 
@@ -64,6 +97,9 @@ class AIPrompt {
       temperature: data.temperature,
       model: data.model,
       createdAt: data.createdAt ? new Date(data.createdAt) : new Date(),
+      toolCalls: data.toolCalls || [],
+      toolResults: data.toolResults || [],
+      images: data.images || [],
     });
   }
 
@@ -81,7 +117,10 @@ class AIPrompt {
       (data.maxTokens === undefined || typeof data.maxTokens === "number") &&
       (data.temperature === undefined ||
         typeof data.temperature === "number") &&
-      (data.model === undefined || typeof data.model === "string")
+      (data.model === undefined || typeof data.model === "string") &&
+      (data.toolCalls === undefined || Array.isArray(data.toolCalls)) &&
+      (data.toolResults === undefined || Array.isArray(data.toolResults)) &&
+      (data.images === undefined || Array.isArray(data.images))
     );
   }
 
@@ -15,6 +15,7 @@ class AIResponse {
    * @param {Date} metadata.createdAt - When the response was generated
    * @param {boolean} success - Whether the request was successful
    * @param {string} error - Error message if request failed
+   * @param {Array<Object>} toolCalls - Native tool calls requested by the model ({id, name, parameters})
    */
   constructor(
     content,
@@ -27,7 +28,8 @@ class AIResponse {
       createdAt = new Date(),
     } = {},
     success = true,
-    error = null
+    error = null,
+    toolCalls = []
   ) {
     this.content = content || "";
     this.metadata = {
@@ -40,16 +42,18 @@ class AIResponse {
     };
     this.success = success;
     this.error = error;
+    this.toolCalls = toolCalls;
   }
 
   /**
    * Create a successful response
    * @param {string} content - The response content
    * @param {Object} metadata - Response metadata
+   * @param {Array<Object>} toolCalls - Native tool calls requested by the model
    * @returns {AIResponse} New successful response instance
    */
-  static createSuccess(content, metadata = {}) {
-    return new AIResponse(content, metadata, true, null);
+  static createSuccess(content, metadata = {}, toolCalls = []) {
+    return new AIResponse(content, metadata, true, null, toolCalls);
   }
 
   /**
@@ -94,6 +98,22 @@ class AIResponse {
     return this.isSuccess() ? this.content : "";
   }
 
+  /**
+   * Check if the model requested native tool calls
+   * @returns {boolean} True if tool calls are present
+   */
+  hasToolCalls() {
+    return this.toolCalls.length > 0;
+  }
+
+  /**
+   * Get the native tool calls requested by the model
+   * @returns {Array<Object>} Tool calls ({id, name, parameters})
+   */
+  getToolCalls() {
+    return [...this.toolCalls];
+  }
+
   /**
    * Get processing time in milliseconds
    * @returns {number} Processing time
@@ -141,6 +161,7 @@ class AIResponse {
       },
       success: this.success,
       error: this.error,
+      toolCalls: this.toolCalls,
     };
   }
 
@@ -157,7 +178,13 @@ class AIResponse {
         : new Date(),
     };
 
-    return new AIResponse(data.content, metadata, data.success, data.error);
+    return new AIResponse(
+      data.content,
+      metadata,
+      data.success,
+      data.error,
+      data.toolCalls || []
+    );
   }
 
   /**
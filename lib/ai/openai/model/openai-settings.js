@@ -0,0 +1,236 @@
+/**
+ * Data model for OpenAI-compatible AI settings
+ * Represents the endpoint, credentials and model list for any server that
+ * implements the OpenAI /v1/chat/completions API (OpenAI, llama.cpp, Ollama, vLLM, ...)
+ */
+class OpenAISettings {
+  constructor(
+    apiKey = "",
+    baseUrl = OpenAISettings.DEFAULT_BASE_URL,
+    model = "gpt-4o-mini",
+    models = OpenAISettings.getDefaultModels(),
+    createdAt = new Date(),
+    updatedAt = new Date()
+  ) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.model = model;
+    this.models = models;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Default endpoint used when no base URL has been configured
+   * @returns {string} Default base URL
+   */
+  static get DEFAULT_BASE_URL() {
+    return "https://api.openai.com/v1";
+  }
+
+  /**
+   * Set the API key (optional for local servers)
+   * @param {string} apiKey - The API key
+   */
+  setApiKey(apiKey) {
+    this.apiKey = apiKey;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Set the base URL of the OpenAI-compatible server
+   * @param {string} baseUrl - Base URL, e.g. http://localhost:11434/v1
+   */
+  setBaseUrl(baseUrl) {
+    const normalized = OpenAISettings.normalizeBaseUrl(baseUrl);
+    if (!OpenAISettings.isValidBaseUrl(normalized)) {
+      throw new Error(`Base URL '${baseUrl}' is not a valid http(s) URL`);
+    }
+    this.baseUrl = normalized;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Set the model to use
+   * @param {string} model - The model identifier
+   */
+  setModel(model) {
+    if (!this.isValidModel(model)) {
+      throw new Error(`Model '${model}' is not in the configured model list`);
+    }
+    this.model = model;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Replace the list of models offered by the server
+   * @param {Array<string>} models - Model identifiers
+   */
+  setModels(models) {
+    const cleaned = OpenAISettings.normalizeModels(models);
+    if (cleaned.length === 0) {
+      throw new Error("At least one model is required");
+    }
+    this.models = cleaned;
+    if (!cleaned.includes(this.model)) {
+      this.model = cleaned[0];
+    }
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Check if the settings are properly configured
+   * An API key is not required since local servers usually run without one
+   * @returns {boolean} True if a base URL and model are present
+   */
+  isConfigured() {
+    return (
+      OpenAISettings.isValidBaseUrl(this.baseUrl) &&
+      typeof this.model === "string" &&
+      this.model.trim().length > 0
+    );
+  }
+
+  /**
+   * Convert the settings to a plain object for storage
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      apiKey: this.apiKey,
+      baseUrl: this.baseUrl,
+      model: this.model,
+      models: [...this.models],
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString(),
+    };
+  }
+
+  /**
+   * Create an OpenAISettings instance from stored data
+   * @param {Object} data - The stored settings data
+   * @returns {OpenAISettings} New OpenAISettings instance
+   */
+  static fromJSON(data) {
+    const models = OpenAISettings.normalizeModels(data.models);
+    return new OpenAISettings(
+      data.apiKey || "",
+      data.baseUrl || OpenAISettings.DEFAULT_BASE_URL,
+      data.model || "gpt-4o-mini",
+      models.length > 0 ? models : OpenAISettings.getDefaultModels(),
+      data.createdAt ? new Date(data.createdAt) : new Date(),
+      data.updatedAt ? new Date(data.updatedAt) : new Date()
+    );
+  }
+
+  /**
+   * Get default OpenAI-compatible settings instance
+   * @returns {OpenAISettings} Default settings
+   */
+  static getDefaults() {
+    return new OpenAISettings();
+  }
+
+  /**
+   * Validate settings data before creating instance
+   * @param {Object} data - The settings data to validate
+   * @returns {boolean} True if valid
+   */
+  static isValid(data) {
+    return (
+      data &&
+      typeof data.apiKey === "string" &&
+      typeof data.baseUrl === "string" &&
+      OpenAISettings.isValidBaseUrl(data.baseUrl) &&
+      typeof data.model === "string" &&
+      (data.models === undefined || Array.isArray(data.models))
+    );
+  }
+
+  /**
+   * Get the model list used until the user configures their own
+   * @returns {Array<string>} Default model identifiers
+   */
+  static getDefaultModels() {
+    return ["gpt-4o-mini", "gpt-4o"];
+  }
+
+  /**
+   * Trim, de-duplicate and drop empty model identifiers
+   * @param {Array<string>} models - Raw model list
+   * @returns {Array<string>} Cleaned model list
+   */
+  static normalizeModels(models) {
+    if (!Array.isArray(models)) return [];
+    const cleaned = models
+      .filter((model) => typeof model === "string")
+      .map((model) => model.trim())
+      .filter((model) => model.length > 0);
+    return [...new Set(cleaned)];
+  }
+
+  /**
+   * Strip trailing slashes and a trailing /chat/completions from a base URL
+   * @param {string} baseUrl - Raw base URL
+   * @returns {string} Normalized base URL
+   */
+  static normalizeBaseUrl(baseUrl) {
+    return (baseUrl || "")
+      .trim()
+      .replace(/\/chat\/completions\/?$/, "")
+      .replace(/\/+$/, "");
+  }
+
+  /**
+   * Check if a base URL is a valid http(s) URL
+   * @param {string} baseUrl - Base URL to validate
+   * @returns {boolean} True if valid
+   */
+  static isValidBaseUrl(baseUrl) {
+    try {
+      const url = new URL(baseUrl);
+      return url.protocol === "http:" || url.protocol === "https:";
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check if a model is in the configured model list
+   * @param {string} model - Model identifier to validate
+   * @returns {boolean} True if model exists
+   */
+  isValidModel(model) {
+    return this.models.includes(model);
+  }
+
+  /**
+   * Get available models in the same shape as GeminiSettings.getAvailableModels
+   * @returns {Object} Available models keyed by identifier
+   */
+  getAvailableModels() {
+    return this.models.reduce((available, model) => {
+      available[model] = {
+        name: model,
+        description: `Served by ${this.baseUrl}`,
+      };
+      return available;
+    }, {});
+  }
+
+  /**
+   * Get model data for the current selected model
+   * @returns {Object} Current model configuration
+   */
+  getCurrentModelData() {
+    const models = this.getAvailableModels();
+    return models[this.model] || { name: this.model, description: "" };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OpenAISettings;
+} else {
+  window.OpenAISettings = OpenAISettings;
+}
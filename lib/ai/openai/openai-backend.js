@@ -0,0 +1,286 @@
+/**
+ * OpenAI-compatible AI backend implementation
+ * Talks to any server exposing the OpenAI /v1/chat/completions API
+ * (OpenAI, llama.cpp server, Ollama, vLLM, LM Studio, ...)
+ */
+class OpenAIBackend extends AIBackend {
+  /**
+   * Create an OpenAI-compatible backend instance
+   * @param {Object} config - Backend configuration
+   * @param {string} config.apiUrl - Base API URL (optional, uses default)
+   * @param {string} config.defaultModel - Default model to use
+   */
+  constructor(config = {}) {
+    super("OpenAI", {
+      apiUrl: "https://api.openai.com/v1",
+      defaultModel: "gpt-4o-mini",
+      models: [],
+      ...config,
+    });
+
+    this.apiKey = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the backend with credentials or an OpenAISettings model
+   * @param {Object|OpenAISettings} credentials - Credentials or OpenAISettings model
+   * @returns {Promise<boolean>} True if initialization successful
+   */
+  async initialize(credentials) {
+    try {
+      if (!this.validateCredentials(credentials)) {
+        throw new Error("Invalid OpenAI-compatible credentials");
+      }
+
+      this.apiKey = credentials.apiKey || "";
+      this.config.apiUrl = credentials.baseUrl.replace(/\/+$/, "");
+      if (credentials.model) {
+        this.config.defaultModel = credentials.model;
+      }
+      if (Array.isArray(credentials.models)) {
+        this.config.models = [...credentials.models];
+      }
+      this.isInitialized = true;
+      return true;
+    } catch (error) {
+      console.error("Failed to initialize OpenAI-compatible backend:", error);
+      this.isInitialized = false;
+      return false;
+    }
+  }
+
+  /**
+   * Check if the backend is properly configured and ready to use
+   * @returns {boolean} True if ready
+   */
+  isReady() {
+    return this.isInitialized && !!this.config.apiUrl;
+  }
+
+  /**
+   * Send a prompt and get a response
+   * @param {AIPrompt} prompt - The prompt to send
+   * @returns {Promise<AIResponse>} The AI response
+   */
+  async sendPrompt(prompt) {
+    return await this.sendConversation([prompt]);
+  }
+
+  /**
+   * Send multiple prompts in a conversation context
+   * @param {Array<AIPrompt>} prompts - Array of prompts in conversation order
+   * @param {Object} options - Optional request configuration
+   * @param {AbortSignal} options.signal - Signal that cancels the in-flight request
+   * @returns {Promise<AIResponse>} The AI response to the conversation
+   */
+  async sendConversation(prompts, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.isReady()) {
+        throw new Error("OpenAI-compatible backend not initialized");
+      }
+
+      if (!prompts || prompts.length === 0) {
+        throw new Error("No prompts provided for conversation");
+      }
+
+      const lastPrompt = prompts[prompts.length - 1];
+      const model = lastPrompt.model || this.getDefaultModel();
+      const requestId = this._generateRequestId();
+
+      const requestBody = {
+        model,
+        messages: prompts.map((prompt) => ({
+          role: this._convertRole(prompt.role),
+          content: prompt.content,
+        })),
+        temperature: lastPrompt.temperature,
+        max_tokens: lastPrompt.maxTokens,
+        stream: false,
+      };
+
+      const response = await this._makeAPIRequest(requestBody, options.signal);
+      const processingTime = Date.now() - startTime;
+
+      if (!response.choices || response.choices.length === 0) {
+        throw new Error("No response generated by the model");
+      }
+
+      const choice = response.choices[0];
+      const content = choice.message?.content || "";
+
+      if (!content && choice.finish_reason === "length") {
+        throw new Error(
+          "Response was truncated due to maximum token limit. Please try a shorter prompt or increase max tokens."
+        );
+      }
+
+      return AIResponse.createSuccess(content, {
+        model: response.model || model,
+        tokensUsed: response.usage?.total_tokens || 0,
+        processingTimeMs: processingTime,
+        provider: this.name,
+        requestId: response.id || requestId,
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      console.error(
+        "Error sending conversation to OpenAI-compatible API:",
+        error
+      );
+
+      return AIResponse.createError(error.message, {
+        model: prompts?.[prompts.length - 1]?.model || this.getDefaultModel(),
+        tokensUsed: 0,
+        processingTimeMs: processingTime,
+        provider: this.name,
+        requestId: this._generateRequestId(),
+        createdAt: new Date(),
+      });
+    }
+  }
+
+  /**
+   * Get available models for this backend
+   * @returns {Array<string>} Array of configured model names
+   */
+  getAvailableModels() {
+    return [...(this.config.models || [])];
+  }
+
+  /**
+   * Get the default model
+   * @returns {string} Default model name
+   */
+  getDefaultModel() {
+    return this.config.defaultModel;
+  }
+
+  /**
+   * Validate credentials. The API key is optional because local servers
+   * usually run without authentication; the base URL is required.
+   * @param {Object} credentials - Credentials to validate
+   * @returns {boolean} True if credentials are valid format
+   */
+  validateCredentials(credentials) {
+    if (!credentials || typeof credentials.baseUrl !== "string") {
+      return false;
+    }
+    if (
+      credentials.apiKey !== undefined &&
+      typeof credentials.apiKey !== "string"
+    ) {
+      return false;
+    }
+    try {
+      const url = new URL(credentials.baseUrl);
+      return url.protocol === "http:" || url.protocol === "https:";
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Make a chat completions request
+   * @private
+   * @param {Object} requestBody - Request body
+   * @param {AbortSignal} signal - Optional signal that cancels the request
+   * @returns {Promise<Object>} API response
+   */
+  async _makeAPIRequest(requestBody, signal) {
+    const url = `${this.config.apiUrl}/chat/completions`;
+
+    const headers = {
+      "Content-Type": "application/json",
+    };
+    if (this.apiKey && this.apiKey.trim()) {
+      headers.Authorization = `Bearer ${this.apiKey.trim()}`;
+    }
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(requestBody),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorMessage = errorText;
+      try {
+        errorMessage = this._parseOpenAIError(JSON.parse(errorText));
+      } catch (parseError) {
+        // Not JSON, keep the raw text
+      }
+      throw new Error(
+        `OpenAI-compatible API error (${response.status}): ${errorMessage}`
+      );
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Convert our role format to the chat completions role format
+   * @private
+   * @param {string} role - Our role format
+   * @returns {string} Chat completions role
+   */
+  _convertRole(role) {
+    const roleMap = {
+      user: "user",
+      assistant: "assistant",
+      system: "system",
+    };
+
+    return roleMap[role] || "user";
+  }
+
+  /**
+   * Generate a unique request ID
+   * @private
+   * @returns {string} Unique request ID
+   */
+  _generateRequestId() {
+    return `openai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Parse an OpenAI-style error body and extract a meaningful message
+   * @private
+   * @param {Object} errorData - Error response from API
+   * @returns {string} Formatted error message
+   */
+  _parseOpenAIError(errorData) {
+    const error = errorData?.error;
+    if (!error) {
+      return "Unknown OpenAI-compatible API error";
+    }
+
+    if (typeof error === "string") {
+      return error;
+    }
+
+    if (error.code === "invalid_api_key") {
+      return "Invalid API key. Please check your API key.";
+    }
+    if (error.code === "model_not_found") {
+      return "Model not found on the server. Please check the model list.";
+    }
+    if (error.type === "insufficient_quota") {
+      return "API quota exceeded. Please check your usage limits.";
+    }
+
+    return error.message || `Error ${error.code || error.type}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OpenAIBackend;
+} else {
+  window.OpenAIBackend = OpenAIBackend;
+}
@@ -0,0 +1,199 @@
+/**
+ * Repository for OpenAI-compatible AI settings storage operations
+ * Handles Chrome storage API interactions for OpenAI-compatible endpoint configuration
+ */
+class OpenAISettingsRepository {
+  constructor() {
+    this.storageKey = "webVibesOpenAISettings";
+  }
+
+  /**
+   * Get OpenAI settings from storage
+   * @returns {Promise<OpenAISettings>} The stored OpenAI settings
+   */
+  async getOpenAISettings() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      const data = result[this.storageKey];
+
+      if (!data) {
+        return OpenAISettings.getDefaults();
+      }
+
+      if (!OpenAISettings.isValid(data)) {
+        console.warn("Invalid OpenAI settings data found, using defaults");
+        return OpenAISettings.getDefaults();
+      }
+
+      return OpenAISettings.fromJSON(data);
+    } catch (error) {
+      console.error("Error getting OpenAI settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save OpenAI settings to storage
+   * @param {OpenAISettings} settings - The OpenAI settings to save
+   * @returns {Promise<OpenAISettings>} The saved settings
+   */
+  async saveOpenAISettings(settings) {
+    try {
+      if (!(settings instanceof OpenAISettings)) {
+        throw new Error("Invalid OpenAISettings instance");
+      }
+
+      await chrome.storage.local.set({
+        [this.storageKey]: settings.toJSON(),
+      });
+
+      return settings;
+    } catch (error) {
+      console.error("Error saving OpenAI settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete OpenAI settings from storage
+   * @returns {Promise<void>}
+   */
+  async deleteOpenAISettings() {
+    try {
+      await chrome.storage.local.remove([this.storageKey]);
+    } catch (error) {
+      console.error("Error deleting OpenAI settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if OpenAI settings exist in storage
+   * @returns {Promise<boolean>} True if settings exist
+   */
+  async hasOpenAISettings() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return !!result[this.storageKey];
+    } catch (error) {
+      console.error("Error checking OpenAI settings existence:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get storage usage information for OpenAI settings
+   * @returns {Promise<Object>} Storage usage information
+   */
+  async getStorageInfo() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      const data = result[this.storageKey];
+
+      if (!data) {
+        return {
+          exists: false,
+          size: 0,
+          lastModified: null,
+        };
+      }
+
+      const dataString = JSON.stringify(data);
+      const sizeInBytes = new Blob([dataString]).size;
+
+      return {
+        exists: true,
+        size: sizeInBytes,
+        sizeInKB: (sizeInBytes / 1024).toFixed(2),
+        lastModified: data.updatedAt ? new Date(data.updatedAt) : null,
+      };
+    } catch (error) {
+      console.error("Error getting OpenAI settings storage info:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset OpenAI settings to defaults
+   * @returns {Promise<OpenAISettings>} The default settings
+   */
+  async resetToDefaults() {
+    try {
+      const defaultSettings = OpenAISettings.getDefaults();
+      await this.saveOpenAISettings(defaultSettings);
+      return defaultSettings;
+    } catch (error) {
+      console.error("Error resetting OpenAI settings to defaults:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update specific OpenAI setting fields
+   * @param {Object} updates - Object containing field updates
+   * @returns {Promise<OpenAISettings>} The updated settings
+   */
+  async updateOpenAISettings(updates) {
+    try {
+      const currentSettings = await this.getOpenAISettings();
+
+      // Apply updates
+      for (const [key, value] of Object.entries(updates)) {
+        if (currentSettings.hasOwnProperty(key)) {
+          currentSettings[key] = value;
+        }
+      }
+
+      currentSettings.updatedAt = new Date();
+
+      await this.saveOpenAISettings(currentSettings);
+      return currentSettings;
+    } catch (error) {
+      console.error("Error updating OpenAI settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export OpenAI settings as JSON string
+   * @returns {Promise<string>} JSON string representation
+   */
+  async exportSettings() {
+    try {
+      const settings = await this.getOpenAISettings();
+      return JSON.stringify(settings.toJSON(), null, 2);
+    } catch (error) {
+      console.error("Error exporting OpenAI settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import OpenAI settings from JSON string
+   * @param {string} jsonString - JSON string to import
+   * @returns {Promise<OpenAISettings>} The imported settings
+   */
+  async importSettings(jsonString) {
+    try {
+      const data = JSON.parse(jsonString);
+
+      if (!OpenAISettings.isValid(data)) {
+        throw new Error("Invalid OpenAI settings data format");
+      }
+
+      const settings = OpenAISettings.fromJSON(data);
+      await this.saveOpenAISettings(settings);
+      return settings;
+    } catch (error) {
+      console.error("Error importing OpenAI settings:", error);
+      throw error;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OpenAISettingsRepository;
+} else {
+  window.OpenAISettingsRepository = OpenAISettingsRepository;
+} 
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ * Service for OpenAI-compatible AI settings business logic
+ * Handles operations that combine model and repository functionality
+ */
+class OpenAISettingsService {
+  constructor(openAISettingsRepository) {
+    if (!openAISettingsRepository) {
+      throw new Error("OpenAISettingsRepository is required");
+    }
+    this.repository = openAISettingsRepository;
+  }
+
+  /**
+   * Get all OpenAI-compatible settings
+   * @returns {Promise<OpenAISettings>} The current settings
+   */
+  async getAllSettings() {
+    return await this.repository.getOpenAISettings();
+  }
+
+  /**
+   * Update the API key
+   * @param {string} apiKey - The new API key
+   * @returns {Promise<OpenAISettings>} The updated settings
+   */
+  async setApiKey(apiKey) {
+    const settings = await this.repository.getOpenAISettings();
+    settings.setApiKey(apiKey);
+    return await this.repository.saveOpenAISettings(settings);
+  }
+
+  /**
+   * Update the server base URL
+   * @param {string} baseUrl - The new base URL
+   * @returns {Promise<OpenAISettings>} The updated settings
+   */
+  async setBaseUrl(baseUrl) {
+    const settings = await this.repository.getOpenAISettings();
+    settings.setBaseUrl(baseUrl);
+    return await this.repository.saveOpenAISettings(settings);
+  }
+
+  /**
+   * Update the model selection
+   * @param {string} model - The model identifier
+   * @returns {Promise<OpenAISettings>} The updated settings
+   */
+  async setModel(model) {
+    const settings = await this.repository.getOpenAISettings();
+    settings.setModel(model);
+    return await this.repository.saveOpenAISettings(settings);
+  }
+
+  /**
+   * Replace the configured model list
+   * @param {Array<string>} models - Model identifiers
+   * @returns {Promise<OpenAISettings>} The updated settings
+   */
+  async setModels(models) {
+    const settings = await this.repository.getOpenAISettings();
+    settings.setModels(models);
+    return await this.repository.saveOpenAISettings(settings);
+  }
+
+  /**
+   * Check if the endpoint is properly configured
+   * @returns {Promise<boolean>} True if configured
+   */
+  async isConfigured() {
+    const settings = await this.repository.getOpenAISettings();
+    return settings.isConfigured();
+  }
+
+  /**
+   * Reset settings to defaults
+   * @returns {Promise<OpenAISettings>} The default settings
+   */
+  async resetToDefaults() {
+    return await this.repository.resetToDefaults();
+  }
+
+  /**
+   * Get available models for selection
+   * @returns {Promise<Object>} Available models keyed by identifier
+   */
+  async getAvailableModels() {
+    const settings = await this.repository.getOpenAISettings();
+    return settings.getAvailableModels();
+  }
+
+  /**
+   * Get current model information
+   * @returns {Promise<Object>} Current model data
+   */
+  async getCurrentModelInfo() {
+    const settings = await this.repository.getOpenAISettings();
+    return settings.getCurrentModelData();
+  }
+
+  /**
+   * Fetch the model list from the server's /models endpoint and store it
+   * @returns {Promise<Array<string>>} Model identifiers reported by the server
+   */
+  async refreshModelsFromServer() {
+    const settings = await this.repository.getOpenAISettings();
+    const headers = {};
+    if (settings.apiKey && settings.apiKey.trim()) {
+      headers.Authorization = `Bearer ${settings.apiKey.trim()}`;
+    }
+
+    const response = await fetch(`${settings.baseUrl}/models`, { headers });
+    if (!response.ok) {
+      throw new Error(
+        `Failed to list models (${response.status}): ${await response.text()}`
+      );
+    }
+
+    const data = await response.json();
+    const models = (data.data || data.models || [])
+      .map((entry) => (typeof entry === "string" ? entry : entry.id))
+      .filter(Boolean);
+
+    if (models.length === 0) {
+      throw new Error("Server did not report any models");
+    }
+
+    settings.setModels(models);
+    await this.repository.saveOpenAISettings(settings);
+    return settings.models;
+  }
+
+  /**
+   * Get settings summary for display
+   * @returns {Promise<Object>} Summary of current settings
+   */
+  async getSettingsSummary() {
+    const settings = await this.repository.getOpenAISettings();
+    const modelInfo = settings.getCurrentModelData();
+
+    return {
+      isConfigured: settings.isConfigured(),
+      baseUrl: settings.baseUrl,
+      model: {
+        key: settings.model,
+        name: modelInfo.name,
+        description: modelInfo.description,
+      },
+      lastUpdated: settings.updatedAt,
+    };
+  }
+
+  /**
+   * Export settings for backup
+   * @returns {Promise<string>} JSON string of settings
+   */
+  async exportSettings() {
+    return await this.repository.exportSettings();
+  }
+
+  /**
+   * Import settings from backup
+   * @param {string} jsonString - JSON string of settings
+   * @returns {Promise<OpenAISettings>} The imported settings
+   */
+  async importSettings(jsonString) {
+    return await this.repository.importSettings(jsonString);
+  }
+
+  /**
+   * Get storage information
+   * @returns {Promise<Object>} Storage usage information
+   */
+  async getStorageInfo() {
+    return await this.repository.getStorageInfo();
+  }
+
+  /**
+   * Set all OpenAI-compatible settings fields from a credentials/settings object
+   * @param {Object} data - Object with any OpenAISettings fields
+   * @returns {Promise<OpenAISettings>} The updated settings
+   */
+  async setAll(data) {
+    const settings = await this.repository.getOpenAISettings();
+    if (data.apiKey !== undefined) settings.setApiKey(data.apiKey);
+    if (data.baseUrl !== undefined) settings.setBaseUrl(data.baseUrl);
+    if (data.models !== undefined) settings.setModels(data.models);
+    if (data.model !== undefined) settings.setModel(data.model);
+    return await this.repository.saveOpenAISettings(settings);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OpenAISettingsService;
+} else {
+  window.OpenAISettingsService = OpenAISettingsService;
+}
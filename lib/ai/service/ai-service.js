@@ -139,6 +139,66 @@ class AIService {
     }
   }
 
+  /**
+   * Stream a conversation from the current AI provider, reporting partial text
+   * through options.onDelta. Providers without streaming report the full text once.
+   * @param {Array<string|AIPrompt>} prompts - Array of prompts
+   * @param {Object} options - Request options
+   * @param {Array<Object>} options.tools - Tool metadata, only for providers with native tool use
+   * @param {Function} options.onDelta - Called with each new chunk of response text
+   * @param {AbortSignal} options.signal - Signal that cancels the in-flight request
+   * @returns {Promise<AIResponse>} The complete AI response
+   */
+  async streamConversation(prompts, options = {}) {
+    try {
+      if (!this.isReady()) {
+        throw new Error("AI service not initialized or no provider configured");
+      }
+
+      if (!prompts || prompts.length === 0) {
+        throw new Error("No prompts provided for conversation");
+      }
+
+      if (options.tools && !this.supportsNativeTools()) {
+        throw new Error("Current AI provider does not support native tool use");
+      }
+
+      // Convert string prompts to AIPrompt instances
+      const promptObjects = prompts
+        .filter((prompt) => !!prompt)
+        .map((prompt) =>
+          typeof prompt === "string" ? AIPrompt.createUserPrompt(prompt) : prompt
+        );
+
+      return await this.currentBackend.streamConversation(
+        promptObjects,
+        options
+      );
+    } catch (error) {
+      console.error("Error streaming conversation:", error);
+      return AIResponse.createError(error.message, {
+        provider: this.currentBackend?.getName() || "unknown",
+        createdAt: new Date(),
+      });
+    }
+  }
+
+  /**
+   * Check if the current AI provider supports native tool calls
+   * @returns {boolean} True if native tool use is available
+   */
+  supportsNativeTools() {
+    return !!this.isReady() && this.currentBackend.supportsNativeTools();
+  }
+
+  /**
+   * Check if the current AI provider can see images sent with prompts
+   * @returns {boolean} True if image input is available
+   */
+  supportsImages() {
+    return !!this.isReady() && this.currentBackend.supportsImages();
+  }
+
   /**
    * Send a system prompt followed by a user prompt
    * @param {string} systemPrompt - System/context prompt
@@ -261,9 +321,13 @@ class AIService {
     // Register Gemini backend
     this.backends.set("Gemini", new GeminiBackend());
 
+    // Register OpenAI-compatible backend (OpenAI, llama.cpp, Ollama, vLLM, ...)
+    this.backends.set("OpenAI", new OpenAIBackend());
+
+    // Register Anthropic Messages API backend (native tool use)
+    this.backends.set("Anthropic", new AnthropicBackend());
+
     // Additional backends can be registered here in the future
-    // this.backends.set("OpenAI", new OpenAIBackend());
-    // this.backends.set("Claude", new ClaudeBackend());
   }
 
   /**
@@ -0,0 +1,188 @@
+/**
+ * Data model for a full backup of the extension's data
+ * Holds the stored data of each backed-up section as it is kept in
+ * chrome.storage.local, keyed by storage key
+ */
+class Backup {
+  constructor(
+    data,
+    sections = Backup.DEFAULT_SECTIONS,
+    createdAt = new Date(),
+    formatVersion = Backup.FORMAT_VERSION
+  ) {
+    this.data = data;
+    this.sections = sections;
+    this.createdAt = createdAt;
+    this.formatVersion = formatVersion;
+  }
+
+  /**
+   * Marker that identifies a backup file
+   * @returns {string}
+   */
+  static get FORMAT() {
+    return "web-vibes-backup";
+  }
+
+  /**
+   * Version of the backup format written by this release
+   * @returns {number}
+   */
+  static get FORMAT_VERSION() {
+    return 1;
+  }
+
+  /**
+   * Parts of the extension's data a backup can hold, with the storage keys
+   * each part is kept under.
+   * @returns {Object} Map of section name to {name, keys}
+   */
+  static get SECTIONS() {
+    return {
+      vibes: { name: "Vibes for every site", keys: ["webVibesHacks"] },
+      siteSettings: {
+        name: "Per-site CSP and service worker settings",
+        keys: ["csp_settings"],
+      },
+      settings: { name: "General settings", keys: ["webVibesSettings"] },
+      chatSessions: { name: "Chat sessions", keys: ["webVibesChatSessions"] },
+      aiCredentials: {
+        name: "AI provider settings and API keys",
+        keys: [
+          "webVibesGeminiSettings",
+          "webVibesOpenAISettings",
+          "webVibesAnthropicSettings",
+        ],
+      },
+    };
+  }
+
+  /**
+   * Sections included unless chosen otherwise
+   * Chat sessions can be large and API keys are secrets, so both are opt-in.
+   * @returns {string[]} Section names
+   */
+  static get DEFAULT_SECTIONS() {
+    return ["vibes", "siteSettings", "settings"];
+  }
+
+  /**
+   * Check whether a value is a known section name
+   * @param {string} section - The value to check
+   * @returns {boolean} True if valid
+   */
+  static isValidSection(section) {
+    return Object.prototype.hasOwnProperty.call(Backup.SECTIONS, section);
+  }
+
+  /**
+   * Storage keys covered by a list of sections
+   * @param {string[]} sections - Section names
+   * @returns {string[]} Storage keys
+   */
+  static getStorageKeys(sections) {
+    return sections.flatMap((section) => Backup.SECTIONS[section].keys);
+  }
+
+  /**
+   * Check whether the backup holds a section
+   * @param {string} section - Section name
+   * @returns {boolean} True if the section was backed up
+   */
+  includes(section) {
+    return this.sections.includes(section);
+  }
+
+  /**
+   * Count what the backup holds, for display before restoring
+   * @returns {Object} {sites, vibes, siteSettings, chatSessions}
+   */
+  getSummary() {
+    const [hacksKey] = Backup.SECTIONS.vibes.keys;
+    const [cspKey] = Backup.SECTIONS.siteSettings.keys;
+    const [sessionsKey] = Backup.SECTIONS.chatSessions.keys;
+    const countLists = (map) =>
+      Object.values(map || {}).reduce(
+        (total, list) => total + (Array.isArray(list) ? list.length : 0),
+        0
+      );
+
+    return {
+      // The "*" scope holds global vibes rather than a site
+      sites: Object.keys(this.data[hacksKey] || {}).filter(
+        (hostname) => hostname !== "*"
+      ).length,
+      vibes: countLists(this.data[hacksKey]),
+      siteSettings: Object.keys(this.data[cspKey] || {}).length,
+      chatSessions: countLists(this.data[sessionsKey]),
+    };
+  }
+
+  /**
+   * Convert the backup to a plain object for the backup file
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      format: Backup.FORMAT,
+      formatVersion: this.formatVersion,
+      createdAt: this.createdAt ? this.createdAt.toISOString() : null,
+      sections: [...this.sections],
+      data: this.data,
+    };
+  }
+
+  /**
+   * Read a backup from the parsed contents of a backup file
+   * Only the storage keys of the listed sections are kept.
+   * @param {Object} data - Parsed file contents
+   * @returns {Backup} The backup
+   * @throws {Error} If the data is not a backup or needs a newer release
+   */
+  static fromJSON(data) {
+    if (!data || data.format !== Backup.FORMAT) {
+      throw new Error("This is not a Web Vibes backup file");
+    }
+    if (
+      !Number.isInteger(data.formatVersion) ||
+      data.formatVersion > Backup.FORMAT_VERSION
+    ) {
+      throw new Error(
+        `This backup uses format version ${data.formatVersion}; update Web Vibes to restore it`
+      );
+    }
+    if (
+      !Array.isArray(data.sections) ||
+      !data.data ||
+      typeof data.data !== "object"
+    ) {
+      throw new Error("The backup file is damaged");
+    }
+
+    const sections = data.sections.filter((section) =>
+      Backup.isValidSection(section)
+    );
+    const stored = {};
+    Backup.getStorageKeys(sections).forEach((key) => {
+      if (data.data[key] !== undefined) {
+        stored[key] = data.data[key];
+      }
+    });
+
+    const createdAt = new Date(data.createdAt);
+    return new Backup(
+      stored,
+      sections,
+      isNaN(createdAt) ? null : createdAt,
+      data.formatVersion
+    );
+  }
+}
+
+// Export for use in other modules; the service worker loads this file with
+// importScripts, where the class is already global
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Backup;
+} else if (typeof window !== "undefined") {
+  window.Backup = Backup;
+}
@@ -0,0 +1,98 @@
+/**
+ * Repository for backup storage operations
+ * Reads and writes the stored data of backed-up sections as-is, and keeps
+ * the schedule for automatic backups
+ */
+class BackupRepository {
+  constructor() {
+    this.storageKey = "webVibesBackupSchedule";
+  }
+
+  /**
+   * Read stored data
+   * @param {string[]} keys - Storage keys to read
+   * @returns {Promise<Object>} Map of storage key to stored value; missing
+   *   keys are left out
+   */
+  async getStoredData(keys) {
+    try {
+      return await chrome.storage.local.get(keys);
+    } catch (error) {
+      console.error("Error reading data for backup:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write stored data, replacing the current value of each key given
+   * @param {Object} data - Map of storage key to value
+   * @returns {Promise<void>}
+   */
+  async setStoredData(data) {
+    try {
+      await chrome.storage.local.set(data);
+    } catch (error) {
+      console.error("Error restoring backup data:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove stored data
+   * @param {string[]} keys - Storage keys to remove
+   * @returns {Promise<void>}
+   */
+  async removeStoredData(keys) {
+    try {
+      await chrome.storage.local.remove(keys);
+    } catch (error) {
+      console.error("Error clearing data for restore:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the automatic backup schedule
+   * @returns {Promise<Object>} {enabled, frequency, lastBackupAt, lastError};
+   *   lastBackupAt is an ISO date string or null
+   */
+  async getSchedule() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return {
+        enabled: false,
+        frequency: "weekly",
+        lastBackupAt: null,
+        lastError: null,
+        ...(result[this.storageKey] || {}),
+      };
+    } catch (error) {
+      console.error("Error loading backup schedule:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store changes to the automatic backup schedule
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} The updated schedule
+   */
+  async updateSchedule(updates) {
+    try {
+      const schedule = { ...(await this.getSchedule()), ...updates };
+      await chrome.storage.local.set({ [this.storageKey]: schedule });
+      return schedule;
+    } catch (error) {
+      console.error("Error saving backup schedule:", error);
+      throw error;
+    }
+  }
+}
+
+// Export for use in other modules; the service worker loads this file with
+// importScripts, where the class is already global
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BackupRepository;
+} else if (typeof window !== "undefined") {
+  window.BackupRepository = BackupRepository;
+}
@@ -0,0 +1,277 @@
+/**
+ * Service for backing up and restoring all of the extension's data
+ * Restores either replace the backed-up sections outright or merge the
+ * backup into what is already stored
+ */
+class BackupService {
+  constructor(backupRepository) {
+    if (!backupRepository) {
+      throw new Error("BackupRepository is required");
+    }
+    this.repository = backupRepository;
+  }
+
+  /**
+   * How a backup is restored
+   * REPLACE wipes each section the backup holds and writes the backup's copy.
+   * MERGE keeps everything stored here and adds what is missing: vibes and
+   * chat sessions by ID, site settings by hostname, and settings or API keys
+   * only where none are stored.
+   * @returns {Object} Map of restore mode constants to values
+   */
+  static get RESTORE_MODE() {
+    return {
+      MERGE: "merge",
+      REPLACE: "replace",
+    };
+  }
+
+  /**
+   * How often automatic backups are saved
+   * @returns {Object} Map of frequency to {name, minutes}
+   */
+  static get FREQUENCIES() {
+    return {
+      daily: { name: "Daily", minutes: 24 * 60 },
+      weekly: { name: "Weekly", minutes: 7 * 24 * 60 },
+    };
+  }
+
+  /**
+   * Folder inside the browser's download folder that backups are saved to
+   * @returns {string}
+   */
+  static get DOWNLOAD_FOLDER() {
+    return "web-vibes-backups";
+  }
+
+  /**
+   * Create a backup of the stored data
+   * @param {Object} [options] - Backup options
+   * @param {boolean} [options.includeChatSessions=false] - Back up chat sessions
+   * @param {boolean} [options.includeAICredentials=false] - Back up AI provider
+   *   settings, including API keys
+   * @returns {Promise<Backup>} The backup
+   */
+  async createBackup({
+    includeChatSessions = false,
+    includeAICredentials = false,
+  } = {}) {
+    const sections = [
+      ...Backup.DEFAULT_SECTIONS,
+      ...(includeChatSessions ? ["chatSessions"] : []),
+      ...(includeAICredentials ? ["aiCredentials"] : []),
+    ];
+    const data = await this.repository.getStoredData(
+      Backup.getStorageKeys(sections)
+    );
+    return new Backup(data, sections, new Date());
+  }
+
+  /**
+   * Read the contents of a backup file
+   * @param {string} text - File contents
+   * @returns {Backup} The backup
+   * @throws {Error} If the file is not a backup
+   */
+  readBackup(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON");
+    }
+    return Backup.fromJSON(data);
+  }
+
+  /**
+   * Restore a backup
+   * Sections the backup does not hold are left untouched in both modes.
+   * Vibes that are not valid are left out and reported.
+   * @param {Backup} backup - The backup to restore
+   * @param {string} mode - A RESTORE_MODE value
+   * @returns {Promise<{skipped: string[]}>} Descriptions of the vibes left out
+   */
+  async restoreBackup(backup, mode) {
+    if (!Object.values(BackupService.RESTORE_MODE).includes(mode)) {
+      throw new Error(`Invalid restore mode: ${mode}`);
+    }
+
+    const { data, skipped } = this._dropInvalidVibes(backup.data);
+    const keys = Backup.getStorageKeys(backup.sections);
+    if (mode === BackupService.RESTORE_MODE.REPLACE) {
+      await this.repository.removeStoredData(keys);
+      await this.repository.setStoredData(data);
+      return { skipped };
+    }
+
+    const stored = await this.repository.getStoredData(keys);
+    const merged = {};
+    Object.entries(data).forEach(([key, value]) => {
+      merged[key] = this._mergeStoredValue(key, stored[key], value);
+    });
+    await this.repository.setStoredData(merged);
+    return { skipped };
+  }
+
+  /**
+   * File name for a backup
+   * @param {Date} [date] - When the backup was made
+   * @returns {string} File name with the backup's date
+   */
+  getFileName(date = new Date()) {
+    return `web-vibes-backup-${date.toISOString().slice(0, 10)}.json`;
+  }
+
+  /**
+   * Get the automatic backup schedule
+   * @returns {Promise<Object>} {enabled, frequency, lastBackupAt, lastError}
+   */
+  async getSchedule() {
+    return await this.repository.getSchedule();
+  }
+
+  /**
+   * Turn automatic backups on or off
+   * The service worker picks up the change and sets its alarm.
+   * @param {boolean} enabled - Whether to back up automatically
+   * @param {string} [frequency] - A key of FREQUENCIES
+   * @returns {Promise<Object>} The updated schedule
+   */
+  async setSchedule(enabled, frequency) {
+    const updates = { enabled: !!enabled };
+    if (frequency !== undefined) {
+      if (!BackupService.FREQUENCIES[frequency]) {
+        throw new Error(`Invalid backup frequency: ${frequency}`);
+      }
+      updates.frequency = frequency;
+    }
+    return await this.repository.updateSchedule(updates);
+  }
+
+  /**
+   * Leave out the vibes in backed-up data that Web Vibes could not load
+   * @private
+   * @param {Object} data - Map of storage key to value from the backup
+   * @returns {{data: Object, skipped: string[]}} The data without invalid
+   *   vibes, and "name (site)" for each vibe left out
+   */
+  _dropInvalidVibes(data) {
+    const [hacksKey] = Backup.SECTIONS.vibes.keys;
+    const skipped = [];
+    if (!data[hacksKey]) {
+      return { data, skipped };
+    }
+
+    const sites = {};
+    Object.entries(data[hacksKey]).forEach(([scope, hacks]) => {
+      const site = scope === "*" ? "global" : scope;
+      if (!Array.isArray(hacks)) {
+        skipped.push(`All vibes (${site})`);
+        return;
+      }
+      sites[scope] = hacks.filter((hack) => {
+        // Vibes from before match patterns get them when first read
+        const valid =
+          Hack.isValid(hack) &&
+          (!hack.matchPatterns || UrlMatchPatterns.isValid(hack.matchPatterns));
+        if (!valid) {
+          console.warn("Skipping invalid hack data:", hack);
+          skipped.push(`${(hack && hack.name) || "Unnamed vibe"} (${site})`);
+        }
+        return valid;
+      });
+    });
+
+    return { data: { ...data, [hacksKey]: sites }, skipped };
+  }
+
+  /**
+   * Merge one stored value from a backup into the current one
+   * @private
+   * @param {string} key - Storage key
+   * @param {*} current - Value stored now, or undefined
+   * @param {*} incoming - Value from the backup
+   * @returns {*} Merged value
+   */
+  _mergeStoredValue(key, current, incoming) {
+    if (current === undefined || current === null) {
+      return incoming;
+    }
+
+    const [hacksKey] = Backup.SECTIONS.vibes.keys;
+    const [cspKey] = Backup.SECTIONS.siteSettings.keys;
+    const [sessionsKey] = Backup.SECTIONS.chatSessions.keys;
+
+    switch (key) {
+      case hacksKey: {
+        // Hack IDs are unique across sites, so a vibe moved to another site
+        // or to the global scope is not added a second time
+        const knownIds = new Set(
+          Object.values(current)
+            .flat()
+            .map((hack) => hack && hack.id)
+        );
+        return this._mergeLists(
+          current,
+          incoming,
+          (hack) => {
+            if (!hack || knownIds.has(hack.id)) return false;
+            knownIds.add(hack.id);
+            return true;
+          },
+          true
+        );
+      }
+      case sessionsKey: {
+        return this._mergeLists(current, incoming, (session, sessions) =>
+          !!session && !sessions.some((known) => known.id === session.id)
+        );
+      }
+      case cspKey:
+        return { ...incoming, ...current };
+      default:
+        // Settings and API keys stored here win over the backup's
+        return current;
+    }
+  }
+
+  /**
+   * Merge two maps of lists, appending entries the current lists lack
+   * @private
+   * @param {Object} current - Map of key to list stored now
+   * @param {Object} incoming - Map of key to list from the backup
+   * @param {Function} isNew - (entry, currentList) => true to add the entry
+   * @param {boolean} [rank=false] - Give added entries ranks after the
+   *   current list's, as vibes are ordered by rank
+   * @returns {Object} Merged map
+   */
+  _mergeLists(current, incoming, isNew, rank = false) {
+    const merged = { ...current };
+    Object.entries(incoming || {}).forEach(([key, entries]) => {
+      const list = [...(merged[key] || [])];
+      const highestRank = list.reduce(
+        (highest, entry) => Math.max(highest, (entry && entry.rank) || 0),
+        -1
+      );
+      let nextRank = highestRank + 1;
+
+      (Array.isArray(entries) ? entries : []).forEach((entry) => {
+        if (!isNew(entry, list)) return;
+        list.push(rank ? { ...entry, rank: nextRank++ } : entry);
+      });
+      if (list.length > 0) {
+        merged[key] = list;
+      }
+    });
+    return merged;
+  }
+}
+
+// Export for use in other modules; the service worker loads this file with
+// importScripts, where the class is already global
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BackupService;
+} else if (typeof window !== "undefined") {
+  window.BackupService = BackupService;
+}
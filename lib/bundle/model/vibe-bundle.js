@@ -0,0 +1,163 @@
+/**
+ * Data model for a shareable .groove file
+ * Holds exported vibes together with where they came from, who made them and
+ * an optional signature over that content
+ */
+class VibeBundle {
+  constructor(
+    vibes,
+    source = { hostname: "", patterns: [] },
+    author = "",
+    createdAt = new Date(),
+    signature = null,
+    formatVersion = VibeBundle.FORMAT_VERSION
+  ) {
+    this.vibes = vibes;
+    this.source = source;
+    this.author = author;
+    this.createdAt = createdAt;
+    this.signature = signature;
+    this.formatVersion = formatVersion;
+  }
+
+  /**
+   * Marker that identifies a bundle file
+   * @returns {string}
+   */
+  static get FORMAT() {
+    return "web-vibes-bundle";
+  }
+
+  /**
+   * Version of the bundle format written by this release
+   * Version 0 stands for the plain JSON files written before bundles existed.
+   * @returns {number}
+   */
+  static get FORMAT_VERSION() {
+    return 1;
+  }
+
+  /**
+   * Check whether the bundle predates the versioned format
+   * @returns {boolean} True for plain vibe lists
+   */
+  isLegacy() {
+    return this.formatVersion === 0;
+  }
+
+  /**
+   * The part of the bundle a signature covers: everything but the signature
+   * Keys are sorted at every level, so the text does not depend on the
+   * order in which a file happens to list them.
+   * @returns {string} Canonical JSON text
+   */
+  getSignedContent() {
+    const canonicalize = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(canonicalize);
+      }
+      if (value && typeof value === "object") {
+        return Object.keys(value)
+          .sort()
+          .reduce((sorted, key) => {
+            if (value[key] !== undefined) {
+              sorted[key] = canonicalize(value[key]);
+            }
+            return sorted;
+          }, {});
+      }
+      return value;
+    };
+
+    const { signature, ...content } = this.toJSON();
+    return JSON.stringify(canonicalize(content));
+  }
+
+  /**
+   * Convert the bundle to a plain object for the .groove file
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      format: VibeBundle.FORMAT,
+      formatVersion: this.formatVersion,
+      createdAt: this.createdAt ? this.createdAt.toISOString() : null,
+      author: this.author,
+      source: {
+        hostname: this.source.hostname,
+        patterns: [...this.source.patterns],
+      },
+      vibes: this.vibes,
+      signature: this.signature,
+    };
+  }
+
+  /**
+   * Read a bundle from the parsed contents of a .groove file
+   * Plain vibe arrays and {hacks: [...]} exports from before the bundle format
+   * are read as version 0 bundles without source, author, date or signature.
+   * @param {Array|Object} data - Parsed file contents
+   * @returns {VibeBundle} The bundle
+   * @throws {Error} If the data is not a bundle or needs a newer release
+   */
+  static fromJSON(data) {
+    if (Array.isArray(data)) {
+      return new VibeBundle(data, undefined, "", null, null, 0);
+    }
+    if (data && Array.isArray(data.hacks) && data.format === undefined) {
+      return new VibeBundle(data.hacks, undefined, "", null, null, 0);
+    }
+    if (!data || data.format !== VibeBundle.FORMAT) {
+      throw new Error("Invalid .groove file format");
+    }
+    if (
+      !Number.isInteger(data.formatVersion) ||
+      data.formatVersion > VibeBundle.FORMAT_VERSION
+    ) {
+      throw new Error(
+        `This .groove file uses format version ${data.formatVersion}; update Web Vibes to import it`
+      );
+    }
+    if (!Array.isArray(data.vibes)) {
+      throw new Error("Invalid .groove file format");
+    }
+
+    const createdAt = new Date(data.createdAt);
+    return new VibeBundle(
+      data.vibes,
+      {
+        hostname:
+          typeof data.source?.hostname === "string" ? data.source.hostname : "",
+        patterns: Array.isArray(data.source?.patterns)
+          ? data.source.patterns.filter((pattern) => typeof pattern === "string")
+          : [],
+      },
+      typeof data.author === "string" ? data.author : "",
+      isNaN(createdAt) ? null : createdAt,
+      VibeBundle.isValidSignature(data.signature) ? data.signature : null,
+      data.formatVersion
+    );
+  }
+
+  /**
+   * Check the shape of a signature
+   * @param {Object} signature - Signature data
+   * @returns {boolean} True if it has an algorithm, a public key and a value
+   */
+  static isValidSignature(signature) {
+    return !!(
+      signature &&
+      typeof signature.algorithm === "string" &&
+      signature.publicKey &&
+      typeof signature.publicKey === "object" &&
+      typeof signature.value === "string"
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = VibeBundle;
+} else {
+  window.VibeBundle = VibeBundle;
+}
@@ -0,0 +1,52 @@
+/**
+ * Repository for the identity used to sign exported vibe bundles
+ * Holds the author name and the signing key pair; the private key never
+ * leaves this browser's local storage.
+ */
+class BundleIdentityRepository {
+  constructor() {
+    this.storageKey = "webVibesBundleIdentity";
+  }
+
+  /**
+   * Load the stored identity
+   * @returns {Promise<Object>} {author, publicKey, privateKey}; keys are JWKs or null
+   */
+  async getIdentity() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return {
+        author: "",
+        publicKey: null,
+        privateKey: null,
+        ...(result[this.storageKey] || {}),
+      };
+    } catch (error) {
+      console.error("Error loading bundle identity:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store changes to the identity
+   * @param {Object} updates - Fields to change (author, publicKey, privateKey)
+   * @returns {Promise<Object>} The updated identity
+   */
+  async updateIdentity(updates) {
+    try {
+      const identity = { ...(await this.getIdentity()), ...updates };
+      await chrome.storage.local.set({ [this.storageKey]: identity });
+      return identity;
+    } catch (error) {
+      console.error("Error saving bundle identity:", error);
+      throw error;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BundleIdentityRepository;
+} else {
+  window.BundleIdentityRepository = BundleIdentityRepository;
+}
@@ -0,0 +1,346 @@
+/**
+ * Service for creating and reviewing shareable vibe bundles
+ * Signs exported bundles with a key kept in this browser, verifies signatures
+ * on import and lists what each imported vibe would be able to do
+ */
+class BundleService {
+  constructor(bundleIdentityRepository) {
+    if (!bundleIdentityRepository) {
+      throw new Error("BundleIdentityRepository is required");
+    }
+    this.repository = bundleIdentityRepository;
+  }
+
+  /**
+   * Signature algorithm written into signed bundles
+   * @returns {string}
+   */
+  static get SIGNATURE_ALGORITHM() {
+    return "ECDSA-P256-SHA256";
+  }
+
+  /**
+   * Code that can read private data, talk to other servers or run more code
+   * Shown as warnings on the import review screen.
+   * @returns {Array<Object>} {language, label, pattern, reason}
+   */
+  static get RISKY_APIS() {
+    return [
+      {
+        language: "js",
+        label: "fetch",
+        pattern: /\bfetch\s*\(/,
+        reason: "Sends requests to other servers",
+      },
+      {
+        language: "js",
+        label: "XMLHttpRequest",
+        pattern: /\bXMLHttpRequest\b/,
+        reason: "Sends requests to other servers",
+      },
+      {
+        language: "js",
+        label: "WebSocket / EventSource",
+        pattern: /\b(WebSocket|EventSource)\b/,
+        reason: "Opens a connection to another server",
+      },
+      {
+        language: "js",
+        label: "sendBeacon",
+        pattern: /\bsendBeacon\s*\(/,
+        reason: "Sends data to other servers",
+      },
+      {
+        language: "js",
+        label: "document.cookie",
+        pattern: /\bdocument\s*\.\s*cookie\b/,
+        reason: "Reads or changes the site's cookies, which can hold your login",
+      },
+      {
+        language: "js",
+        label: "localStorage / sessionStorage",
+        pattern: /\b(localStorage|sessionStorage)\b/,
+        reason: "Reads or changes data the site stores in your browser",
+      },
+      {
+        language: "js",
+        label: "indexedDB",
+        pattern: /\bindexedDB\b/,
+        reason: "Reads or changes data the site stores in your browser",
+      },
+      {
+        language: "js",
+        label: "eval / Function",
+        pattern: /\beval\s*\(|\bnew\s+Function\s*\(/,
+        reason: "Runs code that is not shown here",
+      },
+      {
+        language: "js",
+        label: "External scripts",
+        pattern: /createElement\s*\(\s*["'`]script["'`]|\bimport\s*\(/,
+        reason: "Loads code that is not shown here",
+      },
+      {
+        language: "js",
+        label: "Password fields",
+        pattern: /type\s*=\s*["'`]?password|\[type=["'`]?password/i,
+        reason: "Touches password fields",
+      },
+      {
+        language: "css",
+        label: "External resources",
+        pattern: /@import|url\(\s*["']?\s*(https?:)?\/\//i,
+        reason: "Loads files from other servers, which can tell them you visited",
+      },
+    ];
+  }
+
+  /**
+   * Get the author name used for the last export
+   * @returns {Promise<string>} Author name, or an empty string
+   */
+  async getAuthor() {
+    const identity = await this.repository.getIdentity();
+    return identity.author;
+  }
+
+  /**
+   * Create a bundle of vibes for export
+   * Revision history stays local; exported vibes carry only their current code.
+   * @param {Hack[]} hacks - Vibes to export
+   * @param {Object} options - Bundle options
+   * @param {string} options.hostname - Site the vibes are exported from
+   * @param {string} [options.author] - Author name; remembered for next time
+   * @param {boolean} [options.sign=true] - Whether to sign the bundle
+   * @returns {Promise<VibeBundle>} The bundle
+   */
+  async createBundle(hacks, { hostname, author = "", sign = true }) {
+    const vibes = hacks.map((hack) => {
+      const { revisions, ...data } = hack.toJSON();
+      return data;
+    });
+    const patterns = [
+      ...new Set(
+        vibes.flatMap((vibe) => vibe.matchPatterns?.include || [])
+      ),
+    ];
+
+    const trimmedAuthor = author.trim();
+    await this.repository.updateIdentity({ author: trimmedAuthor });
+
+    const bundle = new VibeBundle(
+      vibes,
+      { hostname: hostname || "", patterns },
+      trimmedAuthor,
+      new Date()
+    );
+    if (sign) {
+      bundle.signature = await this.sign(bundle);
+    }
+    return bundle;
+  }
+
+  /**
+   * Read and review the contents of a .groove file
+   * @param {string} text - File contents
+   * @returns {Promise<Object>} {bundle, verification, reviews, skipped}; skipped
+   *   counts entries that are not valid vibes
+   * @throws {Error} If the file is not a bundle
+   */
+  async readBundle(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON");
+    }
+
+    const bundle = VibeBundle.fromJSON(data);
+    const validVibes = bundle.vibes.filter((vibe) => Hack.isValid(vibe));
+
+    return {
+      bundle,
+      verification: await this.verify(bundle),
+      reviews: validVibes.map((vibe) => this.reviewVibe(vibe)),
+      skipped: bundle.vibes.length - validVibes.length,
+    };
+  }
+
+  /**
+   * Sign a bundle with this browser's key, creating the key on first use
+   * @param {VibeBundle} bundle - Bundle to sign
+   * @returns {Promise<Object>} Signature ({algorithm, publicKey, value})
+   */
+  async sign(bundle) {
+    const { publicKey, privateKey } = await this._getSigningKeys();
+    const key = await crypto.subtle.importKey(
+      "jwk",
+      privateKey,
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["sign"]
+    );
+    const value = await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      key,
+      new TextEncoder().encode(bundle.getSignedContent())
+    );
+
+    return {
+      algorithm: BundleService.SIGNATURE_ALGORITHM,
+      publicKey,
+      value: this._toBase64(value),
+    };
+  }
+
+  /**
+   * Check a bundle's signature
+   * A valid signature shows the content is unchanged since it was signed by
+   * the holder of the key; the fingerprint lets people recognise that key.
+   * @param {VibeBundle} bundle - Bundle to check
+   * @returns {Promise<Object>} {status, fingerprint, ownKey}; status is
+   *   "unsigned", "valid" or "invalid"
+   */
+  async verify(bundle) {
+    if (!bundle.signature) {
+      return { status: "unsigned", fingerprint: null, ownKey: false };
+    }
+
+    const { algorithm, publicKey, value } = bundle.signature;
+    let fingerprint = null;
+    try {
+      fingerprint = await this.getFingerprint(publicKey);
+      if (algorithm !== BundleService.SIGNATURE_ALGORITHM) {
+        return { status: "invalid", fingerprint, ownKey: false };
+      }
+
+      const key = await crypto.subtle.importKey(
+        "jwk",
+        publicKey,
+        { name: "ECDSA", namedCurve: "P-256" },
+        false,
+        ["verify"]
+      );
+      const valid = await crypto.subtle.verify(
+        { name: "ECDSA", hash: "SHA-256" },
+        key,
+        this._fromBase64(value),
+        new TextEncoder().encode(bundle.getSignedContent())
+      );
+
+      const identity = await this.repository.getIdentity();
+      const ownKey =
+        valid &&
+        !!identity.publicKey &&
+        (await this.getFingerprint(identity.publicKey)) === fingerprint;
+      return { status: valid ? "valid" : "invalid", fingerprint, ownKey };
+    } catch (error) {
+      console.warn("Could not verify bundle signature:", error);
+      return { status: "invalid", fingerprint, ownKey: false };
+    }
+  }
+
+  /**
+   * Short, readable identifier of a public key
+   * @param {Object} publicKey - Public key as a JWK
+   * @returns {Promise<string>} Four groups of four hex digits
+   */
+  async getFingerprint(publicKey) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(`${publicKey.crv}.${publicKey.x}.${publicKey.y}`)
+    );
+    const hex = Array.from(new Uint8Array(digest).slice(0, 8))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+    return hex.match(/.{4}/g).join(" ");
+  }
+
+  /**
+   * Describe what a vibe would do, for review before import
+   * @param {Object} vibe - Vibe data from a bundle
+   * @returns {Object} {vibe, sites, risks, hosts}
+   */
+  reviewVibe(vibe) {
+    const code = { css: vibe.cssCode || "", js: vibe.jsCode || "" };
+    const risks = BundleService.RISKY_APIS.filter(({ language, pattern }) =>
+      pattern.test(code[language])
+    ).map(({ language, label, reason }) => ({ language, label, reason }));
+
+    // Servers named in the code, which it may load from or send data to
+    const hosts = [
+      ...new Set(
+        [...`${code.css}\n${code.js}`.matchAll(/\b(?:https?|wss?):\/\/([\w.-]+)/g)]
+          .map((match) => match[1].toLowerCase())
+      ),
+    ];
+
+    return {
+      vibe,
+      sites: {
+        include: vibe.matchPatterns?.include || [],
+        exclude: vibe.matchPatterns?.exclude || [],
+        frameTarget: Hack.isValidFrameTarget(vibe.frameTarget)
+          ? vibe.frameTarget
+          : Hack.FRAME_TARGET.TOP,
+        framePatterns: vibe.framePatterns || [],
+      },
+      risks,
+      hosts,
+    };
+  }
+
+  /**
+   * Load the signing key pair, creating it on first use
+   * @private
+   * @returns {Promise<Object>} {publicKey, privateKey} as JWKs
+   */
+  async _getSigningKeys() {
+    const identity = await this.repository.getIdentity();
+    if (identity.publicKey && identity.privateKey) {
+      return identity;
+    }
+
+    const keyPair = await crypto.subtle.generateKey(
+      { name: "ECDSA", namedCurve: "P-256" },
+      true,
+      ["sign", "verify"]
+    );
+    const { kty, crv, x, y } = await crypto.subtle.exportKey(
+      "jwk",
+      keyPair.publicKey
+    );
+    const privateKey = await crypto.subtle.exportKey("jwk", keyPair.privateKey);
+    return await this.repository.updateIdentity({
+      publicKey: { kty, crv, x, y },
+      privateKey,
+    });
+  }
+
+  /**
+   * Encode bytes as base64
+   * @private
+   * @param {ArrayBuffer} buffer - Bytes to encode
+   * @returns {string} Base64 text
+   */
+  _toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  /**
+   * Decode base64 into bytes
+   * @private
+   * @param {string} text - Base64 text
+   * @returns {Uint8Array} Decoded bytes
+   */
+  _fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BundleService;
+} else {
+  window.BundleService = BundleService;
+}
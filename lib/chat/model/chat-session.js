@@ -0,0 +1,116 @@
+/**
+ * Data model for a saved AI chat session
+ * Stores one conversation about a vibe: the agentic conversation history
+ * (including tool calls and tool results) and the transcript shown in the chat view
+ */
+class ChatSession {
+  constructor(
+    id,
+    hackId,
+    name,
+    history = [],
+    transcript = [],
+    createdAt = new Date(),
+    updatedAt = new Date(),
+    renamed = false
+  ) {
+    this.id = id;
+    this.hackId = hackId;
+    this.name = name;
+    this.history = history;
+    this.transcript = transcript;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+    this.renamed = renamed;
+  }
+
+  /**
+   * Rename the session
+   * @param {string} name - The new session name
+   */
+  rename(name) {
+    if (!name || typeof name !== "string" || !name.trim()) {
+      throw new Error("Session name is required");
+    }
+    this.name = name.trim();
+    this.renamed = true;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Replace the stored conversation with the latest state
+   * @param {Array<Object>} history - Agentic conversation history entries
+   * @param {Array<Object>} transcript - Displayed chat messages ({role, content})
+   */
+  update(history, transcript) {
+    this.history = history.map((message) => ({ ...message }));
+    this.transcript = transcript.map((message) => ({ ...message }));
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Get the number of messages the user sees in this session
+   * @returns {number} Transcript message count
+   */
+  getMessageCount() {
+    return this.transcript.length;
+  }
+
+  /**
+   * Convert the session to a plain object for storage
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      hackId: this.hackId,
+      name: this.name,
+      history: this.history,
+      transcript: this.transcript,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString(),
+      renamed: this.renamed,
+    };
+  }
+
+  /**
+   * Create a ChatSession instance from stored data
+   * @param {Object} data - The stored session data
+   * @returns {ChatSession} New ChatSession instance
+   */
+  static fromJSON(data) {
+    return new ChatSession(
+      data.id,
+      data.hackId,
+      data.name,
+      Array.isArray(data.history) ? data.history : [],
+      Array.isArray(data.transcript) ? data.transcript : [],
+      data.createdAt ? new Date(data.createdAt) : new Date(),
+      data.updatedAt ? new Date(data.updatedAt) : new Date(),
+      !!data.renamed
+    );
+  }
+
+  /**
+   * Validate session data before creating instance
+   * @param {Object} data - The session data to validate
+   * @returns {boolean} True if valid
+   */
+  static isValid(data) {
+    return (
+      data &&
+      typeof data.id === "string" &&
+      typeof data.hackId === "string" &&
+      typeof data.name === "string" &&
+      (data.history === undefined || Array.isArray(data.history)) &&
+      (data.transcript === undefined || Array.isArray(data.transcript))
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChatSession;
+} else {
+  window.ChatSession = ChatSession;
+}
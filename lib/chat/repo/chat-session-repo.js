@@ -0,0 +1,151 @@
+/**
+ * Repository for managing saved chat sessions using Chrome's storage API
+ * Sessions are stored per vibe, keyed by hack ID
+ */
+class ChatSessionRepository {
+  constructor() {
+    this.storageKey = "webVibesChatSessions";
+  }
+
+  /**
+   * Load the raw hack-ID-keyed session map from storage
+   * @returns {Promise<Object>} Map of hack ID to stored session data
+   */
+  async getAllSessionsData() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return result[this.storageKey] || {};
+    } catch (error) {
+      console.error("Error loading chat sessions:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist the full session map
+   * @private
+   * @param {Object} allSessions - Map of hack ID to stored session data
+   */
+  async _saveAllSessionsData(allSessions) {
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: allSessions });
+    } catch (error) {
+      console.error("Error saving chat sessions:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all sessions for a vibe, most recently updated first
+   * @param {string} hackId - The hack ID
+   * @returns {Promise<ChatSession[]>} Sessions for the vibe
+   */
+  async getSessionsForHack(hackId) {
+    const allSessions = await this.getAllSessionsData();
+    return (allSessions[hackId] || [])
+      .filter((data) => ChatSession.isValid(data))
+      .map((data) => ChatSession.fromJSON(data))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Get a single session
+   * @param {string} hackId - The hack ID
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<ChatSession|null>} The session or null if not found
+   */
+  async getSession(hackId, sessionId) {
+    const sessions = await this.getSessionsForHack(hackId);
+    return sessions.find((session) => session.id === sessionId) || null;
+  }
+
+  /**
+   * Insert or replace a session
+   * @param {ChatSession} session - The session to save
+   * @returns {Promise<ChatSession>} The saved session
+   */
+  async saveSession(session) {
+    const allSessions = await this.getAllSessionsData();
+    const sessions = allSessions[session.hackId] || [];
+    const index = sessions.findIndex((data) => data.id === session.id);
+
+    if (index === -1) {
+      sessions.push(session.toJSON());
+    } else {
+      sessions[index] = session.toJSON();
+    }
+
+    allSessions[session.hackId] = sessions;
+    await this._saveAllSessionsData(allSessions);
+    return session;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} hackId - The hack ID
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<ChatSession[]>} Remaining sessions for the vibe
+   */
+  async deleteSession(hackId, sessionId) {
+    const allSessions = await this.getAllSessionsData();
+    const remaining = (allSessions[hackId] || []).filter(
+      (data) => data.id !== sessionId
+    );
+
+    if (remaining.length > 0) {
+      allSessions[hackId] = remaining;
+    } else {
+      delete allSessions[hackId];
+    }
+
+    await this._saveAllSessionsData(allSessions);
+    return await this.getSessionsForHack(hackId);
+  }
+
+  /**
+   * Delete all sessions for a vibe
+   * @param {string} hackId - The hack ID
+   */
+  async deleteSessionsForHack(hackId) {
+    const allSessions = await this.getAllSessionsData();
+    if (!allSessions[hackId]) return;
+
+    delete allSessions[hackId];
+    await this._saveAllSessionsData(allSessions);
+  }
+
+  /**
+   * Get storage usage information for chat sessions
+   * @returns {Promise<Object>} Storage usage stats
+   */
+  async getStorageInfo() {
+    try {
+      const bytesInUse = await chrome.storage.local.getBytesInUse([
+        this.storageKey,
+      ]);
+      const quota = chrome.storage.local.QUOTA_BYTES || 5242880; // 5MB default
+
+      return {
+        used: bytesInUse,
+        total: quota,
+        percentage: Math.round((bytesInUse / quota) * 100),
+        key: this.storageKey,
+      };
+    } catch (error) {
+      console.error("Error getting chat session storage info:", error);
+      return {
+        used: 0,
+        total: 5242880,
+        percentage: 0,
+        key: this.storageKey,
+      };
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChatSessionRepository;
+} else {
+  window.ChatSessionRepository = ChatSessionRepository;
+}
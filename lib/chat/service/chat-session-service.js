@@ -0,0 +1,177 @@
+/**
+ * Service for saved chat session business logic
+ * Creates, updates, renames, deletes and exports the conversations held for each vibe
+ */
+class ChatSessionService {
+  constructor(chatSessionRepository) {
+    if (!chatSessionRepository) {
+      throw new Error("ChatSessionRepository is required");
+    }
+    this.repository = chatSessionRepository;
+    this.maxSessionsPerHack = 25;
+  }
+
+  /**
+   * Get all sessions for a vibe, most recently updated first
+   * @param {string} hackId - The hack ID
+   * @returns {Promise<ChatSession[]>} Sessions for the vibe
+   */
+  async getSessionsForHack(hackId) {
+    return await this.repository.getSessionsForHack(hackId);
+  }
+
+  /**
+   * Get a single session
+   * @param {string} hackId - The hack ID
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<ChatSession|null>} The session or null if not found
+   */
+  async getSession(hackId, sessionId) {
+    return await this.repository.getSession(hackId, sessionId);
+  }
+
+  /**
+   * Create a new, empty session for a vibe. The session is not stored until
+   * it is saved with at least one message.
+   * @param {string} hackId - The hack ID
+   * @returns {ChatSession} The new session
+   */
+  createSession(hackId) {
+    if (!hackId) {
+      throw new Error("Hack ID is required to create a chat session");
+    }
+    return new ChatSession(this.generateSessionId(), hackId, "New chat");
+  }
+
+  /**
+   * Store the latest conversation state of a session.
+   * The first user message names the session until the user renames it.
+   * @param {ChatSession} session - The session to save
+   * @param {Array<Object>} history - Agentic conversation history entries
+   * @param {Array<Object>} transcript - Displayed chat messages ({role, content})
+   * @returns {Promise<ChatSession>} The saved session
+   */
+  async saveSession(session, history, transcript) {
+    session.update(history, transcript);
+
+    if (!session.renamed) {
+      session.name = this.generateSessionName(transcript, session.createdAt);
+    }
+
+    await this.repository.saveSession(session);
+    await this._pruneSessions(session.hackId);
+    return session;
+  }
+
+  /**
+   * Rename a stored session
+   * @param {string} hackId - The hack ID
+   * @param {string} sessionId - The session ID
+   * @param {string} name - The new name
+   * @returns {Promise<ChatSession>} The renamed session
+   */
+  async renameSession(hackId, sessionId, name) {
+    const session = await this.repository.getSession(hackId, sessionId);
+    if (!session) {
+      throw new Error("Chat session not found");
+    }
+    session.rename(name);
+    return await this.repository.saveSession(session);
+  }
+
+  /**
+   * Delete a stored session
+   * @param {string} hackId - The hack ID
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<ChatSession[]>} Remaining sessions for the vibe
+   */
+  async deleteSession(hackId, sessionId) {
+    return await this.repository.deleteSession(hackId, sessionId);
+  }
+
+  /**
+   * Delete all sessions for a vibe, e.g. when the vibe itself is deleted
+   * @param {string} hackId - The hack ID
+   */
+  async deleteSessionsForHack(hackId) {
+    await this.repository.deleteSessionsForHack(hackId);
+  }
+
+  /**
+   * Export a session as a JSON string, including tool calls and results
+   * @param {string} hackId - The hack ID
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<string>} JSON string of the session
+   */
+  async exportSession(hackId, sessionId) {
+    const session = await this.repository.getSession(hackId, sessionId);
+    if (!session) {
+      throw new Error("Chat session not found");
+    }
+    return JSON.stringify(
+      {
+        version: "1.0",
+        exportedAt: new Date().toISOString(),
+        session: session.toJSON(),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Build a session name from the first user message
+   * @param {Array<Object>} transcript - Displayed chat messages
+   * @param {Date} createdAt - Session creation time, used when there is no user message
+   * @returns {string} Session name
+   */
+  generateSessionName(transcript, createdAt) {
+    const firstUserMessage = transcript.find(
+      (message) => message.role === "user" && message.content.trim()
+    );
+    if (!firstUserMessage) {
+      return `Chat from ${createdAt.toLocaleString()}`;
+    }
+
+    const text = firstUserMessage.content.replace(/\s+/g, " ").trim();
+    return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+  }
+
+  /**
+   * Generate a unique session ID
+   * @returns {string} Unique session ID
+   */
+  generateSessionId() {
+    return (
+      "chat_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9)
+    );
+  }
+
+  /**
+   * Drop the oldest sessions of a vibe beyond the per-vibe limit
+   * @private
+   * @param {string} hackId - The hack ID
+   */
+  async _pruneSessions(hackId) {
+    const sessions = await this.repository.getSessionsForHack(hackId);
+    const expired = sessions.slice(this.maxSessionsPerHack);
+    for (const session of expired) {
+      await this.repository.deleteSession(hackId, session.id);
+    }
+  }
+
+  /**
+   * Get storage information
+   * @returns {Promise<Object>} Storage usage information
+   */
+  async getStorageInfo() {
+    return await this.repository.getStorageInfo();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChatSessionService;
+} else {
+  window.ChatSessionService = ChatSessionService;
+}
@@ -42,6 +42,12 @@ const PAGE_ANALYSIS_MESSAGES = {
 
   /** Search JavaScript content on the webpage */
   SEARCH_WEBSITE_JAVASCRIPT: "SEARCH_WEBSITE_JAVASCRIPT",
+
+  /** Snapshot computed styles and boxes of the elements a hack's CSS targets */
+  SNAPSHOT_ELEMENTS: "SNAPSHOT_ELEMENTS",
+
+  /** Fetch a page's external script files through the service worker */
+  FETCH_SCRIPT_SOURCES: "FETCH_SCRIPT_SOURCES",
 };
 
 /**
@@ -59,6 +65,9 @@ const ELEMENT_TARGETING_MESSAGES = {
 
   /** Element targeting was cancelled */
   TARGETING_CANCELLED: "TARGETING_CANCELLED",
+
+  /** Key pressed in the side panel while targeting (arrows, Enter, Esc) */
+  TARGETING_KEY_PRESSED: "TARGETING_KEY_PRESSED",
 };
 
 /**
@@ -0,0 +1,155 @@
+/**
+ * Data model for a single saved revision of a hack's code
+ * A revision is a snapshot of the CSS and JS after a change, with who made it
+ */
+class HackRevision {
+  constructor(
+    id,
+    cssCode = "",
+    jsCode = "",
+    author = HackRevision.AUTHOR_USER,
+    createdAt = new Date(),
+    message = ""
+  ) {
+    this.id = id;
+    this.cssCode = cssCode;
+    this.jsCode = jsCode;
+    this.author = author;
+    this.createdAt = createdAt;
+    this.message = message;
+  }
+
+  /**
+   * Author used for changes made by the user in the UI
+   * @returns {string} User author name
+   */
+  static get AUTHOR_USER() {
+    return "user";
+  }
+
+  /**
+   * Author used for the code a hack had before revisions were recorded
+   * @returns {string} Initial author name
+   */
+  static get AUTHOR_INITIAL() {
+    return "initial";
+  }
+
+  /**
+   * Author used for code that came from an imported .groove file
+   * @returns {string} Import author name
+   */
+  static get AUTHOR_IMPORT() {
+    return "import";
+  }
+
+  /**
+   * Author used for code that arrived from another device through sync
+   * @returns {string} Sync author name
+   */
+  static get AUTHOR_SYNC() {
+    return "sync";
+  }
+
+  /**
+   * Check whether this revision holds the given code
+   * @param {string} cssCode - CSS code to compare
+   * @param {string} jsCode - JS code to compare
+   * @returns {boolean} True if both CSS and JS are identical
+   */
+  hasSameCode(cssCode, jsCode) {
+    return this.cssCode === (cssCode || "") && this.jsCode === (jsCode || "");
+  }
+
+  /**
+   * Check whether the revision was made by an AI tool
+   * @returns {boolean} True if the author is not the user, an import or sync
+   */
+  isFromAI() {
+    return (
+      this.author !== HackRevision.AUTHOR_USER &&
+      this.author !== HackRevision.AUTHOR_INITIAL &&
+      this.author !== HackRevision.AUTHOR_IMPORT &&
+      this.author !== HackRevision.AUTHOR_SYNC
+    );
+  }
+
+  /**
+   * Convert the revision to a plain object for storage
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      cssCode: this.cssCode,
+      jsCode: this.jsCode,
+      author: this.author,
+      createdAt: this.createdAt.toISOString(),
+      message: this.message,
+    };
+  }
+
+  /**
+   * Create a HackRevision instance from stored data
+   * @param {Object} data - The stored revision data
+   * @returns {HackRevision} New HackRevision instance
+   */
+  static fromJSON(data) {
+    return new HackRevision(
+      data.id,
+      data.cssCode || "",
+      data.jsCode || "",
+      data.author || HackRevision.AUTHOR_USER,
+      data.createdAt ? new Date(data.createdAt) : new Date(),
+      data.message || ""
+    );
+  }
+
+  /**
+   * Create a snapshot of code with a fresh ID
+   * @param {string} cssCode - CSS code
+   * @param {string} jsCode - JS code
+   * @param {string} author - "user", "initial" or the AI tool name
+   * @param {string} [message] - Optional note, e.g. which revision was restored
+   * @returns {HackRevision} New revision
+   */
+  static create(cssCode, jsCode, author, message = "") {
+    return new HackRevision(
+      HackRevision.generateId(),
+      cssCode || "",
+      jsCode || "",
+      author,
+      new Date(),
+      message
+    );
+  }
+
+  /**
+   * Generate a unique revision ID
+   * @returns {string} Unique revision ID
+   */
+  static generateId() {
+    return "rev_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Validate revision data before creating instance
+   * @param {Object} data - The revision data to validate
+   * @returns {boolean} True if valid
+   */
+  static isValid(data) {
+    return (
+      data &&
+      typeof data.id === "string" &&
+      (data.cssCode === undefined || typeof data.cssCode === "string") &&
+      (data.jsCode === undefined || typeof data.jsCode === "string")
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HackRevision;
+} else {
+  window.HackRevision = HackRevision;
+}
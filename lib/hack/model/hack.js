@@ -12,7 +12,15 @@ class Hack {
     enabled = true,
     applyDelay = 0,
     createdAt = new Date(),
-    rank = 0
+    rank = 0,
+    matchPatterns = null,
+    revisions = [],
+    runAt = Hack.RUN_AT.DOCUMENT_IDLE,
+    rerunOnDomChange = false,
+    frameTarget = Hack.FRAME_TARGET.TOP,
+    framePatterns = [],
+    originId = null,
+    updatedAt = null
   ) {
     this.id = id;
     this.name = name;
@@ -23,6 +31,188 @@ class Hack {
     this.applyDelay = applyDelay;
     this.createdAt = createdAt;
     this.rank = rank;
+    this.matchPatterns = matchPatterns;
+    this.revisions = revisions;
+    this.runAt = runAt;
+    this.rerunOnDomChange = rerunOnDomChange;
+    this.frameTarget = frameTarget;
+    this.framePatterns = framePatterns;
+    // ID of the vibe this one was first created as, kept across export and
+    // import so a re-imported vibe can be recognised
+    this.originId = originId || id;
+    // Last change to anything but the revision history; used to settle
+    // edits made on two devices at once
+    this.updatedAt = updatedAt || createdAt;
+  }
+
+  /**
+   * When a saved hack is injected into a page.
+   * DOCUMENT_START inserts CSS before first paint; AFTER_DELAY waits applyDelay
+   * milliseconds after the page has loaded.
+   * @returns {Object} Map of run-at constants to stored values
+   */
+  static get RUN_AT() {
+    return {
+      DOCUMENT_START: "document_start",
+      DOCUMENT_END: "document_end",
+      DOCUMENT_IDLE: "document_idle",
+      AFTER_DELAY: "after_delay",
+    };
+  }
+
+  /**
+   * Which frames of a matched page a hack is injected into.
+   * MATCHING uses framePatterns (UrlMatchPatterns syntax) against each frame's URL.
+   * @returns {Object} Map of frame target constants to stored values
+   */
+  static get FRAME_TARGET() {
+    return {
+      TOP: "top",
+      ALL: "all",
+      MATCHING: "matching",
+    };
+  }
+
+  /**
+   * Check whether a value is a known frame target
+   * @param {string} frameTarget - The value to check
+   * @returns {boolean} True if valid
+   */
+  static isValidFrameTarget(frameTarget) {
+    return Object.values(Hack.FRAME_TARGET).includes(frameTarget);
+  }
+
+  /**
+   * Check whether a value is a known run-at timing
+   * @param {string} runAt - The value to check
+   * @returns {boolean} True if valid
+   */
+  static isValidRunAt(runAt) {
+    return Object.values(Hack.RUN_AT).includes(runAt);
+  }
+
+  /**
+   * Resolve the run-at timing for stored data.
+   * Hacks saved before the setting existed ran after load, waiting for any apply delay.
+   * @param {string} [runAt] - Stored run-at value
+   * @param {number} [applyDelay] - Stored apply delay in milliseconds
+   * @returns {string} A valid run-at value
+   */
+  static resolveRunAt(runAt, applyDelay) {
+    if (Hack.isValidRunAt(runAt)) {
+      return runAt;
+    }
+    return applyDelay > 0 ? Hack.RUN_AT.AFTER_DELAY : Hack.RUN_AT.DOCUMENT_IDLE;
+  }
+
+  /**
+   * Maximum number of revisions kept per hack; older ones are dropped
+   * @returns {number} Revision limit
+   */
+  static get MAX_REVISIONS() {
+    return 20;
+  }
+
+  /**
+   * Short hash of a vibe's code, used to recognise the same code on import
+   * Line endings and surrounding whitespace do not count.
+   * @param {string} cssCode - CSS code
+   * @param {string} jsCode - JavaScript code
+   * @returns {string} 32-bit FNV-1a hash as 8 hex digits
+   */
+  static getContentHash(cssCode, jsCode) {
+    const normalize = (code) => (code || "").replace(/\r\n?/g, "\n").trim();
+    const content = `${normalize(cssCode)}\u0000${normalize(jsCode)}`;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+      hash ^= content.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  /**
+   * Hash of this hack's current code
+   * @returns {string} Content hash
+   */
+  getContentHash() {
+    return Hack.getContentHash(this.cssCode, this.jsCode);
+  }
+
+  /**
+   * Check whether this hack should run on a URL
+   * @param {string|URL} url - The URL to test
+   * @returns {boolean} True if the hack's match patterns cover the URL
+   */
+  matchesUrl(url) {
+    return !!this.matchPatterns && this.matchPatterns.matches(url);
+  }
+
+  /**
+   * Check whether this hack should be injected into a frame of a matched page
+   * @param {number} frameId - The frame ID (0 is the top frame)
+   * @param {string} frameUrl - The frame's URL
+   * @returns {boolean} True if the hack targets the frame
+   */
+  targetsFrame(frameId, frameUrl) {
+    switch (this.frameTarget) {
+      case Hack.FRAME_TARGET.ALL:
+        return true;
+      case Hack.FRAME_TARGET.MATCHING:
+        return this.framePatterns.some((pattern) =>
+          UrlMatchPatterns.patternMatches(pattern, frameUrl)
+        );
+      default:
+        return frameId === 0;
+    }
+  }
+
+  /**
+   * Record the current CSS/JS as a new revision unless it matches the latest one
+   * @param {string} author - "user" or the name of the AI tool that made the change
+   * @param {string} [message] - Optional note shown in the revision browser
+   * @returns {HackRevision|null} The new revision, or null if nothing changed
+   */
+  recordRevision(author, message = "") {
+    const latest = this.getLatestRevision();
+    if (latest && latest.hasSameCode(this.cssCode, this.jsCode)) {
+      return null;
+    }
+
+    const revision = HackRevision.create(
+      this.cssCode,
+      this.jsCode,
+      author,
+      message
+    );
+    this.revisions.push(revision);
+
+    if (this.revisions.length > Hack.MAX_REVISIONS) {
+      this.revisions = this.revisions.slice(-Hack.MAX_REVISIONS);
+    }
+    return revision;
+  }
+
+  /**
+   * Get the most recent revision
+   * @returns {HackRevision|null} Latest revision or null if there are none
+   */
+  getLatestRevision() {
+    return this.revisions.length > 0
+      ? this.revisions[this.revisions.length - 1]
+      : null;
+  }
+
+  /**
+   * Find a revision by ID
+   * @param {string} revisionId - The revision ID
+   * @returns {HackRevision|null} The revision or null if not found
+   */
+  getRevision(revisionId) {
+    return (
+      this.revisions.find((revision) => revision.id === revisionId) || null
+    );
   }
 
   /**
@@ -47,6 +237,14 @@ class Hack {
       applyDelay: this.applyDelay,
       createdAt: this.createdAt.toISOString(),
       rank: this.rank,
+      matchPatterns: this.matchPatterns ? this.matchPatterns.toJSON() : null,
+      revisions: this.revisions.map((revision) => revision.toJSON()),
+      runAt: this.runAt,
+      rerunOnDomChange: this.rerunOnDomChange,
+      frameTarget: this.frameTarget,
+      framePatterns: [...this.framePatterns],
+      originId: this.originId,
+      updatedAt: this.updatedAt.toISOString(),
     };
   }
 
@@ -56,7 +254,7 @@ class Hack {
    * @returns {Hack} New Hack instance
    */
   static fromJSON(data) {
-    return new Hack(
+    const hack = new Hack(
       data.id,
       data.name,
       data.description,
@@ -65,8 +263,37 @@ class Hack {
       data.enabled,
       data.applyDelay || 0,
       new Date(data.createdAt),
-      data.rank || 0
+      data.rank || 0,
+      data.matchPatterns ? UrlMatchPatterns.fromJSON(data.matchPatterns) : null,
+      Array.isArray(data.revisions)
+        ? data.revisions
+            .filter((revision) => HackRevision.isValid(revision))
+            .map((revision) => HackRevision.fromJSON(revision))
+        : [],
+      Hack.resolveRunAt(data.runAt, data.applyDelay),
+      !!data.rerunOnDomChange,
+      Hack.isValidFrameTarget(data.frameTarget)
+        ? data.frameTarget
+        : Hack.FRAME_TARGET.TOP,
+      UrlMatchPatterns.normalizeList(data.framePatterns),
+      typeof data.originId === "string" ? data.originId : null,
+      data.updatedAt ? new Date(data.updatedAt) : null
     );
+
+    // Hacks saved before revision history existed start with their current code
+    if (hack.revisions.length === 0 && (hack.cssCode || hack.jsCode)) {
+      hack.revisions.push(
+        new HackRevision(
+          `rev_initial_${hack.id}`, // Stable until the revision is stored
+          hack.cssCode,
+          hack.jsCode,
+          HackRevision.AUTHOR_INITIAL,
+          hack.createdAt
+        )
+      );
+    }
+
+    return hack;
   }
 
   /**
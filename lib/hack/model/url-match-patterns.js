@@ -0,0 +1,314 @@
+/**
+ * Data model for the set of URL patterns a hack applies to
+ *
+ * Supported pattern syntax:
+ *   example.com              - exact host, any path
+ *   *.example.com            - example.com and any of its subdomains
+ *   example.com/dashboard    - path prefix (matches /dashboard and /dashboard/...)
+ *   example.com/docs*.html   - path glob, "*" matches any characters
+ *   https://example.com      - optional scheme ("*://" matches http and https)
+ *   /^https:\/\/.*\.dev\//i  - regular expression tested against the full URL
+ */
+class UrlMatchPatterns {
+  constructor(include = [], exclude = []) {
+    this.include = include;
+    this.exclude = exclude;
+  }
+
+  /**
+   * Check whether a URL is matched by these patterns.
+   * A URL matches when at least one include pattern matches and no exclude pattern does.
+   * @param {string|URL} url - The URL to test
+   * @returns {boolean} True if the URL matches
+   */
+  matches(url) {
+    const urlObj = UrlMatchPatterns.toURL(url);
+    if (!urlObj) return false;
+
+    const included = this.include.some((pattern) =>
+      UrlMatchPatterns.patternMatches(pattern, urlObj)
+    );
+    if (!included) return false;
+
+    return !this.exclude.some((pattern) =>
+      UrlMatchPatterns.patternMatches(pattern, urlObj)
+    );
+  }
+
+  /**
+   * Check whether these patterns are just the default pattern for a hostname
+   * @param {string} hostname - The hostname to compare against
+   * @returns {boolean} True if the only pattern is the bare hostname
+   */
+  isDefaultFor(hostname) {
+    return (
+      this.include.length === 1 &&
+      this.include[0] === hostname &&
+      this.exclude.length === 0
+    );
+  }
+
+  /**
+   * Check whether every include pattern names only one hostname
+   * Wildcard hosts, subdomain patterns and regular expressions may match
+   * other sites, so they do not count as staying on the hostname.
+   * @param {string} hostname - The hostname to compare against
+   * @returns {boolean} True if no URL on another host can match
+   */
+  staysOnHost(hostname) {
+    return this.include.every((pattern) => {
+      if (UrlMatchPatterns.parseRegex(pattern)) return false;
+      const { host } = UrlMatchPatterns.splitPattern(pattern);
+      return host.replace(/:\d+$/, "") === hostname.toLowerCase();
+    });
+  }
+
+  /**
+   * Convert the patterns to a plain object for storage
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      include: [...this.include],
+      exclude: [...this.exclude],
+    };
+  }
+
+  /**
+   * Create a UrlMatchPatterns instance from stored data
+   * @param {Object} data - The stored pattern data
+   * @returns {UrlMatchPatterns} New UrlMatchPatterns instance
+   */
+  static fromJSON(data) {
+    return new UrlMatchPatterns(
+      UrlMatchPatterns.normalizeList(data?.include),
+      UrlMatchPatterns.normalizeList(data?.exclude)
+    );
+  }
+
+  /**
+   * Create the default patterns for a hack saved on a hostname
+   * @param {string} hostname - The hostname the hack was created on
+   * @returns {UrlMatchPatterns} Patterns matching only that hostname
+   */
+  static forHostname(hostname) {
+    return new UrlMatchPatterns([hostname], []);
+  }
+
+  /**
+   * Create the default patterns for a global hack
+   * @returns {UrlMatchPatterns} Patterns matching every site
+   */
+  static forAllSites() {
+    return new UrlMatchPatterns(["*"], []);
+  }
+
+  /**
+   * Trim a list of patterns and drop empty entries
+   * @param {Array<string>} patterns - Raw pattern list
+   * @returns {Array<string>} Cleaned pattern list
+   */
+  static normalizeList(patterns) {
+    if (!Array.isArray(patterns)) return [];
+    return patterns
+      .filter((pattern) => typeof pattern === "string")
+      .map((pattern) => pattern.trim())
+      .filter((pattern) => pattern.length > 0);
+  }
+
+  /**
+   * Parse a URL string into a URL object
+   * @param {string|URL} url - The URL to parse
+   * @returns {URL|null} Parsed URL or null if invalid
+   */
+  static toURL(url) {
+    if (url instanceof URL) return url;
+    try {
+      return new URL(url);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a pattern string is syntactically valid
+   * @param {string} pattern - The pattern to validate
+   * @returns {boolean} True if valid
+   */
+  static isValidPattern(pattern) {
+    if (typeof pattern !== "string" || !pattern.trim()) return false;
+
+    const regexParts = UrlMatchPatterns.parseRegex(pattern.trim());
+    if (regexParts) {
+      try {
+        new RegExp(regexParts.source, regexParts.flags);
+        return true;
+      } catch {
+        return false;
+      }
+    }
+
+    const { host } = UrlMatchPatterns.splitPattern(pattern.trim());
+    return host.length > 0;
+  }
+
+  /**
+   * Test a single pattern against a URL
+   * @param {string} pattern - The pattern to test
+   * @param {string|URL} url - The URL to test against
+   * @returns {boolean} True if the pattern matches the URL
+   */
+  static patternMatches(pattern, url) {
+    const urlObj = UrlMatchPatterns.toURL(url);
+    if (!urlObj || typeof pattern !== "string") return false;
+
+    const trimmed = pattern.trim();
+    if (!trimmed) return false;
+
+    const regexParts = UrlMatchPatterns.parseRegex(trimmed);
+    if (regexParts) {
+      try {
+        return new RegExp(regexParts.source, regexParts.flags).test(
+          urlObj.href
+        );
+      } catch (error) {
+        console.warn(`Invalid regex pattern "${trimmed}":`, error.message);
+        return false;
+      }
+    }
+
+    const { scheme, host, path } = UrlMatchPatterns.splitPattern(trimmed);
+
+    if (scheme !== "*" && `${scheme}:` !== urlObj.protocol) {
+      return false;
+    }
+
+    return (
+      UrlMatchPatterns.hostMatches(host, urlObj) &&
+      UrlMatchPatterns.pathMatches(path, urlObj)
+    );
+  }
+
+  /**
+   * Extract the source and flags of a /regex/flags pattern
+   * @param {string} pattern - The pattern to inspect
+   * @returns {{source: string, flags: string}|null} Regex parts or null if not a regex
+   */
+  static parseRegex(pattern) {
+    const match = pattern.match(/^\/(.+)\/([dgimsuy]*)$/);
+    if (!match) return null;
+    return { source: match[1], flags: match[2] };
+  }
+
+  /**
+   * Split a glob pattern into scheme, host and path parts
+   * @param {string} pattern - The glob pattern
+   * @returns {{scheme: string, host: string, path: string}} Pattern parts
+   */
+  static splitPattern(pattern) {
+    let rest = pattern;
+    let scheme = "*";
+
+    const schemeMatch = rest.match(/^([a-z*]+):\/\//i);
+    if (schemeMatch) {
+      scheme = schemeMatch[1].toLowerCase();
+      rest = rest.substring(schemeMatch[0].length);
+    }
+
+    const slashIndex = rest.indexOf("/");
+    const host = (slashIndex === -1 ? rest : rest.substring(0, slashIndex))
+      .trim()
+      .toLowerCase();
+    const path = slashIndex === -1 ? "" : rest.substring(slashIndex);
+
+    return { scheme, host, path };
+  }
+
+  /**
+   * Check whether a host pattern matches a URL's host
+   * @param {string} hostPattern - Host part of the pattern
+   * @param {URL} urlObj - The URL to test
+   * @returns {boolean} True if the host matches
+   */
+  static hostMatches(hostPattern, urlObj) {
+    if (hostPattern === "*") return true;
+
+    // Compare against host:port only when the pattern names a port
+    const target = (
+      hostPattern.includes(":") ? urlObj.host : urlObj.hostname
+    ).toLowerCase();
+
+    // "*.example.com" matches the bare domain and every subdomain
+    if (hostPattern.startsWith("*.") && !hostPattern.slice(2).includes("*")) {
+      const domain = hostPattern.slice(2);
+      return target === domain || target.endsWith(`.${domain}`);
+    }
+
+    if (hostPattern.includes("*")) {
+      return UrlMatchPatterns.globToRegExp(hostPattern).test(target);
+    }
+
+    return target === hostPattern;
+  }
+
+  /**
+   * Check whether a path pattern matches a URL's path.
+   * Paths without wildcards are treated as prefixes on segment boundaries.
+   * @param {string} pathPattern - Path part of the pattern
+   * @param {URL} urlObj - The URL to test
+   * @returns {boolean} True if the path matches
+   */
+  static pathMatches(pathPattern, urlObj) {
+    if (!pathPattern || pathPattern === "/") return true;
+
+    if (pathPattern.includes("*")) {
+      const target = urlObj.pathname + urlObj.search;
+      return UrlMatchPatterns.globToRegExp(pathPattern).test(target);
+    }
+
+    const pathname = urlObj.pathname;
+    if (pathname === pathPattern) return true;
+
+    const prefix = pathPattern.endsWith("/") ? pathPattern : `${pathPattern}/`;
+    return pathname.startsWith(prefix);
+  }
+
+  /**
+   * Convert a glob string to an anchored regular expression
+   * @param {string} glob - Glob using "*" as wildcard
+   * @returns {RegExp} Equivalent regular expression
+   */
+  static globToRegExp(glob) {
+    const source = glob
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${source}$`, "i");
+  }
+
+  /**
+   * Validate pattern data before creating instance
+   * @param {Object} data - The pattern data to validate
+   * @returns {boolean} True if valid
+   */
+  static isValid(data) {
+    return (
+      data &&
+      Array.isArray(data.include) &&
+      data.include.length > 0 &&
+      data.include.every((pattern) => UrlMatchPatterns.isValidPattern(pattern)) &&
+      (data.exclude === undefined ||
+        (Array.isArray(data.exclude) &&
+          data.exclude.every((pattern) =>
+            UrlMatchPatterns.isValidPattern(pattern)
+          )))
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = UrlMatchPatterns;
+} else {
+  window.UrlMatchPatterns = UrlMatchPatterns;
+}
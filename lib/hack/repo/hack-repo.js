@@ -1,12 +1,81 @@
 /**
  * Repository for managing hack data storage using Chrome's storage API
- * Handles persistence and retrieval of hack data organized by hostname
+ * Handles persistence and retrieval of hack data organized by hostname.
+ * The hostname key is the site a hack was created on; which pages it runs on
+ * is decided by the hack's URL match patterns. Global hacks are stored under
+ * the reserved GLOBAL_SCOPE key and run on every site.
  */
 class HackRepository {
   constructor() {
     this.storageKey = "webVibesHacks";
   }
 
+  /**
+   * Storage key for global hacks. It can never be a real hostname.
+   * @returns {string}
+   */
+  static get GLOBAL_SCOPE() {
+    return "*";
+  }
+
+  /**
+   * Load the raw hostname-keyed hack map from storage, migrating legacy data
+   * @returns {Promise<Object>} Map of hostname to stored hack data
+   */
+  async getAllHacksData() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    const allHacks = result[this.storageKey] || {};
+
+    if (this.migrateMatchPatterns(allHacks)) {
+      await chrome.storage.local.set({ [this.storageKey]: allHacks });
+    }
+
+    return allHacks;
+  }
+
+  /**
+   * Give hacks saved before URL pattern support a pattern for their hostname
+   * @param {Object} allHacks - Map of hostname to stored hack data (mutated in place)
+   * @returns {boolean} True if any hack was migrated
+   */
+  migrateMatchPatterns(allHacks) {
+    let migrated = false;
+
+    Object.entries(allHacks).forEach(([hostname, siteHacks]) => {
+      (siteHacks || []).forEach((hackData) => {
+        if (!hackData.matchPatterns) {
+          hackData.matchPatterns = (
+            hostname === HackRepository.GLOBAL_SCOPE
+              ? UrlMatchPatterns.forAllSites()
+              : UrlMatchPatterns.forHostname(hostname)
+          ).toJSON();
+          migrated = true;
+        }
+      });
+    });
+
+    if (migrated) {
+      console.log("Migrated hostname-keyed hacks to URL match patterns");
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Sort hacks by rank, falling back to creation date for equal ranks
+   * @param {Hack[]} hacks - Hacks to sort
+   * @returns {Hack[]} Sorted hacks
+   */
+  sortHacks(hacks) {
+    return hacks.sort((a, b) => {
+      if (a.rank !== b.rank) {
+        return a.rank - b.rank;
+      }
+      // If ranks are equal, sort by creation date
+      return a.createdAt - b.createdAt;
+    });
+  }
+
   /**
    * Get all hacks for a specific site/hostname
    * @param {string} hostname - The hostname to get hacks for
@@ -14,25 +83,69 @@ class HackRepository {
    */
   async getHacksForSite(hostname) {
     try {
-      const result = await chrome.storage.local.get([this.storageKey]);
-      const allHacks = result[this.storageKey] || {};
+      const allHacks = await this.getAllHacksData();
       const siteHacks = allHacks[hostname] || [];
       const hacks = siteHacks.map((hackData) => Hack.fromJSON(hackData));
 
-      // Sort by rank (ascending), with fallback to creation date for equal ranks
-      return hacks.sort((a, b) => {
-        if (a.rank !== b.rank) {
-          return a.rank - b.rank;
-        }
-        // If ranks are equal, sort by creation date
-        return a.createdAt - b.createdAt;
-      });
+      return this.sortHacks(hacks);
     } catch (error) {
       console.error("Error loading hacks:", error);
       return [];
     }
   }
 
+  /**
+   * Get all global hacks, including those opted out of some sites
+   * @returns {Promise<Hack[]>} Array of Hack instances sorted by rank
+   */
+  async getGlobalHacks() {
+    return this.getHacksForSite(HackRepository.GLOBAL_SCOPE);
+  }
+
+  /**
+   * Get all site hacks whose match patterns cover a URL, across every site.
+   * Global hacks are left out; use getGlobalHacks for those.
+   * @param {string} url - The page URL to resolve hacks for
+   * @returns {Promise<Hack[]>} Array of matching Hack instances sorted by rank
+   */
+  async getHacksForUrl(url) {
+    try {
+      const allHacks = await this.getAllHacksData();
+      const hacks = Object.entries(allHacks)
+        .filter(([hostname]) => hostname !== HackRepository.GLOBAL_SCOPE)
+        .flatMap(([, siteHacks]) => siteHacks || [])
+        .map((hackData) => Hack.fromJSON(hackData))
+        .filter((hack) => hack.matchesUrl(url));
+
+      return this.sortHacks(hacks);
+    } catch (error) {
+      console.error("Error loading hacks for URL:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Find the hostname a hack is stored under
+   * @param {string} hackId - The ID of the hack to find
+   * @param {string} [preferredHostname] - Hostname to check first
+   * @returns {Promise<string|null>} The owning hostname or null if not found
+   */
+  async findSiteForHack(hackId, preferredHostname = null) {
+    const allHacks = await this.getAllHacksData();
+
+    if (
+      preferredHostname &&
+      (allHacks[preferredHostname] || []).some((h) => h.id === hackId)
+    ) {
+      return preferredHostname;
+    }
+
+    const entry = Object.entries(allHacks).find(([, siteHacks]) =>
+      (siteHacks || []).some((h) => h.id === hackId)
+    );
+    return entry ? entry[0] : null;
+  }
+
   /**
    * Save hacks for a specific site/hostname
    * @param {string} hostname - The hostname to save hacks for
@@ -41,9 +154,13 @@ class HackRepository {
    */
   async saveHacksForSite(hostname, hacks) {
     try {
-      const result = await chrome.storage.local.get([this.storageKey]);
-      const allHacks = result[this.storageKey] || {};
-      allHacks[hostname] = hacks.map((hack) => hack.toJSON());
+      const allHacks = await this.getAllHacksData();
+      const previousById = new Map(
+        (allHacks[hostname] || []).map((hackData) => [hackData.id, hackData])
+      );
+      allHacks[hostname] = hacks.map((hack) =>
+        this.stampUpdate(hack.toJSON(), previousById.get(hack.id))
+      );
       await chrome.storage.local.set({ [this.storageKey]: allHacks });
     } catch (error) {
       console.error("Error saving hacks:", error);
@@ -51,6 +168,46 @@ class HackRepository {
     }
   }
 
+  /**
+   * Save the whole hostname-keyed hack map as given, without stamping changes
+   * Used by sync, which writes the update times it received.
+   * @param {Object} allHacks - Map of hostname to stored hack data
+   * @returns {Promise<void>}
+   */
+  async saveAllHacksData(allHacks) {
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: allHacks });
+    } catch (error) {
+      console.error("Error saving hacks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a hack's update time to now if it changed since it was last stored
+   * A caller that set its own update time, such as sync, keeps it.
+   * @param {Object} hackData - Hack data about to be stored (mutated in place)
+   * @param {Object} [previousData] - The stored data it replaces
+   * @returns {Object} The hack data
+   */
+  stampUpdate(hackData, previousData) {
+    if (!previousData) {
+      return hackData;
+    }
+
+    const previous = Hack.fromJSON(previousData).toJSON();
+    if (hackData.updatedAt !== previous.updatedAt) {
+      return hackData;
+    }
+
+    const withoutHistory = ({ revisions, updatedAt, ...data }) =>
+      JSON.stringify(data);
+    if (withoutHistory(hackData) !== withoutHistory(previous)) {
+      hackData.updatedAt = new Date().toISOString();
+    }
+    return hackData;
+  }
+
   /**
    * Add a new hack for a specific site
    * @param {string} hostname - The hostname to add hack for
@@ -66,11 +223,13 @@ class HackRepository {
 
   /**
    * Delete a hack from a specific site
+   * Hacks matched from another site are resolved to the site they are stored under
    * @param {string} hostname - The hostname to delete hack from
    * @param {string} hackId - The ID of the hack to delete
    * @returns {Promise<Hack[]>} Updated array of hacks
    */
   async deleteHack(hostname, hackId) {
+    hostname = (await this.findSiteForHack(hackId, hostname)) || hostname;
     const hacks = await this.getHacksForSite(hostname);
     const filteredHacks = hacks.filter((hack) => hack.id !== hackId);
     await this.saveHacksForSite(hostname, filteredHacks);
@@ -84,6 +243,7 @@ class HackRepository {
    * @returns {Promise<Hack[]>} Updated array of hacks
    */
   async toggleHack(hostname, hackId) {
+    hostname = (await this.findSiteForHack(hackId, hostname)) || hostname;
     const hacks = await this.getHacksForSite(hostname);
     const hack = hacks.find((h) => h.id === hackId);
     if (hack) {
@@ -95,18 +255,29 @@ class HackRepository {
 
   /**
    * Update an existing hack
+   * A code change is recorded as a revision attributed to the given author
    * @param {string} hostname - The hostname of the hack
    * @param {string} hackId - The ID of the hack to update
    * @param {Object} updates - The updates to apply
+   * @param {string} [author="user"] - Who made the change ("user" or an AI tool name)
+   * @param {string} [message] - Optional note stored with the revision
    * @returns {Promise<Hack[]>} Updated array of hacks
    */
-  async updateHack(hostname, hackId, updates) {
+  async updateHack(
+    hostname,
+    hackId,
+    updates,
+    author = HackRevision.AUTHOR_USER,
+    message = ""
+  ) {
+    hostname = (await this.findSiteForHack(hackId, hostname)) || hostname;
     const hacks = await this.getHacksForSite(hostname);
     const hackIndex = hacks.findIndex((h) => h.id === hackId);
 
     if (hackIndex !== -1) {
       // Apply updates to the hack
       Object.assign(hacks[hackIndex], updates);
+      hacks[hackIndex].recordRevision(author, message);
       await this.saveHacksForSite(hostname, hacks);
     }
 
@@ -114,14 +285,82 @@ class HackRepository {
   }
 
   /**
-   * Get all hostnames that have hacks
+   * Move a hack to another storage scope, keeping its ID and history
+   * @param {string} hackId - The ID of the hack to move
+   * @param {string} targetScope - Hostname or GLOBAL_SCOPE to move the hack under
+   * @param {UrlMatchPatterns} matchPatterns - Patterns the hack should use in its new scope
+   * @returns {Promise<Hack|null>} The moved hack or null if not found
+   */
+  async moveHack(hackId, targetScope, matchPatterns) {
+    const sourceScope = await this.findSiteForHack(hackId);
+    if (!sourceScope) return null;
+
+    try {
+      const allHacks = await this.getAllHacksData();
+      const sourceHacks = allHacks[sourceScope] || [];
+      const hackData = sourceHacks.find((h) => h.id === hackId);
+      const hack = Hack.fromJSON(hackData);
+      hack.matchPatterns = matchPatterns;
+      hack.updatedAt = new Date();
+
+      allHacks[sourceScope] = sourceHacks.filter((h) => h.id !== hackId);
+      if (allHacks[sourceScope].length === 0) {
+        delete allHacks[sourceScope];
+      }
+      allHacks[targetScope] = [
+        ...(allHacks[targetScope] || []),
+        hack.toJSON(),
+      ];
+
+      await chrome.storage.local.set({ [this.storageKey]: allHacks });
+      return hack;
+    } catch (error) {
+      console.error("Error moving hack:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update hack ranks from an ordered list of IDs, wherever the hacks are stored
+   * @param {string[]} hackIds - Array of hack IDs in the new order
+   * @returns {Promise<void>}
+   */
+  async updateHackRanks(hackIds) {
+    try {
+      const allHacks = await this.getAllHacksData();
+      const rankById = new Map(hackIds.map((id, index) => [id, index]));
+      const updatedAt = new Date().toISOString();
+
+      Object.values(allHacks).forEach((siteHacks) => {
+        (siteHacks || []).forEach((hackData) => {
+          if (
+            rankById.has(hackData.id) &&
+            hackData.rank !== rankById.get(hackData.id)
+          ) {
+            hackData.rank = rankById.get(hackData.id);
+            hackData.updatedAt = updatedAt;
+          }
+        });
+      });
+
+      await chrome.storage.local.set({ [this.storageKey]: allHacks });
+    } catch (error) {
+      console.error("Error updating hack ranks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all hostnames that have hacks, not counting the global scope
    * @returns {Promise<string[]>} Array of hostnames
    */
   async getAllSites() {
     try {
       const result = await chrome.storage.local.get([this.storageKey]);
       const allHacks = result[this.storageKey] || {};
-      return Object.keys(allHacks);
+      return Object.keys(allHacks).filter(
+        (hostname) => hostname !== HackRepository.GLOBAL_SCOPE
+      );
     } catch (error) {
       console.error("Error getting all sites:", error);
       return [];
@@ -135,8 +374,7 @@ class HackRepository {
    */
   async clearSiteHacks(hostname) {
     try {
-      const result = await chrome.storage.local.get([this.storageKey]);
-      const allHacks = result[this.storageKey] || {};
+      const allHacks = await this.getAllHacksData();
       delete allHacks[hostname];
       await chrome.storage.local.set({ [this.storageKey]: allHacks });
     } catch (error) {
@@ -144,6 +382,21 @@ class HackRepository {
       throw error;
     }
   }
+
+  /**
+   * Register a callback for changes made by any extension context
+   * @param {Function} callback - Called with no arguments when hacks change
+   * @returns {Function} Function that removes the listener
+   */
+  onChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === "local" && changes[this.storageKey]) {
+        callback();
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
 }
 
 // Export for use in other modules
@@ -8,18 +8,41 @@ class HackService {
   }
 
   /**
-   * Get all hacks for the currently active browser tab
-   * @returns {Promise<{hostname: string, hacks: Hack[]}>} Current site info and hacks
+   * Get all hacks whose match patterns cover the currently active browser tab
+   * @returns {Promise<{hostname: string, url: string|null, hacks: Hack[]}>} Current site info and hacks
    */
   async getHacksForCurrentSite() {
+    const url = await this.getCurrentUrl();
     const hostname = await this.getCurrentHostname();
-    const hacks = await this.repository.getHacksForSite(hostname);
+    const hacks = url
+      ? await this.repository.getHacksForUrl(url)
+      : await this.repository.getHacksForSite(hostname);
     return {
       hostname,
+      url,
       hacks,
     };
   }
 
+  /**
+   * Get the full URL of the currently active browser tab
+   * @returns {Promise<string|null>} The URL or null if unable to determine
+   */
+  async getCurrentUrl() {
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (tab?.url) {
+        return new URL(tab.url).href;
+      }
+    } catch (error) {
+      console.error("Error getting current URL:", error);
+    }
+    return null;
+  }
+
   /**
    * Get the hostname of the currently active browser tab
    * @returns {Promise<string>} The hostname or 'unknown' if unable to determine
@@ -43,10 +66,11 @@ class HackService {
   /**
    * Create a new hack for a specific site
    * @param {string} hostname - The hostname to create hack for
-   * @param {Object} hackData - The hack data (name, description, cssCode, jsCode)
+   * @param {Object} hackData - The hack data (name, description, cssCode, jsCode, matchPatterns, revisions, runAt, rerunOnDomChange, frameTarget, framePatterns)
+   * @param {string} [author="user"] - Who created the hack ("user" or an AI tool name)
    * @returns {Promise<Hack[]>} Updated array of hacks
    */
-  async createHack(hostname, hackData) {
+  async createHack(hostname, hackData, author = HackRevision.AUTHOR_USER) {
     // Get existing hacks to determine the next rank
     const existingHacks = await this.repository.getHacksForSite(hostname);
     const highestRank = existingHacks.length > 0
@@ -63,8 +87,17 @@ class HackService {
       hackData.enabled !== undefined ? hackData.enabled : true,
       typeof hackData.applyDelay === 'number' ? hackData.applyDelay : 0,
       new Date(),
-      highestRank + 1
+      highestRank + 1,
+      this.resolveMatchPatterns(hostname, hackData.matchPatterns),
+      this.resolveRevisions(hackData.revisions),
+      Hack.resolveRunAt(hackData.runAt, hackData.applyDelay),
+      !!hackData.rerunOnDomChange,
+      Hack.isValidFrameTarget(hackData.frameTarget)
+        ? hackData.frameTarget
+        : Hack.FRAME_TARGET.TOP,
+      UrlMatchPatterns.normalizeList(hackData.framePatterns)
     );
+    hack.recordRevision(author);
 
     return await this.repository.addHack(hostname, hack);
   }
@@ -109,10 +142,252 @@ class HackService {
    * @param {string} hostname - The hostname of the hack
    * @param {string} hackId - The ID of the hack to update
    * @param {Object} updates - The updates to apply
+   * @param {string} [author="user"] - Who made the change ("user" or an AI tool name)
+   * @returns {Promise<Hack[]>} Updated array of hacks
+   */
+  async updateHack(
+    hostname,
+    hackId,
+    updates,
+    author = HackRevision.AUTHOR_USER
+  ) {
+    if (
+      updates.matchPatterns &&
+      !(updates.matchPatterns instanceof UrlMatchPatterns)
+    ) {
+      if (!UrlMatchPatterns.isValid(updates.matchPatterns)) {
+        throw new Error("Invalid URL match patterns");
+      }
+      updates = {
+        ...updates,
+        matchPatterns: UrlMatchPatterns.fromJSON(updates.matchPatterns),
+      };
+    }
+    if (updates.runAt !== undefined && !Hack.isValidRunAt(updates.runAt)) {
+      throw new Error(`Invalid run at timing: ${updates.runAt}`);
+    }
+    if (
+      updates.frameTarget !== undefined &&
+      !Hack.isValidFrameTarget(updates.frameTarget)
+    ) {
+      throw new Error(`Invalid frame target: ${updates.frameTarget}`);
+    }
+    if (updates.framePatterns !== undefined) {
+      const framePatterns = UrlMatchPatterns.normalizeList(
+        updates.framePatterns
+      );
+      const invalid = framePatterns.find(
+        (pattern) => !UrlMatchPatterns.isValidPattern(pattern)
+      );
+      if (invalid) {
+        throw new Error(`Invalid frame pattern: ${invalid}`);
+      }
+      updates = { ...updates, framePatterns };
+    }
+    if (updates.revisions) {
+      updates = {
+        ...updates,
+        revisions: this.resolveRevisions(updates.revisions),
+      };
+    }
+    return await this.repository.updateHack(
+      hostname,
+      hackId,
+      updates,
+      author
+    );
+  }
+
+  /**
+   * Get the revision history of a hack, newest first
+   * @param {string} hostname - The hostname of the hack
+   * @param {string} hackId - The ID of the hack
+   * @returns {Promise<HackRevision[]>} Revisions, newest first
+   */
+  async getRevisions(hostname, hackId) {
+    const hack = await this.findHack(hostname, hackId);
+    if (!hack) {
+      throw new Error("Vibe not found");
+    }
+    return [...hack.revisions].reverse();
+  }
+
+  /**
+   * Restore a hack's CSS/JS from one of its revisions.
+   * The restore itself becomes the newest revision, so it can be undone too.
+   * @param {string} hostname - The hostname of the hack
+   * @param {string} hackId - The ID of the hack
+   * @param {string} revisionId - The ID of the revision to restore
    * @returns {Promise<Hack[]>} Updated array of hacks
    */
-  async updateHack(hostname, hackId, updates) {
-    return await this.repository.updateHack(hostname, hackId, updates);
+  async restoreRevision(hostname, hackId, revisionId) {
+    const hack = await this.findHack(hostname, hackId);
+    if (!hack) {
+      throw new Error("Vibe not found");
+    }
+
+    const revision = hack.getRevision(revisionId);
+    if (!revision) {
+      throw new Error("Revision not found");
+    }
+
+    return await this.repository.updateHack(
+      hostname,
+      hackId,
+      { cssCode: revision.cssCode, jsCode: revision.jsCode },
+      HackRevision.AUTHOR_USER,
+      `Restored revision from ${revision.createdAt.toLocaleString()}`
+    );
+  }
+
+  /**
+   * Find a hack by ID, wherever it is stored
+   * @param {string} hostname - The hostname to look under first
+   * @param {string} hackId - The ID of the hack
+   * @returns {Promise<Hack|null>} The hack or null if not found
+   */
+  async findHack(hostname, hackId) {
+    const site =
+      (await this.repository.findSiteForHack(hackId, hostname)) || hostname;
+    const hacks = await this.repository.getHacksForSite(site);
+    return hacks.find((hack) => hack.id === hackId) || null;
+  }
+
+  /**
+   * Get all global hacks, which run on every http(s) site
+   * @returns {Promise<Hack[]>} Array of global hacks sorted by rank
+   */
+  async getGlobalHacks() {
+    return await this.repository.getGlobalHacks();
+  }
+
+  /**
+   * Check whether a hack is stored in the global scope
+   * @param {string} hackId - The ID of the hack
+   * @returns {Promise<boolean>} True if the hack is global
+   */
+  async isGlobalHack(hackId) {
+    const scope = await this.repository.findSiteForHack(hackId);
+    return scope === HackRepository.GLOBAL_SCOPE;
+  }
+
+  /**
+   * Move a site hack into the global scope so it runs on every site
+   * @param {string} hackId - The ID of the hack
+   * @returns {Promise<Hack>} The global hack
+   */
+  async makeHackGlobal(hackId) {
+    const hack = await this.repository.moveHack(
+      hackId,
+      HackRepository.GLOBAL_SCOPE,
+      UrlMatchPatterns.forAllSites()
+    );
+    if (!hack) {
+      throw new Error("Vibe not found");
+    }
+    return hack;
+  }
+
+  /**
+   * Move a global hack back to a single site
+   * @param {string} hackId - The ID of the hack
+   * @param {string} hostname - The site the hack should run on
+   * @returns {Promise<Hack>} The site hack
+   */
+  async makeHackSiteOnly(hackId, hostname) {
+    if (!hostname) {
+      throw new Error("A site is required to make a vibe site-only");
+    }
+    const hack = await this.repository.moveHack(
+      hackId,
+      hostname,
+      UrlMatchPatterns.forHostname(hostname)
+    );
+    if (!hack) {
+      throw new Error("Vibe not found");
+    }
+    return hack;
+  }
+
+  /**
+   * Check whether a global hack has been opted out of a site
+   * @param {Hack} hack - The global hack
+   * @param {string} hostname - The site to check
+   * @returns {boolean} True if the hack is excluded on that site
+   */
+  isOptedOutOfSite(hack, hostname) {
+    return hack.matchPatterns.exclude.includes(hostname);
+  }
+
+  /**
+   * Opt a global hack out of a site, or back in.
+   * Opted-out sites are kept as hostname entries in the hack's exclude patterns.
+   * @param {string} hackId - The ID of the global hack
+   * @param {string} hostname - The site to opt out of or back into
+   * @param {boolean} optedOut - True to stop running the hack on the site
+   * @returns {Promise<Hack[]>} Updated array of global hacks
+   */
+  async setSiteOptOut(hackId, hostname, optedOut) {
+    const hack = await this.findHack(HackRepository.GLOBAL_SCOPE, hackId);
+    if (!hack) {
+      throw new Error("Vibe not found");
+    }
+
+    const exclude = hack.matchPatterns.exclude.filter(
+      (pattern) => pattern !== hostname
+    );
+    if (optedOut) {
+      exclude.push(hostname);
+    }
+
+    return await this.repository.updateHack(
+      HackRepository.GLOBAL_SCOPE,
+      hackId,
+      {
+        matchPatterns: new UrlMatchPatterns(
+          hack.matchPatterns.include,
+          exclude
+        ),
+      }
+    );
+  }
+
+  /**
+   * Convert revision data into HackRevision instances
+   * @param {Array<Object|HackRevision>} [revisions] - Revision instances or stored data
+   * @returns {HackRevision[]} Revision instances
+   */
+  resolveRevisions(revisions) {
+    if (!Array.isArray(revisions)) return [];
+    return revisions
+      .map((revision) =>
+        revision instanceof HackRevision
+          ? revision
+          : HackRevision.isValid(revision)
+          ? HackRevision.fromJSON(revision)
+          : null
+      )
+      .filter(Boolean)
+      .slice(-Hack.MAX_REVISIONS);
+  }
+
+  /**
+   * Build match patterns for a new hack, defaulting to its hostname
+   * @param {string} hostname - The hostname the hack is created on
+   * @param {Object|UrlMatchPatterns} [matchPatterns] - Requested patterns
+   * @returns {UrlMatchPatterns} Patterns to store on the hack
+   */
+  resolveMatchPatterns(hostname, matchPatterns) {
+    if (matchPatterns instanceof UrlMatchPatterns) {
+      return matchPatterns;
+    }
+    if (matchPatterns && UrlMatchPatterns.isValid(matchPatterns)) {
+      return UrlMatchPatterns.fromJSON(matchPatterns);
+    }
+    if (hostname === HackRepository.GLOBAL_SCOPE) {
+      return UrlMatchPatterns.forAllSites();
+    }
+    return UrlMatchPatterns.forHostname(hostname);
   }
 
   /**
@@ -147,8 +422,26 @@ class HackService {
     };
   }
 
+  /**
+   * Ways to handle an imported vibe that is already on the site
+   * SKIP leaves the local vibe alone, REPLACE takes the imported code and
+   * options, KEEP_BOTH adds the import as a separate vibe and MERGE combines
+   * the local and imported changes to the code and keeps the local options.
+   * @returns {Object} Map of resolution constants to values
+   */
+  static get IMPORT_RESOLUTION() {
+    return {
+      SKIP: "skip",
+      REPLACE: "replace",
+      KEEP_BOTH: "keep_both",
+      MERGE: "merge",
+    };
+  }
+
   /**
    * Import hacks for a specific site
+   * Hacks already on the site are updated in place rather than the whole site
+   * being overwritten.
    * @param {Object} importData - The import data
    * @returns {Promise<Hack[]>} Updated array of hacks
    */
@@ -157,64 +450,193 @@ class HackService {
       throw new Error("Invalid import data format");
     }
 
-    const hacks = importData.hacks.map((hackData) => Hack.fromJSON(hackData));
-    await this.repository.saveHacksForSite(importData.hostname, hacks);
-    return hacks;
+    return await this.importVibes(importData.hostname, importData.hacks);
+  }
+
+  /**
+   * Find which vibes in a .groove file are already on a site
+   * A vibe matches a local one with the same origin ID, or failing that one
+   * with the same code. Each local vibe matches at most one imported vibe.
+   * @param {string} hostname - The hostname to import vibes for
+   * @param {Array|Object} vibesData - The parsed .groove file
+   * @returns {Promise<Array<Object>>} One entry per valid vibe, in file order:
+   *   {vibe, existing, matchedBy, codeChanged}; existing is the local Hack or
+   *   null and matchedBy is "origin", "content" or null
+   */
+  async findImportConflicts(hostname, vibesData) {
+    const existingHacks = await this.repository.getHacksForSite(hostname);
+    return this._matchImportedVibes(
+      VibeBundle.fromJSON(vibesData).vibes,
+      existingHacks
+    );
+  }
+
+  /**
+   * Pick how to handle an imported vibe when the user has not chosen
+   * New vibes are added, unchanged ones skipped and changed ones replaced.
+   * @param {Object} conflict - Entry from findImportConflicts
+   * @returns {string} An IMPORT_RESOLUTION value
+   */
+  getDefaultImportResolution(conflict) {
+    if (!conflict.existing) {
+      return HackService.IMPORT_RESOLUTION.KEEP_BOTH;
+    }
+    return conflict.codeChanged
+      ? HackService.IMPORT_RESOLUTION.REPLACE
+      : HackService.IMPORT_RESOLUTION.SKIP;
+  }
+
+  /**
+   * Work out the code a vibe would have after merging an imported version
+   * Both versions are merged against the local revision closest to the
+   * imported code, the most likely version the import was made from. The
+   * result is refused when both sides changed the same lines or it does not
+   * parse.
+   * @param {Hack} existing - The local vibe
+   * @param {Object} vibe - Imported vibe data
+   * @returns {Promise<Object>} {cssCode, jsCode, conflicts, errors}; errors
+   *   lists why the merge cannot be saved and is empty when it can
+   */
+  async mergeImportedCode(existing, vibe) {
+    const base = this._findMergeBase(existing, vibe);
+    const labels = { ours: "this site", theirs: "imported" };
+    const css = LineDiff.merge3(
+      base.cssCode,
+      existing.cssCode || "",
+      vibe.cssCode || "",
+      labels
+    );
+    const js = LineDiff.merge3(
+      base.jsCode,
+      existing.jsCode || "",
+      vibe.jsCode || "",
+      labels
+    );
+
+    const errors = [];
+    const conflicts = css.conflicts + js.conflicts;
+    if (conflicts > 0) {
+      errors.push(
+        `${conflicts} section${
+          conflicts === 1 ? " was" : "s were"
+        } changed differently on this site and in the import`
+      );
+    } else {
+      const [cssCheck, jsCheck] = await Promise.all([
+        SyntaxChecker.check("css", css.text),
+        SyntaxChecker.check("js", js.text),
+      ]);
+      if (!cssCheck.valid) {
+        errors.push(`CSS: ${SyntaxChecker.formatErrors(cssCheck.errors)}`);
+      }
+      if (!jsCheck.valid) {
+        errors.push(
+          `JavaScript: ${SyntaxChecker.formatErrors(jsCheck.errors)}`
+        );
+      }
+    }
+
+    return { cssCode: css.text, jsCode: js.text, conflicts, errors };
   }
 
   /**
    * Import vibes to the current site from a .groove file
    * @param {string} hostname - The hostname to import vibes for
-   * @param {Array|Object} vibesData - The vibes data from .groove file
+   * @param {Array|Object} vibesData - The parsed .groove file: a bundle, or a
+   *   plain vibe list from before bundles existed
+   * @param {Array<string>} [resolutions=[]] - IMPORT_RESOLUTION per valid vibe,
+   *   in file order; missing entries use getDefaultImportResolution
    * @returns {Promise<Array>} Updated hacks array
    */
-  async importVibes(hostname, vibesData) {
+  async importVibes(hostname, vibesData, resolutions = []) {
     try {
-      // Handle different data formats from .groove files
-      let vibesArray = [];
-      if (Array.isArray(vibesData)) {
-        vibesArray = vibesData;
-      } else if (vibesData.hacks && Array.isArray(vibesData.hacks)) {
-        vibesArray = vibesData.hacks;
-      } else {
-        throw new Error("Invalid .groove file format");
-      }
-
-      // Validate and convert each hack
-      const validHacks = [];
-      for (const hackData of vibesArray) {
-        if (Hack.isValid(hackData)) {
-          // Generate new ID for imported hack to avoid conflicts
-          const newHackData = {
-            ...hackData,
-            id: this.generateHackId(),
-            // Keep the original enabled state
-            enabled: hackData.enabled !== undefined ? hackData.enabled : true
-          };
-          validHacks.push(Hack.fromJSON(newHackData));
-        } else {
-          console.warn("Skipping invalid hack data:", hackData);
-        }
-      }
+      const existingHacks = await this.repository.getHacksForSite(hostname);
+      const conflicts = this._matchImportedVibes(
+        VibeBundle.fromJSON(vibesData).vibes,
+        existingHacks
+      );
 
-      if (validHacks.length === 0) {
+      if (conflicts.length === 0) {
         throw new Error("No valid vibes found in the file");
       }
 
-      // Get existing hacks and add new ones
-      const existingHacks = await this.repository.getHacksForSite(hostname);
-
       // Find the highest existing rank
-      const highestRank = existingHacks.length > 0
-        ? Math.max(...existingHacks.map(h => h.rank || 0))
-        : -1;
+      let nextRank = existingHacks.length > 0
+        ? Math.max(...existingHacks.map(h => h.rank || 0)) + 1
+        : 0;
+
+      const chosen = conflicts.map(
+        (conflict, index) =>
+          resolutions[index] || this.getDefaultImportResolution(conflict)
+      );
+
+      // Merges are worked out first so nothing is saved if one fails
+      const merges = [];
+      for (const [index, conflict] of conflicts.entries()) {
+        if (
+          !conflict.existing ||
+          chosen[index] !== HackService.IMPORT_RESOLUTION.MERGE
+        ) {
+          continue;
+        }
+        const merged = await this.mergeImportedCode(
+          conflict.existing,
+          conflict.vibe
+        );
+        if (merged.errors.length > 0) {
+          throw new Error(
+            `"${conflict.vibe.name}" cannot be merged: ${merged.errors.join(
+              "; "
+            )}`
+          );
+        }
+        merges[index] = merged;
+      }
+
+      const addedHacks = [];
+      conflicts.forEach((conflict, index) => {
+        const { vibe, existing } = conflict;
+        const resolution = chosen[index];
+
+        if (existing) {
+          switch (resolution) {
+            case HackService.IMPORT_RESOLUTION.SKIP:
+              return;
+            case HackService.IMPORT_RESOLUTION.REPLACE:
+              this._replaceWithImport(existing, vibe);
+              return;
+            case HackService.IMPORT_RESOLUTION.MERGE:
+              existing.cssCode = merges[index].cssCode;
+              existing.jsCode = merges[index].jsCode;
+              existing.recordRevision(
+                HackRevision.AUTHOR_IMPORT,
+                `Merged with "${vibe.name}" from an imported file`
+              );
+              return;
+          }
+        }
 
-      // Assign ranks to imported hacks
-      validHacks.forEach((hack, index) => {
-        hack.rank = highestRank + 1 + index;
+        // Generate new ID for imported hack to avoid conflicts
+        const newHackData = {
+          ...vibe,
+          id: this.generateHackId(),
+          // Remember the vibe this came from so a later import can find it
+          originId: vibe.originId || vibe.id,
+          // Keep the original enabled state
+          enabled: vibe.enabled !== undefined ? vibe.enabled : true,
+          rank: nextRank++,
+          // Keep the file's sites; fall back to the site imported into
+          matchPatterns: this.resolveMatchPatterns(
+            hostname,
+            vibe.matchPatterns
+          ).toJSON(),
+          // History starts fresh with the imported code
+          revisions: undefined
+        };
+        addedHacks.push(Hack.fromJSON(newHackData));
       });
 
-      const allHacks = [...existingHacks, ...validHacks];
+      const allHacks = [...existingHacks, ...addedHacks];
 
       // Save all hacks for the site
       await this.repository.saveHacksForSite(hostname, allHacks);
@@ -229,6 +651,115 @@ class HackService {
     }
   }
 
+  /**
+   * Pick the code a local vibe and an imported version both started from
+   * This is the local revision with the fewest lines differing from the
+   * imported code, the newest on a tie.
+   * @private
+   * @param {Hack} existing - The local vibe
+   * @param {Object} vibe - Imported vibe data
+   * @returns {{cssCode: string, jsCode: string}} Base code; empty when the
+   *   local vibe has no revisions
+   */
+  _findMergeBase(existing, vibe) {
+    const distance = (revision) =>
+      [
+        ["cssCode", vibe.cssCode],
+        ["jsCode", vibe.jsCode],
+      ].reduce((total, [field, code]) => {
+        const { added, removed } = LineDiff.summarize(
+          LineDiff.diff(revision[field] || "", code || "")
+        );
+        return total + added + removed;
+      }, 0);
+
+    let base = { cssCode: "", jsCode: "" };
+    let bestDistance = Infinity;
+    (existing.revisions || []).forEach((revision) => {
+      const revisionDistance = distance(revision);
+      if (revisionDistance <= bestDistance) {
+        base = revision;
+        bestDistance = revisionDistance;
+      }
+    });
+    return { cssCode: base.cssCode || "", jsCode: base.jsCode || "" };
+  }
+
+  /**
+   * Pair each valid imported vibe with the local vibe it matches, if any
+   * @private
+   * @param {Array<Object>} vibes - Vibe data from a .groove file
+   * @param {Hack[]} existingHacks - Vibes already on the site
+   * @returns {Array<Object>} Entries as described for findImportConflicts
+   */
+  _matchImportedVibes(vibes, existingHacks) {
+    const claimed = new Set();
+    const claim = (predicate) => {
+      const hack = existingHacks.find(
+        (candidate) => !claimed.has(candidate.id) && predicate(candidate)
+      );
+      if (hack) claimed.add(hack.id);
+      return hack || null;
+    };
+
+    return vibes
+      .filter((vibe) => {
+        if (!Hack.isValid(vibe)) {
+          console.warn("Skipping invalid hack data:", vibe);
+          return false;
+        }
+        return true;
+      })
+      .map((vibe) => {
+        const originId = vibe.originId || vibe.id;
+        const contentHash = Hack.getContentHash(vibe.cssCode, vibe.jsCode);
+
+        let matchedBy = "origin";
+        let existing = claim(
+          (hack) => hack.originId === originId || hack.id === originId
+        );
+        if (!existing) {
+          matchedBy = "content";
+          existing = claim((hack) => hack.getContentHash() === contentHash);
+        }
+
+        return {
+          vibe,
+          existing,
+          matchedBy: existing ? matchedBy : null,
+          codeChanged: !!existing && existing.getContentHash() !== contentHash,
+        };
+      });
+  }
+
+  /**
+   * Overwrite a local vibe with an imported version
+   * The local ID, rank, enabled state and site patterns stay, so the vibe
+   * keeps its place and keeps running where it ran before.
+   * @private
+   * @param {Hack} existing - The local vibe, changed in place
+   * @param {Object} vibe - Imported vibe data
+   */
+  _replaceWithImport(existing, vibe) {
+    const imported = Hack.fromJSON({ ...vibe, revisions: undefined });
+    Object.assign(existing, {
+      name: imported.name,
+      description: imported.description,
+      cssCode: imported.cssCode || "",
+      jsCode: imported.jsCode || "",
+      applyDelay: imported.applyDelay,
+      runAt: imported.runAt,
+      rerunOnDomChange: imported.rerunOnDomChange,
+      frameTarget: imported.frameTarget,
+      framePatterns: imported.framePatterns,
+      originId: imported.originId,
+    });
+    existing.recordRevision(
+      HackRevision.AUTHOR_IMPORT,
+      "Replaced from an imported file"
+    );
+  }
+
   /**
    * Generate a unique ID for a new hack
    * @returns {string} Unique hack ID
@@ -249,10 +780,14 @@ class HackService {
         currentWindow: true,
       });
       if (tab?.id) {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: MESSAGE_TYPES.HACKS_UPDATED,
-          hostname: hostname,
-        });
+        await chrome.tabs.sendMessage(
+          tab.id,
+          {
+            type: MESSAGE_TYPES.HACKS_UPDATED,
+            hostname: hostname,
+          },
+          { frameId: 0 }
+        );
       }
     } catch (error) {
       // Content script might not be loaded yet, or tab might not support injection
@@ -282,7 +817,7 @@ class HackService {
   async applyHacksForCurrentSite() {
     try {
       const hostname = await this.getCurrentHostname();
-      const enabledHacks = await this.getEnabledHacksForSite(hostname);
+      const enabledHacks = await this.getEnabledHacksForCurrentSite();
 
       if (enabledHacks.length === 0) {
         return {
@@ -307,7 +842,8 @@ class HackService {
       const response = await chrome.runtime.sendMessage({
         type: MESSAGE_TYPES.APPLY_HACKS_FOR_SITE,
         tabId: activeTab.id,
-        hostname: hostname
+        hostname: hostname,
+        url: activeTab.url
       });
 
       if (response && response.success) {
@@ -335,8 +871,8 @@ class HackService {
    * @returns {Promise<Hack[]>} Array of enabled hacks
    */
   async getEnabledHacksForCurrentSite() {
-    const hostname = await this.getCurrentHostname();
-    return await this.getEnabledHacksForSite(hostname);
+    const { hacks } = await this.getHacksForCurrentSite();
+    return hacks.filter((hack) => hack.enabled);
   }
 
   /**
@@ -353,8 +889,7 @@ class HackService {
    * @returns {Promise<Object>} Summary of hacks
    */
   async getHacksSummaryForCurrentSite() {
-    const hostname = await this.getCurrentHostname();
-    const allHacks = await this.repository.getHacksForSite(hostname);
+    const { hostname, hacks: allHacks } = await this.getHacksForCurrentSite();
     const enabledHacks = allHacks.filter(hack => hack.enabled);
 
     return {
@@ -379,34 +914,21 @@ class HackService {
    * @returns {Promise<Hack[]>} Updated array of hacks
    */
   async updateHackRanks(hostname, hackIds) {
-    const hacks = await this.repository.getHacksForSite(hostname);
-
-    // Create a map for quick lookup
-    const hackMap = new Map(hacks.map(h => [h.id, h]));
-
-    // Update ranks based on the new order
-    hackIds.forEach((hackId, index) => {
-      const hack = hackMap.get(hackId);
-      if (hack) {
-        hack.rank = index;
-      }
-    });
-
-    // Save the updated hacks
-    await this.repository.saveHacksForSite(hostname, hacks);
-
-    // Return sorted hacks
-    return hacks.sort((a, b) => a.rank - b.rank);
+    await this.repository.updateHackRanks(hackIds);
+    return await this.repository.getHacksForSite(hostname);
   }
 
   /**
    * Update hack ranks for the current site
+   * Ranks are updated wherever the listed hacks are stored, since the
+   * current page can match hacks created on other sites
    * @param {string[]} hackIds - Array of hack IDs in the new order
-   * @returns {Promise<Hack[]>} Updated array of hacks
+   * @returns {Promise<Hack[]>} Updated array of hacks matching the current page
    */
   async updateHackRanksForCurrentSite(hackIds) {
-    const hostname = await this.getCurrentHostname();
-    return await this.updateHackRanks(hostname, hackIds);
+    await this.repository.updateHackRanks(hackIds);
+    const { hacks } = await this.getHacksForCurrentSite();
+    return hacks;
   }
 }
 
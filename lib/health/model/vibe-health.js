@@ -0,0 +1,112 @@
+/**
+ * Data model for the outcome of the last time a saved vibe was applied to a page
+ * Written by the service worker after each automatic application
+ */
+class VibeHealth {
+  constructor(
+    hackId,
+    status,
+    error = null,
+    stack = null,
+    durationMs = 0,
+    url = "",
+    checkedAt = new Date(),
+    failureCount = 0,
+    lastSuccessAt = null
+  ) {
+    this.hackId = hackId;
+    this.status = status;
+    this.error = error;
+    this.stack = stack;
+    this.durationMs = durationMs;
+    this.url = url;
+    this.checkedAt = checkedAt;
+    this.failureCount = failureCount;
+    this.lastSuccessAt = lastSuccessAt;
+  }
+
+  /**
+   * Status of a vibe that applied without errors
+   * @returns {string}
+   */
+  static get STATUS_SUCCESS() {
+    return "success";
+  }
+
+  /**
+   * Status of a vibe whose CSS or JS failed to apply
+   * @returns {string}
+   */
+  static get STATUS_FAILURE() {
+    return "failure";
+  }
+
+  /**
+   * Check whether the last application failed
+   * @returns {boolean} True if failing
+   */
+  isFailing() {
+    return this.status === VibeHealth.STATUS_FAILURE;
+  }
+
+  /**
+   * Convert the record to a plain object for storage
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      hackId: this.hackId,
+      status: this.status,
+      error: this.error,
+      stack: this.stack,
+      durationMs: this.durationMs,
+      url: this.url,
+      checkedAt: this.checkedAt.toISOString(),
+      failureCount: this.failureCount,
+      lastSuccessAt: this.lastSuccessAt
+        ? this.lastSuccessAt.toISOString()
+        : null,
+    };
+  }
+
+  /**
+   * Create a VibeHealth instance from stored data
+   * @param {Object} data - The stored record
+   * @returns {VibeHealth} New VibeHealth instance
+   */
+  static fromJSON(data) {
+    return new VibeHealth(
+      data.hackId,
+      data.status,
+      data.error || null,
+      data.stack || null,
+      data.durationMs || 0,
+      data.url || "",
+      new Date(data.checkedAt),
+      data.failureCount || 0,
+      data.lastSuccessAt ? new Date(data.lastSuccessAt) : null
+    );
+  }
+
+  /**
+   * Validate stored data before creating an instance
+   * @param {Object} data - The data to validate
+   * @returns {boolean} True if valid
+   */
+  static isValid(data) {
+    return (
+      !!data &&
+      typeof data.hackId === "string" &&
+      (data.status === VibeHealth.STATUS_SUCCESS ||
+        data.status === VibeHealth.STATUS_FAILURE) &&
+      !isNaN(new Date(data.checkedAt).getTime())
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = VibeHealth;
+} else {
+  window.VibeHealth = VibeHealth;
+}
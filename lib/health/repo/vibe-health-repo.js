@@ -0,0 +1,76 @@
+/**
+ * Repository for vibe application outcomes using Chrome's storage API
+ * Records are keyed by hack ID. The service worker writes the same format
+ * under the same storage key.
+ */
+class VibeHealthRepository {
+  constructor() {
+    this.storageKey = "webVibesHealth";
+  }
+
+  /**
+   * Load the raw hack-ID-keyed health map from storage
+   * @returns {Promise<Object>} Map of hack ID to stored health data
+   */
+  async getAllHealthData() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return result[this.storageKey] || {};
+    } catch (error) {
+      console.error("Error loading vibe health:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the health record of every vibe that has been applied
+   * @returns {Promise<Map<string, VibeHealth>>} Map of hack ID to health record
+   */
+  async getAllHealth() {
+    const allHealth = await this.getAllHealthData();
+    return new Map(
+      Object.values(allHealth)
+        .filter((data) => VibeHealth.isValid(data))
+        .map((data) => [data.hackId, VibeHealth.fromJSON(data)])
+    );
+  }
+
+  /**
+   * Remove the health record of a vibe
+   * @param {string} hackId - The hack ID
+   * @returns {Promise<void>}
+   */
+  async deleteHealth(hackId) {
+    try {
+      const allHealth = await this.getAllHealthData();
+      if (!allHealth[hackId]) return;
+      delete allHealth[hackId];
+      await chrome.storage.local.set({ [this.storageKey]: allHealth });
+    } catch (error) {
+      console.error("Error deleting vibe health:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a callback for changes made by any extension context
+   * @param {Function} callback - Called with no arguments when records change
+   * @returns {Function} Function that removes the listener
+   */
+  onChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === "local" && changes[this.storageKey]) {
+        callback();
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = VibeHealthRepository;
+} else {
+  window.VibeHealthRepository = VibeHealthRepository;
+}
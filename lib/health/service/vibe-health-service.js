@@ -0,0 +1,68 @@
+/**
+ * Service for vibe health business logic
+ * Reports which saved vibes failed the last time they were applied
+ */
+class VibeHealthService {
+  constructor(vibeHealthRepository) {
+    if (!vibeHealthRepository) {
+      throw new Error("VibeHealthRepository is required");
+    }
+    this.repository = vibeHealthRepository;
+  }
+
+  /**
+   * Get the health record of every vibe that has been applied
+   * @returns {Promise<Map<string, VibeHealth>>} Map of hack ID to health record
+   */
+  async getAllHealth() {
+    return await this.repository.getAllHealth();
+  }
+
+  /**
+   * Get the health records of vibes whose last application failed
+   * @returns {Promise<VibeHealth[]>} Failing records, most recent first
+   */
+  async getFailingVibes() {
+    const allHealth = await this.repository.getAllHealth();
+    return [...allHealth.values()]
+      .filter((health) => health.isFailing())
+      .sort((a, b) => b.checkedAt - a.checkedAt);
+  }
+
+  /**
+   * Forget a vibe's health, e.g. when the vibe is deleted
+   * @param {string} hackId - The hack ID
+   * @returns {Promise<void>}
+   */
+  async deleteHealth(hackId) {
+    await this.repository.deleteHealth(hackId);
+  }
+
+  /**
+   * Call back whenever a vibe's health is recorded or removed
+   * @param {Function} callback - Called with no arguments on change
+   * @returns {Function} Function that removes the listener
+   */
+  onHealthChanged(callback) {
+    return this.repository.onChanged(callback);
+  }
+
+  /**
+   * Summarize a failing record in one line for the side panel
+   * @param {VibeHealth} health - The health record
+   * @returns {string} Short description of the failure
+   */
+  describeFailure(health) {
+    const when = health.checkedAt.toLocaleString();
+    const repeated =
+      health.failureCount > 1 ? ` (${health.failureCount} times in a row)` : "";
+    return `Failed ${when}${repeated}: ${health.error || "Unknown error"}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = VibeHealthService;
+} else {
+  window.VibeHealthService = VibeHealthService;
+}
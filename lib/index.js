@@ -17,6 +17,8 @@
 function checkLibraryLoaded() {
   const requiredClasses = [
     "Hack",
+    "HackRevision",
+    "UrlMatchPatterns",
     "HackRepository",
     "HackService",
     "Settings",
@@ -26,18 +28,41 @@ function checkLibraryLoaded() {
     "AIResponse",
     "AIBackend",
     "GeminiBackend",
+    "OpenAIBackend",
+    "AnthropicBackend",
     "AIService",
+    "ChatSession",
+    "ChatSessionRepository",
+    "ChatSessionService",
+    "VibeHealth",
+    "VibeHealthRepository",
+    "VibeHealthService",
+    "VibeBundle",
+    "BundleIdentityRepository",
+    "BundleService",
+    "Backup",
+    "BackupRepository",
+    "BackupService",
+    "SyncState",
+    "SyncRepository",
+    "SyncService",
+    "VibeLibrary",
+    "LibraryRepository",
+    "LibraryService",
     // Agentic module classes
     "AgenticTool",
     "AgenticService",
+    "ApplyVerifier",
     "SaveJSTool",
     "ReadJSTool",
     "SaveCSSTool",
     "ReadCSSTool",
+    "PatchCodeTool",
     "SearchWebsiteHTMLTool",
     "InspectHTMLCSSTool",
     "SearchWebsiteByKeywordTool",
     "SearchWebsiteJavaScriptTool",
+    "TakeScreenshotTool",
   ];
   const missing = requiredClasses.filter(
     (className) => typeof window[className] === "undefined"
@@ -75,6 +100,37 @@ function createWebVibesLibrary() {
       return new AIService(settingsService);
     },
 
+    createChatSessionService: () => {
+      const repository = new ChatSessionRepository();
+      return new ChatSessionService(repository);
+    },
+
+    createVibeHealthService: () => {
+      const repository = new VibeHealthRepository();
+      return new VibeHealthService(repository);
+    },
+
+    createBundleService: () => {
+      const repository = new BundleIdentityRepository();
+      return new BundleService(repository);
+    },
+
+    createBackupService: () => {
+      const repository = new BackupRepository();
+      return new BackupService(repository);
+    },
+
+    createSyncService: () => {
+      return new SyncService(new SyncRepository(), new HackRepository());
+    },
+
+    createLibraryService: (hackService) => {
+      if (!hackService) {
+        throw new Error("hackService is required for createLibraryService");
+      }
+      return new LibraryService(new LibraryRepository(), hackService);
+    },
+
     createAgenticService: (aiService, hackService, settingsService) => {
       if (!settingsService) {
         throw new Error(
@@ -90,10 +146,12 @@ function createWebVibesLibrary() {
         new ReadJSTool(hackService),
         new SaveCSSTool(hackService),
         new ReadCSSTool(hackService),
+        new PatchCodeTool(hackService),
         new SearchWebsiteHTMLTool(),
         new InspectHTMLCSSTool(),
         new SearchWebsiteByKeywordTool(),
         new SearchWebsiteJavaScriptTool(),
+        new TakeScreenshotTool(),
       ];
       return new AgenticService(aiService, tools, settingsService);
     },
@@ -146,6 +204,14 @@ function createWebVibesLibrary() {
         const backend = new GeminiBackend();
         return backend.validateCredentials(credentials);
       }
+      if (provider === "OpenAI") {
+        const backend = new OpenAIBackend();
+        return backend.validateCredentials(credentials);
+      }
+      if (provider === "Anthropic") {
+        const backend = new AnthropicBackend();
+        return backend.validateCredentials(credentials);
+      }
       return false;
     },
   };
@@ -0,0 +1,180 @@
+/**
+ * Data model for a vibe library: vibes laid out as a folder tree of plain
+ * files, so they can be committed to a repository and reviewed like code
+ *
+ *   library.json        format marker
+ *   <site>/             one folder per hostname, "_global" for global vibes
+ *     <vibe>/           one folder per vibe, named after it
+ *       vibe.json       everything but the code and revision history
+ *       style.css
+ *       script.js
+ */
+class VibeLibrary {
+  constructor(sites = {}, formatVersion = VibeLibrary.FORMAT_VERSION) {
+    // Site folder name -> [{folderName, vibe}], vibe being stored hack data
+    this.sites = sites;
+    this.formatVersion = formatVersion;
+    // Paths of vibe folders that could not be read
+    this.skipped = [];
+  }
+
+  /**
+   * Format marker written to library.json
+   * @returns {string}
+   */
+  static get FORMAT() {
+    return "web-vibes-library";
+  }
+
+  /**
+   * Current layout version; libraries from a newer version are refused
+   * @returns {number}
+   */
+  static get FORMAT_VERSION() {
+    return 1;
+  }
+
+  /**
+   * File names used in a library
+   * @returns {Object} Map of file constants to names
+   */
+  static get FILES() {
+    return {
+      MANIFEST: "library.json",
+      METADATA: "vibe.json",
+      CSS: "style.css",
+      JS: "script.js",
+    };
+  }
+
+  /**
+   * Site folder holding global vibes
+   * @returns {string}
+   */
+  static get GLOBAL_FOLDER() {
+    return "_global";
+  }
+
+  /**
+   * Add a vibe to the library
+   * @param {string} siteFolder - Site folder name
+   * @param {string} folderName - Vibe folder name
+   * @param {Object} vibe - Stored hack data
+   */
+  addVibe(siteFolder, folderName, vibe) {
+    this.sites[siteFolder] = [
+      ...(this.sites[siteFolder] || []),
+      { folderName, vibe },
+    ];
+  }
+
+  /**
+   * Get the vibes in a site folder
+   * @param {string} siteFolder - Site folder name
+   * @returns {Object[]} Stored hack data
+   */
+  getVibes(siteFolder) {
+    return (this.sites[siteFolder] || []).map((entry) => entry.vibe);
+  }
+
+  /**
+   * Total number of vibes in the library
+   * @returns {number}
+   */
+  getVibeCount() {
+    return Object.values(this.sites).reduce(
+      (count, entries) => count + entries.length,
+      0
+    );
+  }
+
+  /**
+   * Contents of library.json
+   * @returns {Object} {format, formatVersion}
+   */
+  getManifest() {
+    return {
+      format: VibeLibrary.FORMAT,
+      formatVersion: this.formatVersion,
+    };
+  }
+
+  /**
+   * Read the format version from library.json
+   * A folder without one is read as the current version.
+   * @param {Object|null} manifest - Parsed library.json
+   * @returns {number} Format version
+   * @throws {Error} If the folder holds another format or a newer version
+   */
+  static readFormatVersion(manifest) {
+    if (!manifest) {
+      return VibeLibrary.FORMAT_VERSION;
+    }
+    if (manifest.format !== VibeLibrary.FORMAT) {
+      throw new Error("The folder's library.json is not a vibe library");
+    }
+    if (
+      !Number.isInteger(manifest.formatVersion) ||
+      manifest.formatVersion > VibeLibrary.FORMAT_VERSION
+    ) {
+      throw new Error(
+        `This library uses format version ${manifest.formatVersion}; update Web Vibes to open it`
+      );
+    }
+    return manifest.formatVersion;
+  }
+
+  /**
+   * Turn a vibe into the contents of its files
+   * Code files end with a newline, which is removed again on reading.
+   * @param {Object} vibe - Stored hack data
+   * @returns {Object} Map of file name to text
+   */
+  static toFiles(vibe) {
+    const { cssCode, jsCode, revisions, ...metadata } = vibe;
+    const withNewline = (code) => (code ? `${code}\n` : "");
+    return {
+      [VibeLibrary.FILES.METADATA]: `${JSON.stringify(metadata, null, 2)}\n`,
+      [VibeLibrary.FILES.CSS]: withNewline(cssCode),
+      [VibeLibrary.FILES.JS]: withNewline(jsCode),
+    };
+  }
+
+  /**
+   * Turn the contents of a vibe's files back into a vibe
+   * @param {Object} files - Map of file name to text; code files may be missing
+   * @returns {Object} Hack data
+   * @throws {Error} If vibe.json is not valid JSON
+   */
+  static fromFiles(files) {
+    const metadata = JSON.parse(files[VibeLibrary.FILES.METADATA]);
+    const withoutNewline = (text) => (text || "").replace(/\r?\n$/, "");
+    return {
+      ...metadata,
+      cssCode: withoutNewline(files[VibeLibrary.FILES.CSS]),
+      jsCode: withoutNewline(files[VibeLibrary.FILES.JS]),
+    };
+  }
+
+  /**
+   * Folder name for a vibe, from its name
+   * @param {string} name - Vibe name
+   * @returns {string} Lowercase name with dashes; "vibe" if nothing is left
+   */
+  static getFolderName(name) {
+    const folderName = (name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 60)
+      .replace(/-+$/, "");
+    return folderName || "vibe";
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = VibeLibrary;
+} else {
+  window.VibeLibrary = VibeLibrary;
+}
@@ -0,0 +1,203 @@
+/**
+ * Repository for vibe library folders
+ * Reads and writes the library's files in a folder picked with the File
+ * System Access API. Only folders holding a vibe.json are treated as vibes;
+ * anything else in the folder, such as .git, is left alone. The IDs of the
+ * vibes this browser has exported are kept in chrome.storage.local.
+ */
+class LibraryRepository {
+  constructor() {
+    this.exportsStorageKey = "webVibesLibraryExports";
+  }
+
+  /**
+   * Check whether the browser can open local folders
+   * @returns {boolean} True if the File System Access API is available
+   */
+  isAvailable() {
+    return typeof window.showDirectoryPicker === "function";
+  }
+
+  /**
+   * Ask the user for a library folder
+   * The picker opens where the last library folder was.
+   * @returns {Promise<FileSystemDirectoryHandle>} The picked folder
+   */
+  async pickFolder() {
+    return await window.showDirectoryPicker({
+      id: "web-vibes-library",
+      mode: "readwrite",
+    });
+  }
+
+  /**
+   * Get the library IDs of the vibes this browser has exported
+   * @returns {Promise<string[]>} Library IDs
+   */
+  async getExportedIds() {
+    try {
+      const result = await chrome.storage.local.get([this.exportsStorageKey]);
+      return result[this.exportsStorageKey] || [];
+    } catch (error) {
+      console.error("Error loading exported library IDs:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the library IDs of the vibes this browser has exported
+   * @param {string[]} ids - Library IDs
+   * @returns {Promise<void>}
+   */
+  async saveExportedIds(ids) {
+    try {
+      await chrome.storage.local.set({ [this.exportsStorageKey]: ids });
+    } catch (error) {
+      console.error("Error saving exported library IDs:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure the library folder may be written, asking the user if needed
+   * @param {FileSystemDirectoryHandle} folder - The library folder
+   * @returns {Promise<void>}
+   * @throws {Error} If the user does not allow it
+   */
+  async requestWriteAccess(folder) {
+    const options = { mode: "readwrite" };
+    if ((await folder.queryPermission(options)) === "granted") return;
+    if ((await folder.requestPermission(options)) !== "granted") {
+      throw new Error("Permission to write to the folder was not granted");
+    }
+  }
+
+  /**
+   * Read a library's files
+   * @param {FileSystemDirectoryHandle} folder - The library folder
+   * @param {string} manifestName - File name of the library manifest
+   * @param {string} metadataName - File name that marks a vibe folder
+   * @returns {Promise<Object>} {manifest, vibes}: the manifest's text or null,
+   *   and [{siteFolder, vibeFolder, files}] with files a map of file name to
+   *   text for every file in the vibe folder
+   */
+  async readFiles(folder, manifestName, metadataName) {
+    try {
+      const vibes = [];
+      let manifest = null;
+
+      for await (const [siteFolder, siteHandle] of folder.entries()) {
+        if (siteHandle.kind === "file") {
+          if (siteFolder === manifestName) {
+            manifest = await this.readText(siteHandle);
+          }
+          continue;
+        }
+        if (siteFolder.startsWith(".")) continue;
+
+        for await (const [vibeFolder, vibeHandle] of siteHandle.entries()) {
+          if (vibeHandle.kind !== "directory") continue;
+
+          const files = {};
+          for await (const [fileName, fileHandle] of vibeHandle.entries()) {
+            if (fileHandle.kind === "file") {
+              files[fileName] = await this.readText(fileHandle);
+            }
+          }
+          if (metadataName in files) {
+            vibes.push({ siteFolder, vibeFolder, files });
+          }
+        }
+      }
+
+      return { manifest, vibes };
+    } catch (error) {
+      console.error("Error reading vibe library:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a library's files and remove vibe folders that are gone
+   * Site folders left empty are removed too.
+   * @param {FileSystemDirectoryHandle} folder - The library folder
+   * @param {Object} manifestFiles - Map of file name to text at the top level
+   * @param {Array<Object>} vibes - [{siteFolder, vibeFolder, files}]
+   * @param {Array<Object>} removedVibes - [{siteFolder, vibeFolder}]
+   * @returns {Promise<void>}
+   */
+  async writeFiles(folder, manifestFiles, vibes, removedVibes) {
+    try {
+      await this.requestWriteAccess(folder);
+
+      for (const [fileName, text] of Object.entries(manifestFiles)) {
+        await this.writeText(folder, fileName, text);
+      }
+
+      for (const { siteFolder, vibeFolder, files } of vibes) {
+        const siteHandle = await folder.getDirectoryHandle(siteFolder, {
+          create: true,
+        });
+        const vibeHandle = await siteHandle.getDirectoryHandle(vibeFolder, {
+          create: true,
+        });
+        for (const [fileName, text] of Object.entries(files)) {
+          await this.writeText(vibeHandle, fileName, text);
+        }
+      }
+
+      const touchedSites = new Set();
+      for (const { siteFolder, vibeFolder } of removedVibes) {
+        const siteHandle = await folder.getDirectoryHandle(siteFolder);
+        await siteHandle.removeEntry(vibeFolder, { recursive: true });
+        touchedSites.add(siteFolder);
+      }
+      for (const siteFolder of touchedSites) {
+        const siteHandle = await folder.getDirectoryHandle(siteFolder);
+        const { done } = await siteHandle.keys().next();
+        if (done) {
+          await folder.removeEntry(siteFolder);
+        }
+      }
+    } catch (error) {
+      console.error("Error writing vibe library:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a file as text
+   * @param {FileSystemFileHandle} fileHandle - The file
+   * @returns {Promise<string>} File contents
+   */
+  async readText(fileHandle) {
+    const file = await fileHandle.getFile();
+    return await file.text();
+  }
+
+  /**
+   * Write text to a file, creating or overwriting it
+   * Files whose contents are unchanged are not rewritten.
+   * @param {FileSystemDirectoryHandle} folderHandle - Folder of the file
+   * @param {string} fileName - File name
+   * @param {string} text - New contents
+   * @returns {Promise<void>}
+   */
+  async writeText(folderHandle, fileName, text) {
+    const fileHandle = await folderHandle.getFileHandle(fileName, {
+      create: true,
+    });
+    if ((await this.readText(fileHandle)) === text) return;
+
+    const writable = await fileHandle.createWritable();
+    await writable.write(text);
+    await writable.close();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LibraryRepository;
+} else {
+  window.LibraryRepository = LibraryRepository;
+}
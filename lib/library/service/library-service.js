@@ -0,0 +1,374 @@
+/**
+ * Service for exporting vibes to a library folder and loading them back
+ * Vibes in the library are identified by their origin ID, so a vibe keeps
+ * the same ID and folder whoever exports it. Loading a library goes through
+ * the same matching and conflict choices as importing a .groove file.
+ */
+class LibraryService {
+  constructor(libraryRepository, hackService) {
+    if (!libraryRepository) {
+      throw new Error("LibraryRepository is required");
+    }
+    if (!hackService) {
+      throw new Error("HackService is required");
+    }
+    this.repository = libraryRepository;
+    this.hackService = hackService;
+  }
+
+  /**
+   * Check whether the browser can open local folders
+   * @returns {boolean} True if libraries can be used
+   */
+  isAvailable() {
+    return this.repository.isAvailable();
+  }
+
+  /**
+   * Ask the user for a library folder
+   * @returns {Promise<FileSystemDirectoryHandle>} The picked folder
+   */
+  async pickFolder() {
+    return await this.repository.pickFolder();
+  }
+
+  /**
+   * Read the vibes in a library folder
+   * Vibe folders whose vibe.json cannot be read are listed in
+   * library.skipped.
+   * @param {FileSystemDirectoryHandle} folder - The library folder
+   * @returns {Promise<VibeLibrary>} The library
+   * @throws {Error} If the folder holds another format or a newer version
+   */
+  async readLibrary(folder) {
+    const { manifest, vibes } = await this.repository.readFiles(
+      folder,
+      VibeLibrary.FILES.MANIFEST,
+      VibeLibrary.FILES.METADATA
+    );
+
+    let manifestData = null;
+    if (manifest !== null) {
+      try {
+        manifestData = JSON.parse(manifest);
+      } catch (error) {
+        throw new Error("The folder's library.json is not valid JSON");
+      }
+    }
+
+    const library = new VibeLibrary(
+      {},
+      VibeLibrary.readFormatVersion(manifestData)
+    );
+    vibes
+      .sort(
+        (a, b) =>
+          a.siteFolder.localeCompare(b.siteFolder) ||
+          a.vibeFolder.localeCompare(b.vibeFolder)
+      )
+      .forEach(({ siteFolder, vibeFolder, files }) => {
+        try {
+          library.addVibe(
+            siteFolder,
+            vibeFolder,
+            VibeLibrary.fromFiles(files)
+          );
+        } catch (error) {
+          console.warn(
+            `Skipping unreadable vibe ${siteFolder}/${vibeFolder}:`,
+            error
+          );
+          library.skipped.push(`${siteFolder}/${vibeFolder}`);
+        }
+      });
+    return library;
+  }
+
+  /**
+   * Write every stored vibe to a library folder
+   * Vibes keep the folder they were written to before, even when renamed.
+   * Folders of vibes this browser exported before and has deleted since are
+   * removed, so deletions show up in the repository too. Other folders
+   * without a stored vibe, such as vibes added by someone else and not
+   * loaded here, are left alone.
+   * @param {FileSystemDirectoryHandle} folder - The library folder
+   * @returns {Promise<{written: number, removed: number, kept: number}>}
+   *   Vibe folder counts; kept are folders without a stored vibe that were
+   *   left alone
+   */
+  async exportLibrary(folder) {
+    const existing = await this.readLibrary(folder);
+    const exportedIds = new Set(await this.repository.getExportedIds());
+    const library = new VibeLibrary();
+    const unstored = [];
+
+    for (const scope of await this.getScopes()) {
+      const siteFolder = this.getSiteFolder(scope);
+      const existingEntries = existing.sites[siteFolder] || [];
+      const takenFolders = new Set(
+        existingEntries.map((entry) => entry.folderName)
+      );
+      const folderById = new Map(
+        existingEntries.map((entry) => [entry.vibe.id, entry.folderName])
+      );
+      const { hacks } = await this.hackService.exportHacksForSite(scope);
+      const libraryIds = new Set();
+
+      hacks.forEach((hack) => {
+        const vibe = this._toLibraryVibe(hack, libraryIds);
+        let folderName = folderById.get(vibe.id);
+        if (!folderName) {
+          const baseName = VibeLibrary.getFolderName(vibe.name);
+          folderName = baseName;
+          for (let n = 2; takenFolders.has(folderName); n++) {
+            folderName = `${baseName}-${n}`;
+          }
+          takenFolders.add(folderName);
+        }
+        library.addVibe(siteFolder, folderName, vibe);
+      });
+
+      existingEntries
+        .filter((entry) => !libraryIds.has(entry.vibe.id))
+        .forEach((entry) => unstored.push({ siteFolder, entry }));
+    }
+
+    // Sites with no vibes left
+    Object.entries(existing.sites)
+      .filter(([siteFolder]) => !library.sites[siteFolder])
+      .forEach(([siteFolder, entries]) =>
+        entries.forEach((entry) => unstored.push({ siteFolder, entry }))
+      );
+
+    const removed = unstored.filter(({ entry }) =>
+      exportedIds.has(entry.vibe.id)
+    );
+    const removedVibes = removed.map(({ siteFolder, entry }) => ({
+      siteFolder,
+      vibeFolder: entry.folderName,
+    }));
+
+    const vibes = Object.entries(library.sites).flatMap(
+      ([siteFolder, entries]) =>
+        entries.map(({ folderName, vibe }) => ({
+          siteFolder,
+          vibeFolder: folderName,
+          files: VibeLibrary.toFiles(vibe),
+        }))
+    );
+    await this.repository.writeFiles(
+      folder,
+      {
+        [VibeLibrary.FILES.MANIFEST]: `${JSON.stringify(
+          library.getManifest(),
+          null,
+          2
+        )}\n`,
+      },
+      vibes,
+      removedVibes
+    );
+
+    removed.forEach(({ entry }) => exportedIds.delete(entry.vibe.id));
+    Object.values(library.sites).forEach((entries) =>
+      entries.forEach(({ vibe }) => exportedIds.add(vibe.id))
+    );
+    await this.repository.saveExportedIds([...exportedIds]);
+
+    return {
+      written: vibes.length,
+      removed: removedVibes.length,
+      kept: unstored.length - removed.length,
+    };
+  }
+
+  /**
+   * Compare a library with the stored vibes, site by site
+   * @param {VibeLibrary} library - The library
+   * @returns {Promise<Array<Object>>} [{scope, siteFolder, conflicts,
+   *   missing}] for each site with vibes on either side. conflicts are
+   *   HackService.findImportConflicts entries for the library's vibes, with
+   *   settingsChanged set when the name or options differ; missing are
+   *   stored hack data not in the library
+   */
+  async compareLibrary(library) {
+    const scopes = new Set([
+      ...(await this.getScopes()),
+      ...Object.keys(library.sites).map((siteFolder) =>
+        this.getScope(siteFolder)
+      ),
+    ]);
+
+    const sites = [];
+    const sortedScopes = [...scopes].sort((a, b) => this._compareScopes(a, b));
+    for (const scope of sortedScopes) {
+      const siteFolder = this.getSiteFolder(scope);
+      const conflicts = await this.hackService.findImportConflicts(
+        scope,
+        library.getVibes(siteFolder)
+      );
+      conflicts.forEach((conflict) => {
+        conflict.settingsChanged =
+          !!conflict.existing &&
+          this._hasChangedSettings(conflict.existing, conflict.vibe);
+      });
+
+      const matchedIds = new Set(
+        conflicts
+          .filter((conflict) => conflict.existing)
+          .map((conflict) => conflict.existing.id)
+      );
+      const { hacks } = await this.hackService.exportHacksForSite(scope);
+      const missing = hacks.filter((hack) => !matchedIds.has(hack.id));
+
+      if (conflicts.length > 0 || missing.length > 0) {
+        sites.push({ scope, siteFolder, conflicts, missing });
+      }
+    }
+    return sites;
+  }
+
+  /**
+   * Pick how to load a library vibe when the user has not chosen
+   * New vibes are added, changed ones replace the stored vibe and unchanged
+   * ones are skipped.
+   * @param {Object} conflict - Entry from compareLibrary
+   * @returns {string} A HackService.IMPORT_RESOLUTION value
+   */
+  getDefaultResolution(conflict) {
+    const { SKIP, REPLACE, KEEP_BOTH } = HackService.IMPORT_RESOLUTION;
+    if (!conflict.existing) {
+      return KEEP_BOTH;
+    }
+    return conflict.codeChanged || conflict.settingsChanged ? REPLACE : SKIP;
+  }
+
+  /**
+   * Load a library's vibes into storage
+   * Stored vibes that are not in the library are left alone.
+   * @param {VibeLibrary} library - The library
+   * @param {Array<Object>} sites - Result of compareLibrary
+   * @param {Object} [resolutions={}] - Scope -> IMPORT_RESOLUTION per
+   *   conflict; missing entries use getDefaultResolution
+   * @returns {Promise<number>} Number of vibes added or changed
+   */
+  async importLibrary(library, sites, resolutions = {}) {
+    const { SKIP } = HackService.IMPORT_RESOLUTION;
+    let changed = 0;
+
+    for (const { scope, siteFolder, conflicts } of sites) {
+      const siteResolutions = conflicts.map(
+        (conflict, index) =>
+          (resolutions[scope] && resolutions[scope][index]) ||
+          this.getDefaultResolution(conflict)
+      );
+      const count = siteResolutions.filter((value) => value !== SKIP).length;
+      if (count === 0) continue;
+
+      await this.hackService.importVibes(
+        scope,
+        library.getVibes(siteFolder),
+        siteResolutions
+      );
+      changed += count;
+    }
+    return changed;
+  }
+
+  /**
+   * Scopes that have stored vibes, global scope included
+   * @returns {Promise<string[]>} Hostnames and GLOBAL_SCOPE
+   */
+  async getScopes() {
+    return [
+      ...(await this.hackService.getAllSitesWithHacks()),
+      HackRepository.GLOBAL_SCOPE,
+    ];
+  }
+
+  /**
+   * Library folder name for a scope
+   * @param {string} scope - Hostname or GLOBAL_SCOPE
+   * @returns {string} Site folder name
+   */
+  getSiteFolder(scope) {
+    return scope === HackRepository.GLOBAL_SCOPE
+      ? VibeLibrary.GLOBAL_FOLDER
+      : scope;
+  }
+
+  /**
+   * Scope for a library folder name
+   * @param {string} siteFolder - Site folder name
+   * @returns {string} Hostname or GLOBAL_SCOPE
+   */
+  getScope(siteFolder) {
+    return siteFolder === VibeLibrary.GLOBAL_FOLDER
+      ? HackRepository.GLOBAL_SCOPE
+      : siteFolder;
+  }
+
+  /**
+   * Turn stored hack data into the vibe written to the library
+   * The library ID is the origin ID, unless another vibe on the site already
+   * uses it, as happens when a vibe was imported twice.
+   * @private
+   * @param {Object} hack - Stored hack data
+   * @param {Set<string>} libraryIds - IDs already used on the site (mutated)
+   * @returns {Object} Hack data for the library
+   */
+  _toLibraryVibe(hack, libraryIds) {
+    const originId = hack.originId || hack.id;
+    const id = libraryIds.has(originId) ? hack.id : originId;
+    libraryIds.add(id);
+
+    const vibe = { ...hack, id };
+    if (id === originId) {
+      delete vibe.originId;
+    }
+    return vibe;
+  }
+
+  /**
+   * Check whether a library vibe's name or options differ from a stored vibe
+   * Covers the fields a replace takes from the library besides the code.
+   * @private
+   * @param {Hack} existing - The stored vibe
+   * @param {Object} vibe - Library vibe data
+   * @returns {boolean} True if anything differs
+   */
+  _hasChangedSettings(existing, vibe) {
+    const incoming = Hack.fromJSON({ ...vibe, revisions: undefined });
+    return (
+      [
+        "name",
+        "description",
+        "applyDelay",
+        "runAt",
+        "rerunOnDomChange",
+        "frameTarget",
+      ].some((field) => existing[field] !== incoming[field]) ||
+      JSON.stringify(existing.framePatterns) !==
+        JSON.stringify(incoming.framePatterns)
+    );
+  }
+
+  /**
+   * Order scopes with global vibes first, then by hostname
+   * @private
+   * @param {string} a - Scope
+   * @param {string} b - Scope
+   * @returns {number} Sort order
+   */
+  _compareScopes(a, b) {
+    const isGlobal = (scope) => scope === HackRepository.GLOBAL_SCOPE;
+    return isGlobal(b) - isGlobal(a) || a.localeCompare(b);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LibraryService;
+} else {
+  window.LibraryService = LibraryService;
+}
@@ -9,7 +9,8 @@ class Settings {
     createdAt = new Date(),
     updatedAt = new Date(),
     maxConversationSize = 25000,
-    maxIndividualMessageSize = 5000
+    maxIndividualMessageSize = 5000,
+    applyVerification = "styles"
   ) {
     this.selectedTheme = selectedTheme;
     this.selectedAI = selectedAI;
@@ -17,6 +18,11 @@ class Settings {
     this.updatedAt = updatedAt;
     this.maxConversationSize = maxConversationSize;
     this.maxIndividualMessageSize = maxIndividualMessageSize;
+    this.applyVerification = Settings.isValidApplyVerification(
+      applyVerification
+    )
+      ? applyVerification
+      : "styles";
   }
 
   /**
@@ -64,21 +70,30 @@ class Settings {
     this.updatedAt = new Date();
   }
 
+  /**
+   * Update how the AI's changes are verified after apply_hack
+   * @param {string} mode - One of the keys of Settings.getApplyVerificationModes()
+   */
+  setApplyVerification(mode) {
+    if (!Settings.isValidApplyVerification(mode)) {
+      throw new Error(`Verification mode '${mode}' not found`);
+    }
+    this.applyVerification = mode;
+    this.updatedAt = new Date();
+  }
+
   /**
    * Set AI credentials for a specific provider
    * @param {string} aiProvider
    * @param {Object} credentials
    */
   setAICredentials(aiProvider, credentials) {
-    if (aiProvider === "Gemini") {
-      const geminiService = getGeminiSettingsService();
-      if (geminiService && credentials) {
-        // Delegate all logic to GeminiSettingsService
-        return geminiService.setAll(credentials);
-      }
-      return Promise.resolve();
+    const providerService = getAISettingsService(aiProvider);
+    if (providerService && credentials) {
+      // Delegate all logic to the provider's settings service
+      return providerService.setAll(credentials);
     }
-    // No-op for other providers
+    // No-op for providers without a settings service
     return Promise.resolve();
   }
 
@@ -88,15 +103,12 @@ class Settings {
    * @returns {Object}
    */
   getAICredentials(aiProvider) {
-    if (aiProvider === "Gemini") {
-      const geminiService = getGeminiSettingsService();
-      if (geminiService) {
-        // Return the full GeminiSettings model object
-        return geminiService.getAllSettings();
-      }
-      return Promise.resolve({});
+    const providerService = getAISettingsService(aiProvider);
+    if (providerService) {
+      // Return the full provider settings model object
+      return providerService.getAllSettings();
     }
-    // No-op for other providers
+    // No-op for providers without a settings service
     return Promise.resolve({});
   }
 
@@ -105,15 +117,12 @@ class Settings {
    * @param {string} aiProvider
    */
   clearAICredentials(aiProvider) {
-    if (aiProvider === "Gemini") {
-      const geminiService = getGeminiSettingsService();
-      if (geminiService) {
-        // Reset to defaults (clears all Gemini settings)
-        return geminiService.resetToDefaults();
-      }
-      return Promise.resolve();
+    const providerService = getAISettingsService(aiProvider);
+    if (providerService) {
+      // Reset to defaults (clears all provider settings)
+      return providerService.resetToDefaults();
     }
-    // No-op for other providers
+    // No-op for providers without a settings service
     return Promise.resolve();
   }
 
@@ -129,6 +138,7 @@ class Settings {
       updatedAt: this.updatedAt.toISOString(),
       maxConversationSize: this.maxConversationSize,
       maxIndividualMessageSize: this.maxIndividualMessageSize,
+      applyVerification: this.applyVerification,
     };
   }
 
@@ -144,7 +154,8 @@ class Settings {
       data.createdAt ? new Date(data.createdAt) : new Date(),
       data.updatedAt ? new Date(data.updatedAt) : new Date(),
       data.maxConversationSize,
-      data.maxIndividualMessageSize
+      data.maxIndividualMessageSize,
+      data.applyVerification
     );
   }
 
@@ -170,7 +181,9 @@ class Settings {
       (data.maxConversationSize === undefined ||
         typeof data.maxConversationSize === "number") &&
       (data.maxIndividualMessageSize === undefined ||
-        typeof data.maxIndividualMessageSize === "number")
+        typeof data.maxIndividualMessageSize === "number") &&
+      (data.applyVerification === undefined ||
+        typeof data.applyVerification === "string")
     );
   }
 
@@ -320,6 +333,39 @@ class Settings {
           },
         },
       },
+      OpenAI: {
+        name: "OpenAI Compatible",
+        description:
+          "OpenAI or any /v1/chat/completions server (llama.cpp, Ollama, vLLM)",
+        requiresApiKey: true,
+        credentialFields: {
+          baseUrl: {
+            type: "url",
+            label: "Base URL",
+            placeholder: "https://api.openai.com/v1",
+            required: true,
+          },
+          apiKey: {
+            type: "password",
+            label: "API Key",
+            placeholder: "Optional for local servers",
+            required: false,
+          },
+        },
+      },
+      Anthropic: {
+        name: "Anthropic Claude",
+        description: "Anthropic's Claude models with native tool use",
+        requiresApiKey: true,
+        credentialFields: {
+          apiKey: {
+            type: "password",
+            label: "API Key",
+            placeholder: "Enter your Anthropic API key",
+            required: true,
+          },
+        },
+      },
     };
   }
 
@@ -341,6 +387,38 @@ class Settings {
     return aiKey in Settings.getAvailableAIs();
   }
 
+  /**
+   * Get the ways the AI's changes can be verified after apply_hack
+   * @returns {Object} Verification modes with their properties
+   */
+  static getApplyVerificationModes() {
+    return {
+      off: {
+        name: "Off",
+        description: "Only report whether the code was injected",
+      },
+      styles: {
+        name: "Styles and layout",
+        description:
+          "Compare computed styles and element boxes before and after applying",
+      },
+      screenshots: {
+        name: "Styles, layout and screenshots",
+        description:
+          "Also attach screenshots from before and after applying (uses more tokens)",
+      },
+    };
+  }
+
+  /**
+   * Check if a verification mode is valid
+   * @param {string} mode - Verification mode to validate
+   * @returns {boolean} True if the mode exists
+   */
+  static isValidApplyVerification(mode) {
+    return mode in Settings.getApplyVerificationModes();
+  }
+
   /**
    * Check if the current AI configuration is complete
    * For Gemini, this is handled by GeminiSettingsService in the UI/service layer.
@@ -372,3 +450,39 @@ function getGeminiSettingsService() {
   }
   return null;
 }
+
+// Helper to get OpenAISettingsService singleton from window (browser context)
+function getOpenAISettingsService() {
+  if (typeof window !== "undefined" && window.OpenAISettingsService && window.OpenAISettingsRepository) {
+    if (!window._openAISettingsServiceInstance) {
+      window._openAISettingsServiceInstance = new window.OpenAISettingsService(new window.OpenAISettingsRepository());
+    }
+    return window._openAISettingsServiceInstance;
+  }
+  return null;
+}
+
+// Helper to get AnthropicSettingsService singleton from window (browser context)
+function getAnthropicSettingsService() {
+  if (typeof window !== "undefined" && window.AnthropicSettingsService && window.AnthropicSettingsRepository) {
+    if (!window._anthropicSettingsServiceInstance) {
+      window._anthropicSettingsServiceInstance = new window.AnthropicSettingsService(new window.AnthropicSettingsRepository());
+    }
+    return window._anthropicSettingsServiceInstance;
+  }
+  return null;
+}
+
+// Helper to get the settings service that stores credentials for an AI provider
+function getAISettingsService(aiProvider) {
+  switch (aiProvider) {
+    case "Gemini":
+      return getGeminiSettingsService();
+    case "OpenAI":
+      return getOpenAISettingsService();
+    case "Anthropic":
+      return getAnthropicSettingsService();
+    default:
+      return null;
+  }
+}
@@ -68,6 +68,14 @@ class SettingsService {
     return Settings.getAvailableAIs();
   }
 
+  /**
+   * Get the available apply verification modes
+   * @returns {Object} Verification modes object
+   */
+  getApplyVerificationModes() {
+    return Settings.getApplyVerificationModes();
+  }
+
   /**
    * Get current theme data
    * @returns {Promise<Object>} Current theme object
@@ -207,4 +215,15 @@ class SettingsService {
     settings.setMaxIndividualMessageSize(sizeInTokens);
     return await this.saveSettings(settings);
   }
+
+  /**
+   * Set how the AI's changes are verified after apply_hack
+   * @param {string} mode - Verification mode
+   * @returns {Promise<Settings>} Updated settings instance
+   */
+  async setApplyVerification(mode) {
+    const settings = await this.getAllSettings();
+    settings.setApplyVerification(mode);
+    return await this.saveSettings(settings);
+  }
 }
@@ -0,0 +1,86 @@
+/**
+ * Data model for this device's view of vibe sync
+ * Remembers the update time each vibe had when it was last synced, which
+ * vibes stay on this device only, and how past conflicts were settled
+ */
+class SyncState {
+  constructor(
+    enabled = false,
+    deviceId = null,
+    lastSyncAt = null,
+    lastError = null,
+    synced = {},
+    localOnly = {},
+    conflicts = []
+  ) {
+    this.enabled = enabled;
+    this.deviceId = deviceId;
+    this.lastSyncAt = lastSyncAt;
+    this.lastError = lastError;
+    // Hack ID -> update time (ms) both sides had after the last sync
+    this.synced = synced;
+    // Hack ID -> reason the vibe is not synced
+    this.localOnly = localOnly;
+    this.conflicts = conflicts;
+  }
+
+  /**
+   * Number of conflicts kept in the log; older ones are dropped
+   * @returns {number}
+   */
+  static get MAX_CONFLICTS() {
+    return 50;
+  }
+
+  /**
+   * Record how a conflict was settled, newest first
+   * @param {Object} conflict - {hackId, name, kept, reason, localUpdatedAt,
+   *   remoteUpdatedAt, resolvedAt}
+   */
+  addConflict(conflict) {
+    this.conflicts = [conflict, ...this.conflicts].slice(
+      0,
+      SyncState.MAX_CONFLICTS
+    );
+  }
+
+  /**
+   * Convert the state to a plain object for storage
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      enabled: this.enabled,
+      deviceId: this.deviceId,
+      lastSyncAt: this.lastSyncAt ? this.lastSyncAt.toISOString() : null,
+      lastError: this.lastError,
+      synced: { ...this.synced },
+      localOnly: { ...this.localOnly },
+      conflicts: [...this.conflicts],
+    };
+  }
+
+  /**
+   * Create a SyncState instance from stored data
+   * @param {Object} [data] - The stored state
+   * @returns {SyncState} New SyncState instance
+   */
+  static fromJSON(data = {}) {
+    return new SyncState(
+      !!data.enabled,
+      typeof data.deviceId === "string" ? data.deviceId : null,
+      data.lastSyncAt ? new Date(data.lastSyncAt) : null,
+      data.lastError || null,
+      data.synced && typeof data.synced === "object" ? data.synced : {},
+      data.localOnly && typeof data.localOnly === "object" ? data.localOnly : {},
+      Array.isArray(data.conflicts) ? data.conflicts : []
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SyncState;
+} else {
+  window.SyncState = SyncState;
+}
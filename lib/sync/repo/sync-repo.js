@@ -0,0 +1,128 @@
+/**
+ * Repository for vibe sync storage
+ * Keeps this device's sync state in chrome.storage.local and the shared
+ * vibe items in chrome.storage.sync
+ */
+class SyncRepository {
+  constructor() {
+    this.storageKey = "webVibesSyncState";
+    // Every item this extension writes to sync storage starts with this
+    this.syncKeyPrefix = "wvs:";
+  }
+
+  /**
+   * Check whether the browser offers sync storage
+   * @returns {boolean} True if chrome.storage.sync can be used
+   */
+  isAvailable() {
+    return !!(chrome.storage && chrome.storage.sync);
+  }
+
+  /**
+   * Limits of sync storage
+   * @returns {Object} {totalBytes, itemBytes, maxItems}
+   */
+  getQuota() {
+    const sync = chrome.storage.sync;
+    return {
+      totalBytes: sync.QUOTA_BYTES || 102400,
+      itemBytes: sync.QUOTA_BYTES_PER_ITEM || 8192,
+      maxItems: sync.MAX_ITEMS || 512,
+    };
+  }
+
+  /**
+   * Load this device's sync state
+   * @returns {Promise<SyncState>} The sync state
+   */
+  async getState() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return SyncState.fromJSON(result[this.storageKey]);
+    } catch (error) {
+      console.error("Error loading sync state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save this device's sync state
+   * @param {SyncState} state - The sync state
+   * @returns {Promise<SyncState>} The saved state
+   */
+  async saveState(state) {
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: state.toJSON() });
+      return state;
+    } catch (error) {
+      console.error("Error saving sync state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load every Web Vibes item in sync storage
+   * @returns {Promise<Object>} Map of sync key to value
+   */
+  async getSyncItems() {
+    try {
+      const all = await chrome.storage.sync.get(null);
+      return Object.fromEntries(
+        Object.entries(all).filter(([key]) =>
+          key.startsWith(this.syncKeyPrefix)
+        )
+      );
+    } catch (error) {
+      console.error("Error loading synced vibes:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write and remove sync items
+   * Writes come before removals, so chunks are only removed once the vibe
+   * items no longer point at them. That is up to two write operations
+   * against the sync rate limits per call, so a sync makes a single call.
+   * @param {Object} items - Map of sync key to value to write
+   * @param {string[]} removedKeys - Sync keys to remove
+   * @returns {Promise<void>}
+   */
+  async updateSyncItems(items, removedKeys) {
+    try {
+      if (Object.keys(items).length > 0) {
+        await chrome.storage.sync.set(items);
+      }
+      if (removedKeys.length > 0) {
+        await chrome.storage.sync.remove(removedKeys);
+      }
+    } catch (error) {
+      console.error("Error saving synced vibes:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a callback for sync items changed by this or another device
+   * @param {Function} callback - Called with no arguments on change
+   * @returns {Function} Function that removes the listener
+   */
+  onSyncItemsChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (
+        areaName === "sync" &&
+        Object.keys(changes).some((key) => key.startsWith(this.syncKeyPrefix))
+      ) {
+        callback();
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SyncRepository;
+} else {
+  window.SyncRepository = SyncRepository;
+}
@@ -0,0 +1,780 @@
+/**
+ * Service for syncing vibes across devices through chrome.storage.sync
+ * Each vibe is stored as a small metadata item plus its serialized data split
+ * into chunks that fit the per-item quota. Edits made on two devices since
+ * the last sync are settled by update time and written to a conflict log.
+ * Revision history is not synced; it stays on each device.
+ */
+class SyncService {
+  constructor(syncRepository, hackRepository) {
+    if (!syncRepository) {
+      throw new Error("SyncRepository is required");
+    }
+    if (!hackRepository) {
+      throw new Error("HackRepository is required");
+    }
+    this.repository = syncRepository;
+    this.hackRepository = hackRepository;
+    this.currentSync = null;
+  }
+
+  /**
+   * Prefix of a vibe's metadata item: {scope, updatedAt, deviceId, chunks, deleted}
+   * @returns {string}
+   */
+  static get VIBE_PREFIX() {
+    return "wvs:v:";
+  }
+
+  /**
+   * Prefix of the items holding a vibe's serialized data, followed by
+   * "<hackId>:<index>"
+   * @returns {string}
+   */
+  static get CHUNK_PREFIX() {
+    return "wvs:c:";
+  }
+
+  /**
+   * Largest vibe that is synced, in bytes; bigger vibes stay on this device
+   * @returns {number}
+   */
+  static get MAX_VIBE_BYTES() {
+    return 32768;
+  }
+
+  /**
+   * Share of the sync quota vibes may fill, leaving room for other devices'
+   * edits to grow
+   * @returns {number}
+   */
+  static get QUOTA_USAGE() {
+    return 0.9;
+  }
+
+  /**
+   * Days a deleted vibe's marker is kept so other devices delete it too
+   * A device that has not synced for longer treats synced vibes missing from
+   * sync storage as deleted, since their markers may be gone.
+   * @returns {number}
+   */
+  static get TOMBSTONE_DAYS() {
+    return 30;
+  }
+
+  /**
+   * Time after the last change before a watched sync runs, in milliseconds
+   * @returns {number}
+   */
+  static get SYNC_DELAY() {
+    return 3000;
+  }
+
+  /**
+   * Reasons a vibe is kept on this device only
+   * @returns {Object} Map of reason constants to stored values
+   */
+  static get LOCAL_ONLY_REASON() {
+    return {
+      TOO_LARGE: "too_large",
+      QUOTA: "quota",
+    };
+  }
+
+  /**
+   * Check whether the browser offers sync storage
+   * @returns {boolean} True if sync can be turned on
+   */
+  isAvailable() {
+    return this.repository.isAvailable();
+  }
+
+  /**
+   * Get this device's sync state
+   * @returns {Promise<SyncState>} The sync state
+   */
+  async getState() {
+    return await this.repository.getState();
+  }
+
+  /**
+   * Turn sync on and sync right away
+   * @returns {Promise<Object>} Result of the first sync
+   */
+  async enable() {
+    if (!this.isAvailable()) {
+      throw new Error("This browser does not offer sync storage");
+    }
+    const state = await this.repository.getState();
+    state.enabled = true;
+    state.deviceId = state.deviceId || this.generateDeviceId();
+    state.lastError = null;
+    await this.repository.saveState(state);
+    return await this.sync();
+  }
+
+  /**
+   * Turn sync off; synced vibes stay in sync storage for other devices
+   * @returns {Promise<SyncState>} The updated state
+   */
+  async disable() {
+    const state = await this.repository.getState();
+    state.enabled = false;
+    return await this.repository.saveState(state);
+  }
+
+  /**
+   * Empty the conflict log
+   * @returns {Promise<SyncState>} The updated state
+   */
+  async clearConflicts() {
+    const state = await this.repository.getState();
+    state.conflicts = [];
+    return await this.repository.saveState(state);
+  }
+
+  /**
+   * Sync vibes with sync storage
+   * A sync that is already running is joined rather than started twice.
+   * @returns {Promise<Object|null>} {pushed, pulled, deleted, conflicts,
+   *   localOnly} counts, or null when sync is off
+   */
+  async sync() {
+    if (!this.currentSync) {
+      this.currentSync = this._runSync().finally(() => {
+        this.currentSync = null;
+      });
+    }
+    return await this.currentSync;
+  }
+
+  /**
+   * Sync shortly after vibes change on this device or another
+   * @param {Function} callback - Called with (result, error) after each sync
+   * @returns {Function} Function that stops watching
+   */
+  watch(callback) {
+    let timer = null;
+    const scheduleSync = () => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        try {
+          callback(await this.sync(), null);
+        } catch (error) {
+          callback(null, error);
+        }
+      }, SyncService.SYNC_DELAY);
+    };
+
+    const unsubscribers = [
+      this.hackRepository.onChanged(scheduleSync),
+      this.repository.onSyncItemsChanged(scheduleSync),
+    ];
+    return () => {
+      clearTimeout(timer);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+  }
+
+  /**
+   * Summarize the sync state in one line for the side panel
+   * @param {SyncState} state - The sync state
+   * @returns {string} Short description
+   */
+  describeStatus(state) {
+    if (!state.enabled) {
+      return "Sync is off";
+    }
+    if (state.lastError) {
+      return `Sync failed: ${state.lastError}`;
+    }
+    if (!state.lastSyncAt) {
+      return "Not synced yet";
+    }
+
+    const localOnlyCount = Object.keys(state.localOnly).length;
+    const localOnly =
+      localOnlyCount > 0
+        ? `, ${localOnlyCount} vibe${
+            localOnlyCount === 1 ? "" : "s"
+          } only on this device`
+        : "";
+    return `Synced ${state.lastSyncAt.toLocaleString()}${localOnly}`;
+  }
+
+  /**
+   * List the vibes kept on this device only
+   * @param {SyncState} state - The sync state
+   * @returns {Promise<Object[]>} {hackId, name, reason} of each vibe
+   */
+  async getLocalOnlyVibes(state) {
+    const allHacks = await this.hackRepository.getAllHacksData();
+    const names = new Map(
+      Object.values(allHacks)
+        .flat()
+        .map((data) => [data.id, data.name])
+    );
+    return Object.entries(state.localOnly).map(([hackId, reason]) => ({
+      hackId,
+      name: names.get(hackId) || hackId,
+      reason,
+    }));
+  }
+
+  /**
+   * Explain why a vibe is not synced
+   * @param {string} reason - A LOCAL_ONLY_REASON value
+   * @returns {string} Explanation
+   */
+  describeLocalOnly(reason) {
+    return reason === SyncService.LOCAL_ONLY_REASON.TOO_LARGE
+      ? "Too large to sync"
+      : "Sync storage is full";
+  }
+
+  /**
+   * Generate an ID for this device
+   * @returns {string} Unique device ID
+   */
+  generateDeviceId() {
+    return (
+      "device_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9)
+    );
+  }
+
+  /**
+   * Run a sync and record its outcome in the sync state
+   * @private
+   * @returns {Promise<Object|null>} Sync result, or null when sync is off
+   */
+  async _runSync() {
+    const state = await this.repository.getState();
+    if (!state.enabled) {
+      return null;
+    }
+
+    try {
+      const result = await this._syncVibes(state);
+      state.lastSyncAt = new Date();
+      state.lastError = null;
+      await this.repository.saveState(state);
+      return result;
+    } catch (error) {
+      console.error("Error syncing vibes:", error);
+      const failedState = await this.repository.getState();
+      failedState.lastError = error.message;
+      await this.repository.saveState(failedState);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare local vibes with sync storage and copy changes both ways
+   * Nothing in the state is changed until both storages are written.
+   * @private
+   * @param {SyncState} state - The sync state, updated in place on success
+   * @returns {Promise<Object>} Sync result counts
+   */
+  async _syncVibes(state) {
+    const now = Date.now();
+    const quota = this.repository.getQuota();
+    const syncItems = await this.repository.getSyncItems();
+    const remote = this._readSyncItems(syncItems);
+    const local = this._indexLocalVibes(
+      await this.hackRepository.getAllHacksData()
+    );
+
+    const synced = { ...state.synced };
+    const localOnly = {};
+    const conflicts = [];
+    const pushes = [];
+    const pulls = [];
+    const tombstones = [];
+    const localDeletes = [];
+
+    // Delete markers older than this are forgotten, so a device away for
+    // longer may not see that a vibe it synced before was deleted
+    const tombstoneAge = SyncService.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000;
+    const markersMayBeGone =
+      !!state.lastSyncAt && now - state.lastSyncAt.getTime() > tombstoneAge;
+
+    new Set([...local.keys(), ...remote.keys()]).forEach((id) => {
+      const localVibe = local.get(id);
+      const remoteEntry = remote.get(id);
+      // Unreadable remote data is overwritten by the local copy, if any
+      const remoteVibe =
+        remoteEntry && (remoteEntry.meta.deleted || remoteEntry.data)
+          ? remoteEntry
+          : null;
+      const lastSynced = synced[id];
+      const localTime = localVibe ? this._getUpdatedTime(localVibe.data) : 0;
+      const remoteTime = remoteVibe ? remoteVibe.meta.updatedAt : 0;
+
+      const logConflict = (kept, reason) =>
+        conflicts.push({
+          hackId: id,
+          name:
+            (localVibe && localVibe.data.name) ||
+            (remoteVibe && remoteVibe.data && remoteVibe.data.name) ||
+            id,
+          kept,
+          reason,
+          localUpdatedAt: localTime ? new Date(localTime).toISOString() : null,
+          remoteUpdatedAt: remoteTime
+            ? new Date(remoteTime).toISOString()
+            : null,
+          resolvedAt: new Date(now).toISOString(),
+        });
+
+      if (!remoteVibe) {
+        if (!localVibe) return;
+        if (
+          !remoteEntry &&
+          markersMayBeGone &&
+          lastSynced !== undefined &&
+          localTime <= lastSynced
+        ) {
+          // Synced before, unchanged here and now gone: deleted elsewhere
+          localDeletes.push({ id, ...localVibe });
+        } else {
+          pushes.push({ id, ...localVibe });
+        }
+        return;
+      }
+
+      if (!localVibe) {
+        if (remoteVibe.meta.deleted) {
+          delete synced[id];
+        } else if (lastSynced === undefined) {
+          pulls.push({ id, ...remoteVibe });
+        } else if (remoteTime > lastSynced) {
+          // An edit on another device wins over a delete here
+          logConflict(
+            "remote",
+            "Deleted on this device but changed on another; the vibe was restored"
+          );
+          pulls.push({ id, ...remoteVibe });
+        } else {
+          tombstones.push(id);
+        }
+        return;
+      }
+
+      const localChanged = lastSynced === undefined || localTime > lastSynced;
+      const remoteChanged = lastSynced === undefined || remoteTime > lastSynced;
+
+      if (remoteVibe.meta.deleted) {
+        if (localChanged && localTime > remoteTime) {
+          logConflict(
+            "local",
+            "Deleted on another device but changed here; the vibe was kept"
+          );
+          pushes.push({ id, ...localVibe });
+        } else {
+          localDeletes.push({ id, ...localVibe });
+        }
+        return;
+      }
+
+      if (
+        localVibe.scope === remoteVibe.meta.scope &&
+        this._hasSameContent(localVibe.data, remoteVibe.data)
+      ) {
+        synced[id] = Math.max(localTime, remoteTime);
+        return;
+      }
+
+      if (localChanged && remoteChanged) {
+        const keepLocal = localTime >= remoteTime;
+        logConflict(
+          keepLocal ? "local" : "remote",
+          "Changed on this device and another; the newer change was kept"
+        );
+        if (keepLocal) {
+          pushes.push({ id, ...localVibe });
+        } else {
+          pulls.push({ id, ...remoteVibe });
+        }
+      } else if (remoteChanged) {
+        pulls.push({ id, ...remoteVibe });
+      } else if (localChanged) {
+        pushes.push({ id, ...localVibe });
+      }
+    });
+
+    // Sync storage writes: changed vibes, delete markers and cleanup
+    const items = {};
+    const removedKeys = new Set();
+    let usedBytes = Object.entries(syncItems).reduce(
+      (total, [key, value]) => total + this._getItemBytes(key, value),
+      0
+    );
+    let usedItems = Object.keys(syncItems).length;
+
+    pushes
+      .sort(
+        (a, b) => this._getUpdatedTime(b.data) - this._getUpdatedTime(a.data)
+      )
+      .forEach(({ id, scope, data }) => {
+        const updatedAt = this._getUpdatedTime(data);
+        const newItems = this._buildVibeItems(
+          id,
+          { scope, updatedAt, deviceId: state.deviceId },
+          this._serialize(data),
+          quota.itemBytes
+        );
+        const newBytes = this._sumItemBytes(newItems);
+        if (newBytes > SyncService.MAX_VIBE_BYTES) {
+          localOnly[id] = SyncService.LOCAL_ONLY_REASON.TOO_LARGE;
+          return;
+        }
+
+        const oldKeys = this._getVibeKeys(id, remote.get(id), syncItems);
+        const oldBytes = this._sumItemBytes(
+          Object.fromEntries(oldKeys.map((key) => [key, syncItems[key]]))
+        );
+        const newCount = Object.keys(newItems).length;
+        if (
+          usedBytes - oldBytes + newBytes >
+            quota.totalBytes * SyncService.QUOTA_USAGE ||
+          usedItems - oldKeys.length + newCount > quota.maxItems
+        ) {
+          localOnly[id] = SyncService.LOCAL_ONLY_REASON.QUOTA;
+          return;
+        }
+
+        usedBytes += newBytes - oldBytes;
+        usedItems += newCount - oldKeys.length;
+        Object.assign(items, newItems);
+        oldKeys
+          .filter((key) => !(key in newItems))
+          .forEach((key) => removedKeys.add(key));
+        synced[id] = updatedAt;
+      });
+
+    tombstones.forEach((id) => {
+      this._getVibeKeys(id, remote.get(id), syncItems).forEach((key) =>
+        removedKeys.add(key)
+      );
+      items[this._getVibeKey(id)] = {
+        scope: remote.get(id).meta.scope,
+        updatedAt: now,
+        deviceId: state.deviceId,
+        chunks: 0,
+        deleted: true,
+      };
+      delete synced[id];
+    });
+
+    // Forget delete markers every device has had time to see
+    remote.forEach((entry, id) => {
+      if (entry.meta.deleted && now - entry.meta.updatedAt > tombstoneAge) {
+        removedKeys.add(this._getVibeKey(id));
+      }
+    });
+
+    // Chunks whose vibe item is gone
+    Object.keys(syncItems)
+      .filter((key) => key.startsWith(SyncService.CHUNK_PREFIX))
+      .forEach((key) => {
+        const id = key
+          .slice(SyncService.CHUNK_PREFIX.length)
+          .replace(/:\d+$/, "");
+        if (!remote.has(id)) removedKeys.add(key);
+      });
+
+    [...removedKeys]
+      .filter((key) => key in items)
+      .forEach((key) => removedKeys.delete(key));
+    if (Object.keys(items).length > 0 || removedKeys.size > 0) {
+      await this.repository.updateSyncItems(items, [...removedKeys]);
+    }
+
+    // Local writes: vibes changed or deleted on other devices. Vibes are read
+    // again so saves made during the sync are kept; a vibe saved here since
+    // the first read is left for the next sync to compare.
+    let pulled = 0;
+    let deleted = 0;
+    if (pulls.length > 0 || localDeletes.length > 0) {
+      const allHacks = await this.hackRepository.getAllHacksData();
+      const current = this._indexLocalVibes(allHacks);
+      const isUnchanged = (id) =>
+        JSON.stringify(current.get(id)) === JSON.stringify(local.get(id));
+
+      pulls
+        .filter(({ id }) => isUnchanged(id))
+        .forEach(({ id, meta, data }) => {
+          const localVibe = local.get(id);
+          if (localVibe) {
+            this._removeLocalVibe(allHacks, localVibe.scope, id);
+          }
+
+          // Local history is kept and the synced code becomes a new revision
+          const hack = Hack.fromJSON({
+            ...data,
+            revisions: localVibe ? localVibe.data.revisions : undefined,
+          });
+          hack.recordRevision(
+            HackRevision.AUTHOR_SYNC,
+            "Synced from another device"
+          );
+          allHacks[meta.scope] = [
+            ...(allHacks[meta.scope] || []),
+            hack.toJSON(),
+          ];
+          synced[id] = meta.updatedAt;
+          pulled++;
+        });
+
+      localDeletes
+        .filter(({ id }) => isUnchanged(id))
+        .forEach(({ id, scope }) => {
+          this._removeLocalVibe(allHacks, scope, id);
+          delete synced[id];
+          deleted++;
+        });
+
+      if (pulled > 0 || deleted > 0) {
+        await this.hackRepository.saveAllHacksData(allHacks);
+      }
+    }
+
+    // Forget vibes that are gone from both sides
+    Object.keys(synced).forEach((id) => {
+      if (!local.has(id) && !remote.has(id)) delete synced[id];
+    });
+    state.synced = synced;
+    state.localOnly = localOnly;
+    conflicts.forEach((conflict) => state.addConflict(conflict));
+
+    return {
+      pushed: pushes.length - Object.keys(localOnly).length,
+      pulled,
+      deleted: deleted + tombstones.length,
+      conflicts: conflicts.length,
+      localOnly: Object.keys(localOnly).length,
+    };
+  }
+
+  /**
+   * Group sync items by vibe and reassemble each vibe's data
+   * @private
+   * @param {Object} syncItems - Map of sync key to value
+   * @returns {Map<string, Object>} Hack ID -> {meta, data}; data is null for
+   *   delete markers and for vibes whose chunks are missing or unreadable
+   */
+  _readSyncItems(syncItems) {
+    const remote = new Map();
+    Object.entries(syncItems).forEach(([key, meta]) => {
+      if (!key.startsWith(SyncService.VIBE_PREFIX) || !meta) return;
+
+      const id = key.slice(SyncService.VIBE_PREFIX.length);
+      let data = null;
+      if (!meta.deleted) {
+        const chunks = Array.from({ length: meta.chunks || 0 }, (_, index) =>
+          syncItems[this._getChunkKey(id, index)]
+        );
+        if (
+          chunks.length > 0 &&
+          chunks.every((chunk) => typeof chunk === "string")
+        ) {
+          try {
+            data = JSON.parse(chunks.join(""));
+          } catch (error) {
+            console.warn(`Synced data for vibe ${id} is unreadable:`, error);
+          }
+        }
+      }
+      remote.set(id, { meta, data });
+    });
+    return remote;
+  }
+
+  /**
+   * Build the metadata and chunk items of a vibe
+   * @private
+   * @param {string} id - Hack ID
+   * @param {Object} meta - {scope, updatedAt, deviceId}
+   * @param {string} text - Serialized vibe
+   * @param {number} itemBytes - Per-item quota
+   * @returns {Object} Map of sync key to value
+   */
+  _buildVibeItems(id, meta, text, itemBytes) {
+    // Leave room for the longest chunk key this vibe could need
+    const maxChunkBytes =
+      itemBytes - new TextEncoder().encode(this._getChunkKey(id, 999)).length;
+    const chunks = this._splitIntoChunks(text, maxChunkBytes);
+
+    const items = {
+      [this._getVibeKey(id)]: { ...meta, chunks: chunks.length },
+    };
+    chunks.forEach((chunk, index) => {
+      items[this._getChunkKey(id, index)] = chunk;
+    });
+    return items;
+  }
+
+  /**
+   * Split text into pieces whose stored JSON fits a byte limit
+   * Surrogate pairs are never split.
+   * @private
+   * @param {string} text - Text to split
+   * @param {number} maxBytes - Largest stored size of a piece
+   * @returns {string[]} Pieces in order
+   */
+  _splitIntoChunks(text, maxBytes) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(text.length, start + maxBytes);
+      while (
+        end - start > 1 &&
+        encoder.encode(JSON.stringify(text.slice(start, end))).length >
+          maxBytes
+      ) {
+        end = start + Math.floor((end - start) * 0.9);
+      }
+      const lastCode = text.charCodeAt(end - 1);
+      if (end < text.length && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+        end--;
+      }
+      chunks.push(text.slice(start, end));
+      start = end;
+    }
+    return chunks;
+  }
+
+  /**
+   * Serialize a vibe for sync storage, without its revision history
+   * @private
+   * @param {Object} data - Stored hack data
+   * @returns {string} JSON text
+   */
+  _serialize(data) {
+    const { revisions, ...vibe } = Hack.fromJSON(data).toJSON();
+    return JSON.stringify(vibe);
+  }
+
+  /**
+   * Check whether two versions of a vibe differ only in their update time
+   * @private
+   * @param {Object} a - Stored hack data
+   * @param {Object} b - Stored hack data
+   * @returns {boolean} True if the synced content is the same
+   */
+  _hasSameContent(a, b) {
+    const content = (data) => {
+      const { revisions, updatedAt, ...vibe } = Hack.fromJSON(data).toJSON();
+      return JSON.stringify(vibe);
+    };
+    return content(a) === content(b);
+  }
+
+  /**
+   * Get a vibe's update time
+   * @private
+   * @param {Object} data - Stored hack data
+   * @returns {number} Milliseconds since the epoch
+   */
+  _getUpdatedTime(data) {
+    return new Date(data.updatedAt || data.createdAt).getTime() || 0;
+  }
+
+  /**
+   * Index stored vibes by ID
+   * @private
+   * @param {Object} allHacks - Map of hostname to stored hack data
+   * @returns {Map<string, Object>} Hack ID -> {scope, data}
+   */
+  _indexLocalVibes(allHacks) {
+    const local = new Map();
+    Object.entries(allHacks).forEach(([scope, siteHacks]) => {
+      (siteHacks || []).forEach((data) => {
+        if (data && data.id) local.set(data.id, { scope, data });
+      });
+    });
+    return local;
+  }
+
+  /**
+   * Remove a vibe from the local hack map
+   * @private
+   * @param {Object} allHacks - Map of hostname to stored hack data (mutated)
+   * @param {string} scope - Hostname or global scope the vibe is stored under
+   * @param {string} id - Hack ID
+   */
+  _removeLocalVibe(allHacks, scope, id) {
+    allHacks[scope] = (allHacks[scope] || []).filter((data) => data.id !== id);
+    if (allHacks[scope].length === 0) {
+      delete allHacks[scope];
+    }
+  }
+
+  /**
+   * Sync keys a vibe currently uses
+   * @private
+   * @param {string} id - Hack ID
+   * @param {Object} [entry] - The vibe's entry from _readSyncItems
+   * @param {Object} syncItems - Map of sync key to value
+   * @returns {string[]} Existing keys
+   */
+  _getVibeKeys(id, entry, syncItems) {
+    if (!entry) return [];
+    const keys = [this._getVibeKey(id)];
+    for (let index = 0; index < (entry.meta.chunks || 0); index++) {
+      keys.push(this._getChunkKey(id, index));
+    }
+    return keys.filter((key) => key in syncItems);
+  }
+
+  /**
+   * @private
+   * @param {string} id - Hack ID
+   * @returns {string} Key of the vibe's metadata item
+   */
+  _getVibeKey(id) {
+    return `${SyncService.VIBE_PREFIX}${id}`;
+  }
+
+  /**
+   * @private
+   * @param {string} id - Hack ID
+   * @param {number} index - Chunk position
+   * @returns {string} Key of one of the vibe's chunks
+   */
+  _getChunkKey(id, index) {
+    return `${SyncService.CHUNK_PREFIX}${id}:${index}`;
+  }
+
+  /**
+   * Size of an item as counted against the sync quota
+   * @private
+   * @param {string} key - Sync key
+   * @param {*} value - Stored value
+   * @returns {number} Bytes
+   */
+  _getItemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Total size of several items
+   * @private
+   * @param {Object} items - Map of sync key to value
+   * @returns {number} Bytes
+   */
+  _sumItemBytes(items) {
+    return Object.entries(items).reduce(
+      (total, [key, value]) => total + this._getItemBytes(key, value),
+      0
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SyncService;
+} else {
+  window.SyncService = SyncService;
+}
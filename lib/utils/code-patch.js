@@ -0,0 +1,305 @@
+/**
+ * Applies edits to code without resending the whole file
+ * Accepts unified diffs and search/replace blocks, and fails with a message
+ * that says which part did not apply and why
+ */
+class CodePatch {
+  /**
+   * Markers of a search/replace block
+   * @returns {{search: string, divider: string, replace: string}}
+   */
+  static get BLOCK_MARKERS() {
+    return {
+      search: "<<<<<<< SEARCH",
+      divider: "=======",
+      replace: ">>>>>>> REPLACE",
+    };
+  }
+
+  /**
+   * Apply a patch in either format
+   * @param {string} source - Code to patch
+   * @param {string} patch - Unified diff or search/replace blocks
+   * @returns {{code: string, format: string, applied: number}} Patched code,
+   *   the detected format ("unified" or "search_replace") and the number of
+   *   hunks or blocks applied
+   * @throws {Error} If the format is not recognised or any part does not apply
+   */
+  static apply(source, patch) {
+    if (patch.includes(CodePatch.BLOCK_MARKERS.search)) {
+      const blocks = CodePatch.parseSearchReplace(patch);
+      return {
+        code: CodePatch.applySearchReplace(source, blocks),
+        format: "search_replace",
+        applied: blocks.length,
+      };
+    }
+    if (/^@@ /m.test(patch)) {
+      const hunks = CodePatch.parseUnifiedDiff(patch);
+      return {
+        code: CodePatch.applyUnifiedDiff(source, hunks),
+        format: "unified",
+        applied: hunks.length,
+      };
+    }
+    throw new Error(
+      `Patch is neither a unified diff (no "@@ -start,count +start,count @@" hunk header) nor search/replace blocks (no "${CodePatch.BLOCK_MARKERS.search}" line)`
+    );
+  }
+
+  /**
+   * Parse search/replace blocks
+   * @param {string} patch - Text containing one or more blocks
+   * @returns {Array<{search: string, replace: string}>} Blocks in order
+   * @throws {Error} If a block is not closed
+   */
+  static parseSearchReplace(patch) {
+    const { search, divider, replace } = CodePatch.BLOCK_MARKERS;
+    const lines = patch.split("\n");
+    const blocks = [];
+    let current = null;
+
+    lines.forEach((line) => {
+      const marker = line.trim();
+      if (marker === search) {
+        if (current) {
+          throw new Error(
+            `Block ${blocks.length + 1} is missing its "${replace}" line`
+          );
+        }
+        current = { search: [], replace: [], inReplace: false };
+      } else if (current && !current.inReplace && marker === divider) {
+        current.inReplace = true;
+      } else if (current && current.inReplace && marker === replace) {
+        blocks.push({
+          search: current.search.join("\n"),
+          replace: current.replace.join("\n"),
+        });
+        current = null;
+      } else if (current) {
+        (current.inReplace ? current.replace : current.search).push(line);
+      }
+    });
+
+    if (current) {
+      throw new Error(
+        `Block ${blocks.length + 1} is missing its "${
+          current.inReplace ? replace : divider
+        }" line`
+      );
+    }
+    return blocks;
+  }
+
+  /**
+   * Apply search/replace blocks in order
+   * Each search text must occur exactly once, so an edit never lands in the
+   * wrong place. An empty search text is only allowed for empty code.
+   * @param {string} source - Code to patch
+   * @param {Array<{search: string, replace: string}>} blocks - Blocks to apply
+   * @returns {string} Patched code
+   * @throws {Error} If a search text is missing or ambiguous
+   */
+  static applySearchReplace(source, blocks) {
+    return blocks.reduce((code, { search, replace }, index) => {
+      const label = `Block ${index + 1}`;
+      if (!search.trim()) {
+        if (code.trim()) {
+          throw new Error(
+            `${label} has an empty search text; that is only allowed when the code is empty`
+          );
+        }
+        return replace;
+      }
+
+      const first = code.indexOf(search);
+      if (first === -1) {
+        throw new Error(
+          `${label} does not apply: its search text was not found. The first search line was "${
+            search.split("\n")[0]
+          }". Read the code again and copy the lines exactly, including indentation`
+        );
+      }
+      if (code.indexOf(search, first + 1) !== -1) {
+        throw new Error(
+          `${label} does not apply: its search text occurs more than once. Include more surrounding lines so it is unique`
+        );
+      }
+      return code.slice(0, first) + replace + code.slice(first + search.length);
+    }, source);
+  }
+
+  /**
+   * Parse the hunks of a unified diff; file headers are ignored
+   * @param {string} patch - Unified diff
+   * @returns {Array<Object>} Hunks ({header, oldStart, oldCount, oldLines, newLines})
+   * @throws {Error} If a hunk contains a line without a diff prefix
+   */
+  static parseUnifiedDiff(patch) {
+    const hunks = [];
+    let hunk = null;
+
+    const patchLines = patch.split("\n");
+    patchLines.forEach((line, index) => {
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (header) {
+        hunk = {
+          header: line.trim(),
+          oldStart: Number(header[1]),
+          oldCount: header[2] === undefined ? 1 : Number(header[2]),
+          oldLines: [],
+          newLines: [],
+        };
+        hunks.push(hunk);
+        return;
+      }
+      if (!hunk || line.startsWith("\\")) return; // Headers, "\ No newline"
+      // The headers of the next file; a removed line may also start with "---"
+      if (
+        line.startsWith("--- ") &&
+        (patchLines[index + 1] || "").startsWith("+++ ")
+      ) {
+        hunk = null;
+        return;
+      }
+
+      const prefix = line[0];
+      const text = line.slice(1);
+      if (prefix === " " || line === "") {
+        // Editors often strip the space of blank context lines
+        hunk.oldLines.push(text);
+        hunk.newLines.push(text);
+      } else if (prefix === "-") {
+        hunk.oldLines.push(text);
+      } else if (prefix === "+") {
+        hunk.newLines.push(text);
+      } else {
+        throw new Error(
+          `Line ${index + 1} of the patch ("${line}") in hunk ${hunk.header} does not start with " ", "-" or "+"`
+        );
+      }
+    });
+
+    // A trailing newline in the patch is not an extra blank context line
+    hunks.forEach((parsed) => {
+      while (
+        parsed.oldLines.length > parsed.oldCount &&
+        parsed.oldLines[parsed.oldLines.length - 1] === "" &&
+        parsed.newLines[parsed.newLines.length - 1] === ""
+      ) {
+        parsed.oldLines.pop();
+        parsed.newLines.pop();
+      }
+    });
+
+    return hunks;
+  }
+
+  /**
+   * Apply unified diff hunks in order
+   * Like patch(1), a hunk is matched at its stated line first and otherwise at
+   * the nearest place where its context and removed lines match. Trailing
+   * whitespace is ignored when matching.
+   * @param {string} source - Code to patch
+   * @param {Array<Object>} hunks - Hunks from parseUnifiedDiff
+   * @returns {string} Patched code
+   * @throws {Error} If a hunk's lines are not found
+   */
+  static applyUnifiedDiff(source, hunks) {
+    const lines = source === "" ? [] : source.split("\n");
+    let searchFrom = 0; // Hunks may not overlap earlier ones
+    let offset = 0; // Lines added minus lines removed so far
+
+    hunks.forEach((hunk, index) => {
+      // "-5,0" inserts after line 5, any other hunk starts at its line
+      const expected =
+        hunk.oldLines.length === 0
+          ? hunk.oldStart + offset
+          : hunk.oldStart - 1 + offset;
+      const position = CodePatch.findLines(
+        lines,
+        hunk.oldLines,
+        Math.max(expected, searchFrom),
+        searchFrom
+      );
+
+      if (position === -1) {
+        throw new Error(
+          `Hunk ${index + 1} (${hunk.header}) does not apply: ${CodePatch.describeMismatch(
+            lines,
+            hunk.oldLines,
+            Math.max(expected, searchFrom)
+          )}. Read the code again with line numbers and rebuild the hunk`
+        );
+      }
+
+      lines.splice(position, hunk.oldLines.length, ...hunk.newLines);
+      searchFrom = position + hunk.newLines.length;
+      offset += hunk.newLines.length - hunk.oldLines.length;
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Find where a run of lines occurs, preferring the spot closest to a line
+   * @param {string[]} lines - Code lines
+   * @param {string[]} wanted - Lines to find
+   * @param {number} near - Preferred index
+   * @param {number} from - Lowest index allowed
+   * @returns {number} Index of the first matching line, or -1
+   */
+  static findLines(lines, wanted, near, from) {
+    const last = lines.length - wanted.length;
+    if (wanted.length === 0) {
+      return Math.min(Math.max(near, from), lines.length);
+    }
+
+    const matchesAt = (start) =>
+      wanted.every(
+        (line, i) => lines[start + i].trimEnd() === line.trimEnd()
+      );
+
+    for (let distance = 0; distance <= lines.length; distance++) {
+      const after = near + distance;
+      const before = near - distance;
+      if (after >= from && after <= last && matchesAt(after)) return after;
+      if (distance > 0 && before >= from && before <= last && matchesAt(before)) {
+        return before;
+      }
+      if (after > last && before < from) break;
+    }
+    return -1;
+  }
+
+  /**
+   * Explain why a hunk does not match at its expected line
+   * @param {string[]} lines - Code lines
+   * @param {string[]} wanted - Context and removed lines of the hunk
+   * @param {number} start - Expected index
+   * @returns {string} Description of the first differing line
+   */
+  static describeMismatch(lines, wanted, start) {
+    for (let i = 0; i < wanted.length; i++) {
+      const actual = lines[start + i];
+      if (actual === undefined) {
+        return `the code has only ${lines.length} lines, so line ${
+          start + i + 1
+        } ("${wanted[i]}") is past the end`;
+      }
+      if (actual.trimEnd() !== wanted[i].trimEnd()) {
+        return `line ${start + i + 1} is "${actual}" but the hunk expects "${
+          wanted[i]
+        }", and its lines were not found anywhere else`;
+      }
+    }
+    return "its lines overlap an earlier hunk";
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CodePatch;
+} else {
+  window.CodePatch = CodePatch;
+}
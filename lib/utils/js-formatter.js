@@ -0,0 +1,297 @@
+/**
+ * JavaScript pretty-printer for searching minified bundles
+ * Breaks code onto lines at statements and blocks so that line-based search
+ * results stay readable. The output is meant for reading, not for running.
+ */
+class JSFormatter {
+  /**
+   * Indentation added per block level
+   * @returns {string}
+   */
+  static get INDENT() {
+    return "  ";
+  }
+
+  /**
+   * Words after which a "/" starts a regular expression rather than a division
+   * @returns {string[]}
+   */
+  static get REGEX_PREFIX_WORDS() {
+    return [
+      "return",
+      "typeof",
+      "instanceof",
+      "in",
+      "of",
+      "new",
+      "delete",
+      "void",
+      "throw",
+      "case",
+      "do",
+      "else",
+      "yield",
+      "await",
+    ];
+  }
+
+  /**
+   * Guess whether source code is minified
+   * @param {string} source - JavaScript source
+   * @returns {boolean} True if the code is packed onto a few long lines
+   */
+  static isMinified(source) {
+    if (!source || source.length < 1000) return false;
+    const lines = source.split("\n");
+    return (
+      source.length / lines.length > 200 ||
+      lines.some((line) => line.length > 5000)
+    );
+  }
+
+  /**
+   * Pretty-print JavaScript source
+   * @param {string} source - JavaScript source
+   * @returns {{code: string, lineOffsets: number[]}} Formatted code and, for
+   *   each formatted line, the offset in the source where it starts
+   */
+  static format(source) {
+    const indentUnit = JSFormatter.INDENT;
+    const lines = [];
+    const lineOffsets = [];
+    let line = "";
+    let lineOffset = 0;
+    let indent = 0;
+    let parenDepth = 0;
+    // One entry per open "{": blocks remember the paren depth around them,
+    // template entries mark a "${" inside a template literal
+    const braceStack = [];
+    let lastChar = "";
+    let lastWord = "";
+    let i = 0;
+
+    const newline = () => {
+      if (line.trim()) {
+        lines.push(indentUnit.repeat(indent) + line.trim());
+        lineOffsets.push(lineOffset);
+      }
+      line = "";
+    };
+
+    const emit = (text, at) => {
+      if (!line.trim()) {
+        line = "";
+        lineOffset = at;
+      }
+      line += text;
+    };
+
+    // Literals and comments may span lines; keep their line breaks
+    const emitMultiline = (text, at) => {
+      const pieces = text.split("\n");
+      let pieceStart = at;
+      pieces.forEach((piece, index) => {
+        if (index > 0) newline();
+        emit(piece, pieceStart);
+        pieceStart += piece.length + 1;
+      });
+    };
+
+    const isIdentifierChar = (char) => /[\w$]/.test(char);
+
+    const regexAllowed = () =>
+      !lastChar ||
+      "(,=:[!&|?{};+-*%<>~^".includes(lastChar) ||
+      JSFormatter.REGEX_PREFIX_WORDS.includes(lastWord);
+
+    // Scan a template literal from i (just after "`" or a closing "}")
+    const scanTemplate = () => {
+      const start = i;
+      while (i < source.length) {
+        if (source[i] === "\\") {
+          i += 2;
+        } else if (source[i] === "`") {
+          i++;
+          emitMultiline(source.slice(start, i), start);
+          lastChar = "`";
+          lastWord = "";
+          return;
+        } else if (source[i] === "$" && source[i + 1] === "{") {
+          i += 2;
+          emitMultiline(source.slice(start, i), start);
+          braceStack.push({ template: true, parenDepth });
+          parenDepth = 0;
+          lastChar = "{";
+          lastWord = "";
+          return;
+        } else {
+          i++;
+        }
+      }
+      emitMultiline(source.slice(start), start);
+    };
+
+    while (i < source.length) {
+      const char = source[i];
+      const next = source[i + 1];
+
+      // Whitespace: keep line breaks outside parentheses, since minified
+      // code may rely on them for automatic semicolon insertion
+      if (/\s/.test(char)) {
+        const start = i;
+        while (i < source.length && /\s/.test(source[i])) i++;
+        if (source.slice(start, i).includes("\n") && parenDepth === 0) {
+          newline();
+        } else if (line.trim()) {
+          emit(" ", start);
+        }
+        continue;
+      }
+
+      // Comments
+      if (char === "/" && next === "/") {
+        const end = source.indexOf("\n", i);
+        const stop = end === -1 ? source.length : end;
+        emit(source.slice(i, stop), i);
+        newline();
+        i = stop;
+        continue;
+      }
+      if (char === "/" && next === "*") {
+        const end = source.indexOf("*/", i + 2);
+        const stop = end === -1 ? source.length : end + 2;
+        emitMultiline(source.slice(i, stop), i);
+        i = stop;
+        continue;
+      }
+
+      // String literals
+      if (char === '"' || char === "'") {
+        const start = i;
+        i++;
+        while (i < source.length && source[i] !== char && source[i] !== "\n") {
+          i += source[i] === "\\" ? 2 : 1;
+        }
+        i++;
+        emit(source.slice(start, i), start);
+        lastChar = char;
+        lastWord = "";
+        continue;
+      }
+      if (char === "`") {
+        emit(char, i);
+        i++;
+        scanTemplate();
+        continue;
+      }
+
+      // Regular expression literals
+      if (char === "/" && regexAllowed()) {
+        const start = i;
+        let inClass = false;
+        i++;
+        while (i < source.length && source[i] !== "\n") {
+          if (source[i] === "\\") {
+            i += 2;
+            continue;
+          }
+          if (source[i] === "[") inClass = true;
+          else if (source[i] === "]") inClass = false;
+          else if (source[i] === "/" && !inClass) break;
+          i++;
+        }
+        i++;
+        while (i < source.length && /[a-z]/i.test(source[i])) i++;
+        emit(source.slice(start, i), start);
+        lastChar = "/";
+        lastWord = "";
+        continue;
+      }
+
+      // Identifiers, keywords and numbers
+      if (isIdentifierChar(char)) {
+        const start = i;
+        while (i < source.length && isIdentifierChar(source[i])) i++;
+        lastWord = source.slice(start, i);
+        emit(lastWord, start);
+        lastChar = source[i - 1];
+        continue;
+      }
+
+      // Punctuation
+      if (char === "{") {
+        emit(char, i);
+        newline();
+        braceStack.push({ template: false, parenDepth });
+        parenDepth = 0;
+        indent++;
+      } else if (char === "}") {
+        const opened = braceStack.pop();
+        parenDepth = opened ? opened.parenDepth : 0;
+        if (opened && opened.template) {
+          i++;
+          emit(char, i - 1);
+          scanTemplate();
+          continue;
+        }
+        newline();
+        indent = Math.max(0, indent - 1);
+        emit(char, i);
+        // Keep "})", "};", "}," and "} else" together
+        let j = i + 1;
+        while (j < source.length && /[ \t]/.test(source[j])) j++;
+        const rest = source.slice(j, j + 8);
+        if (/^(else|catch|finally)\b/.test(rest)) {
+          emit(" ", i + 1);
+        } else if (!";,)](.".includes(source[j] || ";")) {
+          newline();
+        }
+      } else if (char === ";") {
+        emit(char, i);
+        if (parenDepth === 0) newline();
+      } else {
+        if (char === "(" || char === "[") parenDepth++;
+        if ((char === ")" || char === "]") && parenDepth > 0) parenDepth--;
+        emit(char, i);
+      }
+
+      lastChar = char;
+      lastWord = "";
+      i++;
+    }
+
+    newline();
+
+    return { code: lines.join("\n"), lineOffsets };
+  }
+
+  /**
+   * Build a lookup from source offsets to 1-based line and column numbers
+   * @param {string} source - JavaScript source
+   * @returns {Function} Maps an offset to {line, column}
+   */
+  static createPositionLookup(source) {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === "\n") lineStarts.push(i + 1);
+    }
+
+    return (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = JSFormatter;
+} else {
+  window.JSFormatter = JSFormatter;
+}
@@ -0,0 +1,366 @@
+/**
+ * Line-based text diff
+ * Computes line changes between two texts and lays them out for a side-by-side view
+ */
+class LineDiff {
+  /**
+   * Largest LCS table (old lines x new lines) computed before falling back
+   * to treating the differing middle section as fully replaced
+   * @returns {number} Maximum number of table cells
+   */
+  static get MAX_TABLE_SIZE() {
+    return 4000000;
+  }
+
+  /**
+   * Diff two texts line by line
+   * @param {string} oldText - Original text
+   * @param {string} newText - Changed text
+   * @returns {Array<Object>} Operations: {type: "equal"|"delete"|"insert", text, oldLine, newLine}
+   */
+  static diff(oldText, newText) {
+    const oldLines = LineDiff.splitLines(oldText);
+    const newLines = LineDiff.splitLines(newText);
+
+    // Skip the common prefix and suffix so the LCS table stays small
+    let start = 0;
+    while (
+      start < oldLines.length &&
+      start < newLines.length &&
+      oldLines[start] === newLines[start]
+    ) {
+      start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (
+      oldEnd > start &&
+      newEnd > start &&
+      oldLines[oldEnd - 1] === newLines[newEnd - 1]
+    ) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    const operations = [];
+    for (let i = 0; i < start; i++) {
+      operations.push(LineDiff._op("equal", oldLines[i], i + 1, i + 1));
+    }
+
+    operations.push(
+      ...LineDiff._diffMiddle(
+        oldLines.slice(start, oldEnd),
+        newLines.slice(start, newEnd),
+        start
+      )
+    );
+
+    for (let i = 0; i < oldLines.length - oldEnd; i++) {
+      operations.push(
+        LineDiff._op(
+          "equal",
+          oldLines[oldEnd + i],
+          oldEnd + i + 1,
+          newEnd + i + 1
+        )
+      );
+    }
+
+    return operations;
+  }
+
+  /**
+   * Arrange diff operations into side-by-side rows.
+   * Runs of deletions followed by insertions are paired up as changed lines.
+   * @param {Array<Object>} operations - Operations from LineDiff.diff
+   * @returns {Array<Object>} Rows of {left, right}; each side is {number, text, type} or null
+   */
+  static toSideBySide(operations) {
+    const rows = [];
+    let deletes = [];
+    let inserts = [];
+
+    const flush = () => {
+      const count = Math.max(deletes.length, inserts.length);
+      for (let i = 0; i < count; i++) {
+        const removed = deletes[i];
+        const added = inserts[i];
+        rows.push({
+          left: removed
+            ? { number: removed.oldLine, text: removed.text, type: "delete" }
+            : null,
+          right: added
+            ? { number: added.newLine, text: added.text, type: "insert" }
+            : null,
+        });
+      }
+      deletes = [];
+      inserts = [];
+    };
+
+    operations.forEach((operation) => {
+      if (operation.type === "delete") {
+        deletes.push(operation);
+      } else if (operation.type === "insert") {
+        inserts.push(operation);
+      } else {
+        flush();
+        rows.push({
+          left: {
+            number: operation.oldLine,
+            text: operation.text,
+            type: "equal",
+          },
+          right: {
+            number: operation.newLine,
+            text: operation.text,
+            type: "equal",
+          },
+        });
+      }
+    });
+    flush();
+
+    return rows;
+  }
+
+  /**
+   * Marker lines written around a conflict by LineDiff.merge3
+   * @returns {{start: string, separator: string, end: string}} Marker prefixes
+   */
+  static get CONFLICT_MARKERS() {
+    return {
+      start: "<<<<<<<",
+      separator: "=======",
+      end: ">>>>>>>",
+    };
+  }
+
+  /**
+   * Three-way merge of two texts that both changed from a common base.
+   * Changes made on only one side are taken; sections both sides changed
+   * differently are kept between conflict markers, ours first.
+   * @param {string} baseText - Version both texts started from
+   * @param {string} oursText - One changed version
+   * @param {string} theirsText - The other changed version
+   * @param {Object} [labels] - Names written after the conflict markers
+   * @param {string} [labels.ours="ours"]
+   * @param {string} [labels.theirs="theirs"]
+   * @returns {{text: string, conflicts: number}} Merged text and how many
+   *   conflicting sections it has
+   */
+  static merge3(baseText, oursText, theirsText, labels = {}) {
+    const { ours = "ours", theirs = "theirs" } = labels;
+    const baseLines = LineDiff.splitLines(baseText);
+    const oursLines = LineDiff.splitLines(oursText);
+    const theirsLines = LineDiff.splitLines(theirsText);
+    const oursMatch = LineDiff._matchBaseLines(baseText, oursText);
+    const theirsMatch = LineDiff._matchBaseLines(baseText, theirsText);
+
+    const lines = [];
+    let conflicts = 0;
+    let base = 0;
+    let oursAt = 0;
+    let theirsAt = 0;
+
+    // Copy one section that lies between base lines both sides kept
+    const mergeSection = (baseEnd, oursEnd, theirsEnd) => {
+      const baseChunk = baseLines.slice(base, baseEnd);
+      const oursChunk = oursLines.slice(oursAt, oursEnd);
+      const theirsChunk = theirsLines.slice(theirsAt, theirsEnd);
+      const same = (a, b) =>
+        a.length === b.length && a.every((line, i) => line === b[i]);
+
+      if (same(oursChunk, theirsChunk) || same(theirsChunk, baseChunk)) {
+        lines.push(...oursChunk);
+      } else if (same(oursChunk, baseChunk)) {
+        lines.push(...theirsChunk);
+      } else {
+        const markers = LineDiff.CONFLICT_MARKERS;
+        conflicts++;
+        lines.push(
+          `${markers.start} ${ours}`,
+          ...oursChunk,
+          markers.separator,
+          ...theirsChunk,
+          `${markers.end} ${theirs}`
+        );
+      }
+    };
+
+    for (let i = 0; i < baseLines.length; i++) {
+      if (oursMatch[i] === null || theirsMatch[i] === null) continue;
+      mergeSection(i, oursMatch[i], theirsMatch[i]);
+      lines.push(baseLines[i]);
+      base = i + 1;
+      oursAt = oursMatch[i] + 1;
+      theirsAt = theirsMatch[i] + 1;
+    }
+    mergeSection(baseLines.length, oursLines.length, theirsLines.length);
+
+    return { text: lines.join("\n"), conflicts };
+  }
+
+  /**
+   * Count added and removed lines
+   * @param {Array<Object>} operations - Operations from LineDiff.diff
+   * @returns {{added: number, removed: number}} Change counts
+   */
+  static summarize(operations) {
+    return operations.reduce(
+      (summary, operation) => {
+        if (operation.type === "insert") summary.added++;
+        if (operation.type === "delete") summary.removed++;
+        return summary;
+      },
+      { added: 0, removed: 0 }
+    );
+  }
+
+  /**
+   * Split text into lines; empty text has no lines
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Lines without line endings
+   */
+  static splitLines(text) {
+    if (!text) return [];
+    return text.replace(/\r\n?/g, "\n").split("\n");
+  }
+
+  /**
+   * Find where each base line was kept in a changed text
+   * @private
+   * @param {string} baseText - Original text
+   * @param {string} changedText - Changed text
+   * @returns {Array<number|null>} 0-based line in the changed text for each
+   *   base line, or null where the line was removed
+   */
+  static _matchBaseLines(baseText, changedText) {
+    const matches = LineDiff.splitLines(baseText).map(() => null);
+    LineDiff.diff(baseText, changedText).forEach((operation) => {
+      if (operation.type === "equal") {
+        matches[operation.oldLine - 1] = operation.newLine - 1;
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Diff the section between the common prefix and suffix using an LCS table
+   * @private
+   * @param {Array<string>} oldLines - Changed old lines
+   * @param {Array<string>} newLines - Changed new lines
+   * @param {number} offset - Number of lines before the section
+   * @returns {Array<Object>} Operations for the section
+   */
+  static _diffMiddle(oldLines, newLines, offset) {
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    if (n * m > LineDiff.MAX_TABLE_SIZE) {
+      return [
+        ...oldLines.map((text, i) =>
+          LineDiff._op("delete", text, offset + i + 1, null)
+        ),
+        ...newLines.map((text, j) =>
+          LineDiff._op("insert", text, null, offset + j + 1)
+        ),
+      ];
+    }
+
+    // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+    const lengths = [];
+    for (let i = 0; i <= n; i++) {
+      lengths.push(new Uint32Array(m + 1));
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] =
+          oldLines[i] === newLines[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldLines[i] === newLines[j]) {
+        operations.push(
+          LineDiff._op("equal", oldLines[i], offset + i + 1, offset + j + 1)
+        );
+        i++;
+        j++;
+      } else if (
+        j < m &&
+        (i === n || lengths[i][j + 1] >= lengths[i + 1][j])
+      ) {
+        operations.push(
+          LineDiff._op("insert", newLines[j], null, offset + j + 1)
+        );
+        j++;
+      } else {
+        operations.push(
+          LineDiff._op("delete", oldLines[i], offset + i + 1, null)
+        );
+        i++;
+      }
+    }
+
+    // Show deletions before insertions within each changed block
+    return LineDiff._groupChanges(operations);
+  }
+
+  /**
+   * Reorder each run of changes so its deletions come before its insertions
+   * @private
+   * @param {Array<Object>} operations - Operations to reorder
+   * @returns {Array<Object>} Reordered operations
+   */
+  static _groupChanges(operations) {
+    const grouped = [];
+    let run = [];
+
+    const flush = () => {
+      grouped.push(
+        ...run.filter((operation) => operation.type === "delete"),
+        ...run.filter((operation) => operation.type === "insert")
+      );
+      run = [];
+    };
+
+    operations.forEach((operation) => {
+      if (operation.type === "equal") {
+        flush();
+        grouped.push(operation);
+      } else {
+        run.push(operation);
+      }
+    });
+    flush();
+
+    return grouped;
+  }
+
+  /**
+   * Build a diff operation
+   * @private
+   * @param {string} type - "equal", "delete" or "insert"
+   * @param {string} text - Line text
+   * @param {number|null} oldLine - 1-based line number in the old text
+   * @param {number|null} newLine - 1-based line number in the new text
+   * @returns {Object} Diff operation
+   */
+  static _op(type, text, oldLine, newLine) {
+    return { type, text, oldLine, newLine };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LineDiff;
+} else {
+  window.LineDiff = LineDiff;
+}
@@ -0,0 +1,290 @@
+/**
+ * Syntax checks for vibe code before it is saved
+ * CSS is checked here, since the browser's CSS parser silently drops what it
+ * cannot read. JavaScript is parsed in a sandboxed extension page, because
+ * extension pages may not evaluate code themselves.
+ */
+class SyntaxChecker {
+  /**
+   * Page that parses JavaScript; listed under "sandbox" in the manifest
+   * @returns {string}
+   */
+  static get SANDBOX_PAGE() {
+    return "sandbox/syntax-check.html";
+  }
+
+  /**
+   * How long to wait for the sandbox to answer, in milliseconds
+   * @returns {number}
+   */
+  static get TIMEOUT() {
+    return 3000;
+  }
+
+  /**
+   * Maximum number of errors reported for one check
+   * @returns {number}
+   */
+  static get MAX_ERRORS() {
+    return 5;
+  }
+
+  /**
+   * Check code in either language
+   * @param {string} language - "css" or "js"
+   * @param {string} code - Code to check
+   * @returns {Promise<Object>} {valid, errors, skipped?}
+   */
+  static async check(language, code) {
+    return language === "js"
+      ? SyntaxChecker.checkJS(code)
+      : SyntaxChecker.checkCSS(code);
+  }
+
+  /**
+   * Describe errors for a person or the AI
+   * @param {Array<Object>} errors - Errors from a check ({line, column, message})
+   * @returns {string} One "Line 3, column 5: message" entry per error
+   */
+  static formatErrors(errors) {
+    return errors
+      .map(({ line, column, message }) =>
+        line ? `Line ${line}, column ${column}: ${message}` : message
+      )
+      .join("\n");
+  }
+
+  /**
+   * Check CSS for unbalanced brackets, unterminated strings and comments, and
+   * declarations without a colon
+   * @param {string} code - CSS code
+   * @returns {{valid: boolean, errors: Array<Object>}} Check result
+   */
+  static checkCSS(code) {
+    const errors = [];
+    const openers = []; // {char, line, column} of unclosed { ( [
+    const closing = { "}": "{", ")": "(", "]": "[" };
+    let segment = ""; // Text since the last { } or ; at block level
+    let segmentStart = null;
+    let line = 1;
+    let column = 1;
+    let i = 0;
+
+    const addError = (message, at = { line, column }) => {
+      errors.push({ line: at.line, column: at.column, message });
+    };
+    const advance = (count = 1) => {
+      for (let n = 0; n < count && i < code.length; n++, i++) {
+        if (code[i] === "\n") {
+          line++;
+          column = 1;
+        } else {
+          column++;
+        }
+      }
+    };
+    const atBlockLevel = () =>
+      openers.length === 0 || openers[openers.length - 1].char === "{";
+    const endSegment = (terminator) => {
+      const text = segment.trim();
+      const at = segmentStart;
+      segment = "";
+      segmentStart = null;
+      if (!text || text.startsWith("@")) return;
+
+      const preview = text.length > 40 ? `${text.slice(0, 40)}...` : text;
+      if (openers.length === 0) {
+        addError(
+          terminator === ";"
+            ? `"${preview}" is outside any rule`
+            : `Expected "{" after "${preview}"`,
+          at
+        );
+      } else if (!text.includes(":")) {
+        addError(`Expected "property: value" but found "${preview}"`, at);
+      }
+    };
+
+    while (i < code.length && errors.length < SyntaxChecker.MAX_ERRORS) {
+      const char = code[i];
+
+      if (char === "/" && code[i + 1] === "*") {
+        const end = code.indexOf("*/", i + 2);
+        if (end === -1) {
+          addError("Comment is never closed with */");
+          return { valid: false, errors };
+        }
+        advance(end + 2 - i);
+        continue;
+      }
+
+      if (segmentStart === null && !/\s/.test(char)) {
+        segmentStart = { line, column };
+      }
+
+      if (char === '"' || char === "'") {
+        const start = { line, column };
+        advance();
+        while (i < code.length && code[i] !== char && code[i] !== "\n") {
+          advance(code[i] === "\\" ? 2 : 1);
+        }
+        if (code[i] !== char) {
+          addError(`String starting with ${char} is never closed`, start);
+        }
+        advance();
+        segment += "''";
+        continue;
+      }
+
+      if (char === "\\") {
+        segment += code.slice(i, i + 2);
+        advance(2);
+        continue;
+      }
+
+      if (char === "{" || char === "(" || char === "[") {
+        if (char === "{" && atBlockLevel()) {
+          segment = "";
+          segmentStart = null;
+        } else {
+          segment += char;
+        }
+        openers.push({ char, line, column });
+      } else if (closing[char]) {
+        if (char === "}" && atBlockLevel()) {
+          endSegment(char);
+        } else {
+          segment += char;
+        }
+        const opener = openers[openers.length - 1];
+        if (!opener || opener.char !== closing[char]) {
+          addError(
+            opener
+              ? `Unexpected "${char}"; "${opener.char}" from line ${opener.line} is still open`
+              : `Unexpected "${char}" with nothing to close`
+          );
+        } else {
+          openers.pop();
+        }
+      } else if (char === ";" && atBlockLevel()) {
+        endSegment(char);
+      } else {
+        segment += char;
+      }
+      advance();
+    }
+
+    if (errors.length === 0) {
+      endSegment(null);
+      openers.forEach((opener) => {
+        addError(`"${opener.char}" is never closed`, opener);
+      });
+    }
+
+    const reported = errors.slice(0, SyntaxChecker.MAX_ERRORS);
+    return { valid: reported.length === 0, errors: reported };
+  }
+
+  /**
+   * Parse JavaScript the way a vibe runs it: as the body of a function, so a
+   * top-level return of a cleanup function is allowed
+   * @param {string} code - JavaScript code
+   * @returns {Promise<Object>} {valid, errors}, plus skipped (the reason) when
+   *   the sandbox could not be reached; unchecked code is reported as not
+   *   valid, with an error asking to try again, so it is never saved
+   */
+  static async checkJS(code) {
+    if (!code || !code.trim()) {
+      return { valid: true, errors: [] };
+    }
+
+    try {
+      const sandbox = await SyntaxChecker._getSandbox();
+      const id = `check_${Date.now()}_${++SyntaxChecker._requestCount}`;
+
+      const errors = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          SyntaxChecker._pending.delete(id);
+          reject(new Error("The syntax checker did not answer"));
+        }, SyntaxChecker.TIMEOUT);
+
+        SyntaxChecker._pending.set(id, (result) => {
+          clearTimeout(timer);
+          resolve(result);
+        });
+        sandbox.postMessage({ type: "syntax-check", id, code }, "*");
+      });
+
+      return { valid: errors.length === 0, errors };
+    } catch (error) {
+      console.warn("JavaScript syntax check skipped:", error);
+      return {
+        valid: false,
+        errors: [
+          {
+            line: null,
+            column: null,
+            message: `Could not check the syntax (${error.message}); try again`,
+          },
+        ],
+        skipped: error.message,
+      };
+    }
+  }
+
+  /**
+   * Load the sandbox page in a hidden frame, once per page
+   * @private
+   * @returns {Promise<Window>} The sandbox window
+   */
+  static _getSandbox() {
+    if (SyntaxChecker._sandbox) {
+      return SyntaxChecker._sandbox;
+    }
+    if (typeof document === "undefined" || !chrome?.runtime?.getURL) {
+      return Promise.reject(new Error("No page to load the sandbox in"));
+    }
+
+    SyntaxChecker._sandbox = new Promise((resolve, reject) => {
+      const frame = document.createElement("iframe");
+      frame.src = chrome.runtime.getURL(SyntaxChecker.SANDBOX_PAGE);
+      frame.style.display = "none";
+      frame.setAttribute("aria-hidden", "true");
+
+      window.addEventListener("message", (event) => {
+        const { type, id, errors } = event.data || {};
+        if (
+          event.source !== frame.contentWindow ||
+          type !== "syntax-check-result"
+        ) {
+          return;
+        }
+        const done = SyntaxChecker._pending.get(id);
+        if (done) {
+          SyntaxChecker._pending.delete(id);
+          done(errors);
+        }
+      });
+
+      frame.addEventListener("load", () => resolve(frame.contentWindow));
+      frame.addEventListener("error", () => {
+        SyntaxChecker._sandbox = null;
+        reject(new Error("Could not load the syntax checker"));
+      });
+      document.body.appendChild(frame);
+    });
+
+    return SyntaxChecker._sandbox;
+  }
+}
+
+SyntaxChecker._sandbox = null;
+SyntaxChecker._pending = new Map();
+SyntaxChecker._requestCount = 0;
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SyntaxChecker;
+} else {
+  window.SyntaxChecker = SyntaxChecker;
+}
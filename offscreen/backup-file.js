@@ -0,0 +1,19 @@
+/**
+ * Offscreen page that turns scheduled backups into files
+ * Service workers cannot create blob URLs, and a data URL of a large backup
+ * is longer than downloads accept. The service worker closes this page once
+ * the download is done, which releases the file.
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type !== "CREATE_BACKUP_FILE_URL") {
+    return false;
+  }
+
+  try {
+    const blob = new Blob([request.text], { type: "application/json" });
+    sendResponse({ success: true, url: URL.createObjectURL(blob) });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+  return false;
+});
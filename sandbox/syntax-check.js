@@ -0,0 +1,79 @@
+/**
+ * Sandboxed JavaScript parser for SyntaxChecker
+ * Extension pages may not evaluate code, but sandbox pages may. Code is only
+ * compiled here, never run.
+ */
+
+/**
+ * Find where code that failed to parse goes wrong
+ * The code is parsed again as an inline script wrapped the same way, so the
+ * error event reports a line and column. A script that does not parse does
+ * not run, but code can close the wrapper early (`}); run(); (function () {`)
+ * and still parse, so the wrapped script is compiled first and only
+ * inserted if that fails too.
+ * @param {string} code - JavaScript that failed to compile
+ * @returns {{line: number, column: number}|null} Position in the code
+ */
+function locateSyntaxError(code) {
+  const wrapped = `(function () {\n${code}\n});`;
+  try {
+    new Function(wrapped);
+    return null;
+  } catch (error) {
+    // Expected: the script will not run either
+  }
+
+  let position = null;
+  const onError = (event) => {
+    position = { line: event.lineno, column: event.colno };
+    event.preventDefault();
+  };
+
+  window.addEventListener("error", onError);
+  const script = document.createElement("script");
+  script.textContent = wrapped;
+  document.head.appendChild(script);
+  script.remove();
+  window.removeEventListener("error", onError);
+
+  if (!position || !position.line) return null;
+
+  // The wrapper adds one line before and after the code
+  const lineCount = code.split("\n").length;
+  const line = Math.min(Math.max(position.line - 1, 1), lineCount);
+  return {
+    line: line,
+    column: position.line - 1 > lineCount ? 1 : Math.max(position.column, 1),
+  };
+}
+
+/**
+ * Parse JavaScript as the body of a function, like the vibe runner does
+ * @param {string} code - JavaScript code
+ * @returns {Array<Object>} Errors ({line, column, message}); empty if it parses
+ */
+function checkJavaScript(code) {
+  try {
+    new Function(code);
+    return [];
+  } catch (error) {
+    const position = error instanceof SyntaxError ? locateSyntaxError(code) : null;
+    return [
+      {
+        line: position ? position.line : null,
+        column: position ? position.column : null,
+        message: error.message,
+      },
+    ];
+  }
+}
+
+window.addEventListener("message", (event) => {
+  const { type, id, code } = event.data || {};
+  if (type !== "syntax-check" || !event.source) return;
+
+  event.source.postMessage(
+    { type: "syntax-check-result", id, errors: checkJavaScript(code || "") },
+    "*"
+  );
+});
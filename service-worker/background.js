@@ -8,7 +8,13 @@
 
 // Import required classes (these will be available in the service worker context)
 // Note: Service workers have limited access to extension files, so we'll use
-// chrome.storage directly and minimal dependencies
+// chrome.storage directly and minimal dependencies. Scheduled backups load
+// the backup classes so they write the same file as the settings page.
+importScripts(
+  "../lib/backup/model/backup.js",
+  "../lib/backup/repo/backup-repo.js",
+  "../lib/backup/service/backup-service.js"
+);
 
 /**
  * Service worker for automatic hack application
@@ -16,8 +22,99 @@
 class WebVibesServiceWorker {
   constructor() {
     this.storageKey = "webVibesHacks";
+    // Mirrors HackRepository.GLOBAL_SCOPE: hacks stored here run on every site
+    this.globalScopeKey = "*";
     this.cspStorageKey = "csp_settings";
     this.initialized = false;
+    // Stored hack map, kept until storage changes so document_start injection
+    // does not wait on a storage read for every navigation
+    this.hacksCache = null;
+    // Outcome of the last application of each hack, mirrored by VibeHealthRepository
+    this.healthStorageKey = "webVibesHealth";
+    // Health writes are chained so concurrent navigations do not overwrite each other
+    this.healthWriteQueue = Promise.resolve();
+    // External scripts fetched for search_website_javascript: tab ID -> URL -> result
+    this.scriptSourceCache = new Map();
+    // Saves scheduled backups; its repository keeps the schedule
+    this.backupRepository = new BackupRepository();
+    this.backupService = new BackupService(this.backupRepository);
+    // Top frame URL hacks were last applied for is kept per tab under this
+    // prefix in chrome.storage.session, so it outlives a suspended worker
+    this.tabUrlKeyPrefix = "webVibesTabUrl_";
+    // Pending route change per tab: tab ID -> timeout ID
+    this.routeChangeTimers = new Map();
+  }
+
+  /**
+   * Name of the alarm that saves automatic backups
+   * @returns {string}
+   */
+  static get BACKUP_ALARM() {
+    return "webVibesScheduledBackup";
+  }
+
+  /**
+   * Offscreen page that creates the file of a scheduled backup
+   * @returns {string}
+   */
+  static get BACKUP_FILE_PAGE() {
+    return "offscreen/backup-file.html";
+  }
+
+  /**
+   * Longest data URL downloads accept, used when offscreen pages are not
+   * available
+   * @returns {number}
+   */
+  static get MAX_DATA_URL_LENGTH() {
+    return 2 * 1024 * 1024;
+  }
+
+  /**
+   * Largest external script fetched for searching, in characters
+   * @returns {number}
+   */
+  static get MAX_SCRIPT_SOURCE_LENGTH() {
+    return 5000000;
+  }
+
+  /**
+   * Minimum time between DOM-change re-runs of a vibe, in milliseconds
+   * @returns {number}
+   */
+  static get DOM_RERUN_THROTTLE_MS() {
+    return 500;
+  }
+
+  /**
+   * Quiet time after a route change before hacks are re-applied, so a burst
+   * of history.pushState calls only applies them once, in milliseconds
+   * @returns {number}
+   */
+  static get ROUTE_CHANGE_DEBOUNCE_MS() {
+    return 300;
+  }
+
+  /**
+   * How long to wait for a frame's content script, which loads at
+   * document_end, and how often to check, in milliseconds
+   * @returns {{WAIT_MS: number, POLL_MS: number}}
+   */
+  static get CONTENT_SCRIPT_WAIT() {
+    return { WAIT_MS: 30000, POLL_MS: 250 };
+  }
+
+  /**
+   * Run-at timings, mirroring Hack.RUN_AT in lib/hack/model
+   * @returns {Object} Map of run-at constants to stored values
+   */
+  static get RUN_AT() {
+    return {
+      DOCUMENT_START: "document_start",
+      DOCUMENT_END: "document_end",
+      DOCUMENT_IDLE: "document_idle",
+      AFTER_DELAY: "after_delay",
+    };
   }
 
   /**
@@ -34,6 +131,12 @@ class WebVibesServiceWorker {
     // Set up event listeners
     this.setupEventListeners();
 
+    // Restore the failing vibe count after the browser or worker restarts
+    await this.updateActionBadge();
+
+    // Make sure the automatic backup alarm matches the saved schedule
+    await this.updateBackupAlarm();
+
     this.initialized = true;
   }
 
@@ -59,26 +162,346 @@ class WebVibesServiceWorker {
       return this.handleMessage(request, sender, sendResponse);
     });
 
-    // Use webNavigation.onCompleted to apply hacks only on main frame navigations
-    chrome.webNavigation.onCompleted.addListener(
-      async (details) => {
+    // Keep the cached hacks in sync with every change to saved vibes
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local") return;
+      if (changes[this.storageKey]) {
+        this.hacksCache = null;
+      }
+      // Deleting or disabling a failing vibe also clears it from the badge
+      if (changes[this.storageKey] || changes[this.healthStorageKey]) {
+        this.updateActionBadge();
+      }
+      if (changes[this.backupRepository.storageKey]) {
+        this.updateBackupAlarm();
+      }
+    });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === WebVibesServiceWorker.BACKUP_ALARM) {
+        this.runScheduledBackup();
+      }
+    });
+
+    // Each navigation stage of a frame applies the hacks that asked to run at it:
+    // onCommitted is before the page renders, onDOMContentLoaded once the DOM
+    // is parsed and onCompleted after the page has loaded
+    const { RUN_AT } = WebVibesServiceWorker;
+    this.addNavigationListener("onCommitted", [RUN_AT.DOCUMENT_START]);
+    this.addNavigationListener("onDOMContentLoaded", [RUN_AT.DOCUMENT_END]);
+    this.addNavigationListener("onCompleted", [
+      RUN_AT.DOCUMENT_IDLE,
+      RUN_AT.AFTER_DELAY,
+    ]);
+
+    // Single-page apps change route with history.pushState without a new
+    // document, so hacks follow the page URL
+    chrome.webNavigation.onHistoryStateUpdated.addListener(
+      (details) => {
         if (details.frameId === 0) {
-          try {
-            const tab = await chrome.tabs.get(details.tabId);
-            if (tab.url && this.isValidUrlForHacks(tab.url)) {
-              const url = new URL(tab.url);
-              const hostname = url.hostname;
-              await this.applyHacksForSite(details.tabId, hostname);
-            }
-          } catch (error) {
-            console.error("Error handling webNavigation.onCompleted:", error);
+          this.scheduleRouteChange(details.tabId, details.url);
+        }
+      },
+      { url: [{ schemes: ["http", "https"] }] }
+    );
+
+    // Cached scripts only live as long as the page that loaded them
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId === 0) {
+        this.scriptSourceCache.delete(details.tabId);
+        clearTimeout(this.routeChangeTimers.get(details.tabId));
+        this.routeChangeTimers.delete(details.tabId);
+        this.setTabUrl(details.tabId, details.url);
+      }
+    });
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.scriptSourceCache.delete(tabId);
+      clearTimeout(this.routeChangeTimers.get(tabId));
+      this.routeChangeTimers.delete(tabId);
+      this.setTabUrl(tabId, null);
+    });
+  }
+
+  /**
+   * Apply hacks with the given run-at timings when a frame's navigation reaches a stage
+   * @param {string} eventName - The chrome.webNavigation event to listen to
+   * @param {string[]|null} runAts - Run-at timings applied at this stage (all when null)
+   * @param {Object} [options] - Options passed on to applyHacksForSite
+   */
+  addNavigationListener(eventName, runAts, options = {}) {
+    chrome.webNavigation[eventName].addListener(
+      async (details) => {
+        if (!this.isValidUrlForHacks(details.url)) {
+          return;
+        }
+        try {
+          // Hacks are matched against the page URL; a subframe then only
+          // gets the matched hacks that target it
+          const pageUrl =
+            details.frameId === 0
+              ? details.url
+              : await this.getTopFrameUrl(details.tabId);
+          if (!pageUrl || !this.isValidUrlForHacks(pageUrl)) {
+            return;
           }
+
+          const hostname = new URL(pageUrl).hostname;
+          await this.applyHacksForSite(
+            details.tabId,
+            hostname,
+            pageUrl,
+            runAts,
+            {
+              ...options,
+              frame: {
+                frameId: details.frameId,
+                documentId: details.documentId,
+                url: details.url,
+              },
+            }
+          );
+        } catch (error) {
+          console.error(`Error handling webNavigation.${eventName}:`, error);
         }
       },
       { url: [{ schemes: ["http", "https"] }] }
     );
   }
 
+  /**
+   * Handle a tab's route change once its history stops changing
+   * @param {number} tabId - The tab ID
+   * @param {string} url - The new top frame URL
+   */
+  scheduleRouteChange(tabId, url) {
+    clearTimeout(this.routeChangeTimers.get(tabId));
+    this.routeChangeTimers.set(
+      tabId,
+      setTimeout(() => {
+        this.routeChangeTimers.delete(tabId);
+        this.handleRouteChange(tabId, url);
+      }, WebVibesServiceWorker.ROUTE_CHANGE_DEBOUNCE_MS)
+    );
+  }
+
+  /**
+   * Bring a tab's hacks in line with its new route: hacks that matched the
+   * previous URL but not this one are removed, and the matching ones are
+   * re-applied to the frames they target
+   * @param {number} tabId - The tab ID
+   * @param {string} url - The new top frame URL
+   * @returns {Promise<void>}
+   */
+  async handleRouteChange(tabId, url) {
+    const previousUrl = await this.getTabUrl(tabId);
+    if (url === previousUrl) {
+      return;
+    }
+    await this.setTabUrl(tabId, url);
+    if (!this.isValidUrlForHacks(url)) {
+      return;
+    }
+
+    try {
+      const hostname = new URL(url).hostname;
+      if (previousUrl && this.isValidUrlForHacks(previousUrl)) {
+        const matching = new Set(
+          (await this.getHacksForSite(hostname, url)).map((hack) => hack.id)
+        );
+        const previous = await this.getHacksForSite(
+          new URL(previousUrl).hostname,
+          previousUrl
+        );
+        await Promise.all(
+          previous
+            .filter((hack) => !matching.has(hack.id))
+            .map((hack) => this.removeHackFromTab(tabId, hack))
+        );
+      }
+
+      // Every frame of the tab, as hacks are removed from every frame above;
+      // a hack that starts matching reaches the iframes it targets too
+      await this.applyHacksForSite(tabId, hostname, url, null, {
+        routeChange: true,
+      });
+    } catch (error) {
+      console.error("Error handling route change:", error);
+    }
+  }
+
+  /**
+   * Get the top frame URL a tab's hacks were last applied for
+   * @param {number} tabId - The tab ID
+   * @returns {Promise<string|null>} The URL, or null if none is known
+   */
+  async getTabUrl(tabId) {
+    const key = `${this.tabUrlKeyPrefix}${tabId}`;
+    try {
+      const stored = await chrome.storage.session.get([key]);
+      return stored[key] || null;
+    } catch (error) {
+      console.error("Error loading tab URL:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the top frame URL a tab's hacks were applied for
+   * Each tab has its own key so navigations in different tabs do not
+   * overwrite each other.
+   * @param {number} tabId - The tab ID
+   * @param {string|null} url - The URL, or null to forget the tab
+   * @returns {Promise<void>}
+   */
+  async setTabUrl(tabId, url) {
+    const key = `${this.tabUrlKeyPrefix}${tabId}`;
+    try {
+      if (url) {
+        await chrome.storage.session.set({ [key]: url });
+      } else {
+        await chrome.storage.session.remove(key);
+      }
+    } catch (error) {
+      console.error("Error saving tab URL:", error);
+    }
+  }
+
+  /**
+   * Remove a hack from every frame of a tab: its CSS through the content
+   * script, and its JavaScript by stopping DOM re-runs and calling the
+   * cleanup function its code returned
+   * @param {number} tabId - The tab ID
+   * @param {Object} hack - Stored hack data
+   * @returns {Promise<void>}
+   */
+  async removeHackFromTab(tabId, hack) {
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: "REMOVE_HACK",
+        hackId: hack.id,
+      });
+    } catch (error) {
+      console.warn(`Could not remove CSS for hack ${hack.id}:`, error.message);
+    }
+
+    if (!hack.jsCode || !hack.jsCode.trim()) {
+      return;
+    }
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        world: "MAIN",
+        func: (hackId) => {
+          const running = window.__webVibesRunningHacks?.[hackId];
+          if (!running) return;
+          delete window.__webVibesRunningHacks[hackId];
+          if (running.stopWatching instanceof Function) {
+            running.stopWatching();
+          }
+          if (running.cleanup instanceof Function) {
+            running.cleanup();
+          }
+        },
+        args: [hack.id],
+      });
+    } catch (error) {
+      console.warn(
+        `Could not clean up JavaScript for hack ${hack.id}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Get the URL of a tab's top frame
+   * @param {number} tabId - The tab ID
+   * @returns {Promise<string|null>} The page URL or null if unavailable
+   */
+  async getTopFrameUrl(tabId) {
+    try {
+      const frame = await chrome.webNavigation.getFrame({ tabId, frameId: 0 });
+      return frame?.url || null;
+    } catch (error) {
+      console.warn("Could not get top frame URL:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the web frames of a tab
+   * @param {number} tabId - The tab ID
+   * @returns {Promise<Array<{frameId: number, documentId: string, url: string|null}>>} Frames with http(s) URLs
+   */
+  async getTabFrames(tabId) {
+    try {
+      const frames = await chrome.webNavigation.getAllFrames({ tabId });
+      return (frames || [])
+        .filter((frame) => this.isValidUrlForHacks(frame.url))
+        .map((frame) => ({
+          frameId: frame.frameId,
+          documentId: frame.documentId,
+          url: frame.url,
+        }));
+    } catch (error) {
+      console.warn("Could not list frames, using the top frame:", error.message);
+      return [{ frameId: 0, url: null }];
+    }
+  }
+
+  /**
+   * Check whether a hack targets a frame. Mirrors Hack.targetsFrame:
+   * "top" (the default) is frame 0 only, "all" is every frame and
+   * "matching" is frames whose URL matches one of the hack's framePatterns.
+   * @param {Object} hack - Stored hack data
+   * @param {{frameId: number, url: string|null}} frame - The frame
+   * @returns {boolean} True if the hack should be injected into the frame
+   */
+  hackTargetsFrame(hack, frame) {
+    switch (hack.frameTarget) {
+      case "all":
+        return true;
+      case "matching": {
+        let urlObj;
+        try {
+          urlObj = new URL(frame.url);
+        } catch {
+          return false;
+        }
+        return (hack.framePatterns || []).some((pattern) =>
+          this.patternMatchesUrl(pattern, urlObj)
+        );
+      }
+      default:
+        return frame.frameId === 0;
+    }
+  }
+
+  /**
+   * Load the hostname-keyed hack map, using the cache when it is current
+   * @returns {Promise<Object>} Map of hostname to stored hack data
+   */
+  async getAllHacksData() {
+    if (!this.hacksCache) {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      this.hacksCache = result[this.storageKey] || {};
+    }
+    return this.hacksCache;
+  }
+
+  /**
+   * Get a hack's run-at timing. Mirrors Hack.resolveRunAt: hacks saved before
+   * the setting existed run after load, waiting for any apply delay.
+   * @param {Object} hack - Stored hack data
+   * @returns {string} Run-at value
+   */
+  getRunAt(hack) {
+    const { RUN_AT } = WebVibesServiceWorker;
+    if (Object.values(RUN_AT).includes(hack.runAt)) {
+      return hack.runAt;
+    }
+    return hack.applyDelay > 0 ? RUN_AT.AFTER_DELAY : RUN_AT.DOCUMENT_IDLE;
+  }
+
   /**
    * Handle messages from content scripts or popup
    * @param {Object} request - The message request
@@ -89,7 +512,7 @@ class WebVibesServiceWorker {
     try {
       switch (request.type) {
         case "GET_HACKS_FOR_SITE":
-          this.getHacksForSite(request.hostname)
+          this.getHacksForSite(request.hostname, request.url)
             .then((hacks) => {
               sendResponse({ success: true, hacks });
             })
@@ -99,7 +522,7 @@ class WebVibesServiceWorker {
           return true;
 
         case "APPLY_HACKS_FOR_SITE":
-          this.applyHacksForSite(request.tabId, request.hostname)
+          this.applyHacksForSite(request.tabId, request.hostname, request.url)
             .then((result) => {
               sendResponse({ success: true, result });
             })
@@ -108,6 +531,19 @@ class WebVibesServiceWorker {
             });
           return true;
 
+        case "FETCH_SCRIPT_SOURCES":
+          this.fetchScriptSources(
+            sender.tab ? sender.tab.id : null,
+            request.urls
+          )
+            .then((sources) => {
+              sendResponse({ success: true, sources });
+            })
+            .catch((error) => {
+              sendResponse({ success: false, error: error.message });
+            });
+          return true;
+
         case "CHECK_CSP_ENABLED":
           this.isCSPBustingEnabled(request.hostname)
             .then((isEnabled) => {
@@ -141,6 +577,69 @@ class WebVibesServiceWorker {
     }
   }
 
+  /**
+   * Fetch external script files for a tab, reusing earlier fetches
+   * The service worker's host permissions let it read cross-origin scripts
+   * that the page's content script could not.
+   * @param {number|null} tabId - Tab the scripts belong to
+   * @param {string[]} urls - Script URLs
+   * @returns {Promise<Array<{url: string, content?: string, error?: string}>>} One result per URL
+   */
+  async fetchScriptSources(tabId, urls) {
+    if (!Array.isArray(urls)) {
+      throw new Error("Script URLs are required");
+    }
+
+    let tabCache = this.scriptSourceCache.get(tabId);
+    if (!tabCache) {
+      tabCache = new Map();
+      if (tabId !== null) {
+        this.scriptSourceCache.set(tabId, tabCache);
+      }
+    }
+
+    return await Promise.all(
+      urls.map(async (url) => {
+        if (!tabCache.has(url)) {
+          // Cache the promise so concurrent searches share one fetch
+          tabCache.set(url, this.fetchScriptSource(url));
+        }
+        return await tabCache.get(url);
+      })
+    );
+  }
+
+  /**
+   * Fetch one external script file
+   * @param {string} url - Script URL
+   * @returns {Promise<{url: string, content?: string, error?: string}>} Script text or the reason it could not be read
+   */
+  async fetchScriptSource(url) {
+    if (!this.isValidUrlForHacks(url)) {
+      return { url, error: "Only http(s) scripts can be fetched" };
+    }
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        return { url, error: `HTTP ${response.status}` };
+      }
+
+      const content = await response.text();
+      if (content.length > WebVibesServiceWorker.MAX_SCRIPT_SOURCE_LENGTH) {
+        return {
+          url,
+          error: `Script is too large to search (${content.length} characters)`,
+        };
+      }
+
+      return { url, content };
+    } catch (error) {
+      console.warn(`Error fetching external script ${url}:`, error);
+      return { url, error: error.message };
+    }
+  }
+
   /**
    * Check if a URL is valid for applying hacks
    * @param {string} url - The URL to check
@@ -157,67 +656,230 @@ class WebVibesServiceWorker {
   }
 
   /**
-   * Get hacks for a specific site
-   * @param {string} hostname - The hostname to get hacks for
-   * @returns {Promise<Array>} Array of hack data
+   * Get enabled hacks whose match patterns cover a page.
+   * Global hacks come first so site hacks can override them.
+   * @param {string} hostname - The hostname of the page
+   * @param {string} [url] - The full page URL (defaults to the hostname's root)
+   * @returns {Promise<Array>} Array of hack data, global then site, each sorted by rank
    */
-  async getHacksForSite(hostname) {
+  async getHacksForSite(hostname, url = null) {
     try {
-      const result = await chrome.storage.local.get([this.storageKey]);
-      const allHacks = result[this.storageKey] || {};
-      const siteHacks = allHacks[hostname] || [];
+      const allHacks = await this.getAllHacksData();
+      const pageUrl = url || `https://${hostname}/`;
 
-      // Return only enabled hacks
-      return siteHacks.filter((hack) => hack.enabled !== false);
+      const globalHacks = [];
+      const siteMatchingHacks = [];
+      Object.entries(allHacks).forEach(([siteHostname, siteHacks]) => {
+        const isGlobal = siteHostname === this.globalScopeKey;
+        (siteHacks || []).forEach((hack) => {
+          // Hacks saved before match patterns existed only run on their own hostname
+          const patterns = hack.matchPatterns || {
+            include: [isGlobal ? "*" : siteHostname],
+            exclude: [],
+          };
+          if (
+            hack.enabled !== false &&
+            this.urlMatchesPatterns(pageUrl, patterns)
+          ) {
+            (isGlobal ? globalHacks : siteMatchingHacks).push(hack);
+          }
+        });
+      });
+
+      const byRank = (a, b) => {
+        if ((a.rank || 0) !== (b.rank || 0)) {
+          return (a.rank || 0) - (b.rank || 0);
+        }
+        return new Date(a.createdAt) - new Date(b.createdAt);
+      };
+
+      return [...globalHacks.sort(byRank), ...siteMatchingHacks.sort(byRank)];
     } catch (error) {
       console.error("Error getting hacks for site:", error);
       return [];
     }
   }
 
+  /**
+   * Check whether a URL is covered by a hack's include/exclude patterns.
+   * Mirrors UrlMatchPatterns in lib/hack/model, which the service worker does not load.
+   * @param {string} url - The page URL
+   * @param {Object} patterns - Object with include and exclude pattern arrays
+   * @returns {boolean} True if an include pattern matches and no exclude pattern does
+   */
+  urlMatchesPatterns(url, patterns) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return false;
+    }
+
+    const include = patterns.include || [];
+    const exclude = patterns.exclude || [];
+
+    return (
+      include.some((pattern) => this.patternMatchesUrl(pattern, urlObj)) &&
+      !exclude.some((pattern) => this.patternMatchesUrl(pattern, urlObj))
+    );
+  }
+
+  /**
+   * Test a single match pattern against a URL
+   * @param {string} pattern - Host glob, path prefix/glob, or /regex/flags
+   * @param {URL} urlObj - The parsed page URL
+   * @returns {boolean} True if the pattern matches
+   */
+  patternMatchesUrl(pattern, urlObj) {
+    if (typeof pattern !== "string" || !pattern.trim()) return false;
+    let rest = pattern.trim();
+
+    const regexMatch = rest.match(/^\/(.+)\/([dgimsuy]*)$/);
+    if (regexMatch) {
+      try {
+        return new RegExp(regexMatch[1], regexMatch[2]).test(urlObj.href);
+      } catch {
+        return false;
+      }
+    }
+
+    const schemeMatch = rest.match(/^([a-z*]+):\/\//i);
+    if (schemeMatch) {
+      const scheme = schemeMatch[1].toLowerCase();
+      if (scheme !== "*" && `${scheme}:` !== urlObj.protocol) return false;
+      rest = rest.substring(schemeMatch[0].length);
+    }
+
+    const slashIndex = rest.indexOf("/");
+    const hostPattern = (
+      slashIndex === -1 ? rest : rest.substring(0, slashIndex)
+    ).toLowerCase();
+    const pathPattern = slashIndex === -1 ? "" : rest.substring(slashIndex);
+
+    const globToRegExp = (glob) =>
+      new RegExp(
+        "^" +
+          glob
+            .split("*")
+            .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+            .join(".*") +
+          "$",
+        "i"
+      );
+
+    // Host: "*", "*.example.com" (domain and subdomains), other globs, or exact
+    const host = (
+      hostPattern.includes(":") ? urlObj.host : urlObj.hostname
+    ).toLowerCase();
+    let hostMatches;
+    if (hostPattern === "*") {
+      hostMatches = true;
+    } else if (
+      hostPattern.startsWith("*.") &&
+      !hostPattern.slice(2).includes("*")
+    ) {
+      const domain = hostPattern.slice(2);
+      hostMatches = host === domain || host.endsWith(`.${domain}`);
+    } else if (hostPattern.includes("*")) {
+      hostMatches = globToRegExp(hostPattern).test(host);
+    } else {
+      hostMatches = host === hostPattern;
+    }
+    if (!hostMatches) return false;
+
+    // Path: globs match path + query, plain paths are segment prefixes
+    if (!pathPattern || pathPattern === "/") return true;
+    if (pathPattern.includes("*")) {
+      return globToRegExp(pathPattern).test(urlObj.pathname + urlObj.search);
+    }
+    const prefix = pathPattern.endsWith("/") ? pathPattern : `${pathPattern}/`;
+    return urlObj.pathname === pathPattern || urlObj.pathname.startsWith(prefix);
+  }
+
   /**
    * Apply hacks for a specific site to a tab
    * @param {number} tabId - The tab ID to apply hacks to
    * @param {string} hostname - The hostname to get hacks for
+   * @param {string} [url] - The full tab URL used for pattern matching
+   * @param {string[]} [runAts] - Only apply hacks with these run-at timings (all when omitted)
+   * @param {Object} [options]
+   * @param {boolean} [options.routeChange=false] - The page is already loaded and changed route in place
+   * @param {{frameId: number, documentId: string, url: string}} [options.frame] - Only apply to this frame (every frame in the tab when omitted)
    * @returns {Promise<Object>} Result of the application
    */
-  async applyHacksForSite(tabId, hostname) {
+  async applyHacksForSite(
+    tabId,
+    hostname,
+    url = null,
+    runAts = null,
+    options = {}
+  ) {
     try {
-      const hacks = await this.getHacksForSite(hostname);
+      // Global hacks match every URL, so never touch non-web pages
+      if (url && !this.isValidUrlForHacks(url)) {
+        return { applied: 0, hacks: [] };
+      }
+
+      const hacks = (await this.getHacksForSite(hostname, url)).filter(
+        (hack) => !runAts || runAts.includes(this.getRunAt(hack))
+      );
 
       if (hacks.length === 0) {
         console.log(`No enabled hacks found for ${hostname}`);
         return { applied: 0, hacks: [] };
       }
 
-      console.log(`Applying ${hacks.length} hacks for ${hostname}`);
+      // Pair each hack with the frames it targets
+      const frames = options.frame
+        ? [options.frame]
+        : await this.getTabFrames(tabId);
+      const targets = hacks.flatMap((hack) =>
+        frames
+          .filter((frame) => this.hackTargetsFrame(hack, frame))
+          .map((frame) => ({
+            hack,
+            frameId: frame.frameId,
+            documentId: frame.documentId,
+          }))
+      );
+
+      if (targets.length === 0) {
+        return { applied: 0, hacks: [] };
+      }
+
+      console.log(`Applying ${targets.length} hacks for ${hostname}`);
 
       // Apply each hack to the tab in parallel so delays do not compound
       const rawResults = await Promise.allSettled(
-        hacks.map((hack) => this.applyHackToTab(tabId, hack))
+        targets.map(({ hack, frameId, documentId }) =>
+          this.applyHackToTab(tabId, hack, { ...options, frameId, documentId })
+        )
       );
 
       const results = rawResults.map((res, idx) => {
         if (res.status === "fulfilled") {
           return res.value;
         }
-        const hack = hacks[idx];
+        const { hack, frameId } = targets[idx];
         console.error(`Error applying hack ${hack.id}:`, res.reason);
         return {
           success: false,
           hackId: hack.id,
+          frameId,
           error: res.reason?.message || String(res.reason),
         };
       });
 
       const successful = results.filter((r) => r.success).length;
       console.log(
-        `Successfully applied ${successful}/${hacks.length} hacks for ${hostname}`
+        `Successfully applied ${successful}/${targets.length} hacks for ${hostname}`
       );
 
+      await this.recordHackResults(results, url || `https://${hostname}/`);
+
       return {
         applied: successful,
-        total: hacks.length,
+        total: targets.length,
         results,
         hostname,
       };
@@ -231,18 +893,40 @@ class WebVibesServiceWorker {
    * Apply a single hack to a tab
    * @param {number} tabId - The tab ID to apply the hack to
    * @param {Object} hack - The hack data to apply
+   * @param {Object} [options]
+   * @param {boolean} [options.routeChange=false] - The page is already loaded and changed route in place
+   * @param {number} [options.frameId=0] - The frame to apply the hack in
+   * @param {string} [options.documentId] - The frame's document, so CSS
+   *   handed to its content script does not reach a later page
    * @returns {Promise<Object>} Result of the application
    */
-  async applyHackToTab(tabId, hack) {
+  async applyHackToTab(
+    tabId,
+    hack,
+    { routeChange = false, frameId = 0, documentId } = {}
+  ) {
     try {
+      const { RUN_AT } = WebVibesServiceWorker;
+      const runAt = this.getRunAt(hack);
+      // Before the content script has loaded, CSS is inserted directly and
+      // later handed over to it; JS is injected without waiting for the
+      // document to go idle. After a route change the content script is
+      // there and replaces earlier CSS.
+      const early =
+        !routeChange &&
+        (runAt === RUN_AT.DOCUMENT_START || runAt === RUN_AT.DOCUMENT_END);
+
       // Respect per-hack apply delay (in milliseconds)
       const delay =
-        typeof hack.applyDelay === "number" && hack.applyDelay > 0
+        runAt === RUN_AT.AFTER_DELAY &&
+        typeof hack.applyDelay === "number" &&
+        hack.applyDelay > 0
           ? hack.applyDelay
           : 0;
       if (delay > 0) {
         await new Promise((resolve) => setTimeout(resolve, delay));
       }
+      const startedAt = Date.now();
 
       // Prepare hack data for content script
       const hackData = {
@@ -258,21 +942,39 @@ class WebVibesServiceWorker {
       let cssResult = null;
       let jsResult = null;
 
-      // Apply CSS via content script message
-      if (hackData.cssCode && hackData.cssCode.trim()) {
+      if (early && hackData.cssCode && hackData.cssCode.trim()) {
         try {
-          cssResult = await chrome.tabs.sendMessage(tabId, {
-            type: "APPLY_HACK",
-            hack: hackData,
+          await chrome.scripting.insertCSS({
+            target: this.getInjectionTarget(tabId, { frameId, documentId }),
+            css: hackData.cssCode,
           });
+          cssResult = { success: true };
+
+          this.handOverInsertedCSS(tabId, { frameId, documentId }, hackData);
+        } catch (insertError) {
+          console.warn(
+            `Could not insert CSS for hack ${hack.id}:`,
+            insertError.message
+          );
+          cssResult = { success: false, error: insertError.message };
+        }
+      } else if (hackData.cssCode && hackData.cssCode.trim()) {
+        // Apply CSS via content script message
+        try {
+          cssResult = await chrome.tabs.sendMessage(
+            tabId,
+            { type: "APPLY_HACK", hack: hackData },
+            { frameId }
+          );
         } catch (messageError) {
           // Content script might not be ready yet, try again after a delay
           await new Promise((resolve) => setTimeout(resolve, 1000));
           try {
-            cssResult = await chrome.tabs.sendMessage(tabId, {
-              type: "APPLY_HACK",
-              hack: hackData,
-            });
+            cssResult = await chrome.tabs.sendMessage(
+              tabId,
+              { type: "APPLY_HACK", hack: hackData },
+              { frameId }
+            );
           } catch (retryError) {
             console.warn(
               `Could not apply CSS for hack ${hack.id}:`,
@@ -287,40 +989,106 @@ class WebVibesServiceWorker {
       if (hackData.jsCode && hackData.jsCode.trim()) {
         try {
           const injectionResults = await chrome.scripting.executeScript({
-            target: { tabId: tabId },
+            target: this.getInjectionTarget(tabId, { frameId, documentId }),
             world: "MAIN",
-            func: (codeString, hackId, hackName) => {
+            injectImmediately: early,
+            func: (
+              codeString,
+              hackId,
+              hackName,
+              rerunOnDomChange,
+              rerunThrottleMs
+            ) => {
               try {
                 // Keep simple tracking reference
                 window.__webVibesRunningHacks =
                   window.__webVibesRunningHacks || {};
 
-                // If this hack was already injected, attempt to clean it first
-                if (
-                  window.__webVibesRunningHacks[hackId]?.cleanup instanceof
-                  Function
-                ) {
-                  try {
-                    window.__webVibesRunningHacks[hackId].cleanup();
-                  } catch (cleanupErr) {
-                    console.warn(
-                      "Web Vibes: cleanup of previous hack failed",
-                      cleanupErr
-                    );
+                // Clean up an earlier run of this hack: stop watching the DOM,
+                // then call the cleanup function its code returned
+                const cleanupPrevious = () => {
+                  const previous = window.__webVibesRunningHacks[hackId];
+                  if (previous?.stopWatching instanceof Function) {
+                    previous.stopWatching();
                   }
-                }
+                  if (previous?.cleanup instanceof Function) {
+                    try {
+                      previous.cleanup();
+                    } catch (cleanupErr) {
+                      console.warn(
+                        "Web Vibes: cleanup of previous hack failed",
+                        cleanupErr
+                      );
+                    }
+                  }
+                };
 
-                // Wrap the supplied code into a function
-                const wrappedFn = new Function(
-                  `return (function(){\n${codeString}\n})()`
-                );
-                const possibleReturn = wrappedFn();
+                const runHack = () => {
+                  // Wrap the supplied code into a function
+                  const wrappedFn = new Function(
+                    `return (function(){\n${codeString}\n})()`
+                  );
+                  const possibleReturn = wrappedFn();
 
-                // If the injected code returns a function, treat it as a cleanup handler
-                if (typeof possibleReturn === "function") {
+                  // If the injected code returns a function, treat it as a cleanup handler
                   window.__webVibesRunningHacks[hackId] = {
-                    cleanup: possibleReturn,
+                    cleanup:
+                      typeof possibleReturn === "function"
+                        ? possibleReturn
+                        : null,
+                  };
+                };
+
+                // Re-run after the page replaces nodes, at most once per throttle
+                // window. The observer is paused while the hack runs so its own
+                // DOM changes do not trigger another run.
+                const watchDom = () => {
+                  let timer = null;
+                  let lastRun = Date.now();
+                  const observeOptions = { childList: true, subtree: true };
+
+                  const observer = new MutationObserver(() => {
+                    if (timer) return;
+                    const wait = Math.max(
+                      0,
+                      lastRun + rerunThrottleMs - Date.now()
+                    );
+                    timer = setTimeout(() => {
+                      timer = null;
+                      observer.disconnect();
+                      try {
+                        cleanupPrevious();
+                        runHack();
+                      } catch (err) {
+                        console.error(
+                          `Web Vibes: error re-running hack "${hackName}":`,
+                          err
+                        );
+                      }
+                      lastRun = Date.now();
+                      window.__webVibesRunningHacks[hackId] = {
+                        ...window.__webVibesRunningHacks[hackId],
+                        stopWatching,
+                      };
+                      observer.observe(document, observeOptions);
+                    }, wait);
+                  });
+
+                  const stopWatching = () => {
+                    clearTimeout(timer);
+                    timer = null;
+                    observer.disconnect();
                   };
+
+                  observer.observe(document, observeOptions);
+                  window.__webVibesRunningHacks[hackId].stopWatching =
+                    stopWatching;
+                };
+
+                cleanupPrevious();
+                runHack();
+                if (rerunOnDomChange) {
+                  watchDom();
                 }
 
                 console.log(
@@ -332,10 +1100,20 @@ class WebVibesServiceWorker {
                   `Web Vibes: error auto-applying hack "${hackName}":`,
                   err
                 );
-                return { success: false, error: err.message };
+                return {
+                  success: false,
+                  error: err.message,
+                  stack: err.stack || null,
+                };
               }
             },
-            args: [hackData.jsCode, hackData.id, hackData.name],
+            args: [
+              hackData.jsCode,
+              hackData.id,
+              hackData.name,
+              !!hack.rerunOnDomChange,
+              WebVibesServiceWorker.DOM_RERUN_THROTTLE_MS,
+            ],
           });
 
           jsResult = injectionResults[0]?.result || { success: true };
@@ -366,6 +1144,8 @@ class WebVibesServiceWorker {
         success: overallSuccess,
         hackId: hack.id,
         hackName: hack.name,
+        frameId,
+        durationMs: Date.now() - startedAt,
         cssSuccess,
         jsSuccess,
         cssResult,
@@ -376,11 +1156,395 @@ class WebVibesServiceWorker {
       return {
         success: false,
         hackId: hack.id,
+        frameId,
         error: error.message,
+        stack: error.stack || null,
       };
     }
   }
 
+  /**
+   * Target a frame's document when known, so a page navigated to meanwhile
+   * is not reached
+   * @param {number} tabId - The tab ID
+   * @param {{frameId: number, documentId: string}} frame - The frame
+   * @returns {Object} chrome.scripting injection target
+   */
+  getInjectionTarget(tabId, { frameId, documentId }) {
+    return documentId
+      ? { tabId, documentIds: [documentId] }
+      : { tabId, frameIds: [frameId] };
+  }
+
+  /**
+   * chrome.tabs.sendMessage options reaching the same document as
+   * getInjectionTarget
+   * @param {{frameId: number, documentId: string}} frame - The frame
+   * @returns {Object} Message options
+   */
+  getMessageOptions({ frameId, documentId }) {
+    return documentId ? { documentId } : { frameId };
+  }
+
+  /**
+   * Move CSS inserted with chrome.scripting.insertCSS to the content script
+   * Inserted CSS stays until it is removed with the same text, which the
+   * content script cannot do when the vibe is turned off, edited or deleted.
+   * Once the content script loads it gets the vibe as currently stored, so
+   * it can also put "host >>> inner {}" rules into shadow roots, which
+   * insertCSS cannot reach; the inserted CSS is then removed.
+   * @param {number} tabId - The tab ID
+   * @param {{frameId: number, documentId: string}} frame - The frame
+   * @param {Object} hackData - The hack data whose CSS was inserted
+   * @returns {Promise<void>}
+   */
+  async handOverInsertedCSS(tabId, frame, hackData) {
+    try {
+      // Clears anything the content script holds for the vibe, and is
+      // answered as soon as it has loaded
+      const loaded = await this.sendWhenContentScriptLoads(tabId, frame, {
+        type: "REMOVE_HACK",
+        hackId: hackData.id,
+      });
+      if (!loaded) {
+        console.warn(
+          `Content script did not load, keeping inserted CSS for hack ${hackData.id}`
+        );
+        return;
+      }
+
+      const allHacks = await this.getAllHacksData();
+      const stored = Object.values(allHacks)
+        .flatMap((siteHacks) => siteHacks || [])
+        .find((hack) => hack.id === hackData.id);
+      if (stored && stored.enabled !== false && stored.cssCode) {
+        await chrome.tabs.sendMessage(
+          tabId,
+          {
+            type: "APPLY_HACK",
+            hack: { ...hackData, name: stored.name, cssCode: stored.cssCode },
+          },
+          this.getMessageOptions(frame)
+        );
+      }
+
+      await chrome.scripting.removeCSS({
+        target: this.getInjectionTarget(tabId, frame),
+        css: hackData.cssCode,
+      });
+    } catch (error) {
+      console.warn(
+        `Could not hand over CSS for hack ${hackData.id}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Send a message to a frame's content script once it has loaded
+   * Hacks applied before document_end get there first, so the frame is asked
+   * again until it answers or CONTENT_SCRIPT_WAIT runs out.
+   * @param {number} tabId - The tab ID
+   * @param {{frameId: number, documentId: string}} frame - The frame; the
+   *   document is preferred so a page navigated to meanwhile is not reached
+   * @param {Object} message - The message to send
+   * @returns {Promise<Object|null>} The response, or null if the content script never answered
+   */
+  async sendWhenContentScriptLoads(tabId, { frameId, documentId }, message) {
+    const { WAIT_MS, POLL_MS } = WebVibesServiceWorker.CONTENT_SCRIPT_WAIT;
+    const options = this.getMessageOptions({ frameId, documentId });
+
+    for (let waited = 0; waited <= WAIT_MS; waited += POLL_MS) {
+      try {
+        return await chrome.tabs.sendMessage(tabId, message, options);
+      } catch (error) {
+        await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Persist the outcome of applying hacks so failures show in the side panel.
+   * Records use the VibeHealth format from lib/health/model.
+   * @param {Array<Object>} results - Results from applyHackToTab
+   * @param {string} url - The page URL the hacks were applied to
+   * @returns {Promise<void>}
+   */
+  recordHackResults(results, url) {
+    this.healthWriteQueue = this.healthWriteQueue.then(async () => {
+      try {
+        const stored = await chrome.storage.local.get([this.healthStorageKey]);
+        const allHealth = stored[this.healthStorageKey] || {};
+        const checkedAt = new Date().toISOString();
+
+        // A hack applied to several frames is failing if any frame failed
+        const resultByHack = new Map();
+        results.forEach((result) => {
+          const existing = resultByHack.get(result.hackId);
+          if (!existing || (existing.success && !result.success)) {
+            resultByHack.set(result.hackId, result);
+          }
+        });
+
+        resultByHack.forEach((result, hackId) => {
+          const previous = allHealth[hackId] || {};
+          const failure = result.success ? null : this.describeFailure(result);
+          allHealth[hackId] = {
+            hackId,
+            status: failure ? "failure" : "success",
+            error: failure ? failure.error : null,
+            stack: failure ? failure.stack : null,
+            durationMs: result.durationMs || 0,
+            url,
+            checkedAt,
+            failureCount: failure ? (previous.failureCount || 0) + 1 : 0,
+            lastSuccessAt: failure ? previous.lastSuccessAt || null : checkedAt,
+          };
+        });
+
+        await chrome.storage.local.set({ [this.healthStorageKey]: allHealth });
+      } catch (error) {
+        console.error("Error recording vibe health:", error);
+      }
+    });
+    return this.healthWriteQueue;
+  }
+
+  /**
+   * Pick the error message and stack out of a failed application result
+   * @param {Object} result - A result from applyHackToTab
+   * @returns {{error: string, stack: string|null}} Failure details
+   */
+  describeFailure(result) {
+    if (result.jsSuccess === false && result.jsResult) {
+      return {
+        error: `JavaScript: ${result.jsResult.error || "Unknown error"}`,
+        stack: result.jsResult.stack || null,
+      };
+    }
+    if (result.cssSuccess === false) {
+      return {
+        error: `CSS: ${result.cssResult?.error || "Could not apply styles"}`,
+        stack: null,
+      };
+    }
+    return {
+      error: result.error || "Unknown error",
+      stack: result.stack || null,
+    };
+  }
+
+  /**
+   * Show the number of enabled vibes whose last application failed on the
+   * extension action
+   * @returns {Promise<void>}
+   */
+  async updateActionBadge() {
+    try {
+      const stored = await chrome.storage.local.get([this.healthStorageKey]);
+      const allHealth = stored[this.healthStorageKey] || {};
+      const allHacks = await this.getAllHacksData();
+      const enabledIds = new Set(
+        Object.values(allHacks)
+          .flat()
+          .filter((hack) => hack && hack.enabled !== false)
+          .map((hack) => hack.id)
+      );
+
+      const failing = Object.values(allHealth).filter(
+        (health) => health.status === "failure" && enabledIds.has(health.hackId)
+      ).length;
+
+      await chrome.action.setBadgeText({
+        text: failing > 0 ? String(failing) : "",
+      });
+      await chrome.action.setBadgeBackgroundColor({ color: "#ef4444" });
+      await chrome.action.setTitle({
+        title:
+          failing > 0
+            ? `Web Vibes: ${failing} vibe${failing === 1 ? "" : "s"} failing`
+            : "Open Web Vibes Side Panel",
+      });
+    } catch (error) {
+      console.error("Error updating action badge:", error);
+    }
+  }
+
+  /**
+   * Create, change or clear the automatic backup alarm to match the schedule
+   * An existing alarm with the right period is kept, so saving the time of
+   * the last backup does not push the next one back.
+   */
+  async updateBackupAlarm() {
+    try {
+      const schedule = await this.backupService.getSchedule();
+      const alarmName = WebVibesServiceWorker.BACKUP_ALARM;
+      const periodInMinutes =
+        BackupService.FREQUENCIES[schedule.frequency]?.minutes;
+
+      if (!schedule.enabled || !periodInMinutes) {
+        await chrome.alarms.clear(alarmName);
+        return;
+      }
+
+      const alarm = await chrome.alarms.get(alarmName);
+      if (alarm && alarm.periodInMinutes === periodInMinutes) {
+        return;
+      }
+
+      // Continue from the last backup rather than waiting a full period
+      const minutesSinceLast = schedule.lastBackupAt
+        ? (Date.now() - new Date(schedule.lastBackupAt).getTime()) / 60000
+        : periodInMinutes;
+      await chrome.alarms.create(alarmName, {
+        delayInMinutes: Math.max(periodInMinutes - minutesSinceLast, 1),
+        periodInMinutes,
+      });
+    } catch (error) {
+      console.error("Error scheduling automatic backup:", error);
+    }
+  }
+
+  /**
+   * Save an automatic backup to the downloads folder
+   * Holds the default sections, like a backup made in settings without
+   * chat sessions or API keys.
+   */
+  async runScheduledBackup() {
+    let result;
+
+    try {
+      const backup = await this.backupService.createBackup();
+      await this.downloadBackupFile(
+        JSON.stringify(backup.toJSON()),
+        `${BackupService.DOWNLOAD_FOLDER}/${this.backupService.getFileName(
+          backup.createdAt
+        )}`
+      );
+      result = {
+        lastBackupAt: backup.createdAt.toISOString(),
+        lastError: null,
+      };
+    } catch (error) {
+      console.error("Error saving automatic backup:", error);
+      result = { lastError: error.message };
+    }
+
+    try {
+      await this.backupRepository.updateSchedule(result);
+    } catch (error) {
+      console.error("Error saving backup schedule:", error);
+    }
+  }
+
+  /**
+   * Save backup file contents to the downloads folder
+   * Service workers cannot create blob URLs, so the offscreen backup file
+   * page makes one and is closed once the download has finished. Without
+   * offscreen pages a data URL is used, which only fits small backups.
+   * @param {string} text - File contents
+   * @param {string} filename - Path inside the downloads folder
+   * @returns {Promise<void>}
+   * @throws {Error} If the file could not be created or saved
+   */
+  async downloadBackupFile(text, filename) {
+    if (!chrome.offscreen) {
+      const url = `data:application/json;charset=utf-8,${encodeURIComponent(
+        text
+      )}`;
+      if (url.length > WebVibesServiceWorker.MAX_DATA_URL_LENGTH) {
+        throw new Error(
+          "The backup is too large to save automatically; save it from Settings instead"
+        );
+      }
+      await chrome.downloads.download({
+        url,
+        filename,
+        conflictAction: "uniquify",
+        saveAs: false,
+      });
+      return;
+    }
+
+    await this.openBackupFilePage();
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "CREATE_BACKUP_FILE_URL",
+        text,
+      });
+      if (!response || !response.success) {
+        throw new Error(
+          (response && response.error) || "Could not create the backup file"
+        );
+      }
+
+      const downloadId = await chrome.downloads.download({
+        url: response.url,
+        filename,
+        conflictAction: "uniquify",
+        saveAs: false,
+      });
+      await this.waitForDownload(downloadId);
+    } finally {
+      await chrome.offscreen.closeDocument().catch(() => {});
+    }
+  }
+
+  /**
+   * Open the offscreen backup file page unless it is already open
+   * @returns {Promise<void>}
+   */
+  async openBackupFilePage() {
+    const url = chrome.runtime.getURL(WebVibesServiceWorker.BACKUP_FILE_PAGE);
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ["OFFSCREEN_DOCUMENT"],
+      documentUrls: [url],
+    });
+    if (contexts.length > 0) {
+      return;
+    }
+
+    await chrome.offscreen.createDocument({
+      url: WebVibesServiceWorker.BACKUP_FILE_PAGE,
+      reasons: ["BLOBS"],
+      justification: "Create the file of a scheduled backup",
+    });
+  }
+
+  /**
+   * Wait until a download has finished
+   * @param {number} downloadId - The download
+   * @returns {Promise<void>}
+   * @throws {Error} If the download was interrupted
+   */
+  waitForDownload(downloadId) {
+    return new Promise((resolve, reject) => {
+      const settle = (state, error) => {
+        if (state === "complete") {
+          chrome.downloads.onChanged.removeListener(onChanged);
+          resolve();
+        } else if (state === "interrupted") {
+          chrome.downloads.onChanged.removeListener(onChanged);
+          reject(
+            new Error(`The backup download failed: ${error || "interrupted"}`)
+          );
+        }
+      };
+      const onChanged = (delta) => {
+        if (delta.id === downloadId && delta.state) {
+          settle(delta.state.current, delta.error && delta.error.current);
+        }
+      };
+
+      chrome.downloads.onChanged.addListener(onChanged);
+      // The download may have finished before the listener was added
+      chrome.downloads.search({ id: downloadId }).then(([item]) => {
+        if (item) settle(item.state, item.error);
+      });
+    });
+  }
+
   /**
    * Check if CSP busting is enabled for a hostname
    * @param {string} hostname - The hostname to check
@@ -3,16 +3,24 @@
  * Handles the chat interface and AI interactions for creating and editing vibes using agentic service
  */
 class AIChatManager {
-  constructor(agenticService, hackService, settingsService) {
+  constructor(
+    agenticService,
+    hackService,
+    settingsService,
+    chatSessionService = null
+  ) {
     this.agenticService = agenticService;
     this.hackService = hackService;
     this.settingsService = settingsService;
+    this.chatSessionService = chatSessionService; // Persists conversations per vibe
+    this.currentSession = null; // Saved chat session the conversation belongs to
     this.currentHostname = "";
     this.currentHack = null; // Track current hack being edited
     this.isEditingExistingHack = false; // Flag to differentiate between new and existing hacks
     this.originalHackEnabledState = null; // Track original enabled state before editing
     this.vibeSettingsModal = new VibeSettingsModal(); // Modal for editing vibe settings
     this.isAgenticLoopRunning = false; // Track if agentic loop is currently running
+    this.targetedElements = []; // Page elements to send with the next message
     this.initializeElements();
     this.setupEventListeners();
   }
@@ -29,6 +37,11 @@ class AIChatManager {
     this.aiNotConfigured = document.getElementById("aiNotConfigured");
     this.goToSettingsBtn = document.getElementById("goToSettings");
     this.crosshairBtn = document.getElementById("crosshairBtn");
+    this.targetedElementsEl = document.getElementById("targetedElements");
+    this.sessionsBtn = document.getElementById("chatSessionsBtn");
+    this.sessionsPanel = document.getElementById("chatSessionsPanel");
+    this.sessionsList = document.getElementById("chatSessionsList");
+    this.newSessionBtn = document.getElementById("newChatSessionBtn");
   }
 
   setupEventListeners() {
@@ -86,6 +99,41 @@ class AIChatManager {
         this.startElementTargeting();
       });
     }
+
+    // Remove a targeted element chip
+    if (this.targetedElementsEl) {
+      this.targetedElementsEl.addEventListener("click", (e) => {
+        const removeBtn = e.target.closest(".targeted-element-remove");
+        if (!removeBtn) return;
+
+        this.targetedElements.splice(Number(removeBtn.dataset.index), 1);
+        this.renderTargetedElements();
+      });
+    }
+
+    // Saved chat sessions panel (only if elements exist - for chat page context)
+    if (this.sessionsBtn) {
+      this.sessionsBtn.addEventListener("click", () => {
+        this.toggleSessionsPanel();
+      });
+    }
+
+    if (this.newSessionBtn) {
+      this.newSessionBtn.addEventListener("click", () => {
+        this.startNewSession();
+      });
+    }
+
+    if (this.sessionsList) {
+      this.sessionsList.addEventListener("click", (e) => {
+        const sessionItem = e.target.closest(".chat-session-item");
+        if (!sessionItem) return;
+
+        const actionEl = e.target.closest("[data-action]");
+        const action = actionEl ? actionEl.dataset.action : "resume";
+        this.handleSessionAction(action, sessionItem.dataset.sessionId);
+      });
+    }
   }
 
   async initializeChat() {
@@ -187,6 +235,15 @@ class AIChatManager {
     // Always clear the input immediately after sending
     this.chatInput.value = "";
 
+    // Send the targeted elements along with this message
+    const targetedElements = this.targetedElements;
+    this.targetedElements = [];
+    this.renderTargetedElements();
+    const agenticMessage =
+      targetedElements.length > 0
+        ? `${message}\n\n${this.buildTargetedElementsContext(targetedElements)}`
+        : message;
+
     const inputContainer = document.querySelector(".chat-input-container");
     const inputWrapper = document.querySelector(".input-wrapper");
     const loadingOverlay = document.getElementById("chatLoadingOverlay");
@@ -217,7 +274,12 @@ class AIChatManager {
     }
 
     // Add user message to chat
-    this.addMessage(message, "user");
+    const userMessage = this.addMessage(message, "user");
+    if (userMessage && targetedElements.length > 0) {
+      userMessage.appendChild(
+        this.createTargetedElementChips(targetedElements, false)
+      );
+    }
 
     // Set running state and change button to stop button
     this.isAgenticLoopRunning = true;
@@ -225,7 +287,7 @@ class AIChatManager {
 
     try {
       // Use agentic service for all AI interactions
-      await this.handleAgenticMessage(message);
+      await this.handleAgenticMessage(agenticMessage);
     } catch (error) {
       console.error("Error sending message:", error);
       this.addMessage(
@@ -246,6 +308,9 @@ class AIChatManager {
       if (this.chatInput) this.chatInput.value = "";
       if (this.chatInput) this.chatInput.placeholder = originalPlaceholder;
       if (overlayTextInterval) clearInterval(overlayTextInterval);
+
+      // Persist the conversation, including tool calls and results
+      await this.saveCurrentSession();
     }
   }
 
@@ -300,7 +365,7 @@ class AIChatManager {
   }
 
   addMessage(content, role) {
-    if (!this.chatMessages) return;
+    if (!this.chatMessages) return null;
 
     const messageDiv = document.createElement("div");
     messageDiv.className = `chat-message ${role}`;
@@ -310,7 +375,10 @@ class AIChatManager {
 
     // Handle system messages with special styling
     if (role === "system") {
-      contentDiv.innerHTML = `<em>${content}</em>`;
+      // Text only: system messages can carry error text and vibe names
+      const em = document.createElement("em");
+      em.textContent = content;
+      contentDiv.appendChild(em);
       messageDiv.classList.add("system-message");
     } else {
       contentDiv.textContent = content;
@@ -321,6 +389,54 @@ class AIChatManager {
 
     // Scroll to bottom
     this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+
+    return messageDiv;
+  }
+
+  /**
+   * Append a streamed chunk of AI text to the live assistant message,
+   * creating the message on the first chunk
+   * @param {string} delta - New chunk of response text
+   */
+  appendStreamingDelta(delta) {
+    this.streamingText = (this.streamingText || "") + delta;
+    const cleanedContent = this.cleanAIResponse(this.streamingText);
+
+    if (!this.streamingMessage) {
+      // Wait for displayable text so tool call directives never flash up
+      if (!cleanedContent.trim()) return;
+      this.streamingMessage = this.addMessage(cleanedContent, "assistant");
+      this.streamingMessage?.classList.add("streaming");
+      return;
+    }
+
+    this.streamingMessage.querySelector(".message-content").textContent =
+      cleanedContent;
+    this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+  }
+
+  /**
+   * Finish the live assistant message, replacing it with the final content
+   * @param {string|null} finalContent - Complete response text, or null to keep the streamed text
+   * @returns {boolean} True if a streamed message was shown
+   */
+  finishStreamingMessage(finalContent = null) {
+    const message = this.streamingMessage;
+    this.streamingMessage = null;
+    this.streamingText = "";
+
+    if (!message) return false;
+
+    message.classList.remove("streaming");
+    if (finalContent !== null) {
+      const cleanedContent = this.cleanAIResponse(finalContent);
+      if (cleanedContent.trim()) {
+        message.querySelector(".message-content").textContent = cleanedContent;
+      } else {
+        message.remove();
+      }
+    }
+    return true;
   }
 
   /**
@@ -348,6 +464,7 @@ class AIChatManager {
     if (this.agenticService) {
       this.agenticService.setCurrentHack(hack);
       this.agenticService.clearConversationHistory();
+      this.currentSession = null;
 
       if (this.chatMessages) {
         this.chatMessages.innerHTML = ""; // Clear UI messages
@@ -361,6 +478,9 @@ class AIChatManager {
 
       // Pre-load context
       await this.preloadHackContext(hack);
+
+      // Point the user at earlier conversations about this vibe
+      await this.showSavedSessionsHint(hack);
     }
   }
 
@@ -498,6 +618,9 @@ class AIChatManager {
    * @param {string} originalMessage - Original user message
    */
   async handleAgenticResult(result, originalMessage) {
+    // Close any message left open by a failed or cancelled stream
+    this.finishStreamingMessage();
+
     if (result.success) {
       if (result.aborted) {
         // Loop was aborted by user - offer to save if modified
@@ -534,7 +657,16 @@ class AIChatManager {
         // User request is already shown, no need to duplicate
         break;
 
+      case "ai_response_delta":
+        // Render streamed tokens live in the current assistant message
+        this.appendStreamingDelta(content);
+        break;
+
       case "ai_response":
+        // Replace the streamed message with the final, cleaned response
+        if (this.finishStreamingMessage(content)) {
+          break;
+        }
         // Clean the AI response to remove tool calls and internal details
         const cleanedContent = this.cleanAIResponse(content);
         if (cleanedContent.trim()) {
@@ -558,7 +690,30 @@ class AIChatManager {
           const completionMessage = toolForResult
             ? toolForResult.getCompletionMessage()
             : `${toolName} completed`;
-          this.addMessage(`✅ ${completionMessage}`, "system");
+          const resultMessage = this.addMessage(
+            `✅ ${completionMessage}`,
+            "system"
+          );
+          // Show the user the images the AI was sent, e.g. screenshots
+          (messageData.images || []).forEach((image) => {
+            const img = document.createElement("img");
+            img.className = "tool-result-image";
+            img.src = `data:${image.mimeType};base64,${image.data}`;
+            resultMessage
+              ?.querySelector(".message-content")
+              .appendChild(img);
+          });
+          // Show what apply_hack verification found on the page
+          const verification = result.data?.verification;
+          if (verification?.summary) {
+            const issueCount = verification.issues.length;
+            this.addMessage(
+              issueCount > 0
+                ? `🔍 ${verification.summary}. The AI was told about ${issueCount} issue(s).`
+                : `🔍 ${verification.summary}`,
+              "system"
+            );
+          }
         } else {
           // Show error for failed tool execution
           const errorMessage = toolForResult
@@ -573,7 +728,9 @@ class AIChatManager {
         break;
 
       case "aborted":
+        // Keep whatever was streamed before the request was cancelled.
         // Don't add another message here since stopAgenticLoop already adds one
+        this.finishStreamingMessage();
         break;
 
       default:
@@ -839,6 +996,12 @@ class AIChatManager {
           cssCode: this.currentHack.cssCode,
           jsCode: this.currentHack.jsCode,
           applyDelay: this.currentHack.applyDelay,
+          runAt: this.currentHack.runAt,
+          rerunOnDomChange: this.currentHack.rerunOnDomChange,
+          frameTarget: this.currentHack.frameTarget,
+          framePatterns: this.currentHack.framePatterns,
+          // Includes the revisions recorded by the AI's save tools
+          revisions: this.currentHack.revisions,
         };
 
         // Restore original enabled state when saving
@@ -861,6 +1024,11 @@ class AIChatManager {
             cssCode: this.currentHack.cssCode,
             jsCode: this.currentHack.jsCode,
             applyDelay: this.currentHack.applyDelay,
+            runAt: this.currentHack.runAt,
+            rerunOnDomChange: this.currentHack.rerunOnDomChange,
+            frameTarget: this.currentHack.frameTarget,
+            framePatterns: this.currentHack.framePatterns,
+            revisions: this.currentHack.revisions,
           }
         );
 
@@ -889,6 +1057,9 @@ class AIChatManager {
         this.originalHackEnabledState = null;
       }
 
+      // A newly saved vibe can now keep the conversation that created it
+      await this.saveCurrentSession();
+
       // Close modal if it exists and refresh popup
       if (this.modal) {
         await this.closeModal();
@@ -909,7 +1080,7 @@ class AIChatManager {
    */
   async startElementTargeting() {
     this.addMessage(
-      "Click on any element on the webpage to add it to the chat context.",
+      "Click on any element on the webpage to add it to the chat context. Shift+click or drag a region to select several, and use the arrow keys to move to the parent, child or sibling of the highlighted element.",
       "assistant",
       ["web-vibes-targeting-prompt"]
     );
@@ -934,11 +1105,15 @@ class AIChatManager {
       const themeGradient = theme ? theme.gradient : null;
 
       // Send a message to the content script to start targeting
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        type: MESSAGE_TYPES.START_ELEMENT_TARGETING,
-        source: "sidepanel-chat",
-        themeGradient: themeGradient,
-      });
+      const response = await chrome.tabs.sendMessage(
+        tab.id,
+        {
+          type: MESSAGE_TYPES.START_ELEMENT_TARGETING,
+          source: "sidepanel-chat",
+          themeGradient: themeGradient,
+        },
+        { frameId: 0 }
+      );
 
       if (!response || !response.success) {
         throw new Error(response.error || "Failed to start targeting.");
@@ -974,7 +1149,7 @@ class AIChatManager {
         message.type === MESSAGE_TYPES.ELEMENT_TARGETED &&
         message.source === "content"
       ) {
-        this.handleElementTargeted(message.elementData);
+        this.handleElementTargeted(message.elements || []);
         sendResponse({ success: true });
         return true;
       } else if (
@@ -982,6 +1157,7 @@ class AIChatManager {
         message.source === "content"
       ) {
         this.stopElementTargeting();
+        this.addMessage("❌ Element targeting cancelled.", "system");
         sendResponse({ success: true });
         return true;
       }
@@ -991,7 +1167,8 @@ class AIChatManager {
   }
 
   /**
-   * Setup ESC key listener for element targeting cancellation
+   * Setup key listener for element targeting: ESC cancels, and arrow keys and
+   * Enter are forwarded to the page, since the side panel keeps keyboard focus
    */
   setupTargetingKeyListener() {
     // Remove any existing listener first
@@ -1005,6 +1182,14 @@ class AIChatManager {
         event.stopPropagation();
         this.stopElementTargeting();
         this.addMessage("❌ Element targeting cancelled.", "system");
+      } else if (
+        ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Enter"].includes(
+          event.key
+        )
+      ) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.forwardTargetingKey(event.key);
       }
     };
 
@@ -1013,42 +1198,66 @@ class AIChatManager {
   }
 
   /**
-   * Handle when an element is targeted
-   * @param {Object} elementData - Data about the targeted element
+   * Forward a key press to the targeting mode on the page
+   * @param {string} key - KeyboardEvent key value
    */
-  async handleElementTargeted(elementData) {
+  async forwardTargetingKey(key) {
     try {
-      // Stop targeting mode
-      this.stopElementTargeting();
-
-      // Add the element data to the conversation history
-      const elementHtml = elementData.outerHTML || elementData.innerHTML || "";
-      const elementSelector = elementData.selector || "unknown";
-      const elementText = elementData.textContent || "";
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (!tab || !tab.id) return;
 
-      // Create a contextual message about the targeted element
-      const contextMessage = `User has targeted an element on the page:
+      await chrome.tabs.sendMessage(
+        tab.id,
+        {
+          type: MESSAGE_TYPES.TARGETING_KEY_PRESSED,
+          source: "sidepanel",
+          key: key,
+        },
+        { frameId: 0 }
+      );
+    } catch (error) {
+      console.error("Error forwarding targeting key:", error);
+    }
+  }
 
-**Element Selector:** ${elementSelector}
-**Element Text:** ${elementText.slice(0, 200)}${elementText.length > 200 ? "..." : ""
-        }
+  /**
+   * Maximum number of elements that can be attached to one message
+   * @returns {number}
+   */
+  static get MAX_TARGETED_ELEMENTS() {
+    return 20;
+  }
 
-**Full HTML:**
-\`\`\`html
-${elementHtml}
-\`\`\``;
+  /**
+   * Handle when elements are targeted
+   * They are shown as chips and sent with the next message.
+   * @param {Array<Object>} elementsData - Data about the targeted elements
+   */
+  async handleElementTargeted(elementsData) {
+    try {
+      // Stop targeting mode
+      this.stopElementTargeting();
 
-      // Add the element context to the AI conversation history
-      if (this.agenticService) {
-        this.agenticService.addMessageToHistory({
-          role: "user",
-          content: contextMessage,
-        });
-      }
+      const added = elementsData.filter(
+        (elementData) =>
+          !this.targetedElements.some(
+            (targeted) => targeted.selector === elementData.selector
+          )
+      );
+      this.targetedElements = [...this.targetedElements, ...added].slice(
+        0,
+        AIChatManager.MAX_TARGETED_ELEMENTS
+      );
+      this.renderTargetedElements();
 
       // Show confirmation message in chat UI
       this.addMessage(
-        `✅ Element targeted! I can now see the "${elementSelector}" element and its content. Ask me anything about it or how to modify it.`,
+        added.length === 1
+          ? `✅ Element targeted! "${added[0].selector}" will be sent with your next message.`
+          : `✅ ${added.length} elements targeted! They will be sent with your next message.`,
         "system"
       );
     } catch (error) {
@@ -1057,6 +1266,98 @@ ${elementHtml}
     }
   }
 
+  /**
+   * Show the targeted elements as removable chips above the chat input
+   */
+  renderTargetedElements() {
+    if (!this.targetedElementsEl) return;
+
+    this.targetedElementsEl.innerHTML = "";
+    this.targetedElementsEl.style.display =
+      this.targetedElements.length > 0 ? "flex" : "none";
+    if (this.targetedElements.length > 0) {
+      this.targetedElementsEl.appendChild(
+        this.createTargetedElementChips(this.targetedElements, true)
+      );
+    }
+  }
+
+  /**
+   * Create chips for targeted elements
+   * @param {Array<Object>} elementsData - Targeted element data
+   * @param {boolean} removable - Whether the chips get a remove button
+   * @returns {DocumentFragment|HTMLElement} Chips, wrapped in a container unless removable
+   */
+  createTargetedElementChips(elementsData, removable) {
+    const container = removable
+      ? document.createDocumentFragment()
+      : document.createElement("div");
+    if (!removable) {
+      container.className = "message-targeted-elements";
+    }
+
+    elementsData.forEach((elementData, index) => {
+      const chip = document.createElement("span");
+      chip.className = "targeted-element-chip";
+      chip.title = elementData.selector;
+
+      const label = document.createElement("span");
+      label.className = "targeted-element-label";
+      label.textContent = (elementData.selector || elementData.tagName)
+        .split(" > ")
+        .pop();
+      chip.appendChild(label);
+
+      if (removable) {
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "targeted-element-remove";
+        removeBtn.dataset.index = index;
+        removeBtn.title = "Remove";
+        removeBtn.innerHTML = '<span class="material-icons">close</span>';
+        chip.appendChild(removeBtn);
+      }
+
+      container.appendChild(chip);
+    });
+
+    return container;
+  }
+
+  /**
+   * Summarize targeted elements for the AI
+   * Each element gets its selector, opening tag, box and a text excerpt, so
+   * the summary stays small however large the elements are.
+   * @param {Array<Object>} elementsData - Targeted element data
+   * @returns {string} Context to send with the user's message
+   */
+  buildTargetedElementsContext(elementsData) {
+    const TAG_LIMIT = 200;
+    const TEXT_LIMIT = 150;
+    const clip = (text, limit) =>
+      text.length > limit ? `${text.slice(0, limit)}...` : text;
+
+    const summaries = elementsData.map((elementData, index) => {
+      const openingTag = elementData.outerHTML
+        ? `${elementData.outerHTML.split(">")[0]}>`
+        : `<${elementData.tagName}>`;
+      const text = (elementData.textContent || "").replace(/\s+/g, " ").trim();
+      const rect = elementData.boundingRect || {};
+
+      return [
+        `${index + 1}. ${elementData.selector}`,
+        `   Tag: ${clip(openingTag, TAG_LIMIT)}`,
+        `   Box: ${rect.width}x${rect.height} at (${rect.x}, ${rect.y}), ${elementData.childElementCount || 0} child element(s)`,
+        text && `   Text: "${clip(text, TEXT_LIMIT)}"`,
+      ]
+        .filter(Boolean)
+        .join("\n");
+    });
+
+    return `The user targeted ${elementsData.length} element(s) on the page. Use inspect_html_css or search_website_html with these selectors for more detail:
+
+${summaries.join("\n\n")}`;
+  }
+
   /**
    * Stop element targeting mode
    */
@@ -1075,10 +1376,14 @@ ${elementHtml}
 
       if (tab && tab.id) {
         // Send message to content script to stop targeting mode
-        await chrome.tabs.sendMessage(tab.id, {
-          type: MESSAGE_TYPES.STOP_ELEMENT_TARGETING,
-          source: "sidepanel",
-        });
+        await chrome.tabs.sendMessage(
+          tab.id,
+          {
+            type: MESSAGE_TYPES.STOP_ELEMENT_TARGETING,
+            source: "sidepanel",
+          },
+          { frameId: 0 }
+        );
       }
 
       // Remove message listener
@@ -1124,6 +1429,11 @@ ${elementHtml}
           if (updateData.jsCode !== undefined) this.currentHack.jsCode = updateData.jsCode;
           if (updateData.enabled !== undefined) this.currentHack.enabled = updateData.enabled;
           if (updateData.applyDelay !== undefined) this.currentHack.applyDelay = updateData.applyDelay;
+          if (updateData.runAt !== undefined) this.currentHack.runAt = updateData.runAt;
+          if (updateData.rerunOnDomChange !== undefined) this.currentHack.rerunOnDomChange = updateData.rerunOnDomChange;
+          if (updateData.frameTarget !== undefined) this.currentHack.frameTarget = updateData.frameTarget;
+          if (updateData.framePatterns !== undefined) this.currentHack.framePatterns = updateData.framePatterns;
+          this.currentHack.recordRevision(HackRevision.AUTHOR_USER);
 
           // Update the agentic service's current hack
           if (this.agenticService) {
@@ -1134,7 +1444,7 @@ ${elementHtml}
             await this.hackService.updateHack(
               this.currentHostname,
               this.currentHack.id,
-              updateData
+              { ...updateData, revisions: this.currentHack.revisions }
             )
           }
 
@@ -1202,6 +1512,350 @@ ${elementHtml}
     }
   }
 
+  /**
+   * Save the current conversation as a chat session of the current vibe.
+   * Only stored vibes get sessions; a new vibe's chat is saved once the vibe is.
+   */
+  async saveCurrentSession() {
+    if (
+      !this.chatSessionService ||
+      !this.agenticService ||
+      !this.currentHack ||
+      !this.isEditingExistingHack
+    ) {
+      return;
+    }
+
+    const transcript = this.collectTranscript();
+    if (!transcript.some((message) => message.role === "user")) {
+      return; // Nothing worth keeping until the user has said something
+    }
+
+    try {
+      if (
+        !this.currentSession ||
+        this.currentSession.hackId !== this.currentHack.id
+      ) {
+        this.currentSession = this.chatSessionService.createSession(
+          this.currentHack.id
+        );
+      }
+
+      await this.chatSessionService.saveSession(
+        this.currentSession,
+        this.agenticService.getConversationHistory(),
+        transcript
+      );
+
+      if (this.isSessionsPanelVisible()) {
+        await this.renderSessionsList();
+      }
+    } catch (error) {
+      console.error("Error saving chat session:", error);
+    }
+  }
+
+  /**
+   * Collect the displayed chat messages so they can be shown again on resume.
+   * Interactive messages (buttons) and transient hints are skipped.
+   * @returns {Array<Object>} Messages as {role, content}
+   */
+  collectTranscript() {
+    if (!this.chatMessages) return [];
+
+    return Array.from(this.chatMessages.children)
+      .filter(
+        (messageDiv) =>
+          messageDiv.classList.contains("chat-message") &&
+          !messageDiv.dataset.transient &&
+          !messageDiv.querySelector("button")
+      )
+      .map((messageDiv) => ({
+        role: ["user", "assistant"].find((role) =>
+          messageDiv.classList.contains(role)
+        ) || "system",
+        content:
+          messageDiv.querySelector(".message-content")?.textContent || "",
+      }))
+      .filter((message) => message.content.trim());
+  }
+
+  /**
+   * Add a system message that is not stored with the chat session
+   * @param {string} content - Message text
+   */
+  addTransientMessage(content) {
+    const messageDiv = this.addMessage(content, "system");
+    if (messageDiv) {
+      messageDiv.dataset.transient = "true";
+    }
+  }
+
+  /**
+   * Tell the user when earlier conversations exist for a vibe
+   * @param {Hack} hack - The vibe being edited
+   */
+  async showSavedSessionsHint(hack) {
+    if (!this.chatSessionService || !this.sessionsBtn) return;
+
+    try {
+      const sessions = await this.chatSessionService.getSessionsForHack(
+        hack.id
+      );
+      if (sessions.length > 0) {
+        this.addTransientMessage(
+          `🕘 ${sessions.length} saved chat${
+            sessions.length === 1 ? "" : "s"
+          } for this vibe. Use the history button to resume one.`
+        );
+      }
+    } catch (error) {
+      console.error("Error loading chat sessions:", error);
+    }
+  }
+
+  /**
+   * Check if the saved sessions panel is open
+   * @returns {boolean} True if visible
+   */
+  isSessionsPanelVisible() {
+    return !!this.sessionsPanel && this.sessionsPanel.style.display !== "none";
+  }
+
+  /**
+   * Show or hide the saved sessions panel
+   */
+  async toggleSessionsPanel() {
+    if (!this.sessionsPanel) return;
+
+    if (this.isSessionsPanelVisible()) {
+      this.sessionsPanel.style.display = "none";
+      return;
+    }
+
+    this.sessionsPanel.style.display = "flex";
+    await this.renderSessionsList();
+  }
+
+  /**
+   * Render the saved sessions of the current vibe
+   */
+  async renderSessionsList() {
+    if (!this.sessionsList) return;
+
+    this.sessionsList.innerHTML = "";
+
+    let sessions = [];
+    if (this.chatSessionService && this.currentHack) {
+      try {
+        sessions = await this.chatSessionService.getSessionsForHack(
+          this.currentHack.id
+        );
+      } catch (error) {
+        console.error("Error loading chat sessions:", error);
+      }
+    }
+
+    if (sessions.length === 0) {
+      const emptyEl = document.createElement("div");
+      emptyEl.className = "chat-sessions-empty";
+      emptyEl.textContent = this.isEditingExistingHack
+        ? "No saved chats for this vibe yet."
+        : "Chats are saved once the vibe is saved.";
+      this.sessionsList.appendChild(emptyEl);
+      return;
+    }
+
+    sessions.forEach((session) => {
+      const sessionItem = document.createElement("div");
+      sessionItem.className = "chat-session-item";
+      sessionItem.dataset.sessionId = session.id;
+      if (this.currentSession && this.currentSession.id === session.id) {
+        sessionItem.classList.add("active");
+      }
+
+      const info = document.createElement("div");
+      info.className = "chat-session-info";
+      info.title = "Resume this chat";
+
+      const name = document.createElement("div");
+      name.className = "chat-session-name";
+      name.textContent = session.name;
+
+      const meta = document.createElement("div");
+      meta.className = "chat-session-meta";
+      meta.textContent = `${session.getMessageCount()} messages · ${session.updatedAt.toLocaleString()}`;
+
+      info.appendChild(name);
+      info.appendChild(meta);
+
+      const actions = document.createElement("div");
+      actions.className = "chat-session-actions";
+      actions.innerHTML = `
+        <button data-action="rename" title="Rename">
+          <span class="material-icons">edit</span>
+        </button>
+        <button data-action="export" title="Export">
+          <span class="material-icons">download</span>
+        </button>
+        <button data-action="delete" title="Delete">
+          <span class="material-icons">delete</span>
+        </button>
+      `;
+
+      sessionItem.appendChild(info);
+      sessionItem.appendChild(actions);
+      this.sessionsList.appendChild(sessionItem);
+    });
+  }
+
+  /**
+   * Handle a click on a saved session row
+   * @param {string} action - One of resume, rename, export, delete
+   * @param {string} sessionId - The session ID
+   */
+  async handleSessionAction(action, sessionId) {
+    if (!this.chatSessionService || !this.currentHack) return;
+
+    const hackId = this.currentHack.id;
+
+    try {
+      switch (action) {
+        case "resume":
+          await this.resumeSession(sessionId);
+          break;
+
+        case "rename": {
+          const session = await this.chatSessionService.getSession(
+            hackId,
+            sessionId
+          );
+          const name = session && prompt("Rename chat", session.name);
+          if (!name || !name.trim()) return;
+
+          const renamed = await this.chatSessionService.renameSession(
+            hackId,
+            sessionId,
+            name
+          );
+          if (this.currentSession && this.currentSession.id === sessionId) {
+            this.currentSession.name = renamed.name;
+            this.currentSession.renamed = true;
+          }
+          await this.renderSessionsList();
+          break;
+        }
+
+        case "export":
+          await this.exportSession(sessionId);
+          break;
+
+        case "delete":
+          if (!confirm("Are you sure you want to delete this chat?")) return;
+
+          await this.chatSessionService.deleteSession(hackId, sessionId);
+          if (this.currentSession && this.currentSession.id === sessionId) {
+            // Keep chatting, but further messages go into a new session
+            this.currentSession = null;
+          }
+          await this.renderSessionsList();
+          break;
+      }
+    } catch (error) {
+      console.error(`Error handling chat session action "${action}":`, error);
+      this.addTransientMessage("❌ Could not update the saved chat.");
+    }
+  }
+
+  /**
+   * Replace the current conversation with a saved session
+   * @param {string} sessionId - The session ID
+   */
+  async resumeSession(sessionId) {
+    if (this.isAgenticLoopRunning) {
+      this.addTransientMessage("Stop the current task before switching chats.");
+      return;
+    }
+
+    const session = await this.chatSessionService.getSession(
+      this.currentHack.id,
+      sessionId
+    );
+    if (!session) {
+      this.addTransientMessage("❌ That chat could not be found.");
+      await this.renderSessionsList();
+      return;
+    }
+
+    this.currentSession = session;
+    this.agenticService.restoreConversationHistory(session.history);
+
+    if (this.chatMessages) {
+      this.chatMessages.innerHTML = "";
+    }
+    session.transcript.forEach((message) => {
+      this.addMessage(message.content, message.role);
+    });
+    this.addTransientMessage(`🕘 Resumed "${session.name}".`);
+
+    if (this.sessionsPanel) {
+      this.sessionsPanel.style.display = "none";
+    }
+  }
+
+  /**
+   * Start a fresh conversation about the current vibe.
+   * The previous conversation stays available in the sessions list.
+   */
+  async startNewSession() {
+    if (this.isAgenticLoopRunning) {
+      this.addTransientMessage("Stop the current task before starting a new chat.");
+      return;
+    }
+    if (!this.currentHack || !this.agenticService) return;
+
+    this.currentSession = null;
+    this.agenticService.clearConversationHistory();
+
+    if (this.chatMessages) {
+      this.chatMessages.innerHTML = "";
+    }
+    this.addMessage(`💬 New chat about "${this.currentHack.name}".`, "system");
+    await this.preloadHackContext(this.currentHack);
+
+    if (this.sessionsPanel) {
+      this.sessionsPanel.style.display = "none";
+    }
+  }
+
+  /**
+   * Download a saved session as a JSON file
+   * @param {string} sessionId - The session ID
+   */
+  async exportSession(sessionId) {
+    const json = await this.chatSessionService.exportSession(
+      this.currentHack.id,
+      sessionId
+    );
+    const session = JSON.parse(json).session;
+    const fileName = `${session.name
+      .replace(/[^a-z0-9]+/gi, "-")
+      .replace(/^-+|-+$/g, "")
+      .toLowerCase() || "chat"}.chat.json`;
+
+    const blob = new Blob([json], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+
   /**
    * Stop the currently running agentic loop
    */
@@ -11,6 +11,10 @@ class ChatPage {
     this.settingsRepository = new SettingsRepository();
     this.settingsService = new SettingsService(this.settingsRepository);
     this.aiService = new AIService(this.settingsService);
+    this.chatSessionRepository = new ChatSessionRepository();
+    this.chatSessionService = new ChatSessionService(
+      this.chatSessionRepository
+    );
 
     // Create agentic service with standard tools
     if (typeof createAgenticService === "function") {
@@ -26,10 +30,12 @@ class ChatPage {
         new ReadJSTool(this.hackService),
         new SaveCSSTool(this.hackService),
         new ReadCSSTool(this.hackService),
+        new PatchCodeTool(this.hackService),
         new SearchWebsiteHTMLTool(),
         new InspectHTMLCSSTool(),
         new SearchWebsiteByKeywordTool(),
         new SearchWebsiteJavaScriptTool(),
+        new TakeScreenshotTool(),
       ];
       this.agenticService = new AgenticService(
         this.aiService,
@@ -41,7 +47,8 @@ class ChatPage {
     this.aiChatManager = new AIChatManager(
       this.agenticService,
       this.hackService,
-      this.settingsService
+      this.settingsService,
+      this.chatSessionService
     );
     this.currentHostname = "";
 
@@ -169,9 +176,11 @@ class ChatPage {
    */
   async setCurrentHack(hackId) {
     try {
-      // Find the hack
-      const { hacks } = await this.hackService.getHacksForCurrentSite();
-      const hack = hacks.find((h) => h.id === hackId);
+      // Find the hack, which may be a global vibe stored outside this site
+      const hack = await this.hackService.findHack(
+        this.currentHostname,
+        hackId
+      );
 
       if (!hack) {
         console.error("Hack not found:", hackId);
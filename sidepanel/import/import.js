@@ -8,8 +8,13 @@ class ImportPage {
     this.hackService = new HackService(this.hackRepository);
     this.settingsRepository = new SettingsRepository();
     this.settingsService = new SettingsService(this.settingsRepository);
+    this.bundleIdentityRepository = new BundleIdentityRepository();
+    this.bundleService = new BundleService(this.bundleIdentityRepository);
     this.currentHostname = "";
     this.vibesData = null;
+    this.conflicts = [];
+    this.resolutions = [];
+    this.needsConfirmation = false;
     this.initializeElements();
     this.setupEventListeners();
   }
@@ -20,6 +25,11 @@ class ImportPage {
     this.fileInput = document.getElementById("importFile");
     this.importPreview = document.getElementById("importPreview");
     this.importVibesList = document.getElementById("importVibesList");
+    this.bundleInfoEl = document.getElementById("bundleInfo");
+    this.reviewConfirm = document.getElementById("reviewConfirm");
+    this.reviewConfirmCheckbox = document.getElementById(
+      "reviewConfirmCheckbox"
+    );
     this.importBtn = document.getElementById("importBtn");
     this.cancelBtn = document.getElementById("cancelBtn");
     this.backBtn = document.getElementById("backBtn");
@@ -67,9 +77,22 @@ class ImportPage {
       }
     });
 
+    this.reviewConfirmCheckbox.addEventListener("change", () =>
+      this.updateImportButton()
+    );
+
+    // Per-vibe choice for vibes already on the site
+    this.importVibesList.addEventListener("change", (e) => {
+      if (!e.target.classList.contains("import-resolution-select")) return;
+      const index = Number(e.target.dataset.index);
+      this.resolutions[index] = e.target.value;
+      this.renderConflictDiff(index);
+    });
+
     // Import button
     this.importBtn.addEventListener("click", async () => {
       if (!this.vibesData) return;
+      if (this.needsConfirmation && !this.reviewConfirmCheckbox.checked) return;
 
       try {
         this.importBtn.disabled = true;
@@ -80,7 +103,8 @@ class ImportPage {
 
         await this.hackService.importVibes(
           this.currentHostname,
-          this.vibesData
+          this.vibesData,
+          this.resolutions
         );
 
         this.showNotification("Vibes imported successfully!", "success");
@@ -153,58 +177,397 @@ class ImportPage {
   async handleFileSelect(file) {
     try {
       const text = await file.text();
-      this.vibesData = JSON.parse(text);
-
-      // Extract vibes array
-      let vibesArray = [];
-      if (Array.isArray(this.vibesData)) {
-        vibesArray = this.vibesData;
-      } else if (this.vibesData.hacks && Array.isArray(this.vibesData.hacks)) {
-        vibesArray = this.vibesData.hacks;
-      } else {
-        throw new Error("Invalid .groove file format");
-      }
-
-      // Validate vibes
-      const validVibes = vibesArray.filter((vibe) => Hack.isValid(vibe));
+      const { bundle, verification, reviews, skipped } =
+        await this.bundleService.readBundle(text);
 
-      if (validVibes.length === 0) {
+      if (reviews.length === 0) {
         throw new Error("No valid vibes found in the file");
       }
+      this.vibesData = bundle.toJSON();
 
-      // Show preview
-      this.importVibesList.innerHTML = validVibes
-        .map(
-          (vibe) => `
-        <div class="import-vibe-item">
-          <span class="material-icons">style</span>
-          <span class="vibe-name">${this.escapeHtml(vibe.name)}</span>
-          <span class="vibe-status ${vibe.enabled ? "enabled" : "disabled"}">
-            ${vibe.enabled ? "Enabled" : "Disabled"}
-          </span>
-        </div>
-      `
-        )
+      // Vibes already on the site are updated or skipped, not duplicated
+      this.conflicts = await this.hackService.findImportConflicts(
+        this.currentHostname,
+        this.vibesData
+      );
+      this.resolutions = this.conflicts.map((conflict) =>
+        this.hackService.getDefaultImportResolution(conflict)
+      );
+
+      // Nothing is stored until the user has seen what the vibes do
+      this.bundleInfoEl.innerHTML = this.renderBundleInfo(
+        bundle,
+        verification,
+        skipped
+      );
+      this.importVibesList.innerHTML = reviews
+        .map((review, index) => this.renderVibeReview(review, index))
         .join("");
+      this.conflicts.forEach((conflict, index) =>
+        this.renderConflictDiff(index)
+      );
+
+      // Code that runs on the page, or a file changed after signing, needs
+      // an explicit confirmation
+      this.needsConfirmation =
+        verification.status === "invalid" ||
+        reviews.some(
+          (review) => review.vibe.jsCode?.trim() || review.risks.length > 0
+        );
+      this.reviewConfirm.style.display = this.needsConfirmation ? "" : "none";
+      this.reviewConfirmCheckbox.checked = false;
+      this.updateImportButton();
 
       this.importPreview.style.display = "block";
-      this.importBtn.disabled = false;
+      const existingCount = this.conflicts.filter(
+        (conflict) => conflict.existing
+      ).length;
       this.fileUploadArea.innerHTML = `
         <span class="material-icons">check_circle</span>
-        <p>${file.name}</p>
-        <small>${validVibes.length} vibes ready to import</small>
+        <p>${this.escapeHtml(file.name)}</p>
+        <small>${reviews.length} vibes ready to import${
+          existingCount > 0 ? `, ${existingCount} already on this site` : ""
+        }</small>
       `;
     } catch (error) {
       console.error("Error reading file:", error);
+      this.vibesData = null;
+      this.conflicts = [];
+      this.resolutions = [];
+      this.importPreview.style.display = "none";
       this.fileUploadArea.innerHTML = `
         <span class="material-icons" style="color: #ef4444;">error</span>
         <p>Invalid file format</p>
-        <small>Please select a valid .groove file</small>
+        <small>${this.escapeHtml(error.message)}</small>
       `;
       this.importBtn.disabled = true;
     }
   }
 
+  /**
+   * Enable importing once the file is reviewed and, where needed, confirmed
+   */
+  updateImportButton() {
+    this.importBtn.disabled =
+      !this.vibesData ||
+      (this.needsConfirmation && !this.reviewConfirmCheckbox.checked);
+  }
+
+  /**
+   * Describe where a bundle came from and whether its signature holds
+   * @param {VibeBundle} bundle - The bundle being imported
+   * @param {Object} verification - Result of BundleService.verify
+   * @param {number} skipped - Number of entries that are not valid vibes
+   * @returns {string} HTML
+   */
+  renderBundleInfo(bundle, verification, skipped) {
+    const rows = [];
+    if (bundle.isLegacy()) {
+      rows.push(["Format", "Older file without author, origin or signature"]);
+    } else {
+      rows.push(["Author", bundle.author || "Not given"]);
+      rows.push([
+        "Exported from",
+        [bundle.source.hostname, ...bundle.source.patterns]
+          .filter((site, index, sites) => site && sites.indexOf(site) === index)
+          .join(", ") || "Unknown",
+      ]);
+      if (bundle.createdAt) {
+        rows.push(["Created", bundle.createdAt.toLocaleString()]);
+      }
+    }
+
+    const signatureText = {
+      unsigned: "Not signed",
+      valid: `Signed with key ${verification.fingerprint}${
+        verification.ownKey ? " (yours)" : ""
+      }`,
+      invalid:
+        "Signature does not match: the file was changed after it was signed",
+    }[verification.status];
+    rows.push(["Signature", signatureText]);
+    if (skipped > 0) {
+      rows.push(["Skipped", `${skipped} entries that are not valid vibes`]);
+    }
+
+    return rows
+      .map(
+        ([label, value]) => `
+        <div class="bundle-info-row ${
+          label === "Signature" ? `signature-${verification.status}` : ""
+        }">
+          <span class="bundle-info-label">${label}</span>
+          <span class="bundle-info-value">${this.escapeHtml(value)}</span>
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  /**
+   * Show a vibe's code, the sites it touches and the risky APIs it uses
+   * @param {Object} review - Result of BundleService.reviewVibe
+   * @param {number} index - Position among the valid vibes in the file
+   * @returns {string} HTML
+   */
+  renderVibeReview({ vibe, sites, risks, hosts }, index) {
+    const frames = {
+      [Hack.FRAME_TARGET.TOP]: "Main page only",
+      [Hack.FRAME_TARGET.ALL]: "Main page and all iframes",
+      [Hack.FRAME_TARGET.MATCHING]: `Frames matching ${sites.framePatterns.join(
+        ", "
+      )}`,
+    }[sites.frameTarget];
+
+    // The sites the vibe is stored with, as importVibes resolves them
+    const stored = this.hackService.resolveMatchPatterns(
+      this.currentHostname,
+      vibe.matchPatterns
+    );
+    const patternsKept = stored.include.join() === sites.include.join();
+
+    const details = [
+      !patternsKept &&
+        sites.include.length > 0 && [
+          "Written for",
+          `${sites.include.join(", ")} (invalid, not kept)`,
+        ],
+      ["Will run on", stored.include.join(", ")],
+      stored.exclude.length > 0 && ["Except", stored.exclude.join(", ")],
+      ["Frames", frames],
+      hosts.length > 0 && ["Servers in code", hosts.join(", ")],
+    ].filter(Boolean);
+
+    const codeBlock = (label, code) =>
+      code && code.trim()
+        ? `
+          <details class="review-code">
+            <summary>${label} (${code.split("\n").length} lines)</summary>
+            <pre>${this.escapeHtml(code)}</pre>
+          </details>
+        `
+        : "";
+
+    return `
+      <div class="import-vibe-review">
+        <div class="import-vibe-item">
+          <span class="material-icons">style</span>
+          <span class="vibe-name">${this.escapeHtml(vibe.name)}</span>
+          <span class="vibe-status ${vibe.enabled ? "enabled" : "disabled"}">
+            ${vibe.enabled ? "Enabled" : "Disabled"}
+          </span>
+        </div>
+        ${
+          vibe.description
+            ? `<p class="review-description">${this.escapeHtml(
+                vibe.description
+              )}</p>`
+            : ""
+        }
+        <div class="review-details">
+          ${details
+            .map(
+              ([label, value]) => `
+            <div class="bundle-info-row">
+              <span class="bundle-info-label">${label}</span>
+              <span class="bundle-info-value">${this.escapeHtml(value)}</span>
+            </div>
+          `
+            )
+            .join("")}
+        </div>
+        ${
+          risks.length > 0
+            ? `<ul class="review-risks">
+                ${risks
+                  .map(
+                    (risk) => `
+                  <li>
+                    <span class="material-icons">warning</span>
+                    <span><strong>${this.escapeHtml(
+                      risk.label
+                    )}</strong>: ${this.escapeHtml(risk.reason)}</span>
+                  </li>
+                `
+                  )
+                  .join("")}
+              </ul>`
+            : ""
+        }
+        ${this.renderConflict(this.conflicts[index], index)}
+        ${codeBlock("JavaScript", vibe.jsCode)}
+        ${codeBlock("CSS", vibe.cssCode)}
+      </div>
+    `;
+  }
+
+  /**
+   * Show which local vibe an imported vibe matches and let the user choose
+   * what to do with it
+   * @param {Object} conflict - Entry from HackService.findImportConflicts
+   * @param {number} index - Position among the valid vibes in the file
+   * @returns {string} HTML, empty for vibes that are new to the site
+   */
+  renderConflict(conflict, index) {
+    if (!conflict || !conflict.existing) return "";
+
+    const { SKIP, REPLACE, KEEP_BOTH, MERGE } = HackService.IMPORT_RESOLUTION;
+    const options = [
+      [SKIP, "Skip, keep the vibe on this site"],
+      [REPLACE, "Replace with the imported vibe"],
+      [KEEP_BOTH, "Keep both"],
+      conflict.codeChanged && [MERGE, "Merge code, keep local settings"],
+    ].filter(Boolean);
+
+    const matchText =
+      conflict.matchedBy === "origin"
+        ? conflict.codeChanged
+          ? "an earlier version of this vibe"
+          : "the same vibe"
+        : "a vibe with the same code";
+
+    return `
+      <div class="import-conflict">
+        <div class="import-conflict-header">
+          <span class="material-icons">${
+            conflict.codeChanged ? "compare_arrows" : "content_copy"
+          }</span>
+          <span>This site already has ${matchText}: <strong>${this.escapeHtml(
+            conflict.existing.name
+          )}</strong></span>
+        </div>
+        <label class="import-resolution">
+          <span>When importing</span>
+          <select class="import-resolution-select" data-index="${index}">
+            ${options
+              .map(
+                ([value, label]) => `
+              <option value="${value}" ${
+                  this.resolutions[index] === value ? "selected" : ""
+                }>${label}</option>
+            `
+              )
+              .join("")}
+          </select>
+        </label>
+        <div class="import-diff" data-index="${index}"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show how the chosen resolution changes a local vibe's code, side by side
+   * Merging compares against the merged code; every other choice against
+   * the imported code.
+   * @param {number} index - Position among the valid vibes in the file
+   */
+  async renderConflictDiff(index) {
+    const conflict = this.conflicts[index];
+    const diffEl = this.importVibesList.querySelector(
+      `.import-diff[data-index="${index}"]`
+    );
+    if (!diffEl || !conflict.codeChanged) return;
+
+    const resolution = this.resolutions[index];
+    const merging = resolution === HackService.IMPORT_RESOLUTION.MERGE;
+    const incoming = merging
+      ? await this.hackService.mergeImportedCode(
+          conflict.existing,
+          conflict.vibe
+        )
+      : conflict.vibe;
+    // The choice may have changed while the merge was checked
+    if (this.resolutions[index] !== resolution) return;
+    diffEl.innerHTML = "";
+    if (merging && incoming.errors.length > 0) {
+      diffEl.appendChild(this.renderMergeErrors(incoming.errors));
+    }
+
+    [
+      ["CSS", "cssCode"],
+      ["JavaScript", "jsCode"],
+    ].forEach(([label, field]) => {
+      const operations = LineDiff.diff(
+        conflict.existing[field] || "",
+        incoming[field] || ""
+      );
+      const { added, removed } = LineDiff.summarize(operations);
+      if (!added && !removed) return;
+
+      const header = document.createElement("div");
+      header.className = "import-diff-header";
+      header.innerHTML = `
+        <span>${label}</span>
+        <span class="import-diff-summary">+${added} −${removed} lines</span>
+      `;
+      diffEl.appendChild(header);
+
+      const columns = document.createElement("div");
+      columns.className = "import-diff-columns";
+      columns.innerHTML = `
+        <span>On this site</span>
+        <span>${merging ? "After merging" : "Imported"}</span>
+      `;
+      diffEl.appendChild(columns);
+
+      const table = document.createElement("table");
+      table.className = "import-diff-table";
+      LineDiff.toSideBySide(operations).forEach((row) => {
+        const tr = document.createElement("tr");
+        this.appendDiffCells(tr, row.left);
+        this.appendDiffCells(tr, row.right);
+        table.appendChild(tr);
+      });
+      diffEl.appendChild(table);
+    });
+  }
+
+  /**
+   * List why a merge cannot be saved
+   * @param {Array<string>} errors - Errors from HackService.mergeImportedCode
+   * @returns {HTMLElement} The list
+   */
+  renderMergeErrors(errors) {
+    const list = document.createElement("ul");
+    list.className = "review-risks import-merge-errors";
+    errors.forEach((error) => {
+      const item = document.createElement("li");
+      const icon = document.createElement("span");
+      icon.className = "material-icons";
+      icon.textContent = "error";
+      const text = document.createElement("span");
+      text.textContent = `${error}. Choose another option to load this vibe.`;
+      item.append(icon, text);
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * Append the line number and text cells for one side of a diff row
+   * @param {HTMLTableRowElement} tr - The row
+   * @param {Object|null} side - {number, text, type} or null for an empty cell
+   */
+  appendDiffCells(tr, side) {
+    const numberCell = document.createElement("td");
+    numberCell.className = "diff-line-number";
+    const textCell = document.createElement("td");
+    textCell.className = "diff-line-text";
+
+    if (side) {
+      numberCell.textContent = side.number;
+      textCell.textContent = side.text;
+      textCell.classList.add(`diff-${side.type}`);
+      numberCell.classList.add(`diff-${side.type}`);
+    } else {
+      textCell.classList.add("diff-empty");
+      numberCell.classList.add("diff-empty");
+    }
+
+    tr.appendChild(numberCell);
+    tr.appendChild(textCell);
+  }
+
   /**
    * Escape HTML to prevent XSS
    * @param {string} text - Text to escape
@@ -0,0 +1,669 @@
+/**
+ * Vibe Library Page Controller
+ * Exports vibes to a local folder and loads changes made there back in
+ */
+class LibraryPage {
+  constructor() {
+    this.hackRepository = new HackRepository();
+    this.hackService = new HackService(this.hackRepository);
+    this.settingsRepository = new SettingsRepository();
+    this.settingsService = new SettingsService(this.settingsRepository);
+    this.libraryRepository = new LibraryRepository();
+    this.libraryService = new LibraryService(
+      this.libraryRepository,
+      this.hackService
+    );
+    this.bundleIdentityRepository = new BundleIdentityRepository();
+    this.bundleService = new BundleService(this.bundleIdentityRepository);
+    this.folder = null;
+    this.library = null;
+    this.sites = [];
+    // Resolution and BundleService.reviewVibe result per library vibe,
+    // indexed like this.sites and its conflicts
+    this.resolutions = [];
+    this.reviews = [];
+    this.needsConfirmation = false;
+    this.initializeElements();
+    this.setupEventListeners();
+  }
+
+  initializeElements() {
+    this.folderNameEl = document.getElementById("libraryFolderName");
+    this.chooseFolderArea = document.getElementById("chooseFolderArea");
+    this.libraryPreview = document.getElementById("libraryPreview");
+    this.libraryInfoEl = document.getElementById("libraryInfo");
+    this.libraryVibesList = document.getElementById("libraryVibesList");
+    this.reviewConfirm = document.getElementById("reviewConfirm");
+    this.reviewConfirmCheckbox = document.getElementById(
+      "reviewConfirmCheckbox"
+    );
+    this.reloadBtn = document.getElementById("reloadBtn");
+    this.exportBtn = document.getElementById("exportLibraryBtn");
+    this.loadBtn = document.getElementById("loadLibraryBtn");
+    this.backBtn = document.getElementById("backBtn");
+  }
+
+  setupEventListeners() {
+    this.backBtn.addEventListener("click", () => {
+      window.location.href = "../sidepanel.html";
+    });
+
+    this.chooseFolderArea.addEventListener("click", () =>
+      this.handleChooseFolder()
+    );
+    this.reloadBtn.addEventListener("click", () => this.loadFolder());
+    this.exportBtn.addEventListener("click", () => this.handleExport());
+    this.loadBtn.addEventListener("click", () => this.handleLoad());
+
+    this.reviewConfirmCheckbox.addEventListener("change", () =>
+      this.updateButtons()
+    );
+
+    // Per-vibe choice for vibes that differ from the folder
+    this.libraryVibesList.addEventListener("change", (e) => {
+      if (!e.target.classList.contains("import-resolution-select")) return;
+      const siteIndex = Number(e.target.dataset.site);
+      const index = Number(e.target.dataset.index);
+      this.resolutions[siteIndex][index] = e.target.value;
+      // A newly chosen vibe with code to review needs a new confirmation
+      if (this.needsReview(siteIndex, index)) {
+        this.reviewConfirmCheckbox.checked = false;
+      }
+      this.renderDiff(siteIndex, index);
+      this.updateButtons();
+    });
+  }
+
+  async initialize() {
+    await this.loadTheme();
+    if (!this.libraryService.isAvailable()) {
+      this.chooseFolderArea.innerHTML = `
+        <span class="material-icons" style="color: #ef4444;">error</span>
+        <p>Folders can't be opened here</p>
+        <small>This browser does not support the File System Access API</small>
+      `;
+    }
+  }
+
+  async loadTheme() {
+    try {
+      const settings = await this.settingsService.getAllSettings();
+      const themeKey = settings.selectedTheme;
+
+      // Remove all existing theme classes
+      document.body.classList.remove(
+        ...Object.keys(this.settingsService.getAvailableThemes()).map(
+          (key) => `theme-${key}`
+        )
+      );
+
+      // Add the current theme class
+      document.body.classList.add(`theme-${themeKey}`);
+    } catch (error) {
+      console.error("Error loading theme:", error);
+    }
+  }
+
+  async handleChooseFolder() {
+    if (!this.libraryService.isAvailable()) return;
+
+    try {
+      this.folder = await this.libraryService.pickFolder();
+    } catch (error) {
+      // The user closed the picker
+      if (error.name === "AbortError") return;
+      console.error("Error choosing folder:", error);
+      this.showNotification(
+        "Failed to open folder: " + error.message,
+        "error"
+      );
+      return;
+    }
+
+    this.folderNameEl.textContent = this.folder.name;
+    await this.loadFolder();
+  }
+
+  /**
+   * Read the chosen folder and compare it with the stored vibes
+   */
+  async loadFolder() {
+    if (!this.folder) return;
+
+    try {
+      this.library = await this.libraryService.readLibrary(this.folder);
+      this.sites = await this.libraryService.compareLibrary(this.library);
+      this.resolutions = this.sites.map((site) =>
+        site.conflicts.map((conflict) =>
+          this.libraryService.getDefaultResolution(conflict)
+        )
+      );
+      this.reviews = this.sites.map((site) =>
+        site.conflicts.map((conflict) =>
+          this.reviewLibraryVibe(site.scope, conflict.vibe)
+        )
+      );
+      this.reviewConfirmCheckbox.checked = false;
+      this.render();
+    } catch (error) {
+      console.error("Error reading library:", error);
+      this.library = null;
+      this.sites = [];
+      this.resolutions = [];
+      this.reviews = [];
+      this.libraryPreview.style.display = "none";
+      this.chooseFolderArea.innerHTML = `
+        <span class="material-icons" style="color: #ef4444;">error</span>
+        <p>Couldn't read the folder</p>
+        <small>${this.escapeHtml(error.message)}</small>
+      `;
+    }
+    this.updateButtons();
+  }
+
+  async handleExport() {
+    this.exportBtn.disabled = true;
+    try {
+      const { written, removed, kept } =
+        await this.libraryService.exportLibrary(this.folder);
+      this.showNotification(
+        `Exported ${written} vibes${
+          removed > 0 ? `, removed ${removed} deleted ones` : ""
+        }${kept > 0 ? `, left ${kept} not loaded here` : ""}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Export failed:", error);
+      this.showNotification(
+        "Failed to export vibes: " + error.message,
+        "error"
+      );
+    }
+    await this.loadFolder();
+  }
+
+  async handleLoad() {
+    if (this.needsConfirmation && !this.reviewConfirmCheckbox.checked) return;
+    this.loadBtn.disabled = true;
+    try {
+      const resolutions = {};
+      this.sites.forEach((site, siteIndex) => {
+        resolutions[site.scope] = this.resolutions[siteIndex];
+      });
+      const changed = await this.libraryService.importLibrary(
+        this.library,
+        this.sites,
+        resolutions
+      );
+      this.showNotification(`Loaded ${changed} vibes`, "success");
+    } catch (error) {
+      console.error("Load failed:", error);
+      this.showNotification(
+        "Failed to load vibes: " + error.message,
+        "error"
+      );
+    }
+    await this.loadFolder();
+  }
+
+  /**
+   * Review a library vibe and work out the sites it is stored with
+   * @param {string} scope - Hostname or GLOBAL_SCOPE of its site folder
+   * @param {Object} vibe - Vibe data from the folder
+   * @returns {Object} BundleService.reviewVibe result plus stored (the
+   *   UrlMatchPatterns importVibes gives a new vibe) and reachesBeyond (true
+   *   when those patterns can match sites other than the folder's)
+   */
+  reviewLibraryVibe(scope, vibe) {
+    const stored = this.hackService.resolveMatchPatterns(
+      scope,
+      vibe.matchPatterns
+    );
+    return {
+      ...this.bundleService.reviewVibe(vibe),
+      stored,
+      reachesBeyond:
+        scope !== HackRepository.GLOBAL_SCOPE && !stored.staysOnHost(scope),
+    };
+  }
+
+  /**
+   * Check whether a library vibe would be loaded with code that runs on the
+   * page, uses risky APIs or runs beyond its site folder, which needs an
+   * explicit confirmation
+   * @param {number} siteIndex - Position of the site
+   * @param {number} index - Position among the site's library vibes
+   * @returns {boolean} True if the user has to confirm the review
+   */
+  needsReview(siteIndex, index) {
+    const { vibe, risks, reachesBeyond } = this.reviews[siteIndex][index];
+    return (
+      this.resolutions[siteIndex][index] !==
+        HackService.IMPORT_RESOLUTION.SKIP &&
+      (!!vibe.jsCode?.trim() || risks.length > 0 || reachesBeyond)
+    );
+  }
+
+  /**
+   * Enable the actions that apply to the current folder
+   */
+  updateButtons() {
+    const { SKIP } = HackService.IMPORT_RESOLUTION;
+    this.needsConfirmation = this.resolutions.some(
+      (siteResolutions, siteIndex) =>
+        siteResolutions.some((_, index) => this.needsReview(siteIndex, index))
+    );
+    this.reviewConfirm.style.display = this.needsConfirmation ? "" : "none";
+
+    this.reloadBtn.disabled = !this.folder;
+    this.exportBtn.disabled = !this.library;
+    this.loadBtn.disabled =
+      !this.library ||
+      !this.resolutions.some((siteResolutions) =>
+        siteResolutions.some((resolution) => resolution !== SKIP)
+      ) ||
+      (this.needsConfirmation && !this.reviewConfirmCheckbox.checked);
+  }
+
+  render() {
+    const conflicts = this.sites.flatMap((site) => site.conflicts);
+    const newCount = conflicts.filter((conflict) => !conflict.existing).length;
+    const changedCount = conflicts.filter(
+      (conflict) =>
+        conflict.existing && (conflict.codeChanged || conflict.settingsChanged)
+    ).length;
+    const missingCount = this.sites.reduce(
+      (count, site) => count + site.missing.length,
+      0
+    );
+
+    const rows = [
+      ["Vibes in folder", String(this.library.getVibeCount())],
+      ["New in folder", String(newCount)],
+      ["Changed", String(changedCount)],
+      ["Not in folder", String(missingCount)],
+    ];
+    if (this.library.skipped.length > 0) {
+      rows.push(["Unreadable", this.library.skipped.join(", ")]);
+    }
+    this.libraryInfoEl.innerHTML = rows
+      .map(
+        ([label, value]) => `
+        <div class="bundle-info-row">
+          <span class="bundle-info-label">${label}</span>
+          <span class="bundle-info-value">${this.escapeHtml(value)}</span>
+        </div>
+      `
+      )
+      .join("");
+
+    this.libraryVibesList.innerHTML =
+      this.sites.length > 0
+        ? this.sites
+            .map((site, siteIndex) => this.renderSite(site, siteIndex))
+            .join("")
+        : `<p class="library-empty">No vibes in the folder or in Web Vibes yet.</p>`;
+    this.sites.forEach((site, siteIndex) =>
+      site.conflicts.forEach((conflict, index) =>
+        this.renderDiff(siteIndex, index)
+      )
+    );
+
+    this.libraryPreview.style.display = "block";
+    this.chooseFolderArea.innerHTML = `
+      <span class="material-icons">folder</span>
+      <p>${this.escapeHtml(this.folder.name)}</p>
+      <small>Click to choose another folder</small>
+    `;
+  }
+
+  /**
+   * Show one site's library vibes and the stored vibes missing from it
+   * @param {Object} site - Entry from LibraryService.compareLibrary
+   * @param {number} siteIndex - Position of the site
+   * @returns {string} HTML
+   */
+  renderSite(site, siteIndex) {
+    const title =
+      site.scope === HackRepository.GLOBAL_SCOPE ? "Global vibes" : site.scope;
+    return `
+      <div class="library-site">
+        <h5 class="library-site-name">${this.escapeHtml(title)}</h5>
+        ${site.conflicts
+          .map((conflict, index) =>
+            this.renderLibraryVibe(conflict, siteIndex, index)
+          )
+          .join("")}
+        ${site.missing
+          .map((hack) =>
+            this.renderVibeRow(
+              "upload_file",
+              hack.name,
+              "missing",
+              "Not in folder"
+            )
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
+  /**
+   * Show a library vibe, what it would change and what to do with it
+   * @param {Object} conflict - Entry from LibraryService.compareLibrary
+   * @param {number} siteIndex - Position of the site
+   * @param {number} index - Position among the site's library vibes
+   * @returns {string} HTML
+   */
+  renderLibraryVibe(conflict, siteIndex, index) {
+    const site = this.sites[siteIndex];
+    const { SKIP, REPLACE, KEEP_BOTH, MERGE } = HackService.IMPORT_RESOLUTION;
+    const changed = conflict.codeChanged || conflict.settingsChanged;
+
+    if (conflict.existing && !changed) {
+      return this.renderVibeRow("check", conflict.vibe.name, "same", "Same");
+    }
+
+    const options = conflict.existing
+      ? [
+          [SKIP, "Skip, keep your version"],
+          [REPLACE, "Replace with the folder's version"],
+          [KEEP_BOTH, "Keep both"],
+          conflict.codeChanged && [MERGE, "Merge code, keep your settings"],
+        ].filter(Boolean)
+      : [
+          [KEEP_BOTH, "Add to your vibes"],
+          [SKIP, "Skip"],
+        ];
+
+    return `
+      <div class="import-vibe-review">
+        ${
+          conflict.existing
+            ? this.renderVibeRow(
+                "compare_arrows",
+                conflict.vibe.name,
+                "changed",
+                "Changed"
+              )
+            : this.renderVibeRow(
+                "add_circle",
+                conflict.vibe.name,
+                "new",
+                "New in folder"
+              )
+        }
+        ${
+          conflict.settingsChanged
+            ? `<small class="library-vibe-note">Name or options differ from yours</small>`
+            : ""
+        }
+        ${this.renderReview(
+          this.reviews[siteIndex][index],
+          site.scope,
+          !conflict.existing
+        )}
+        <label class="import-resolution">
+          <span>When loading</span>
+          <select class="import-resolution-select" data-site="${siteIndex}" data-index="${index}">
+            ${options
+              .map(
+                ([value, label]) => `
+              <option value="${value}" ${
+                  this.resolutions[siteIndex][index] === value ? "selected" : ""
+                }>${label}</option>
+            `
+              )
+              .join("")}
+          </select>
+        </label>
+        <div class="import-diff" data-site="${siteIndex}" data-index="${index}"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the sites a library vibe runs on, the servers and risky APIs it
+   * uses and, for new vibes, which have no diff, its code
+   * @param {Object} review - Result of reviewLibraryVibe
+   * @param {string} scope - Hostname or GLOBAL_SCOPE of its site folder
+   * @param {boolean} showCode - Whether to include the code
+   * @returns {string} HTML
+   */
+  renderReview(
+    { vibe, sites, risks, hosts, stored, reachesBeyond },
+    scope,
+    showCode
+  ) {
+    const patternsKept = stored.include.join() === sites.include.join();
+    const details = [
+      !patternsKept &&
+        sites.include.length > 0 && [
+          "Written for",
+          `${sites.include.join(", ")} (invalid, not kept)`,
+        ],
+      ["Will run on", stored.include.join(", ")],
+      stored.exclude.length > 0 && ["Except", stored.exclude.join(", ")],
+      hosts.length > 0 && ["Servers in code", hosts.join(", ")],
+    ].filter(Boolean);
+
+    const warnings = [
+      reachesBeyond && {
+        label: "Other sites",
+        reason: `Runs on sites beyond ${scope}, the folder it is in`,
+      },
+      ...risks,
+    ].filter(Boolean);
+
+    const codeBlock = (label, code) =>
+      showCode && code && code.trim()
+        ? `
+          <details class="review-code">
+            <summary>${label} (${code.split("\n").length} lines)</summary>
+            <pre>${this.escapeHtml(code)}</pre>
+          </details>
+        `
+        : "";
+
+    return `
+      <div class="review-details">
+        ${details
+          .map(
+            ([label, value]) => `
+          <div class="bundle-info-row">
+            <span class="bundle-info-label">${label}</span>
+            <span class="bundle-info-value">${this.escapeHtml(value)}</span>
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+      ${
+        warnings.length > 0
+          ? `<ul class="review-risks">
+              ${warnings
+                .map(
+                  (risk) => `
+                <li>
+                  <span class="material-icons">warning</span>
+                  <span><strong>${this.escapeHtml(
+                    risk.label
+                  )}</strong>: ${this.escapeHtml(risk.reason)}</span>
+                </li>
+              `
+                )
+                .join("")}
+            </ul>`
+          : ""
+      }
+      ${codeBlock("JavaScript", vibe.jsCode)}
+      ${codeBlock("CSS", vibe.cssCode)}
+    `;
+  }
+
+  /**
+   * @param {string} icon - Material icon name
+   * @param {string} name - Vibe name
+   * @param {string} status - Status class suffix
+   * @param {string} label - Status text
+   * @returns {string} HTML
+   */
+  renderVibeRow(icon, name, status, label) {
+    return `
+      <div class="import-vibe-item">
+        <span class="material-icons">${icon}</span>
+        <span class="vibe-name">${this.escapeHtml(name)}</span>
+        <span class="vibe-status library-status-${status}">${label}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Show how loading a library vibe changes the stored code, side by side
+   * @param {number} siteIndex - Position of the site
+   * @param {number} index - Position among the site's library vibes
+   */
+  async renderDiff(siteIndex, index) {
+    const conflict = this.sites[siteIndex].conflicts[index];
+    const diffEl = this.libraryVibesList.querySelector(
+      `.import-diff[data-site="${siteIndex}"][data-index="${index}"]`
+    );
+    if (!diffEl || !conflict.existing || !conflict.codeChanged) return;
+
+    const resolution = this.resolutions[siteIndex][index];
+    const merging = resolution === HackService.IMPORT_RESOLUTION.MERGE;
+    const incoming = merging
+      ? await this.hackService.mergeImportedCode(
+          conflict.existing,
+          conflict.vibe
+        )
+      : conflict.vibe;
+    // The choice may have changed while the merge was checked
+    if (this.resolutions[siteIndex][index] !== resolution) return;
+    diffEl.innerHTML = "";
+    if (merging && incoming.errors.length > 0) {
+      diffEl.appendChild(this.renderMergeErrors(incoming.errors));
+    }
+
+    [
+      ["CSS", "cssCode"],
+      ["JavaScript", "jsCode"],
+    ].forEach(([label, field]) => {
+      const operations = LineDiff.diff(
+        conflict.existing[field] || "",
+        incoming[field] || ""
+      );
+      const { added, removed } = LineDiff.summarize(operations);
+      if (!added && !removed) return;
+
+      const header = document.createElement("div");
+      header.className = "import-diff-header";
+      header.innerHTML = `
+        <span>${label}</span>
+        <span class="import-diff-summary">+${added} −${removed} lines</span>
+      `;
+      diffEl.appendChild(header);
+
+      const columns = document.createElement("div");
+      columns.className = "import-diff-columns";
+      columns.innerHTML = `
+        <span>Yours</span>
+        <span>${merging ? "After merging" : "In folder"}</span>
+      `;
+      diffEl.appendChild(columns);
+
+      const table = document.createElement("table");
+      table.className = "import-diff-table";
+      LineDiff.toSideBySide(operations).forEach((row) => {
+        const tr = document.createElement("tr");
+        this.appendDiffCells(tr, row.left);
+        this.appendDiffCells(tr, row.right);
+        table.appendChild(tr);
+      });
+      diffEl.appendChild(table);
+    });
+  }
+
+  /**
+   * List why a merge cannot be saved
+   * @param {Array<string>} errors - Errors from HackService.mergeImportedCode
+   * @returns {HTMLElement} The list
+   */
+  renderMergeErrors(errors) {
+    const list = document.createElement("ul");
+    list.className = "review-risks import-merge-errors";
+    errors.forEach((error) => {
+      const item = document.createElement("li");
+      const icon = document.createElement("span");
+      icon.className = "material-icons";
+      icon.textContent = "error";
+      const text = document.createElement("span");
+      text.textContent = `${error}. Choose another option to load this vibe.`;
+      item.append(icon, text);
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * Append the line number and text cells for one side of a diff row
+   * @param {HTMLTableRowElement} tr - The row
+   * @param {Object|null} side - {number, text, type} or null for an empty cell
+   */
+  appendDiffCells(tr, side) {
+    const numberCell = document.createElement("td");
+    numberCell.className = "diff-line-number";
+    const textCell = document.createElement("td");
+    textCell.className = "diff-line-text";
+
+    if (side) {
+      numberCell.textContent = side.number;
+      textCell.textContent = side.text;
+      textCell.classList.add(`diff-${side.type}`);
+      numberCell.classList.add(`diff-${side.type}`);
+    } else {
+      textCell.classList.add("diff-empty");
+      numberCell.classList.add("diff-empty");
+    }
+
+    tr.appendChild(numberCell);
+    tr.appendChild(textCell);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Show notification message
+   * @param {string} message - Message to show
+   * @param {string} type - Type of notification (success, error, info)
+   */
+  showNotification(message, type = "info") {
+    const notification = document.createElement("div");
+    notification.className = `notification notification-${type}`;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.parentNode.removeChild(notification);
+      }
+    }, 3000);
+  }
+}
+
+// Initialize the library page when DOM is loaded
+document.addEventListener("DOMContentLoaded", async function () {
+  console.log("Web Vibes library page loaded");
+
+  const libraryPage = new LibraryPage();
+  await libraryPage.initialize();
+});
@@ -0,0 +1,384 @@
+/**
+ * Revision History Modal Manager
+ * Lists a vibe's saved revisions, shows a side-by-side diff against the
+ * current code and restores a selected revision
+ */
+class RevisionHistoryModal {
+  constructor() {
+    this.modalElement = null;
+    this.currentHack = null;
+    this.revisions = [];
+    this.selectedRevisionId = null;
+    this.selectedLanguage = 'css';
+    this.onRestoreCallback = null;
+  }
+
+  /**
+   * Initialize the modal by creating and inserting the HTML
+   */
+  initialize() {
+    if (this.modalElement) return; // Already initialized
+
+    this.modalElement = this.createModalElement();
+    document.body.appendChild(this.modalElement);
+    this.setupEventListeners();
+  }
+
+  /**
+   * Create modal element from template
+   * @returns {HTMLElement} The modal element
+   */
+  createModalElement() {
+    const template = `
+      <div class="modal-overlay" id="revisionHistoryModal">
+        <div class="modal-container revision-modal-container">
+          <div class="modal-header">
+            <h3 id="revisionModalTitle">Revision History</h3>
+            <button class="modal-close-btn" id="revisionCloseBtn" title="Close">
+              <span class="material-icons">close</span>
+            </button>
+          </div>
+
+          <div class="modal-content revision-modal-content">
+            <div class="revision-list" id="revisionList"></div>
+
+            <div class="revision-diff-header">
+              <div class="revision-diff-tabs">
+                <button class="revision-tab active" data-language="css">CSS</button>
+                <button class="revision-tab" data-language="js">JavaScript</button>
+              </div>
+              <div class="revision-diff-summary" id="revisionDiffSummary"></div>
+            </div>
+            <div class="revision-diff-columns">
+              <div class="revision-diff-label">Selected revision</div>
+              <div class="revision-diff-label">Current code</div>
+            </div>
+            <div class="revision-diff" id="revisionDiff"></div>
+          </div>
+
+          <div class="modal-footer">
+            <button class="btn btn-secondary" id="revisionCancelBtn">Close</button>
+            <button class="btn btn-primary" id="revisionRestoreBtn" disabled>
+              <span class="material-icons">restore</span>
+              Restore
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = template;
+    return tempDiv.firstElementChild;
+  }
+
+  /**
+   * Setup event listeners for the modal
+   */
+  setupEventListeners() {
+    const closeBtn = this.modalElement.querySelector('#revisionCloseBtn');
+    const cancelBtn = this.modalElement.querySelector('#revisionCancelBtn');
+    const restoreBtn = this.modalElement.querySelector('#revisionRestoreBtn');
+
+    closeBtn.addEventListener('click', () => this.closeModal());
+    cancelBtn.addEventListener('click', () => this.closeModal());
+    restoreBtn.addEventListener('click', () => this.restoreSelected());
+
+    // Close on overlay click
+    this.modalElement.addEventListener('click', (e) => {
+      if (e.target === this.modalElement) {
+        this.closeModal();
+      }
+    });
+
+    // Select a revision
+    this.modalElement.querySelector('#revisionList').addEventListener('click', (e) => {
+      const item = e.target.closest('.revision-item');
+      if (item) {
+        this.selectRevision(item.dataset.revisionId);
+      }
+    });
+
+    // Switch between CSS and JS diffs
+    this.modalElement.querySelectorAll('.revision-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.selectedLanguage = tab.dataset.language;
+        this.modalElement.querySelectorAll('.revision-tab').forEach(other => {
+          other.classList.toggle('active', other === tab);
+        });
+        this.renderDiff();
+      });
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (this.isOpen() && e.key === 'Escape') {
+        this.closeModal();
+      }
+    });
+  }
+
+  /**
+   * Open the modal for a hack
+   * @param {Hack} hack - The hack whose history to show
+   * @param {Function} onRestore - Async callback receiving the revision ID to restore
+   */
+  openModal(hack, onRestore = null) {
+    this.currentHack = hack;
+    this.onRestoreCallback = onRestore;
+    this.revisions = [...(hack.revisions || [])].reverse(); // Newest first
+
+    this.initialize();
+
+    this.modalElement.querySelector('#revisionModalTitle').textContent = `History: ${hack.name}`;
+    this.renderRevisionList();
+
+    // Preselect the newest revision that differs from the current code
+    const firstDifferent = this.revisions.find(revision => !this.isCurrent(revision));
+    this.selectRevision(firstDifferent ? firstDifferent.id : this.revisions[0]?.id || null);
+
+    this.modalElement.classList.add('show');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * Check whether a revision holds exactly the current code
+   * @param {HackRevision} revision - The revision to check
+   * @returns {boolean} True if the revision matches the current code
+   */
+  isCurrent(revision) {
+    return revision.hasSameCode(this.currentHack.cssCode, this.currentHack.jsCode);
+  }
+
+  /**
+   * Render the list of revisions
+   */
+  renderRevisionList() {
+    const list = this.modalElement.querySelector('#revisionList');
+    list.innerHTML = '';
+
+    if (this.revisions.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'revision-empty';
+      empty.textContent = 'No revisions recorded yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.revisions.forEach(revision => {
+      const item = document.createElement('div');
+      item.className = 'revision-item';
+      item.dataset.revisionId = revision.id;
+
+      const icon = document.createElement('span');
+      icon.className = 'material-icons revision-author-icon';
+      icon.textContent = revision.isFromAI() ? 'smart_toy' : 'person';
+
+      const info = document.createElement('div');
+      info.className = 'revision-info';
+
+      const title = document.createElement('div');
+      title.className = 'revision-title';
+      title.textContent = this.formatAuthor(revision) + (this.isCurrent(revision) ? ' · current' : '');
+
+      const meta = document.createElement('div');
+      meta.className = 'revision-meta';
+      meta.textContent = revision.message
+        ? `${revision.createdAt.toLocaleString()} · ${revision.message}`
+        : revision.createdAt.toLocaleString();
+
+      info.appendChild(title);
+      info.appendChild(meta);
+      item.appendChild(icon);
+      item.appendChild(info);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Describe who made a revision
+   * @param {HackRevision} revision - The revision
+   * @returns {string} Display label
+   */
+  formatAuthor(revision) {
+    if (revision.author === HackRevision.AUTHOR_INITIAL) return 'Original code';
+    if (revision.author === HackRevision.AUTHOR_USER) return 'You';
+    if (revision.author === HackRevision.AUTHOR_IMPORT) return 'Imported file';
+    if (revision.author === HackRevision.AUTHOR_SYNC) return 'Another device';
+    return `AI (${revision.author})`;
+  }
+
+  /**
+   * Select a revision and show its diff
+   * @param {string|null} revisionId - The revision ID
+   */
+  selectRevision(revisionId) {
+    this.selectedRevisionId = revisionId;
+
+    this.modalElement.querySelectorAll('.revision-item').forEach(item => {
+      item.classList.toggle('selected', item.dataset.revisionId === revisionId);
+    });
+
+    const revision = this.getSelectedRevision();
+    const restoreBtn = this.modalElement.querySelector('#revisionRestoreBtn');
+    restoreBtn.disabled = !revision || this.isCurrent(revision);
+
+    this.renderDiff();
+  }
+
+  /**
+   * Get the selected revision
+   * @returns {HackRevision|null} Selected revision
+   */
+  getSelectedRevision() {
+    return this.revisions.find(revision => revision.id === this.selectedRevisionId) || null;
+  }
+
+  /**
+   * Render the side-by-side diff between the selected revision and the current code
+   */
+  renderDiff() {
+    const diffEl = this.modalElement.querySelector('#revisionDiff');
+    const summaryEl = this.modalElement.querySelector('#revisionDiffSummary');
+    diffEl.innerHTML = '';
+    summaryEl.textContent = '';
+
+    const revision = this.getSelectedRevision();
+    if (!revision) return;
+
+    const field = this.selectedLanguage === 'css' ? 'cssCode' : 'jsCode';
+    const operations = LineDiff.diff(revision[field], this.currentHack[field] || '');
+    const { added, removed } = LineDiff.summarize(operations);
+
+    summaryEl.textContent = added || removed
+      ? `+${added} −${removed} lines to reach current`
+      : 'Identical to current';
+
+    if (operations.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'revision-empty';
+      empty.textContent = 'No code.';
+      diffEl.appendChild(empty);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'revision-diff-table';
+
+    LineDiff.toSideBySide(operations).forEach(row => {
+      const tr = document.createElement('tr');
+      this.appendDiffCells(tr, row.left);
+      this.appendDiffCells(tr, row.right);
+      table.appendChild(tr);
+    });
+
+    diffEl.appendChild(table);
+  }
+
+  /**
+   * Append the line number and text cells for one side of a diff row
+   * @param {HTMLTableRowElement} tr - The row
+   * @param {Object|null} side - {number, text, type} or null for an empty cell
+   */
+  appendDiffCells(tr, side) {
+    const numberCell = document.createElement('td');
+    numberCell.className = 'diff-line-number';
+    const textCell = document.createElement('td');
+    textCell.className = 'diff-line-text';
+
+    if (side) {
+      numberCell.textContent = side.number;
+      textCell.textContent = side.text;
+      textCell.classList.add(`diff-${side.type}`);
+      numberCell.classList.add(`diff-${side.type}`);
+    } else {
+      textCell.classList.add('diff-empty');
+      numberCell.classList.add('diff-empty');
+    }
+
+    tr.appendChild(numberCell);
+    tr.appendChild(textCell);
+  }
+
+  /**
+   * Restore the selected revision through the restore callback
+   */
+  async restoreSelected() {
+    const revision = this.getSelectedRevision();
+    if (!revision || !this.onRestoreCallback) return;
+
+    try {
+      this.setLoadingState(true);
+      await this.onRestoreCallback(revision.id);
+      this.closeModal();
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      this.showError('Failed to restore revision: ' + error.message);
+    } finally {
+      this.setLoadingState(false);
+    }
+  }
+
+  /**
+   * Close the modal
+   */
+  closeModal() {
+    if (this.modalElement) {
+      this.modalElement.classList.remove('show');
+      document.body.style.overflow = '';
+    }
+
+    this.currentHack = null;
+    this.revisions = [];
+    this.selectedRevisionId = null;
+    this.onRestoreCallback = null;
+  }
+
+  /**
+   * Check if modal is open
+   * @returns {boolean} Whether the modal is currently open
+   */
+  isOpen() {
+    return this.modalElement && this.modalElement.classList.contains('show');
+  }
+
+  /**
+   * Set loading state
+   * @param {boolean} isLoading - Whether to show loading state
+   */
+  setLoadingState(isLoading) {
+    const container = this.modalElement.querySelector('.modal-container');
+    const restoreBtn = this.modalElement.querySelector('#revisionRestoreBtn');
+    const cancelBtn = this.modalElement.querySelector('#revisionCancelBtn');
+
+    container.classList.toggle('loading', isLoading);
+    restoreBtn.disabled = isLoading;
+    cancelBtn.disabled = isLoading;
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message to display
+   */
+  showError(message) {
+    const existingErrors = document.querySelectorAll('.error-notification');
+    existingErrors.forEach(el => el.remove());
+
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error-notification';
+    errorDiv.textContent = message;
+    document.body.appendChild(errorDiv);
+
+    setTimeout(() => {
+      if (errorDiv.parentNode) {
+        errorDiv.parentNode.removeChild(errorDiv);
+      }
+    }, 3000);
+  }
+}
+
+// Export for use in other contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RevisionHistoryModal;
+}
+// Always assign to window for browser usage
+window.RevisionHistoryModal = RevisionHistoryModal;
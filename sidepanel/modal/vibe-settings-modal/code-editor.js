@@ -0,0 +1,144 @@
+/**
+ * Code Editor
+ * Wraps a textarea in the bundled CodeMirror editor with highlighting,
+ * bracket matching, auto-indent, search/replace and syntax error markers
+ */
+class CodeEditor {
+  /**
+   * Create an editor in place of a textarea
+   * @param {HTMLTextAreaElement} textarea - Textarea to replace
+   * @param {string} language - "css" or "js"
+   */
+  constructor(textarea, language) {
+    this.textarea = textarea;
+    this.language = language;
+
+    this.editor = CodeMirror.fromTextArea(textarea, {
+      mode: CodeEditor.MODES[language],
+      lineNumbers: true,
+      indentUnit: 2,
+      tabSize: 2,
+      indentWithTabs: false,
+      lineWrapping: false,
+      matchBrackets: true,
+      autoCloseBrackets: true,
+      styleActiveLine: true,
+      placeholder: textarea.placeholder,
+      gutters: ["CodeMirror-linenumbers", "CodeMirror-lint-markers"],
+      lint: {
+        getAnnotations: (code) => this.getAnnotations(code),
+        delay: CodeEditor.LINT_DELAY,
+      },
+      extraKeys: {
+        // Indent the selection, or insert spaces instead of a tab character
+        Tab: (cm) =>
+          cm.somethingSelected()
+            ? cm.indentSelection("add")
+            : cm.replaceSelection(" ".repeat(cm.getOption("indentUnit"))),
+        "Shift-Tab": (cm) => cm.indentSelection("subtract"),
+      },
+    });
+
+    this.editor.getWrapperElement().classList.add("code-editor-wrapper");
+  }
+
+  /**
+   * CodeMirror mode for each vibe language
+   * @returns {Object}
+   */
+  static get MODES() {
+    return { css: "css", js: "javascript" };
+  }
+
+  /**
+   * Time after the last keystroke before the code is checked, in milliseconds
+   * @returns {number}
+   */
+  static get LINT_DELAY() {
+    return 600;
+  }
+
+  /**
+   * Check the code and turn its errors into editor markers
+   * @param {string} code - Current editor content
+   * @returns {Promise<Array<Object>>} CodeMirror lint annotations
+   */
+  async getAnnotations(code) {
+    const result = await SyntaxChecker.check(this.language, code);
+    return result.errors
+      .filter((error) => error.line)
+      .map((error) => {
+        const line = error.line - 1;
+        const column = Math.max((error.column || 1) - 1, 0);
+        return {
+          from: CodeMirror.Pos(line, column),
+          to: CodeMirror.Pos(line, column + 1),
+          message: error.message,
+          severity: "error",
+        };
+      });
+  }
+
+  /**
+   * Get the editor content
+   * @returns {string} Code in the editor
+   */
+  getValue() {
+    return this.editor.getValue();
+  }
+
+  /**
+   * Replace the editor content, without an undo step back to the old code
+   * @param {string} value - New code
+   */
+  setValue(value) {
+    this.editor.setValue(value);
+    this.editor.clearHistory();
+  }
+
+  /**
+   * Call a function whenever the code changes
+   * @param {Function} callback - Change callback
+   */
+  onChange(callback) {
+    this.editor.on("change", () => callback(this.getValue()));
+  }
+
+  /**
+   * Redraw the editor after its container became visible
+   */
+  refresh() {
+    this.editor.refresh();
+  }
+
+  /**
+   * Focus the editor and put the cursor at a position
+   * @param {number} [line] - 1-based line
+   * @param {number} [column] - 1-based column
+   */
+  focus(line, column) {
+    this.editor.focus();
+    if (line) {
+      const position = CodeMirror.Pos(line - 1, Math.max((column || 1) - 1, 0));
+      this.editor.setCursor(position);
+      this.editor.scrollIntoView(position, 40);
+    }
+  }
+
+  /**
+   * Check whether an element belongs to one of the editor's dialogs, such as
+   * the search bar
+   * @param {Element} element - Element to check
+   * @returns {boolean} True if the element is inside an editor dialog
+   */
+  static isDialogElement(element) {
+    return !!(element && element.closest && element.closest(".CodeMirror-dialog"));
+  }
+}
+
+// Export for use in other contexts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CodeEditor;
+}
+// Always assign to window for browser usage
+window.CodeEditor = CodeEditor;
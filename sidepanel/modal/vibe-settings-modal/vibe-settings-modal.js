@@ -9,6 +9,10 @@ class VibeSettingsModal {
     this.currentHostname = "";
     this.onSaveCallback = null;
     this.onCloseCallback = null;
+    this.codeEditors = null;
+    this.previewApplied = false;
+    // {tabId, documentId} of the page showing the preview
+    this.previewTarget = null;
   }
 
   /**
@@ -23,6 +27,12 @@ class VibeSettingsModal {
     // Insert into body
     document.body.appendChild(this.modalElement);
 
+    // Replace the code textareas with editors
+    this.codeEditors = {
+      css: new CodeEditor(this.modalElement.querySelector('#cssCode'), 'css'),
+      js: new CodeEditor(this.modalElement.querySelector('#jsCode'), 'js')
+    };
+
     // Setup event listeners
     this.setupEventListeners();
   }
@@ -53,17 +63,57 @@ class VibeSettingsModal {
               <textarea id="vibeDescription" class="form-textarea description-textarea" placeholder="Describe what this vibe does"></textarea>
             </div>
 
+            <div class="form-group">
+              <label for="matchInclude">Run On (one pattern per line)</label>
+              <textarea id="matchInclude" class="form-textarea pattern-textarea" placeholder="example.com&#10;*.example.com&#10;example.com/dashboard&#10;/^https:\/\/.*\.example\.com\//"></textarea>
+              <div class="form-hint">Use *.example.com for subdomains, a path for path prefixes, or /regex/ for full URL matching</div>
+            </div>
+
+            <div class="form-group">
+              <label for="matchExclude">Don't Run On</label>
+              <textarea id="matchExclude" class="form-textarea pattern-textarea" placeholder="example.com/admin"></textarea>
+            </div>
+
+            <div class="form-group">
+              <label for="frameTarget">Frames</label>
+              <select id="frameTarget" class="form-input">
+                <option value="top">Main page only</option>
+                <option value="all">Main page and all iframes</option>
+                <option value="matching">Frames matching patterns</option>
+              </select>
+            </div>
+
+            <div class="form-group" id="framePatternsGroup">
+              <label for="framePatterns">Frame URLs (one pattern per line)</label>
+              <textarea id="framePatterns" class="form-textarea pattern-textarea" placeholder="checkout.example.com&#10;*.disqus.com"></textarea>
+              <div class="form-hint">Matched against each frame's own URL, including the main page's</div>
+            </div>
+
             <div class="form-group">
               <label for="cssCode">CSS Code</label>
               <textarea id="cssCode" class="form-textarea code-editor" placeholder="Enter CSS code here"></textarea>
+              <div class="form-error" id="cssCodeError"></div>
+              <div class="form-hint">Ctrl+F to find, Shift+Ctrl+F to replace, Alt+G to go to a line</div>
             </div>
             
             <div class="form-group">
               <label for="jsCode">JavaScript Code</label>
               <textarea id="jsCode" class="form-textarea code-editor" placeholder="Enter JavaScript code here"></textarea>
+              <div class="form-error" id="jsCodeError"></div>
             </div>
 
             <div class="form-group">
+              <label for="runAt">Run At</label>
+              <select id="runAt" class="form-input">
+                <option value="document_start">Before the page renders (document_start)</option>
+                <option value="document_end">When the DOM is ready (document_end)</option>
+                <option value="document_idle">After the page loads (idle)</option>
+                <option value="after_delay">After a delay</option>
+              </select>
+              <div class="form-hint" id="runAtHint"></div>
+            </div>
+
+            <div class="form-group" id="applyDelayGroup">
               <label for="applyDelay">Apply Delay (ms)</label>
               <div class="slider-container">
                 <input type="range" id="applyDelay" class="form-slider" min="0" max="10000" step="100" value="0">
@@ -71,6 +121,15 @@ class VibeSettingsModal {
               </div>
             </div>
 
+            <div class="form-group">
+              <label class="toggle-switch-label" for="rerunOnDomChangeToggle">Re-run JavaScript when the page changes</label>
+              <label class="toggle-switch">
+                <input type="checkbox" id="rerunOnDomChangeToggle">
+                <span class="toggle-slider"></span>
+              </label>
+              <div class="form-hint">For sites that re-render and undo your changes. The vibe's cleanup function runs before each re-run.</div>
+            </div>
+
             <div class="form-group">
               <label class="toggle-switch-label" for="vibeEnabledToggle">Enable this vibe</label>
               <label class="toggle-switch">
@@ -81,6 +140,10 @@ class VibeSettingsModal {
           </div>
 
           <div class="modal-footer">
+            <button class="btn btn-secondary preview-btn" id="previewBtn" title="Apply the unsaved code to the page. Cancel reloads the page to undo it.">
+              <span class="material-icons">visibility</span>
+              <span id="previewBtnLabel">Preview on page</span>
+            </button>
             <button class="btn btn-secondary" id="cancelBtn">Cancel</button>
             <button class="btn btn-primary" id="saveBtn">
               <span class="material-icons">save</span>
@@ -104,10 +167,12 @@ class VibeSettingsModal {
     const closeBtn = this.modalElement.querySelector('#modalCloseBtn');
     const cancelBtn = this.modalElement.querySelector('#cancelBtn');
     const saveBtn = this.modalElement.querySelector('#saveBtn');
+    const previewBtn = this.modalElement.querySelector('#previewBtn');
 
     closeBtn.addEventListener('click', () => this.closeModal());
     cancelBtn.addEventListener('click', () => this.closeModal());
     saveBtn.addEventListener('click', () => this.saveChanges());
+    previewBtn.addEventListener('click', () => this.previewChanges());
 
     // Close on overlay click
     this.modalElement.addEventListener('click', (e) => {
@@ -127,9 +192,21 @@ class VibeSettingsModal {
       });
     }
 
+    const runAtSelect = this.modalElement.querySelector('#runAt');
+    runAtSelect.addEventListener('change', () => this.updateRunAtFields());
+
+    const frameTargetSelect = this.modalElement.querySelector('#frameTarget');
+    frameTargetSelect.addEventListener('change', () => this.updateFrameFields());
+
+    // Syntax errors are stale once the code is edited
+    Object.entries(this.codeEditors).forEach(([language, editor]) => {
+      editor.onChange(() => this.showSyntaxErrors(language, []));
+    });
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
-      if (this.isOpen() && e.key === 'Escape') {
+      // Escape in the editor's search bar only closes the search bar
+      if (this.isOpen() && e.key === 'Escape' && !CodeEditor.isDialogElement(e.target)) {
         this.closeModal();
       } else if (this.isOpen() && e.key === 's' && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
@@ -161,8 +238,9 @@ class VibeSettingsModal {
     this.modalElement.classList.add('show');
     document.body.style.overflow = 'hidden';
 
-    // Focus on first input
+    // Focus on first input; the editors can only measure themselves once shown
     setTimeout(() => {
+      Object.values(this.codeEditors).forEach(editor => editor.refresh());
       const nameInput = this.modalElement.querySelector('#vibeName');
       if (nameInput) nameInput.focus();
     }, 100);
@@ -176,25 +254,74 @@ class VibeSettingsModal {
     const title = this.modalElement.querySelector('#modalTitle');
     const nameInput = this.modalElement.querySelector('#vibeName');
     const descriptionInput = this.modalElement.querySelector('#vibeDescription');
-    const cssInput = this.modalElement.querySelector('#cssCode');
-    const jsInput = this.modalElement.querySelector('#jsCode');
+    const includeInput = this.modalElement.querySelector('#matchInclude');
+    const excludeInput = this.modalElement.querySelector('#matchExclude');
     const delaySlider = this.modalElement.querySelector('#applyDelay');
     const delayValue = this.modalElement.querySelector('#applyDelayValue');
+    const runAtSelect = this.modalElement.querySelector('#runAt');
+    const rerunToggle = this.modalElement.querySelector('#rerunOnDomChangeToggle');
+    const frameTargetSelect = this.modalElement.querySelector('#frameTarget');
+    const framePatternsInput = this.modalElement.querySelector('#framePatterns');
     const enabledToggle = this.modalElement.querySelector('#vibeEnabledToggle');
 
     title.textContent = `Edit: ${hack.name}`;
     nameInput.value = hack.name || '';
     descriptionInput.value = hack.description || '';
-    cssInput.value = hack.cssCode || '';
-    jsInput.value = hack.jsCode || '';
+    this.codeEditors.css.setValue(hack.cssCode || '');
+    this.codeEditors.js.setValue(hack.jsCode || '');
+    this.showSyntaxErrors('css', []);
+    this.showSyntaxErrors('js', []);
+    this.setPreviewApplied(false);
+
+    const patterns = hack.matchPatterns || { include: [this.currentHostname], exclude: [] };
+    includeInput.value = patterns.include.join('\n');
+    excludeInput.value = patterns.exclude.join('\n');
+
+    frameTargetSelect.value = Hack.isValidFrameTarget(hack.frameTarget)
+      ? hack.frameTarget
+      : Hack.FRAME_TARGET.TOP;
+    framePatternsInput.value = (hack.framePatterns || []).join('\n');
+    this.updateFrameFields();
 
     const delay = (hack.applyDelay != null ? hack.applyDelay : 0);
     delaySlider.value = delay;
     delayValue.textContent = `${delay} ms`;
 
+    runAtSelect.value = Hack.resolveRunAt(hack.runAt, hack.applyDelay);
+    this.updateRunAtFields();
+    rerunToggle.checked = !!hack.rerunOnDomChange;
+
     enabledToggle.checked = hack.enabled !== false;
   }
 
+  /**
+   * Show the frame pattern list only when frames are chosen by pattern
+   */
+  updateFrameFields() {
+    const frameTarget = this.modalElement.querySelector('#frameTarget').value;
+    const patternsGroup = this.modalElement.querySelector('#framePatternsGroup');
+    patternsGroup.style.display = frameTarget === Hack.FRAME_TARGET.MATCHING ? '' : 'none';
+  }
+
+  /**
+   * Show the delay slider only for delayed vibes and explain the chosen timing
+   */
+  updateRunAtFields() {
+    const runAt = this.modalElement.querySelector('#runAt').value;
+    const delayGroup = this.modalElement.querySelector('#applyDelayGroup');
+    const hint = this.modalElement.querySelector('#runAtHint');
+
+    delayGroup.style.display = runAt === Hack.RUN_AT.AFTER_DELAY ? '' : 'none';
+
+    const hints = {
+      [Hack.RUN_AT.DOCUMENT_START]: 'CSS is in place before first paint. JavaScript runs before the page has any content, so wait for elements before touching them.',
+      [Hack.RUN_AT.DOCUMENT_END]: 'Runs as soon as the HTML is parsed, before images and other resources finish loading.',
+      [Hack.RUN_AT.DOCUMENT_IDLE]: 'Runs once the page has fully loaded.',
+      [Hack.RUN_AT.AFTER_DELAY]: 'Waits for the page to load, then for the delay below.'
+    };
+    hint.textContent = hints[runAt] || '';
+  }
+
   /**
    * Save changes to the hack
    */
@@ -207,9 +334,13 @@ class VibeSettingsModal {
       // Get form values
       const nameInput = this.modalElement.querySelector('#vibeName');
       const descriptionInput = this.modalElement.querySelector('#vibeDescription');
-      const cssInput = this.modalElement.querySelector('#cssCode');
-      const jsInput = this.modalElement.querySelector('#jsCode');
+      const includeInput = this.modalElement.querySelector('#matchInclude');
+      const excludeInput = this.modalElement.querySelector('#matchExclude');
       const delaySlider = this.modalElement.querySelector('#applyDelay');
+      const runAtSelect = this.modalElement.querySelector('#runAt');
+      const rerunToggle = this.modalElement.querySelector('#rerunOnDomChangeToggle');
+      const frameTargetSelect = this.modalElement.querySelector('#frameTarget');
+      const framePatternsInput = this.modalElement.querySelector('#framePatterns');
       const enabledToggle = this.modalElement.querySelector('#vibeEnabledToggle');
 
       // Validate inputs
@@ -220,8 +351,47 @@ class VibeSettingsModal {
         return;
       }
 
-      // Validate apply delay
-      const delayValue = parseInt(delaySlider.value, 10);
+      // Validate match patterns
+      const matchPatterns = {
+        include: this.parsePatternList(includeInput.value),
+        exclude: this.parsePatternList(excludeInput.value)
+      };
+      if (matchPatterns.include.length === 0) {
+        this.showError('At least one "Run On" pattern is required');
+        includeInput.focus();
+        return;
+      }
+      const invalidPattern = [...matchPatterns.include, ...matchPatterns.exclude]
+        .find(pattern => !UrlMatchPatterns.isValidPattern(pattern));
+      if (invalidPattern) {
+        this.showError(`Invalid pattern: ${invalidPattern}`);
+        includeInput.focus();
+        return;
+      }
+
+      // Validate frame patterns; they only apply when frames are chosen by pattern
+      const frameTarget = frameTargetSelect.value;
+      const framePatterns = frameTarget === Hack.FRAME_TARGET.MATCHING
+        ? this.parsePatternList(framePatternsInput.value)
+        : [];
+      if (frameTarget === Hack.FRAME_TARGET.MATCHING && framePatterns.length === 0) {
+        this.showError('Add at least one frame URL pattern');
+        framePatternsInput.focus();
+        return;
+      }
+      const invalidFramePattern = framePatterns
+        .find(pattern => !UrlMatchPatterns.isValidPattern(pattern));
+      if (invalidFramePattern) {
+        this.showError(`Invalid frame pattern: ${invalidFramePattern}`);
+        framePatternsInput.focus();
+        return;
+      }
+
+      // Validate apply delay; it only applies to delayed vibes
+      const runAt = runAtSelect.value;
+      const delayValue = runAt === Hack.RUN_AT.AFTER_DELAY
+        ? parseInt(delaySlider.value, 10)
+        : 0;
       if (isNaN(delayValue) || delayValue < 0) {
         this.showError('Apply delay must be a non-negative number');
         delaySlider.focus();
@@ -231,14 +401,25 @@ class VibeSettingsModal {
       // Show loading state
       this.setLoadingState(true);
 
+      // Refuse code that does not parse; it would fail on the page anyway
+      const code = await this.getCheckedCode('saving');
+      if (!code) {
+        return;
+      }
+
       // Prepare update data
       const updateData = {
         name: name,
         description: descriptionInput.value.trim(),
-        cssCode: cssInput.value,
-        jsCode: jsInput.value,
+        cssCode: code.css,
+        jsCode: code.js,
         enabled: enabledToggle.checked,
-        applyDelay: delayValue
+        applyDelay: delayValue,
+        runAt: runAt,
+        rerunOnDomChange: rerunToggle.checked,
+        frameTarget: frameTarget,
+        framePatterns: framePatterns,
+        matchPatterns: matchPatterns
       };
 
       // Call save callback if provided
@@ -246,6 +427,9 @@ class VibeSettingsModal {
         await this.onSaveCallback(this.currentHack.id, updateData);
       }
 
+      // Saving reloads the page with the new code, so there is nothing to revert
+      this.setPreviewApplied(false);
+
       // Close modal
       this.closeModal();
 
@@ -257,10 +441,193 @@ class VibeSettingsModal {
     }
   }
 
+  /**
+   * Check the code in both editors
+   * Errors are shown under their editor, and the first one gets the cursor.
+   * Code the checker could not reach is refused too, asking to try again.
+   * @param {string} action - What the code is checked for, e.g. "saving"
+   * @returns {Promise<Object|null>} {css, js} code, or null if either does
+   *   not parse or could not be checked
+   */
+  async getCheckedCode(action) {
+    const code = {
+      css: this.codeEditors.css.getValue(),
+      js: this.codeEditors.js.getValue()
+    };
+    const [cssCheck, jsCheck] = await Promise.all([
+      SyntaxChecker.check('css', code.css),
+      SyntaxChecker.check('js', code.js)
+    ]);
+    this.showSyntaxErrors('css', cssCheck.errors);
+    this.showSyntaxErrors('js', jsCheck.errors);
+
+    const invalid = [['css', cssCheck], ['js', jsCheck]]
+      .find(([, check]) => !check.valid);
+    if (invalid) {
+      const [language, check] = invalid;
+      const [firstError] = check.errors;
+      this.codeEditors[language].focus(firstError.line, firstError.column);
+      this.showError(check.skipped
+        ? `Could not check the syntax before ${action}; try again`
+        : `Fix the syntax errors before ${action}`);
+      return null;
+    }
+    return code;
+  }
+
+  /**
+   * Show syntax errors under a code editor
+   * @param {string} language - "css" or "js"
+   * @param {Array<Object>} errors - Errors from SyntaxChecker; empty to clear
+   */
+  showSyntaxErrors(language, errors) {
+    const errorElement = this.modalElement.querySelector(`#${language}CodeError`);
+    errorElement.textContent = SyntaxChecker.formatErrors(errors);
+    errorElement.classList.toggle('show', errors.length > 0);
+    this.codeEditors[language].editor
+      .getWrapperElement()
+      .classList.toggle('has-error', errors.length > 0);
+  }
+
+  /**
+   * Apply the unsaved code to the current page as a preview
+   * Uses the same APPLY_HACK flow as the AI, with preview set.
+   */
+  async previewChanges() {
+    try {
+      if (!this.currentHack) {
+        throw new Error('No hack selected');
+      }
+
+      this.setLoadingState(true);
+
+      const code = await this.getCheckedCode('previewing');
+      if (!code) {
+        return;
+      }
+
+      // Target the frames chosen in the form, not only the saved ones
+      const frameTarget = this.modalElement.querySelector('#frameTarget').value;
+      const previewHack = Hack.fromJSON({
+        ...this.currentHack.toJSON(),
+        cssCode: code.css,
+        jsCode: code.js,
+        frameTarget: frameTarget,
+        framePatterns: frameTarget === Hack.FRAME_TARGET.MATCHING
+          ? this.parsePatternList(this.modalElement.querySelector('#framePatterns').value)
+          : []
+      });
+
+      // The tool previews on the active tab; remember which page that is
+      const target = await this.getActivePage();
+
+      const applyHackTool = new ApplyHackTool(null);
+      applyHackTool.setCurrentHack(previewHack);
+      const result = await applyHackTool.run({ preview: true });
+      if (!result.success) {
+        this.showError(applyHackTool.getErrorMessage(result.error));
+        return;
+      }
+
+      // A preview left on a page the user has since switched away from
+      // would otherwise never be reverted
+      if (
+        this.previewTarget &&
+        target &&
+        this.previewTarget.documentId !== target.documentId
+      ) {
+        await this.revertPreview();
+      }
+      this.setPreviewApplied(true);
+      this.previewTarget = target;
+    } catch (error) {
+      console.error('Error previewing changes:', error);
+      this.showError('Failed to preview changes: ' + error.message);
+    } finally {
+      this.setLoadingState(false);
+    }
+  }
+
+  /**
+   * Remember whether the page shows unsaved code, and say so on the button
+   * @param {boolean} applied - Whether a preview is on the page
+   */
+  setPreviewApplied(applied) {
+    this.previewApplied = applied;
+    if (!applied) {
+      this.previewTarget = null;
+    }
+    const previewBtn = this.modalElement.querySelector('#previewBtn');
+    const label = this.modalElement.querySelector('#previewBtnLabel');
+    previewBtn.classList.toggle('active', applied);
+    label.textContent = applied ? 'Update preview' : 'Preview on page';
+  }
+
+  /**
+   * Find the page in the active tab
+   * @returns {Promise<Object|null>} {tabId, documentId} of its top frame, or
+   *   null if there is no active tab
+   */
+  async getActivePage() {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true
+    });
+    if (!tab || !tab.id) return null;
+
+    const frame = await chrome.webNavigation.getFrame({
+      tabId: tab.id,
+      frameId: 0
+    });
+    return frame ? { tabId: tab.id, documentId: frame.documentId } : null;
+  }
+
+  /**
+   * Undo a preview by reloading the page, which runs the saved vibe again
+   * A preview's JavaScript may have changed the page in ways that its
+   * cleanup function does not undo, so removing it is not enough. Only the
+   * tab the preview was applied to is reloaded, and not once it has
+   * navigated to another page, which no longer shows the preview.
+   */
+  async revertPreview() {
+    const target = this.previewTarget;
+    this.setPreviewApplied(false);
+    if (!target) return;
+
+    try {
+      const frame = await chrome.webNavigation.getFrame({
+        tabId: target.tabId,
+        frameId: 0
+      });
+      if (frame && frame.documentId === target.documentId) {
+        await chrome.tabs.reload(target.tabId);
+      }
+    } catch (error) {
+      // The tab has been closed
+      console.error('Error reverting preview:', error);
+    }
+  }
+
+  /**
+   * Split a textarea value into a list of non-empty patterns
+   * @param {string} value - Raw textarea value, one pattern per line
+   * @returns {Array<string>} List of trimmed patterns
+   */
+  parsePatternList(value) {
+    return value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+  }
+
   /**
    * Close the modal
    */
   closeModal() {
+    if (this.previewApplied) {
+      this.revertPreview();
+    }
+
     if (this.modalElement) {
       this.modalElement.classList.remove('show');
       document.body.style.overflow = '';
@@ -293,15 +660,18 @@ class VibeSettingsModal {
     const container = this.modalElement.querySelector('.modal-container');
     const saveBtn = this.modalElement.querySelector('#saveBtn');
     const cancelBtn = this.modalElement.querySelector('#cancelBtn');
+    const previewBtn = this.modalElement.querySelector('#previewBtn');
 
     if (isLoading) {
       container.classList.add('loading');
       saveBtn.disabled = true;
       cancelBtn.disabled = true;
+      previewBtn.disabled = true;
     } else {
       container.classList.remove('loading');
       saveBtn.disabled = false;
       cancelBtn.disabled = false;
+      previewBtn.disabled = false;
     }
   }
 
@@ -6,6 +6,16 @@
 //=require ../../lib/ai/gemini/repo/gemini-settings-repo.js
 //=require ../../lib/ai/gemini/service/gemini-settings-service.js
 
+// OpenAI-compatible imports
+//=require ../../lib/ai/openai/model/openai-settings.js
+//=require ../../lib/ai/openai/repo/openai-settings-repo.js
+//=require ../../lib/ai/openai/service/openai-settings-service.js
+
+// Anthropic imports
+//=require ../../lib/ai/anthropic/model/anthropic-settings.js
+//=require ../../lib/ai/anthropic/repo/anthropic-settings-repo.js
+//=require ../../lib/ai/anthropic/service/anthropic-settings-service.js
+
 /**
  * Settings UI Manager
  */
@@ -17,6 +27,22 @@ class SettingsUI {
     this.geminiSettingsService = new GeminiSettingsService(
       this.geminiSettingsRepository
     );
+    // Add OpenAI-compatible settings service
+    this.openAISettingsRepository = new OpenAISettingsRepository();
+    this.openAISettingsService = new OpenAISettingsService(
+      this.openAISettingsRepository
+    );
+    // Add Anthropic settings service
+    this.anthropicSettingsRepository = new AnthropicSettingsRepository();
+    this.anthropicSettingsService = new AnthropicSettingsService(
+      this.anthropicSettingsRepository
+    );
+    // Backup and restore of all extension data
+    this.backupRepository = new BackupRepository();
+    this.backupService = new BackupService(this.backupRepository);
+    this.cspRepository = new CSPRepository();
+    this.cspService = new CSPService(this.cspRepository);
+    this.pendingBackup = null;
     this.initializeElements();
   }
   initializeElements() {
@@ -38,6 +64,38 @@ class SettingsUI {
     this.maxIndividualMessageSizeInput = document.getElementById(
       "maxIndividualMessageSize"
     );
+    this.applyVerificationSelector = document.getElementById(
+      "applyVerificationSelector"
+    );
+    this.applyVerificationDescription = document.getElementById(
+      "applyVerificationDescription"
+    );
+
+    // Backup elements
+    this.createBackupBtn = document.getElementById("createBackupBtn");
+    this.backupChatSessionsCheckbox =
+      document.getElementById("backupChatSessions");
+    this.backupAICredentialsCheckbox = document.getElementById(
+      "backupAICredentials"
+    );
+    this.restoreBackupBtn = document.getElementById("restoreBackupBtn");
+    this.restoreBackupFile = document.getElementById("restoreBackupFile");
+    this.backupRestorePreview = document.getElementById(
+      "backupRestorePreview"
+    );
+    this.backupRestoreSummary = document.getElementById(
+      "backupRestoreSummary"
+    );
+    this.mergeBackupBtn = document.getElementById("mergeBackupBtn");
+    this.replaceBackupBtn = document.getElementById("replaceBackupBtn");
+    this.cancelRestoreBtn = document.getElementById("cancelRestoreBtn");
+    this.backupScheduleSelector = document.getElementById(
+      "backupScheduleSelector"
+    );
+    this.backupScheduleDescription = document.getElementById(
+      "backupScheduleDescription"
+    );
+    this.backupStatus = document.getElementById("backupStatus");
   }
 
   async render() {
@@ -54,6 +112,9 @@ class SettingsUI {
     // Render AI settings
     await this.renderAISettings();
 
+    // Render automatic backup schedule
+    await this.renderBackupSchedule();
+
     // Apply current theme
     await this.applyCurrentTheme();
   }
@@ -197,6 +258,7 @@ class SettingsUI {
     this.maxConversationSizeInput.value = settings.maxConversationSize;
     this.maxIndividualMessageSizeInput.value =
       settings.maxIndividualMessageSize;
+    this.renderApplyVerification(settings.applyVerification);
 
     // Render AI credentials section
     await this.renderAICredentials();
@@ -205,6 +267,24 @@ class SettingsUI {
     await this.renderAIStatus();
   }
 
+  renderApplyVerification(selectedMode) {
+    const modes = this.settingsService.getApplyVerificationModes();
+
+    this.applyVerificationSelector.innerHTML = "";
+    Object.entries(modes).forEach(([modeKey, modeData]) => {
+      const option = document.createElement("option");
+      option.value = modeKey;
+      option.textContent = modeData.name;
+      option.selected = selectedMode === modeKey;
+      this.applyVerificationSelector.appendChild(option);
+    });
+
+    if (modes[selectedMode]) {
+      this.applyVerificationDescription.textContent =
+        modes[selectedMode].description;
+    }
+  }
+
   async renderAICredentials() {
     const settings = await this.settingsService.getAllSettings();
     const selectedAI = settings.selectedAI;
@@ -225,6 +305,11 @@ class SettingsUI {
     let credentials = {};
     if (selectedAI === "Gemini") {
       credentials = (await this.geminiSettingsService.getAllSettings()) || {};
+    } else if (selectedAI === "OpenAI") {
+      credentials = (await this.openAISettingsService.getAllSettings()) || {};
+    } else if (selectedAI === "Anthropic") {
+      credentials =
+        (await this.anthropicSettingsService.getAllSettings()) || {};
     } else {
       credentials = settings.getAICredentials(selectedAI);
     }
@@ -271,7 +356,38 @@ class SettingsUI {
         "model",
         "Model",
         geminiSettings.model,
-        availableModels
+        availableModels,
+        this.geminiSettingsService
+      );
+      credentialsForm.appendChild(modelSelectorContainer);
+    } else if (selectedAI === "OpenAI") {
+      this.renderOpenAICredentials(credentialsForm, credentials, aiData);
+    } else if (selectedAI === "Anthropic") {
+      const availableModels =
+        this.anthropicSettingsService.getAvailableModels();
+
+      // Create API key field
+      const apiKeyContainer = this.createCredentialField(
+        "apiKey",
+        aiData.credentialFields.apiKey,
+        credentials.apiKey
+      );
+      credentialsForm.appendChild(apiKeyContainer);
+
+      apiKeyContainer
+        .querySelector("input")
+        .addEventListener("input", async (e) => {
+          await this.anthropicSettingsService.setApiKey(e.target.value);
+          await this.renderAIStatus();
+        });
+
+      // Create model selector
+      const modelSelectorContainer = this.createModelSelector(
+        "model",
+        "Model",
+        credentials.model,
+        availableModels,
+        this.anthropicSettingsService
       );
       credentialsForm.appendChild(modelSelectorContainer);
     } else {
@@ -311,6 +427,10 @@ class SettingsUI {
     clearBtn.addEventListener("click", async () => {
       if (selectedAI === "Gemini") {
         await this.geminiSettingsService.setApiKey("");
+      } else if (selectedAI === "OpenAI") {
+        await this.openAISettingsService.resetToDefaults();
+      } else if (selectedAI === "Anthropic") {
+        await this.anthropicSettingsService.setApiKey("");
       } else {
         await this.settingsService.saveAICredentials(selectedAI, {});
       }
@@ -319,11 +439,114 @@ class SettingsUI {
       await this.renderAIStatus();
     });
 
+    if (selectedAI === "OpenAI") {
+      clearBtnContainer.appendChild(this.createFetchModelsButton());
+    }
     clearBtnContainer.appendChild(clearBtn);
     this.aiCredentialsSection.appendChild(credentialsForm);
     this.aiCredentialsSection.appendChild(clearBtnContainer);
   }
 
+  /**
+   * Render the OpenAI-compatible endpoint fields into the credentials form
+   * @param {HTMLElement} credentialsForm - Form container to append to
+   * @param {OpenAISettings} openAISettings - Current OpenAI-compatible settings
+   * @param {Object} aiData - Provider definition from getAvailableAIs
+   */
+  renderOpenAICredentials(credentialsForm, openAISettings, aiData) {
+    const fields = aiData.credentialFields;
+
+    // Base URL is saved on change so partially typed URLs are not rejected
+    const baseUrlContainer = this.createCredentialField(
+      "baseUrl",
+      fields.baseUrl,
+      openAISettings.baseUrl
+    );
+    credentialsForm.appendChild(baseUrlContainer);
+    baseUrlContainer
+      .querySelector("input")
+      .addEventListener("change", async (e) => {
+        try {
+          await this.openAISettingsService.setBaseUrl(e.target.value);
+          this.showMessage("Base URL updated");
+        } catch (error) {
+          console.error("Error updating base URL:", error);
+          this.showMessage(error.message);
+        }
+        await this.renderAIStatus();
+      });
+
+    const apiKeyContainer = this.createCredentialField(
+      "apiKey",
+      fields.apiKey,
+      openAISettings.apiKey
+    );
+    credentialsForm.appendChild(apiKeyContainer);
+    apiKeyContainer
+      .querySelector("input")
+      .addEventListener("input", async (e) => {
+        await this.openAISettingsService.setApiKey(e.target.value);
+        await this.renderAIStatus();
+      });
+
+    // Model list, comma separated, for servers that don't expose /models
+    const modelsContainer = this.createCredentialField(
+      "models",
+      {
+        label: "Models",
+        type: "text",
+        placeholder: "Comma separated, e.g. llama3.1, qwen2.5-coder",
+      },
+      openAISettings.models.join(", ")
+    );
+    credentialsForm.appendChild(modelsContainer);
+    modelsContainer
+      .querySelector("input")
+      .addEventListener("change", async (e) => {
+        try {
+          await this.openAISettingsService.setModels(e.target.value.split(","));
+          await this.renderAICredentials();
+        } catch (error) {
+          console.error("Error updating model list:", error);
+          this.showMessage(error.message);
+        }
+        await this.renderAIStatus();
+      });
+
+    const modelSelectorContainer = this.createModelSelector(
+      "model",
+      "Model",
+      openAISettings.model,
+      openAISettings.getAvailableModels(),
+      this.openAISettingsService
+    );
+    credentialsForm.appendChild(modelSelectorContainer);
+  }
+
+  /**
+   * Create the button that loads the model list from the server's /models endpoint
+   * @returns {HTMLButtonElement} Fetch models button
+   */
+  createFetchModelsButton() {
+    const fetchBtn = document.createElement("button");
+    fetchBtn.className = "btn-clear";
+    fetchBtn.textContent = "Fetch Models";
+    fetchBtn.addEventListener("click", async () => {
+      fetchBtn.disabled = true;
+      try {
+        const models = await this.openAISettingsService.refreshModelsFromServer();
+        this.showMessage(`Loaded ${models.length} models from server`);
+        await this.renderAICredentials();
+        await this.renderAIStatus();
+      } catch (error) {
+        console.error("Error fetching models:", error);
+        this.showMessage(`Could not fetch models: ${error.message}`);
+        fetchBtn.disabled = false;
+      }
+    });
+    return fetchBtn;
+  }
+
   createCredentialField(fieldName, fieldConfig, value) {
     const fieldContainer = document.createElement("div");
     fieldContainer.className = "credential-field";
@@ -347,7 +570,13 @@ class SettingsUI {
     return fieldContainer;
   }
 
-  createModelSelector(id, label, selectedModel, models) {
+  createModelSelector(
+    id,
+    label,
+    selectedModel,
+    models,
+    settingsService = this.geminiSettingsService
+  ) {
     const selectorContainer = document.createElement("div");
     selectorContainer.className = "credential-field";
 
@@ -371,7 +600,7 @@ class SettingsUI {
     }
 
     selectEl.addEventListener("change", async (e) => {
-      await this.geminiSettingsService.setModel(e.target.value);
+      await settingsService.setModel(e.target.value);
       this.showMessage(`Switched to ${models[e.target.value].name} model`);
       await this.renderAIStatus();
     });
@@ -387,6 +616,10 @@ class SettingsUI {
     let isConfigured = false;
     if (selectedAI === "Gemini") {
       isConfigured = await this.geminiSettingsService.isConfigured();
+    } else if (selectedAI === "OpenAI") {
+      isConfigured = await this.openAISettingsService.isConfigured();
+    } else if (selectedAI === "Anthropic") {
+      isConfigured = await this.anthropicSettingsService.isConfigured();
     } else {
       isConfigured = settings.isAIConfigured();
     }
@@ -415,6 +648,207 @@ class SettingsUI {
     this.aiStatus.appendChild(statusIcon);
     this.aiStatus.appendChild(statusText);
   }
+
+  /**
+   * Download a backup of all extension data
+   */
+  async handleCreateBackup() {
+    try {
+      const backup = await this.backupService.createBackup({
+        includeChatSessions: this.backupChatSessionsCheckbox.checked,
+        includeAICredentials: this.backupAICredentialsCheckbox.checked,
+      });
+      const data = JSON.stringify(backup.toJSON(), null, 2);
+      const blob = new Blob([data], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = this.backupService.getFileName(backup.createdAt);
+
+      document.body.appendChild(a);
+      a.click();
+      setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      }, 100);
+
+      this.showBackupStatus(
+        `Backup saved: ${this.describeBackup(backup)}`,
+        true
+      );
+    } catch (error) {
+      console.error("Error creating backup:", error);
+      this.showBackupStatus(`Backup failed: ${error.message}`, false);
+    }
+  }
+
+  /**
+   * Read a chosen backup file and ask how to restore it
+   * @param {File} file - The backup file
+   */
+  async handleRestoreFileSelect(file) {
+    try {
+      this.pendingBackup = this.backupService.readBackup(await file.text());
+      const created = this.pendingBackup.createdAt
+        ? ` from ${this.pendingBackup.createdAt.toLocaleString()}`
+        : "";
+      this.backupRestoreSummary.textContent = `Backup${created}: ${this.describeBackup(
+        this.pendingBackup
+      )}`;
+      this.backupRestorePreview.style.display = "";
+      this.backupStatus.style.display = "none";
+    } catch (error) {
+      console.error("Error reading backup:", error);
+      this.cancelRestore();
+      this.showBackupStatus(`Cannot restore: ${error.message}`, false);
+    }
+  }
+
+  /**
+   * Restore the chosen backup
+   * @param {string} mode - A BackupService.RESTORE_MODE value
+   */
+  async handleRestore(mode) {
+    if (!this.pendingBackup) return;
+    if (
+      mode === BackupService.RESTORE_MODE.REPLACE &&
+      !confirm(
+        "Replace your vibes and settings with the backup? Everything the backup holds will overwrite what is stored now."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const { skipped } = await this.backupService.restoreBackup(
+        this.pendingBackup,
+        mode
+      );
+      // Restored per-site settings only take effect once their rules exist
+      await this.cspService.initializeCSPRules();
+      this.cancelRestore();
+      await this.render();
+      const restored =
+        mode === BackupService.RESTORE_MODE.REPLACE
+          ? "Backup restored"
+          : "Backup merged into your data";
+      this.showBackupStatus(
+        skipped.length > 0
+          ? `${restored}. Skipped ${skipped.length} invalid vibe${
+              skipped.length === 1 ? "" : "s"
+            }: ${skipped.join(", ")}`
+          : restored,
+        true
+      );
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      this.showBackupStatus(`Restore failed: ${error.message}`, false);
+    }
+  }
+
+  /**
+   * Forget the chosen backup file
+   */
+  cancelRestore() {
+    this.pendingBackup = null;
+    this.restoreBackupFile.value = "";
+    this.backupRestorePreview.style.display = "none";
+  }
+
+  /**
+   * Summarize what a backup holds
+   * @param {Backup} backup - The backup
+   * @returns {string} Description
+   */
+  describeBackup(backup) {
+    const summary = backup.getSummary();
+    const parts = [];
+    if (backup.includes("vibes")) {
+      parts.push(`${summary.vibes} vibes on ${summary.sites} sites`);
+    }
+    if (backup.includes("siteSettings")) {
+      parts.push(`settings for ${summary.siteSettings} sites`);
+    }
+    if (backup.includes("settings")) {
+      parts.push("general settings");
+    }
+    if (backup.includes("chatSessions")) {
+      parts.push(`${summary.chatSessions} chat sessions`);
+    }
+    if (backup.includes("aiCredentials")) {
+      parts.push("AI provider settings and API keys");
+    }
+    return parts.join(", ");
+  }
+
+  /**
+   * Show the automatic backup schedule and when it last ran
+   */
+  async renderBackupSchedule() {
+    const schedule = await this.backupService.getSchedule();
+    const selected = schedule.enabled ? schedule.frequency : "off";
+
+    this.backupScheduleSelector.innerHTML = "";
+    [
+      ["off", "Off"],
+      ...Object.entries(BackupService.FREQUENCIES).map(([key, frequency]) => [
+        key,
+        frequency.name,
+      ]),
+    ].forEach(([value, name]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = name;
+      option.selected = selected === value;
+      this.backupScheduleSelector.appendChild(option);
+    });
+
+    const folder = BackupService.DOWNLOAD_FOLDER;
+    let description = `Save vibes and settings to ${folder} in your downloads folder`;
+    if (schedule.lastError) {
+      description = `Last automatic backup failed: ${schedule.lastError}`;
+    } else if (schedule.lastBackupAt) {
+      description = `Saved to ${folder} in your downloads folder, last on ${new Date(
+        schedule.lastBackupAt
+      ).toLocaleString()}`;
+    }
+    this.backupScheduleDescription.textContent = description;
+  }
+
+  /**
+   * Change the automatic backup schedule
+   * @param {string} value - "off" or a key of BackupService.FREQUENCIES
+   */
+  async handleBackupScheduleChange(value) {
+    if (value === "off") {
+      await this.backupService.setSchedule(false);
+    } else {
+      await this.backupService.setSchedule(true, value);
+    }
+    await this.renderBackupSchedule();
+  }
+
+  /**
+   * Show the outcome of a backup or restore
+   * @param {string} message - Message to show
+   * @param {boolean} success - Whether it worked
+   */
+  showBackupStatus(message, success) {
+    this.backupStatus.className = `ai-status ${
+      success ? "configured" : "not-configured"
+    }`;
+    this.backupStatus.innerHTML = "";
+
+    const statusIcon = document.createElement("span");
+    statusIcon.className = "material-icons";
+    statusIcon.textContent = success ? "check_circle" : "warning";
+    const statusText = document.createElement("span");
+    statusText.textContent = message;
+
+    this.backupStatus.appendChild(statusIcon);
+    this.backupStatus.appendChild(statusText);
+    this.backupStatus.style.display = "";
+  }
 }
 
 /**
@@ -495,6 +929,45 @@ class SettingsEventHandler {
       handleMaxIndividualMessageSizeChange
     );
 
+    // Verification mode change
+    this.ui.applyVerificationSelector.addEventListener("change", async (e) => {
+      const mode = e.target.value;
+      await this.ui.settingsService.setApplyVerification(mode);
+      this.ui.renderApplyVerification(mode);
+      this.ui.showMessage("Verification setting updated.");
+    });
+
+    // Backup and restore
+    this.ui.createBackupBtn.addEventListener("click", () => {
+      this.ui.handleCreateBackup();
+    });
+
+    this.ui.restoreBackupBtn.addEventListener("click", () => {
+      this.ui.restoreBackupFile.click();
+    });
+
+    this.ui.restoreBackupFile.addEventListener("change", (e) => {
+      if (e.target.files.length > 0) {
+        this.ui.handleRestoreFileSelect(e.target.files[0]);
+      }
+    });
+
+    this.ui.mergeBackupBtn.addEventListener("click", () => {
+      this.ui.handleRestore(BackupService.RESTORE_MODE.MERGE);
+    });
+
+    this.ui.replaceBackupBtn.addEventListener("click", () => {
+      this.ui.handleRestore(BackupService.RESTORE_MODE.REPLACE);
+    });
+
+    this.ui.cancelRestoreBtn.addEventListener("click", () => {
+      this.ui.cancelRestore();
+    });
+
+    this.ui.backupScheduleSelector.addEventListener("change", (e) => {
+      this.ui.handleBackupScheduleChange(e.target.value);
+    });
+
     // TODO: Add listeners for individual setting changes
     // These will be added when specific settings are implemented
   }
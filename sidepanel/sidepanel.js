@@ -6,11 +6,24 @@
  * UI Manager for rendering and updating the side panel interface
  */
 class SidePanelUI {
-  constructor(hackService, cspService) {
+  constructor(
+    hackService,
+    cspService,
+    chatSessionService,
+    healthService,
+    bundleService,
+    syncService
+  ) {
     this.hackService = hackService;
     this.cspService = cspService;
+    this.chatSessionService = chatSessionService;
+    this.healthService = healthService;
+    this.bundleService = bundleService;
+    this.syncService = syncService;
+    this.healthByHackId = new Map();
     this.currentHostname = "";
     this.vibeSettingsModal = new window.VibeSettingsModal();
+    this.revisionHistoryModal = new window.RevisionHistoryModal();
     this.dragAndDropInitialized = false;
     this.initializeElements();
   }
@@ -19,12 +32,20 @@ class SidePanelUI {
     this.currentSiteEl = document.getElementById("currentSite");
     this.hacksListEl = document.getElementById("hacksList");
     this.emptyStateEl = document.getElementById("emptyState");
+    this.globalHacksContainerEl = document.getElementById(
+      "globalHacksContainer"
+    );
+    this.globalHacksListEl = document.getElementById("globalHacksList");
     this.addHackBtn = document.getElementById("addHackBtn");
     this.exportBtn = document.getElementById("exportBtn");
     this.importBtn = document.getElementById("importBtn");
+    this.libraryBtn = document.getElementById("libraryBtn");
+    this.syncBtn = document.getElementById("syncBtn");
+    this.syncStatusEl = document.getElementById("syncStatus");
     this.cspToggle = document.getElementById("cspToggle");
     this.serviceWorkerToggle = document.getElementById("serviceWorkerToggle");
     this.exportModal = null;
+    this.syncModal = null;
 
     if (this.exportBtn) {
       this.exportBtn.addEventListener("click", () => this.openExportModal());
@@ -32,6 +53,12 @@ class SidePanelUI {
     if (this.importBtn) {
       this.importBtn.addEventListener("click", () => this.openImportModal());
     }
+    if (this.libraryBtn) {
+      this.libraryBtn.addEventListener("click", () => this.openLibraryPage());
+    }
+    if (this.syncBtn) {
+      this.syncBtn.addEventListener("click", () => this.openSyncModal());
+    }
     if (this.cspToggle) {
       this.cspToggle.addEventListener("change", () => this.handleCSPToggle());
     }
@@ -49,8 +76,47 @@ class SidePanelUI {
     this.updateCurrentSite(hostname);
     await this.updateCSPToggle(hostname);
     await this.updateServiceWorkerToggle(hostname);
+    await this.loadHealth();
     this.renderHacksList(hacks);
+    this.renderGlobalHacksList(await this.hackService.getGlobalHacks());
     this.setupDragAndDrop(); // Set up drag and drop after rendering
+    this.setupHealthListener();
+  }
+
+  /**
+   * Reload and re-render both the site and the global vibe lists
+   */
+  async refreshHacks() {
+    const { hacks } = await this.hackService.getHacksForCurrentSite();
+    await this.loadHealth();
+    this.renderHacksList(hacks);
+    this.renderGlobalHacksList(await this.hackService.getGlobalHacks());
+  }
+
+  /**
+   * Load the last application outcome of every vibe
+   */
+  async loadHealth() {
+    if (!this.healthService) return;
+    try {
+      this.healthByHackId = await this.healthService.getAllHealth();
+    } catch (error) {
+      console.error("Error loading vibe health:", error);
+    }
+  }
+
+  /**
+   * Re-render when the service worker records new outcomes
+   */
+  setupHealthListener() {
+    // Only subscribe once
+    if (!this.healthService || this.unsubscribeHealth) return;
+
+    this.unsubscribeHealth = this.healthService.onHealthChanged(() => {
+      // Don't throw away a name that is being edited
+      if (document.querySelector(".hack-name-edit")) return;
+      this.refreshHacks();
+    });
   }
 
   setupDragAndDrop() {
@@ -149,8 +215,7 @@ class SidePanelUI {
       } catch (error) {
         console.error("Error updating hack order:", error);
         // Re-render to restore original order on error
-        const { hacks } = await this.hackService.getHacksForCurrentSite();
-        this.renderHacksList(hacks);
+        await this.refreshHacks();
       }
     });
   }
@@ -270,10 +335,14 @@ class SidePanelUI {
         currentWindow: true,
       });
       if (tab) {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: MESSAGE_TYPES.TOGGLE_CSP_BUSTING,
-          enabled: enabled,
-        });
+        await chrome.tabs.sendMessage(
+          tab.id,
+          {
+            type: MESSAGE_TYPES.TOGGLE_CSP_BUSTING,
+            enabled: enabled,
+          },
+          { frameId: 0 }
+        );
       }
     } catch (error) {
       // Content script might not be ready yet, which is fine
@@ -291,10 +360,14 @@ class SidePanelUI {
         currentWindow: true,
       });
       if (tab) {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: MESSAGE_TYPES.TOGGLE_SERVICE_WORKER_BLOCKING,
-          enabled: enabled,
-        });
+        await chrome.tabs.sendMessage(
+          tab.id,
+          {
+            type: MESSAGE_TYPES.TOGGLE_SERVICE_WORKER_BLOCKING,
+            enabled: enabled,
+          },
+          { frameId: 0 }
+        );
       }
     } catch (error) {
       // Content script might not be ready yet, which is fine
@@ -319,6 +392,37 @@ class SidePanelUI {
     }
   }
 
+  /**
+   * Build the expandable error report for a failing vibe
+   * @param {VibeHealth} health - The vibe's failing health record
+   * @returns {HTMLElement} The details element
+   */
+  createHealthDetails(health) {
+    const details = document.createElement("details");
+    details.className = "hack-health";
+
+    const summary = document.createElement("summary");
+    summary.textContent = this.healthService.describeFailure(health);
+    details.appendChild(summary);
+
+    const meta = document.createElement("div");
+    meta.className = "hack-health-meta";
+    const lastSuccess = health.lastSuccessAt
+      ? health.lastSuccessAt.toLocaleString()
+      : "never";
+    meta.textContent = `${health.url} · ${health.durationMs}ms · last success: ${lastSuccess}`;
+    details.appendChild(meta);
+
+    if (health.stack) {
+      const stack = document.createElement("pre");
+      stack.className = "hack-health-stack";
+      stack.textContent = health.stack;
+      details.appendChild(stack);
+    }
+
+    return details;
+  }
+
   renderHacksList(hacks) {
     if (hacks.length === 0) {
       this.showEmptyState();
@@ -337,18 +441,50 @@ class SidePanelUI {
     this.setupDragAndDrop();
   }
 
-  createHackElement(hack) {
+  /**
+   * Render the global vibes section; it stays hidden while there are none
+   * @param {Hack[]} hacks - Global hacks to show
+   */
+  renderGlobalHacksList(hacks) {
+    if (!this.globalHacksListEl) return;
+
+    this.globalHacksListEl.innerHTML = "";
+    this.globalHacksContainerEl.classList.toggle("hidden", hacks.length === 0);
+    this.globalHacksListEl.classList.toggle("has-items", hacks.length > 0);
+
+    hacks.forEach((hack) => {
+      const hackElement = this.createHackElement(hack, { isGlobal: true });
+      this.globalHacksListEl.appendChild(hackElement);
+    });
+  }
+
+  /**
+   * Build the list item for a vibe
+   * @param {Hack} hack - The hack to render
+   * @param {Object} [options]
+   * @param {boolean} [options.isGlobal=false] - Render as a global vibe with a per-site opt-out
+   * @returns {HTMLElement} The hack item element
+   */
+  createHackElement(hack, { isGlobal = false } = {}) {
+    const optedOut =
+      isGlobal &&
+      this.hackService.isOptedOutOfSite(hack, this.currentHostname);
+
     const hackItem = document.createElement("div");
     hackItem.className = `hack-item ${hack.enabled ? "" : "disabled"}`;
     hackItem.dataset.hackId = hack.id;
-    hackItem.draggable = true; // Make the item draggable
 
-    // Add drag handle
-    const dragHandle = document.createElement("div");
-    dragHandle.className = "drag-handle";
-    dragHandle.innerHTML = '<span class="material-icons">drag_handle</span>';
-    dragHandle.title = "Drag to reorder";
-    hackItem.appendChild(dragHandle);
+    // Only site vibes are reordered by dragging; global vibes always run first
+    if (!isGlobal) {
+      hackItem.draggable = true; // Make the item draggable
+
+      // Add drag handle
+      const dragHandle = document.createElement("div");
+      dragHandle.className = "drag-handle";
+      dragHandle.innerHTML = '<span class="material-icons">drag_handle</span>';
+      dragHandle.title = "Drag to reorder";
+      hackItem.appendChild(dragHandle);
+    }
 
     // Create the hack header
     const hackHeader = document.createElement("div");
@@ -385,8 +521,7 @@ class SidePanelUI {
           });
         }
         // Re-render the list
-        const { hacks } = await this.hackService.getHacksForCurrentSite();
-        this.renderHacksList(hacks);
+        await this.refreshHacks();
       };
       input.addEventListener("blur", save);
       input.addEventListener("keydown", (ev) => {
@@ -394,8 +529,7 @@ class SidePanelUI {
           input.blur();
         } else if (ev.key === "Escape") {
           // Cancel edit
-          const { hacks } = this.hackService.getHacksForCurrentSite();
-          this.renderHacksList(hacks);
+          this.refreshHacks();
         }
       });
     });
@@ -410,15 +544,65 @@ class SidePanelUI {
     const status = document.createElement("span");
     status.className = `hack-status ${hack.enabled ? "enabled" : "disabled"}`;
     status.textContent = hack.enabled ? "Enabled" : "Disabled";
+    if (hack.enabled && optedOut) {
+      status.className = "hack-status disabled";
+      status.textContent = "Off here";
+      status.title = `Turned off on ${this.currentHostname}`;
+    }
     statusContainer.appendChild(status);
 
+    // Badge vibes whose last application failed
+    const health = this.healthByHackId.get(hack.id);
+    const failing = hack.enabled && !optedOut && health && health.isFailing();
+    if (failing) {
+      hackItem.classList.add("failing");
+      const failureBadge = document.createElement("span");
+      failureBadge.className = "hack-status failing";
+      failureBadge.textContent = "Error";
+      failureBadge.title = this.healthService.describeFailure(health);
+      statusContainer.appendChild(failureBadge);
+    } else if (health && !health.isFailing()) {
+      status.title = `Last applied ${health.checkedAt.toLocaleString()} in ${
+        health.durationMs
+      }ms`;
+    }
+
     // Add clock icon next to status if applyDelay is set
-    if (hack.applyDelay && hack.applyDelay > 0) {
+    if (
+      hack.runAt === Hack.RUN_AT.AFTER_DELAY &&
+      hack.applyDelay &&
+      hack.applyDelay > 0
+    ) {
       const clockIcon = document.createElement("span");
       clockIcon.className = "material-icons delay-icon";
       clockIcon.textContent = "schedule";
       clockIcon.title = `Apply delay: ${hack.applyDelay}ms`;
       statusContainer.appendChild(clockIcon);
+    } else if (hack.runAt === Hack.RUN_AT.DOCUMENT_START) {
+      // Bolt icon for vibes injected before the page renders
+      const earlyIcon = document.createElement("span");
+      earlyIcon.className = "material-icons delay-icon";
+      earlyIcon.textContent = "bolt";
+      earlyIcon.title = "Runs before the page renders";
+      statusContainer.appendChild(earlyIcon);
+    }
+
+    // Add pattern icon if the vibe matches more than just this hostname
+    if (
+      !isGlobal &&
+      hack.matchPatterns &&
+      !hack.matchPatterns.isDefaultFor(this.currentHostname)
+    ) {
+      const patternIcon = document.createElement("span");
+      patternIcon.className = "material-icons pattern-icon";
+      patternIcon.textContent = "travel_explore";
+      const excludes = hack.matchPatterns.exclude.length
+        ? `\nExcludes: ${hack.matchPatterns.exclude.join(", ")}`
+        : "";
+      patternIcon.title = `Matches: ${hack.matchPatterns.include.join(
+        ", "
+      )}${excludes}`;
+      statusContainer.appendChild(patternIcon);
     }
 
     hackHeader.appendChild(statusContainer);
@@ -433,6 +617,27 @@ class SidePanelUI {
       hackItem.appendChild(desc);
     }
 
+    if (failing) {
+      hackItem.appendChild(this.createHealthDetails(health));
+    }
+
+    // Global vibes can be turned off for this site or moved back to it;
+    // site vibes can be made global
+    const scopeActions = isGlobal
+      ? `
+      <button class="btn btn-small btn-secondary" data-action="site-opt-out" title="${
+        optedOut ? "Turn on" : "Turn off"
+      } on ${this.escapeHtml(this.currentHostname)}">
+        <span class="material-icons">${optedOut ? "check_circle" : "block"}</span>
+      </button>
+      <button class="btn btn-small btn-secondary" data-action="scope" title="Make Site-Only">
+        <span class="material-icons">public_off</span>
+      </button>`
+      : `
+      <button class="btn btn-small btn-secondary" data-action="scope" title="Make Global (run on every site)">
+        <span class="material-icons">public</span>
+      </button>`;
+
     // Actions
     const actions = document.createElement("div");
     actions.className = "hack-actions";
@@ -449,6 +654,10 @@ class SidePanelUI {
       <button class="btn btn-small btn-secondary" data-action="settings" title="Vibe Settings">
         <span class="material-icons">settings</span>
       </button>
+      <button class="btn btn-small btn-secondary" data-action="history" title="Revision History">
+        <span class="material-icons">history</span>
+      </button>
+      ${scopeActions}
       <button class="btn btn-small btn-danger" data-action="delete">
         🗑️ Delete
       </button>
@@ -489,6 +698,30 @@ class SidePanelUI {
         });
     }
 
+    // History stays available for disabled vibes so they can be rolled back
+    actions
+      .querySelector('[data-action="history"]')
+      .addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.handleRevisionHistory(hack);
+      });
+
+    actions
+      .querySelector('[data-action="scope"]')
+      .addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.handleHackScopeChange(hack, !isGlobal);
+      });
+
+    if (isGlobal) {
+      actions
+        .querySelector('[data-action="site-opt-out"]')
+        .addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.handleSiteOptOut(hack, !optedOut);
+        });
+    }
+
     return hackItem;
   }
 
@@ -509,11 +742,8 @@ class SidePanelUI {
   }
 
   async handleHackToggle(hackId) {
-    const hacks = await this.hackService.toggleHack(
-      this.currentHostname,
-      hackId
-    );
-    this.renderHacksList(hacks);
+    await this.hackService.toggleHack(this.currentHostname, hackId);
+    await this.refreshHacks();
     // Reload the current website
     const [tab] = await chrome.tabs.query({
       active: true,
@@ -526,11 +756,76 @@ class SidePanelUI {
 
   async handleHackDelete(hackId) {
     if (confirm("Are you sure you want to delete this hack?")) {
-      const hacks = await this.hackService.deleteHack(
+      await this.hackService.deleteHack(this.currentHostname, hackId);
+      // Saved chat sessions belong to the vibe, so remove them too
+      if (this.chatSessionService) {
+        await this.chatSessionService.deleteSessionsForHack(hackId);
+      }
+      if (this.healthService) {
+        await this.healthService.deleteHealth(hackId);
+      }
+      await this.refreshHacks();
+    }
+  }
+
+  /**
+   * Check whether the current tab is a site vibes can be scoped to
+   * @returns {boolean} True for a real hostname
+   */
+  hasCurrentSite() {
+    return !!this.currentHostname && this.currentHostname !== "unknown";
+  }
+
+  /**
+   * Turn a global vibe off or back on for the current site only
+   * @param {Hack} hack - The global hack
+   * @param {boolean} optOut - True to stop running the vibe on this site
+   */
+  async handleSiteOptOut(hack, optOut) {
+    if (!this.hasCurrentSite()) {
+      this.showNotification("Open a website to change this", "error");
+      return;
+    }
+    try {
+      await this.hackService.setSiteOptOut(
+        hack.id,
         this.currentHostname,
-        hackId
+        optOut
       );
-      this.renderHacksList(hacks);
+      await this.refreshHacks();
+      await this.reloadCurrentTab();
+    } catch (error) {
+      console.error("Error updating site opt-out:", error);
+      this.showNotification("Failed to update vibe", "error");
+    }
+  }
+
+  /**
+   * Move a vibe between the current site and the global scope
+   * @param {Hack} hack - The hack to move
+   * @param {boolean} makeGlobal - True to run it on every site
+   */
+  async handleHackScopeChange(hack, makeGlobal) {
+    if (!makeGlobal && !this.hasCurrentSite()) {
+      this.showNotification("Open a website to move this vibe to", "error");
+      return;
+    }
+    const question = makeGlobal
+      ? `Run "${hack.name}" on every website?`
+      : `Run "${hack.name}" only on ${this.currentHostname}?`;
+    if (!confirm(question)) return;
+
+    try {
+      if (makeGlobal) {
+        await this.hackService.makeHackGlobal(hack.id);
+      } else {
+        await this.hackService.makeHackSiteOnly(hack.id, this.currentHostname);
+      }
+      await this.refreshHacks();
+      await this.reloadCurrentTab();
+    } catch (error) {
+      console.error("Error changing vibe scope:", error);
+      this.showNotification("Failed to move vibe", "error");
     }
   }
 
@@ -554,8 +849,7 @@ class SidePanelUI {
           hackId,
           updateData
         );
-        const { hacks } = await this.hackService.getHacksForCurrentSite();
-        this.renderHacksList(hacks);
+        await this.refreshHacks();
         // Reload the current website to apply changes
         const [tab] = await chrome.tabs.query({
           active: true,
@@ -568,6 +862,29 @@ class SidePanelUI {
     );
   }
 
+  /**
+   * Open the revision browser for a vibe
+   * @param {Hack} hack - Hack whose revisions to show
+   */
+  handleRevisionHistory(hack) {
+    this.revisionHistoryModal.openModal(hack, async (revisionId) => {
+      await this.hackService.restoreRevision(
+        this.currentHostname,
+        hack.id,
+        revisionId
+      );
+      await this.refreshHacks();
+      // Reload the current website to apply the restored code
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (tab && tab.id) {
+        chrome.tabs.reload(tab.id);
+      }
+    });
+  }
+
   /**
    * Navigate to chat page for editing the selected vibe
    * @param {Hack} hack - Hack object to edit
@@ -583,6 +900,7 @@ class SidePanelUI {
     // Remove existing modal if present
     if (this.exportModal) this.exportModal.remove();
     const { hacks } = await this.hackService.getHacksForCurrentSite();
+    const author = await this.bundleService.getAuthor();
     // Create modal
     const modal = document.createElement("div");
     modal.className = "export-modal-overlay";
@@ -604,6 +922,16 @@ class SidePanelUI {
               )
               .join("")}
           </div>
+          <label class="export-field">
+            <span>Author</span>
+            <input type="text" name="author" class="export-author-input" value="${this.escapeHtml(
+              author
+            )}" placeholder="Your name (optional)">
+          </label>
+          <label class="export-vibe-item">
+            <input type="checkbox" name="sign" checked>
+            <span>Sign, so changes made after export can be detected</span>
+          </label>
           <div class="export-modal-actions">
             <button type="button" class="btn btn-secondary" id="cancelExportBtn">Cancel</button>
             <button type="submit" class="btn btn-primary" id="finalizeExportBtn">Export</button>
@@ -622,13 +950,34 @@ class SidePanelUI {
         modal.querySelectorAll('input[name="vibe"]:checked')
       ).map((cb) => cb.value);
       const selected = hacks.filter((h) => checked.includes(h.id));
-      this.downloadVibes(selected);
-      modal.remove();
+      const form = e.target;
+      try {
+        await this.downloadVibes(selected, {
+          author: form.elements.author.value,
+          sign: form.elements.sign.checked,
+        });
+        modal.remove();
+      } catch (error) {
+        console.error("Error exporting vibes:", error);
+        this.showNotification("Failed to export vibes", "error");
+      }
     };
   }
 
-  downloadVibes(vibes) {
-    const data = JSON.stringify(vibes, null, 2);
+  /**
+   * Download vibes as a .groove bundle
+   * @param {Hack[]} vibes - Vibes to export
+   * @param {Object} options - Bundle options
+   * @param {string} options.author - Author name
+   * @param {boolean} options.sign - Whether to sign the bundle
+   */
+  async downloadVibes(vibes, { author, sign }) {
+    const bundle = await this.bundleService.createBundle(vibes, {
+      hostname: this.currentHostname,
+      author,
+      sign,
+    });
+    const data = JSON.stringify(bundle.toJSON(), null, 2);
     const blob = new Blob([data], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
@@ -666,6 +1015,234 @@ class SidePanelUI {
       .substring(0, 100); // Limit length to 100 characters
   }
 
+  /**
+   * Show the sync status and, if sync is on, sync now and whenever vibes
+   * change while the side panel is open
+   */
+  async initializeSync() {
+    if (!this.syncService || !this.syncService.isAvailable()) {
+      if (this.syncBtn) this.syncBtn.classList.add("hidden");
+      return;
+    }
+
+    const state = await this.syncService.getState();
+    this.renderSyncStatus(state);
+    this.unsubscribeSync = this.syncService.watch((result, error) =>
+      this.handleSyncResult(result, error)
+    );
+    if (state.enabled) {
+      await this.runSync();
+    }
+  }
+
+  /**
+   * Sync now and show the outcome
+   * @param {boolean} [notify=false] - Show a notification when done
+   */
+  async runSync(notify = false) {
+    if (this.syncBtn) this.syncBtn.classList.add("syncing");
+    try {
+      await this.handleSyncResult(await this.syncService.sync(), null, notify);
+    } catch (error) {
+      await this.handleSyncResult(null, error, notify);
+    }
+  }
+
+  /**
+   * Refresh the vibe lists and sync status after a sync
+   * @param {Object|null} result - Sync result, or null if sync is off
+   * @param {Error|null} error - Error if the sync failed
+   * @param {boolean} [notify=false] - Show a notification
+   */
+  async handleSyncResult(result, error, notify = false) {
+    if (this.syncBtn) this.syncBtn.classList.remove("syncing");
+    if (result && (result.pulled > 0 || result.deleted > 0)) {
+      // Don't throw away a name that is being edited
+      if (!document.querySelector(".hack-name-edit")) {
+        await this.refreshHacks();
+      }
+    }
+
+    const state = await this.syncService.getState();
+    this.renderSyncStatus(state);
+    if (this.syncModal) this.renderSyncModal(state);
+
+    if (error) {
+      console.error("Error syncing vibes:", error);
+      if (notify) this.showNotification("Sync failed", "error");
+    } else if (result && notify) {
+      this.showNotification(
+        result.conflicts > 0
+          ? `Synced with ${result.conflicts} conflict${
+              result.conflicts === 1 ? "" : "s"
+            }`
+          : "Vibes synced",
+        result.conflicts > 0 ? "info" : "success"
+      );
+    }
+  }
+
+  /**
+   * Update the sync button and status line
+   * @param {SyncState} state - The sync state
+   */
+  renderSyncStatus(state) {
+    const status = this.syncService.describeStatus(state);
+    if (this.syncBtn) {
+      const icon = !state.enabled
+        ? "cloud_off"
+        : state.lastError
+        ? "sync_problem"
+        : "cloud_done";
+      this.syncBtn.querySelector(".material-icons").textContent = icon;
+      this.syncBtn.title = status;
+    }
+    if (this.syncStatusEl) {
+      this.syncStatusEl.textContent = status;
+      this.syncStatusEl.classList.toggle("hidden", !state.enabled);
+      this.syncStatusEl.classList.toggle("sync-status-error", !!state.lastError);
+    }
+  }
+
+  async openSyncModal() {
+    if (this.syncModal) this.syncModal.remove();
+    const modal = document.createElement("div");
+    modal.className = "export-modal-overlay";
+    document.body.appendChild(modal);
+    this.syncModal = modal;
+
+    // Buttons are re-rendered with the state, so listen on the overlay
+    modal.addEventListener("click", async (e) => {
+      const action = e.target.dataset.syncAction;
+      if (!action) return;
+      if (action === "close") {
+        modal.remove();
+        this.syncModal = null;
+        return;
+      }
+
+      e.target.disabled = true;
+      try {
+        if (action === "enable") {
+          if (this.syncBtn) this.syncBtn.classList.add("syncing");
+          await this.handleSyncResult(await this.syncService.enable(), null);
+        } else if (action === "sync") {
+          await this.runSync(true);
+        } else if (action === "disable") {
+          this.renderSyncStatus(await this.syncService.disable());
+        } else if (action === "clearConflicts") {
+          await this.syncService.clearConflicts();
+        }
+      } catch (error) {
+        await this.handleSyncResult(null, error, true);
+      }
+      if (this.syncModal) {
+        this.renderSyncModal(await this.syncService.getState());
+      }
+    });
+
+    this.renderSyncModal(await this.syncService.getState());
+  }
+
+  /**
+   * Render the sync modal's contents
+   * @param {SyncState} state - The sync state
+   */
+  async renderSyncModal(state) {
+    if (!this.syncModal) return;
+
+    if (!state.enabled) {
+      this.syncModal.innerHTML = `
+        <div class="export-modal sync-modal">
+          <h3>Sync Vibes</h3>
+          <p class="sync-modal-text">
+            Sync keeps your vibes the same on every computer where you use this
+            browser profile. Vibes are stored in your browser account's sync
+            storage; chat history and revision history stay on each device.
+          </p>
+          <p class="sync-modal-text">
+            When a vibe changed on two devices, the newer change is kept and
+            the conflict is logged here.
+          </p>
+          <div class="export-modal-actions">
+            <button type="button" class="btn btn-secondary" data-sync-action="close">Close</button>
+            <button type="button" class="btn btn-primary" data-sync-action="enable">Turn On Sync</button>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    const localOnly = await this.syncService.getLocalOnlyVibes(state);
+
+    this.syncModal.innerHTML = `
+      <div class="export-modal sync-modal">
+        <h3>Sync Vibes</h3>
+        <div class="sync-modal-status ${
+          state.lastError ? "sync-status-error" : ""
+        }">${this.escapeHtml(this.syncService.describeStatus(state))}</div>
+        ${
+          localOnly.length > 0
+            ? `
+          <div class="sync-modal-section">
+            <h4>Only on this device</h4>
+            <ul class="sync-modal-list">
+              ${localOnly
+                .map(
+                  (vibe) => `
+                <li>
+                  <span>${this.escapeHtml(vibe.name)}</span>
+                  <small>${this.escapeHtml(
+                    this.syncService.describeLocalOnly(vibe.reason)
+                  )}</small>
+                </li>
+              `
+                )
+                .join("")}
+            </ul>
+          </div>
+        `
+            : ""
+        }
+        <div class="sync-modal-section">
+          <h4>Conflicts</h4>
+          ${
+            state.conflicts.length > 0
+              ? `
+            <ul class="sync-modal-list">
+              ${state.conflicts
+                .map(
+                  (conflict) => `
+                <li>
+                  <span>${this.escapeHtml(conflict.name)}</span>
+                  <small>${this.escapeHtml(conflict.reason)} (${
+                    conflict.kept === "local" ? "this device" : "other device"
+                  }, ${this.escapeHtml(
+                    new Date(conflict.resolvedAt).toLocaleString()
+                  )})</small>
+                </li>
+              `
+                )
+                .join("")}
+            </ul>
+          `
+              : `<small class="sync-modal-empty">No conflicts</small>`
+          }
+        </div>
+        <div class="export-modal-actions">
+          <button type="button" class="btn btn-secondary" data-sync-action="disable">Turn Off</button>
+          ${
+            state.conflicts.length > 0
+              ? `<button type="button" class="btn btn-secondary" data-sync-action="clearConflicts">Clear Log</button>`
+              : ""
+          }
+          <button type="button" class="btn btn-secondary" data-sync-action="close">Close</button>
+          <button type="button" class="btn btn-primary" data-sync-action="sync">Sync Now</button>
+        </div>
+      </div>
+    `;
+  }
+
   async openImportModal() {
     // Navigate to import page within the side panel
     // Pass the current hostname as a URL parameter
@@ -674,6 +1251,11 @@ class SidePanelUI {
     )}`;
   }
 
+  openLibraryPage() {
+    // Navigate to the vibe library page within the side panel
+    window.location.href = "library/library.html";
+  }
+
   showNotification(message, type = "info") {
     const notification = document.createElement("div");
     notification.className = `notification notification-${type}`;
@@ -709,26 +1291,30 @@ class SidePanelEventHandler {
       });
     }
 
-    // Hack actions (toggle/delete)
-    this.ui.hacksListEl.addEventListener("click", (e) => {
-      const hackItem = e.target.closest(".hack-item");
-      if (!hackItem) return;
+    // Hack actions (toggle/delete) for site and global vibes
+    [this.ui.hacksListEl, this.ui.globalHacksListEl]
+      .filter(Boolean)
+      .forEach((listEl) => {
+        listEl.addEventListener("click", (e) => {
+          const hackItem = e.target.closest(".hack-item");
+          if (!hackItem) return;
 
-      const hackId = hackItem.dataset.hackId;
-      const action = e.target.dataset.action;
+          const hackId = hackItem.dataset.hackId;
+          const action = e.target.dataset.action;
 
-      if (action === "delete") {
-        this.ui.handleHackDelete(hackId);
-      }
-    });
+          if (action === "delete") {
+            this.ui.handleHackDelete(hackId);
+          }
+        });
 
-    this.ui.hacksListEl.addEventListener("change", (e) => {
-      if (e.target.dataset.action === "toggle") {
-        const hackItem = e.target.closest(".hack-item");
-        const hackId = hackItem.dataset.hackId;
-        this.ui.handleHackToggle(hackId);
-      }
-    });
+        listEl.addEventListener("change", (e) => {
+          if (e.target.dataset.action === "toggle") {
+            const hackItem = e.target.closest(".hack-item");
+            const hackId = hackItem.dataset.hackId;
+            this.ui.handleHackToggle(hackId);
+          }
+        });
+      });
   }
 }
 
@@ -743,7 +1329,27 @@ class SidePanelApp {
     this.settingsService = new SettingsService(this.settingsRepository);
     this.cspRepository = new CSPRepository();
     this.cspService = new CSPService(this.cspRepository);
-    this.ui = new SidePanelUI(this.hackService, this.cspService);
+    this.chatSessionRepository = new ChatSessionRepository();
+    this.chatSessionService = new ChatSessionService(
+      this.chatSessionRepository
+    );
+    this.vibeHealthRepository = new VibeHealthRepository();
+    this.healthService = new VibeHealthService(this.vibeHealthRepository);
+    this.bundleIdentityRepository = new BundleIdentityRepository();
+    this.bundleService = new BundleService(this.bundleIdentityRepository);
+    this.syncRepository = new SyncRepository();
+    this.syncService = new SyncService(
+      this.syncRepository,
+      this.hackRepository
+    );
+    this.ui = new SidePanelUI(
+      this.hackService,
+      this.cspService,
+      this.chatSessionService,
+      this.healthService,
+      this.bundleService,
+      this.syncService
+    );
     this.eventHandler = new SidePanelEventHandler(this.ui);
   }
 
@@ -751,6 +1357,7 @@ class SidePanelApp {
     await this.loadTheme();
     await this.initializeCSPRules();
     await this.ui.render();
+    await this.initializeSync();
     // Set up tab change listener to update content when switching tabs
     this.setupTabChangeListener();
   }
@@ -763,6 +1370,14 @@ class SidePanelApp {
     }
   }
 
+  async initializeSync() {
+    try {
+      await this.ui.initializeSync();
+    } catch (error) {
+      console.error("Error initializing sync:", error);
+    }
+  }
+
   async loadTheme() {
     try {
       const settings = await this.settingsService.getAllSettings();